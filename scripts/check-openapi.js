@@ -0,0 +1,453 @@
+/**
+ * Contract check of the OpenAPI document (src/openapi.js) against the
+ * app. Fails (exit code 1) when:
+ * - a route is registered but not documented, or documented but missing
+ * - a response has a status the operation does not document, or a JSON
+ *   body that does not match the documented schema
+ * - a documented operation is not exercised below, so new routes need a
+ *   request here too
+ *
+ * It runs the app in-process on the memory backend with a throwaway data
+ * set, so it needs no database and leaves none behind.
+ *
+ * Usage: npm run test:contract
+ */
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+process.env.RATE_LIMIT_STORE = 'memory';
+// The webhook below points at a closed local port
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+// Room for the whole scenario, except searches, which the end runs out of
+for (const name of ['READS', 'WRITES', 'IP_READS', 'IP_WRITES', 'IP_SEARCHES']) {
+    process.env[`RATE_LIMIT_${name}`] = '1000/1m';
+}
+process.env.RATE_LIMIT_SEARCHES = '20/1m';
+
+const { app, API_ROUTERS } = require('../src/app');
+const { openApiDocument } = require('../src/openapi');
+const { startWebhookDispatcher } = require('../src/webhooks');
+
+const spec = openApiDocument();
+const failures = [];
+const covered = new Set();
+
+const toTemplate = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/** "METHOD /path/{param}" of every route registered on the API routers */
+function registeredRoutes() {
+    const routes = new Set();
+    for (const { path, router } of API_ROUTERS) {
+        for (const layer of router.stack.filter(layer => layer.route)) {
+            const routePath = layer.route.path === '/' ? '' : layer.route.path;
+            for (const method of Object.keys(layer.route.methods)) {
+                routes.add(`${method.toUpperCase()} ${toTemplate(`${path}${routePath}`) || '/'}`);
+            }
+        }
+    }
+    return routes;
+}
+
+function documentedRoutes() {
+    const routes = new Set();
+    for (const [path, operations] of Object.entries(spec.paths)) {
+        for (const method of Object.keys(operations)) routes.add(`${method.toUpperCase()} ${path}`);
+    }
+    return routes;
+}
+
+function checkRoutes() {
+    const registered = registeredRoutes();
+    const documented = documentedRoutes();
+    for (const route of registered) {
+        if (!documented.has(route)) failures.push(`${route} is registered but not in the OpenAPI document`);
+    }
+    for (const route of documented) {
+        if (!registered.has(route)) failures.push(`${route} is documented but no handler is registered`);
+    }
+}
+
+const resolve = (schema) => (schema && schema.$ref
+    ? resolve(schema.$ref.split('/').slice(1).reduce((node, key) => node[key], spec))
+    : schema);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    integer: Number.isInteger,
+    number: (value) => typeof value === 'number',
+    boolean: (value) => typeof value === 'boolean',
+    array: Array.isArray,
+    object: isObject
+};
+
+/** The ways `value` does not match `schema` (the subset of JSON Schema src/openapi.js uses) */
+function mismatches(schemaOrRef, value, at = 'body') {
+    const schema = resolve(schemaOrRef);
+    if (value === null) {
+        return schema.nullable ? [] : [`${at} is null`];
+    }
+    if (schema.oneOf) {
+        const matching = schema.oneOf.filter(option => mismatches(option, value, at).length === 0);
+        return matching.length === 1 ? [] : [`${at} matches ${matching.length} of the oneOf schemas`];
+    }
+    if (schema.anyOf) {
+        return schema.anyOf.some(option => mismatches(option, value, at).length === 0) ? [] : [`${at} matches none of the anyOf schemas`];
+    }
+    if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+        return [`${at} should be ${schema.type}, got ${JSON.stringify(value)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${at} should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+    }
+
+    const problems = [];
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => problems.push(...mismatches(schema.items, item, `${at}[${index}]`)));
+    }
+    if (isObject(value)) {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (!(name in value)) problems.push(`${at}.${name} is missing`);
+        }
+        for (const [name, item] of Object.entries(value)) {
+            if (properties[name]) {
+                problems.push(...mismatches(properties[name], item, `${at}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                problems.push(`${at}.${name} is not documented`);
+            } else if (isObject(schema.additionalProperties)) {
+                problems.push(...mismatches(schema.additionalProperties, item, `${at}.${name}`));
+            }
+        }
+    }
+    return problems;
+}
+
+/** The documented path template a request path belongs to */
+function matchPath(method, path) {
+    return Object.keys(spec.paths).find(template => spec.paths[template][method]
+        && new RegExp(`^${template.replace(/\{\w+\}/g, '[^/]+')}$`).test(path));
+}
+
+let baseUrl;
+
+/**
+ * Send a request and check the response against the document. `expect`
+ * is the status the scenario needs to go on; anything else stops the run.
+ */
+async function call(method, path, { token, body, text, headers = {}, expect } = {}) {
+    const request = { method: method.toUpperCase(), headers: { ...headers } };
+    if (token) request.headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) {
+        request.headers['Content-Type'] = 'application/json';
+        request.body = JSON.stringify(body);
+    } else if (text !== undefined) {
+        request.headers['Content-Type'] = 'text/csv';
+        request.body = text;
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, request);
+    const label = `${request.method} ${path} -> ${response.status}`;
+    const template = matchPath(method, path.split('?')[0]);
+    if (!template) {
+        throw new Error(`${label}: no documented operation`);
+    }
+    covered.add(`${request.method} ${template}`);
+
+    const documented = spec.paths[template][method].responses[response.status];
+    const type = (response.headers.get('content-type') || '').split(';')[0];
+    const isJson = type === 'application/json';
+    const payload = isJson ? await response.json() : await response.text();
+
+    if (!documented) {
+        failures.push(`${label}: status not documented for ${request.method} ${template}`);
+    } else {
+        const content = resolve(documented).content;
+        if (content && !content[type]) {
+            failures.push(`${label}: content type ${type || 'none'} not documented`);
+        } else if (content && isJson) {
+            failures.push(...mismatches(content[type].schema, payload).map(problem => `${label}: ${problem}`));
+        }
+    }
+    if (expect && response.status !== expect) {
+        throw new Error(`${label}, expected ${expect}: ${JSON.stringify(payload)}`);
+    }
+    return { status: response.status, body: payload, headers: response.headers };
+}
+
+/** Open the event stream, check its headers and hang up */
+async function checkStream(token) {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/tasks/stream?status=todo`, {
+        headers: { Authorization: `Bearer ${token}` },
+        signal: controller.signal
+    });
+    covered.add('GET /tasks/stream');
+    const type = (response.headers.get('content-type') || '').split(';')[0];
+    if (response.status !== 200 || !spec.paths['/tasks/stream'].get.responses[200].content[type]) {
+        failures.push(`GET /tasks/stream -> ${response.status} ${type}: not the documented event stream`);
+    }
+    controller.abort();
+}
+
+/** The optional task fields that PUT sets to null when the body leaves them out */
+const CLEARED_BY_PUT = ['priority', 'description', 'start_date', 'due_date', 'parent_id', 'project_id', 'recurrence', 'reminders'];
+
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+async function exercise() {
+    // Auth
+    const login = { email: 'contract@example.com', password: 'contract-check' };
+    const { body: { data: { token } } } = await call('post', '/auth/register', { body: { ...login, name: 'Lan' }, expect: 201 });
+    const other = { email: 'other@example.com', password: 'contract-check' };
+    const { body: { data: { token: otherToken } } } = await call('post', '/auth/register', { body: other, expect: 201 });
+    await call('post', '/auth/register', { body: login, expect: 409 });
+    await call('post', '/auth/register', { body: { email: 'nope' }, expect: 400 });
+    await call('post', '/auth/login', { body: login, expect: 200 });
+    await call('post', '/auth/login', { body: { ...login, password: 'wrong password' }, expect: 401 });
+    await call('get', '/auth/me', { token, expect: 200 });
+    await call('get', '/auth/me', { expect: 401 });
+
+    // API keys act as the user in X-API-Key until they are revoked
+    const { body: { data: apiKey } } = await call('post', '/auth/keys', { token, body: { name: 'Nightly export' }, expect: 201 });
+    await call('post', '/auth/keys', { token, body: {}, expect: 400 });
+    await call('get', '/auth/keys', { token, expect: 200 });
+    await call('get', '/auth/me', { headers: { 'X-API-Key': apiKey.key }, expect: 200 });
+    await call('get', '/auth/me', { headers: { 'X-API-Key': 'tk_not-a-key' }, expect: 401 });
+    await call('delete', `/auth/keys/${apiKey.id}`, { token: otherToken, expect: 403 });
+    await call('delete', `/auth/keys/${apiKey.id}`, { token, expect: 200 });
+    await call('delete', `/auth/keys/${apiKey.id}`, { token, expect: 404 });
+    await call('get', '/tasks', { headers: { 'X-API-Key': apiKey.key }, expect: 401 });
+
+    // Webhooks first, so task changes leave deliveries behind (to a port nobody listens on)
+    const { body: { data: webhook } } = await call('post', '/webhooks', { token, body: { url: 'http://127.0.0.1:9/hook' }, expect: 201 });
+    await call('post', '/webhooks', { token, body: { url: 'ftp://example.com' }, expect: 400 });
+    await call('post', '/webhooks', { token, body: { url: 'http://169.254.169.254/latest/meta-data' }, expect: 400 });
+
+    // Tasks
+    const { body: { data: task } } = await call('post', '/tasks', {
+        token,
+        body: {
+            title: 'Plan the release',
+            description: 'Write the release notes',
+            priority: 'high',
+            start_date: new Date().toISOString(),
+            due_date: tomorrow(),
+            recurrence: 'FREQ=WEEKLY',
+            reminders: '1h'
+        },
+        expect: 201
+    });
+    const { body: { data: second } } = await call('post', '/tasks', { token, body: { title: 'Review the plan' }, expect: 201 });
+    await call('post', '/tasks', { token, body: { priority: 'urgent' }, expect: 400 });
+
+    await call('get', '/tasks?limit=1', { token, expect: 200 });
+    const { body: firstPage } = await call('get', '/tasks?limit=1&count=none', { token, expect: 200 });
+    await call('get', `/tasks?limit=1&cursor=${firstPage.pagination.next_cursor}`, { token, expect: 200 });
+    await call('get', '/tasks?page=1&cursor=abc', { token, expect: 400 });
+
+    const { headers } = await call('get', `/tasks/${task.id}`, { token, expect: 200 });
+    // fetch adds Cache-Control: no-cache to conditional requests unless one is given
+    const conditional = { 'If-None-Match': headers.get('etag'), 'Cache-Control': 'max-age=0' };
+    await call('get', `/tasks/${task.id}`, { token, headers: conditional, expect: 304 });
+    await call('get', '/tasks/999999', { token, expect: 404 });
+    await call('get', `/tasks/${task.id}`, { token: otherToken, expect: 403 });
+
+    await call('put', `/tasks/${second.id}`, { token, body: { title: 'Review the plan', author: 'Lan' }, expect: 200 });
+    await call('patch', `/tasks/${second.id}`, { token, body: { description: 'Check the dates' }, headers: { 'If-Match': '"0"' }, expect: 412 });
+    await call('patch', `/tasks/${second.id}`, { token, body: { description: 'Check the dates' }, expect: 200 });
+    await call('patch', `/tasks/${second.id}`, { token, body: { status: 'done' }, expect: 400 });
+
+    const { body: { data: subtask } } = await call('post', `/tasks/${task.id}/subtasks`, { token, body: { title: 'Draft the notes' }, expect: 201 });
+    await call('get', `/tasks/${task.id}/subtasks`, { token, expect: 200 });
+
+    // PUT clears every optional field the body leaves out, parent_id included
+    const { body: { data: detailed } } = await call('post', `/tasks/${task.id}/subtasks`, {
+        token,
+        body: { title: 'Book the venue', description: 'For 40 people', priority: 'low', due_date: tomorrow(), recurrence: 'FREQ=DAILY', reminders: '1d' },
+        expect: 201
+    });
+    const { body: { data: replaced } } = await call('put', `/tasks/${detailed.id}`, { token, body: { title: 'Book the venue', author: 'Lan' }, expect: 200 });
+    const kept = CLEARED_BY_PUT.filter(field => replaced[field] !== null);
+    if (kept.length > 0) {
+        failures.push(`PUT /tasks/{id} left ${kept.join(', ')} set`);
+    }
+
+    await call('post', `/tasks/${second.id}/dependencies`, { token, body: { depends_on: task.id }, expect: 201 });
+    await call('post', `/tasks/${task.id}/dependencies`, { token, body: { depends_on: second.id }, expect: 409 });
+    await call('post', `/tasks/${task.id}/dependencies`, { token, body: { depends_on: task.id }, expect: 400 });
+    await call('patch', `/tasks/${second.id}`, { token, body: { start_date: new Date().toISOString() }, expect: 200 });
+    await call('get', `/tasks/${second.id}/dependencies`, { token, expect: 200 });
+    await call('get', `/tasks/${second.id}`, { token, expect: 200 });
+    await call('delete', `/tasks/${second.id}/dependencies/${task.id}`, { token, expect: 200 });
+    await call('delete', `/tasks/${second.id}/dependencies/${task.id}`, { token, expect: 404 });
+
+    const { body: { data: taskTags } } = await call('post', `/tasks/${task.id}/tags`, { token, body: { tags: ['release', 'docs'] }, expect: 200 });
+    await call('post', `/tasks/${task.id}/tags`, { token, body: { tags: [] }, expect: 400 });
+    await call('get', `/tasks/${task.id}/tags`, { token, expect: 200 });
+    await call('delete', `/tasks/${task.id}/tags/${taskTags[0].id}`, { token, expect: 200 });
+
+    await call('get', '/tasks/search?q=plan%20-"nothing%20here"', { token, expect: 200 });
+    await call('get', '/tasks/search?q=plan&sort=title&order=asc&tags=docs', { token, expect: 200 });
+    await call('get', '/tasks/search', { token, expect: 400 });
+    await call('get', '/tasks/sort?sort_by=due_date&status=todo', { token, expect: 200 });
+    await call('get', '/tasks/export?format=csv', { token, expect: 200 });
+    await call('get', '/tasks/export?format=ndjson&q=plan', { token, expect: 200 });
+    await call('get', '/tasks/export?format=ics', { token, expect: 200 });
+    await call('get', '/tasks/stats?interval=week', { token, expect: 200 });
+    await checkStream(token);
+
+    await call('get', `/tasks/${task.id}/occurrences?count=3`, { token, expect: 200 });
+    await call('get', `/tasks/${second.id}/occurrences`, { token, expect: 400 });
+    await call('get', `/tasks/${task.id}/reminders`, { token, expect: 200 });
+
+    const { body: history } = await call('get', `/tasks/${second.id}/history`, { token, expect: 200 });
+    await call('post', `/tasks/${second.id}/revert`, { token, body: { version: history.data[history.data.length - 1].id }, expect: 200 });
+
+    await call('post', `/tasks/${task.id}/transition`, { token, body: { status: 'in_progress' }, expect: 200 });
+    await call('post', `/tasks/${task.id}/transition`, { token, body: { status: 'done' }, expect: 200 });
+    await call('post', `/tasks/${task.id}/transition`, { token, body: { status: 'blocked' }, expect: 409 });
+    await call('post', `/tasks/${task.id}/transition`, { token, expect: 400 });
+
+    await call('post', `/tasks/${second.id}/move`, { token, body: { status: 'in_progress' }, expect: 200 });
+    await call('post', `/tasks/${subtask.id}/move`, { token, body: { before: second.id }, headers: { 'If-Match': `"${subtask.version}"` }, expect: 200 });
+    await call('post', `/tasks/${second.id}/move`, { token, body: { after: subtask.id, status: 'todo' }, expect: 400 });
+    await call('post', `/tasks/${subtask.id}/move`, { token, body: { status: 'done' }, expect: 200 });
+    await call('post', `/tasks/${subtask.id}/move`, { token, body: { status: 'blocked' }, expect: 409 });
+    await call('get', '/tasks/board?status=todo,in_progress,done&limit=1', { token, expect: 200 });
+    await call('get', '/tasks/sort?sort_by=position&order=asc&status=done', { token, expect: 200 });
+
+    await call('post', '/tasks/batch', {
+        token,
+        body: { operations: [{ op: 'create', data: { title: 'Batch task' } }, { op: 'update', id: second.id, data: { priority: 'low' } }] },
+        expect: 200
+    });
+    await call('post', '/tasks/batch', {
+        token,
+        body: { atomic: true, operations: [{ op: 'create', data: { title: 'Batch task' } }, { op: 'delete', id: 999999 }] },
+        expect: 404
+    });
+    await call('post', '/tasks/batch', { token, body: { operations: [] }, expect: 400 });
+
+    await call('post', '/tasks/import?dry_run=true', { token, text: 'title,priority\nImported,low\n', expect: 200 });
+    await call('post', '/tasks/import', { token, body: [{ title: 'Imported one' }], expect: 201 });
+    await call('post', '/tasks/import', { token, body: [{ title: '' }], expect: 400 });
+
+    // Trash
+    await call('delete', `/tasks/${task.id}?subtasks=cascade`, { token, expect: 200 });
+    await call('get', '/tasks/trash', { token, expect: 200 });
+    await call('post', `/tasks/${task.id}/restore`, { token, expect: 200 });
+    await call('delete', `/tasks/${subtask.id}`, { token, expect: 200 });
+    await call('delete', `/tasks/trash/${subtask.id}`, { token, expect: 200 });
+    await call('delete', `/tasks/${second.id}`, { token, expect: 200 });
+    await call('delete', '/tasks/trash', { token, expect: 200 });
+
+    // Tags
+    const { body: { data: tag } } = await call('post', '/tags', { token, body: { name: 'urgent', color: '#ff0000' }, expect: 201 });
+    await call('post', '/tags', { token, body: { name: 'Urgent' }, expect: 409 });
+    await call('get', '/tags', { token, expect: 200 });
+    await call('get', `/tags/${tag.id}`, { token, expect: 200 });
+    await call('patch', `/tags/${tag.id}`, { token, body: { color: '#00ff00' }, expect: 200 });
+    await call('post', `/tags/${taskTags[1].id}/merge`, { token, body: { into: tag.id }, expect: 200 });
+    await call('delete', `/tags/${tag.id}`, { token, expect: 200 });
+
+    await call('get', '/audit?action=created,updated&limit=5', { token, expect: 200 });
+
+    // Webhook deliveries of the changes above
+    await call('get', '/webhooks', { token, expect: 200 });
+    await call('get', `/webhooks/${webhook.id}`, { token, expect: 200 });
+    await call('patch', `/webhooks/${webhook.id}`, { token, body: { events: 'task.created' }, expect: 200 });
+    const { body: deliveries } = await call('get', `/webhooks/${webhook.id}/deliveries?status=pending,failed`, { token, expect: 200 });
+    await call('post', `/webhooks/${webhook.id}/deliveries/${deliveries.data[0].id}/redeliver`, { token, expect: 202 });
+    await call('get', `/webhooks/${webhook.id}`, { token: otherToken, expect: 403 });
+    await call('delete', `/webhooks/${webhook.id}`, { token, expect: 200 });
+
+    // Views
+    const { body: { data: view } } = await call('post', '/views', {
+        token,
+        body: { name: 'This week', q: 'imported', due_date_to: 'end_of_week', shared: true },
+        expect: 201
+    });
+    await call('post', '/views', { token, body: { name: 'this week' }, expect: 409 });
+    await call('get', '/views', { token: otherToken, expect: 200 });
+    await call('get', `/views/${view.id}`, { token, expect: 200 });
+    await call('patch', `/views/${view.id}`, { token, body: { sort: 'relevance' }, expect: 200 });
+    await call('patch', `/views/${view.id}`, { token, body: { q: null }, expect: 400 });
+    await call('patch', `/views/${view.id}`, { token, body: { q: null, sort: 'title' }, expect: 200 });
+    await call('patch', `/views/${view.id}`, { token: otherToken, body: { name: 'Mine' }, expect: 403 });
+    await call('get', `/views/${view.id}/tasks?limit=5`, { token: otherToken, expect: 200 });
+    await call('delete', `/views/${view.id}`, { token, expect: 200 });
+
+    // Projects
+    const { body: { data: project } } = await call('post', '/projects', { token, body: { name: 'Launch', description: 'Go live' }, expect: 201 });
+    await call('post', '/projects', { token, body: { name: 'launch' }, expect: 409 });
+    await call('post', '/projects', { token, body: {}, expect: 400 });
+    await call('post', '/tasks', { token, body: { title: 'Book the venue', project_id: project.id }, expect: 201 });
+    await call('get', `/projects/${project.id}/tasks`, { token: otherToken, expect: 404 });
+    const { body: { data: member } } = await call('post', `/projects/${project.id}/members`, { token, body: { email: other.email }, expect: 201 });
+    await call('post', `/projects/${project.id}/members`, { token, body: { user_id: member.user_id }, expect: 409 });
+    await call('get', '/projects', { token: otherToken, expect: 200 });
+    await call('get', `/projects/${project.id}`, { token: otherToken, expect: 200 });
+    await call('get', `/projects/${project.id}/members`, { token: otherToken, expect: 200 });
+    await call('get', `/projects/${project.id}/tasks?q=venue&status=todo`, { token: otherToken, expect: 200 });
+    await call('get', `/projects/${project.id}/tasks?sort=relevance`, { token, expect: 400 });
+    await call('patch', `/projects/${project.id}`, { token: otherToken, body: { name: 'Mine' }, expect: 403 });
+    await call('patch', `/projects/${project.id}`, { token, body: { description: null }, expect: 200 });
+    await call('post', `/projects/${project.id}/archive`, { token, expect: 200 });
+    await call('get', '/projects?archived=true', { token, expect: 200 });
+    await call('post', '/tasks', { token, body: { title: 'Too late', project_id: project.id }, expect: 400 });
+    await call('patch', `/projects/${project.id}`, { token, body: { name: 'Relaunch' }, expect: 409 });
+    await call('post', `/projects/${project.id}/unarchive`, { token, expect: 200 });
+    await call('delete', `/projects/${project.id}/members/${member.user_id}`, { token: otherToken, expect: 200 });
+    await call('delete', `/projects/${project.id}/members/${member.user_id}`, { token, expect: 404 });
+
+    // Rate limits: a new client searches until its bucket is empty
+    const { body: { data: { token: busyToken } } } = await call('post', '/auth/register', {
+        body: { email: 'busy@example.com', password: 'contract-check' },
+        expect: 201
+    });
+    let limited = null;
+    for (let attempt = 0; attempt < 25 && !limited; attempt++) {
+        const response = await call('get', '/tasks/search?q=plan', { token: busyToken });
+        if (response.status === 429) limited = response;
+    }
+    if (!limited) {
+        throw new Error('GET /tasks/search was never rate limited');
+    }
+    if (!limited.headers.get('retry-after') || limited.headers.get('ratelimit-remaining') !== '0') {
+        failures.push('429 response without Retry-After or RateLimit-Remaining: 0');
+    }
+    await call('get', '/tasks', { token: busyToken, expect: 200 });
+}
+
+async function main() {
+    checkRoutes();
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    // Queues the webhook deliveries of task changes
+    const stopDispatcher = startWebhookDispatcher();
+    try {
+        await exercise();
+    } catch (err) {
+        failures.push(`Scenario stopped: ${err.message}`);
+    } finally {
+        stopDispatcher();
+        server.closeAllConnections();
+        server.close();
+    }
+
+    for (const route of documentedRoutes()) {
+        if (!covered.has(route)) failures.push(`${route} is not exercised by scripts/check-openapi.js`);
+    }
+
+    if (failures.length > 0) {
+        console.error(`\nOpenAPI contract check failed (${failures.length}):`);
+        failures.forEach(failure => console.error(`- ${failure}`));
+        process.exit(1);
+    }
+    console.log(`\nOpenAPI contract check passed: ${documentedRoutes().size} operations, ${covered.size} exercised`);
+}
+
+main();
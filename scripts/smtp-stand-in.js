@@ -0,0 +1,78 @@
+/**
+ * A stand-in SMTP server for development: accepts every message and
+ * prints it instead of delivering it. Point the email reminder channel
+ * at it with SMTP_HOST=localhost SMTP_PORT=1025 (the defaults).
+ *
+ * Usage: node scripts/smtp-stand-in.js [port]
+ */
+const net = require('net');
+
+const port = Number(process.argv[2] || process.env.SMTP_PORT || 1025);
+
+/** Decode the base64 text body written by src/smtp.js, leave anything else as is */
+function readable(message) {
+    const [headers, ...rest] = message.split('\r\n\r\n');
+    const body = rest.join('\r\n\r\n');
+    if (!/^Content-Transfer-Encoding: base64$/mi.test(headers)) {
+        return message;
+    }
+    const subject = headers.replace(/=\?UTF-8\?B\?([^?]*)\?=/g, (_, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+    return `${subject}\r\n\r\n${Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')}`;
+}
+
+const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    let envelope = { from: null, to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 smtp-stand-in ready');
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+
+            if (data !== null) {
+                if (line === '.') {
+                    console.log(`--- Mail from ${envelope.from} to ${envelope.to.join(', ')} ---`);
+                    console.log(readable(data.join('\r\n')));
+                    console.log('--- End of mail ---');
+                    data = null;
+                    envelope = { from: null, to: [] };
+                    reply('250 OK: message accepted');
+                } else {
+                    data.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+                continue;
+            }
+
+            const verb = line.split(/[\s:]/)[0].toUpperCase();
+            if (verb === 'EHLO' || verb === 'HELO') {
+                reply('250 smtp-stand-in');
+            } else if (verb === 'MAIL') {
+                envelope.from = line.slice(line.indexOf(':') + 1).trim();
+                reply('250 OK');
+            } else if (verb === 'RCPT') {
+                envelope.to.push(line.slice(line.indexOf(':') + 1).trim());
+                reply('250 OK');
+            } else if (verb === 'DATA') {
+                data = [];
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (verb === 'RSET' || verb === 'NOOP') {
+                reply('250 OK');
+            } else if (verb === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else {
+                reply('502 Command not implemented');
+            }
+        }
+    });
+    socket.on('error', () => {});
+});
+
+server.listen(port, () => {
+    console.log(`SMTP stand-in listening on port ${port}`);
+});
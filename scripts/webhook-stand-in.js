@@ -0,0 +1,63 @@
+/**
+ * A stand-in webhook receiver for development: prints every delivery and
+ * checks its signature. Create a webhook with url http://localhost:4000/
+ * and run the server with WEBHOOK_ALLOWED_HOSTS=localhost, since webhooks
+ * only reach public addresses otherwise.
+ *
+ * WEBHOOK_SECRET is the webhook's secret; without it signatures are shown
+ * but not checked. WEBHOOK_STAND_IN_STATUS sets the status it answers
+ * (default 200), e.g. 500 to watch the retries.
+ *
+ * Usage: node scripts/webhook-stand-in.js [port]
+ */
+const crypto = require('crypto');
+const http = require('http');
+
+const port = Number(process.argv[2] || process.env.WEBHOOK_STAND_IN_PORT || 4000);
+const status = Number(process.env.WEBHOOK_STAND_IN_STATUS || 200);
+const secret = process.env.WEBHOOK_SECRET;
+
+/** Requests older than this are replays */
+const MAX_AGE_SECONDS = 5 * 60;
+
+/** The check from the README: HMAC-SHA256 of "<timestamp>.<body>" with the secret */
+const expectedSignature = (timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/** What the signature headers of a delivery say about it */
+function checkSignature(headers, body) {
+    const signature = headers['x-webhook-signature'];
+    const timestamp = Number(headers['x-webhook-timestamp']);
+    if (!secret) {
+        return `not checked (${signature}), set WEBHOOK_SECRET to check it`;
+    }
+    if (!signature || signature !== expectedSignature(timestamp, body)) {
+        return 'INVALID';
+    }
+    const age = Math.floor(Date.now() / 1000) - timestamp;
+    return age > MAX_AGE_SECONDS ? `valid but ${age}s old` : 'valid';
+}
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        let payload = body;
+        try {
+            payload = JSON.stringify(JSON.parse(body), null, 2);
+        } catch (err) {
+            // Not JSON, print it as it came
+        }
+        console.log(`--- ${req.method} ${req.url}: ${req.headers['x-webhook-event']} delivery ${req.headers['x-webhook-delivery']} ---`);
+        console.log(`Signature: ${checkSignature(req.headers, body)}`);
+        console.log(payload);
+        console.log(`--- Answered ${status} ---`);
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(status >= 200 && status < 300 ? 'ok' : 'stand-in failure');
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook stand-in listening on port ${server.address().port}, answering ${status}`);
+});
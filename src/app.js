@@ -0,0 +1,100 @@
+const express = require('express');
+const app = express();
+const morgan = require('morgan');
+const cors = require('cors');
+const { router: tasksRouter } = require('./routes/tasks');
+const { router: authRouter } = require('./routes/auth');
+const { router: tagsRouter } = require('./routes/tags');
+const { router: auditRouter } = require('./routes/audit');
+const { router: webhooksRouter } = require('./routes/webhooks');
+const { router: viewsRouter } = require('./routes/views');
+const { router: projectsRouter } = require('./routes/projects');
+const { requireAuth } = require('./auth');
+const { rateLimiter } = require('./rateLimit');
+const { router: docsRouter } = require('./routes/docs');
+const config = require('./config');
+
+/** Địa chỉ IP thật của client khi chạy sau proxy (dùng cho giới hạn theo IP) */
+app.set('trust proxy', config.trustProxy);
+
+/** Middleware để log các request */
+app.use(morgan('dev'));
+
+/** Cấu hình CORS với các tùy chọn bảo mật */
+const CORS_OPTIONS = {
+    /** Danh sách các origin được phép truy cập API */
+    origin: [
+        'http://localhost:3000',
+        'http://localhost:3001', 
+        'http://localhost:5173',
+        'http://localhost:5174',
+        'http://localhost:8080'
+    ],
+    /** Các HTTP methods được phép */
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'PUT', 'OPTIONS'],
+    /** Các headers được phép trong request */
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'If-Match', 'If-None-Match', 'Last-Event-ID'],
+    /** Các headers trả về mà client được phép đọc */
+    exposedHeaders: ['ETag', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
+    /** Cho phép gửi credentials (cookies, authorization headers) */
+    credentials: true,
+    /** Thời gian cache preflight request (24 giờ) */
+    maxAge: 86400
+};
+
+/** Áp dụng CORS middleware */
+app.use(cors(CORS_OPTIONS));
+
+/** Các router của API theo đường dẫn; auth: false là không cần đăng nhập */
+const API_ROUTERS = [
+  { path: '/auth', router: authRouter, auth: false },
+  { path: '/tasks', router: tasksRouter },
+  { path: '/tags', router: tagsRouter },
+  { path: '/audit', router: auditRouter },
+  { path: '/webhooks', router: webhooksRouter },
+  { path: '/views', router: viewsRouter },
+  { path: '/projects', router: projectsRouter }
+];
+
+/** Giới hạn số request (token bucket) theo client, theo IP và theo loại route */
+const limitRate = rateLimiter();
+
+/** Trước khi parse body, để client đã hết lượt không bắt server đọc body lớn */
+app.use(API_ROUTERS.map(({ path }) => path), limitRate);
+
+/** Middleware để parse body của import (JSON hoặc CSV), cho phép file lớn hơn */
+app.use('/tasks/import',
+    express.json({ limit: config.importMaxBytes }),
+    express.text({ type: ['text/csv', 'text/plain'], limit: config.importMaxBytes }));
+
+/** Middleware để parse JSON body */
+app.use(express.json());
+
+/** Middleware để parse URL-encoded body */
+app.use(express.urlencoded({ extended: true }));
+
+
+// Log tất cả các route khi server khởi động
+
+app.use((req, res, next) => {
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`);
+    next();
+});
+
+app.get('/', (req, res) => {
+  res.send('Hello World!');
+});
+
+
+/** Tài liệu API: /openapi.json và giao diện /docs */
+app.use(docsRouter);
+
+for (const { path, router, auth } of API_ROUTERS) {
+  if (auth === false) {
+    app.use(path, router);
+  } else {
+    app.use(path, requireAuth, router);
+  }
+}
+
+module.exports = { app, API_ROUTERS };
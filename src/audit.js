@@ -0,0 +1,94 @@
+const { auditLog } = require('./storage');
+const { publishTaskChange } = require('./taskEvents');
+
+/**
+ * Audit trail of task changes.
+ *
+ * Every write to a task records an entry:
+ * { task_id, owner_id, actor_id, actor_name, action, changes, snapshot, created_at }
+ * - action: created, updated, deleted, restored, reverted or purged
+ * - changes: { field: { from, to } } for every field that changed
+ * - snapshot: the task as it was after the change, used to revert to it
+ * actor_id is null (actor_name 'system') for changes made by the server
+ * itself, such as recurring instances and the trash purge. Each entry is
+ * also published as a task event (see taskEvents.js).
+ */
+const AUDIT_ACTIONS = ['created', 'updated', 'deleted', 'restored', 'reverted', 'purged'];
+
+/** Bookkeeping fields left out of diffs */
+const IGNORED_FIELDS = ['updated_at', 'version'];
+
+const valueOf = (task, field) => (task && task[field] !== undefined ? task[field] : null);
+
+/** Field-level { field: { from, to } } between two versions of a task */
+function diffTasks(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        const from = valueOf(before, field);
+        const to = valueOf(after, field);
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+}
+
+/** The audit entry of one change, or null for an update that changed nothing */
+function auditEntry(actor, action, before, after, extra = {}) {
+    const task = after || before;
+    const changes = diffTasks(before, after);
+    if (action === 'updated' && Object.keys(changes).length === 0) {
+        return null;
+    }
+
+    return {
+        task_id: task.id,
+        owner_id: valueOf(task, 'owner_id'),
+        actor_id: actor ? actor.id : null,
+        actor_name: actor ? actor.name || actor.email || null : 'system',
+        action,
+        changes,
+        snapshot: after || before,
+        ...extra
+    };
+}
+
+/**
+ * Record changes to tasks, given as { before, after } pairs, with one
+ * write. `actor` is the authenticated user, or null for the server. A
+ * failed write is logged but never fails the request, since the changes
+ * themselves have already been made. Resolves to the recorded entries.
+ */
+async function recordTaskChanges(actor, action, pairs, extra = {}) {
+    const entries = pairs.map(({ before, after }) => auditEntry(actor, action, before, after, extra)).filter(Boolean);
+    if (entries.length === 0) {
+        return [];
+    }
+    const { data, error } = await auditLog.insert(entries);
+
+    if (error) {
+        console.error(`Failed to record audit entries for task(s) ${entries.map(entry => entry.task_id).join(', ')}:`, error);
+        // Still tell live listeners, just without an id to resume from
+        const now = new Date().toISOString();
+        entries.forEach(entry => publishTaskChange({ ...entry, id: null, created_at: now }));
+        return [];
+    }
+    data.forEach(publishTaskChange);
+    return data;
+}
+
+/** Record one change to a task (see recordTaskChanges). Resolves to its entry or null. */
+async function recordTaskChange(actor, action, before, after, extra = {}) {
+    const [entry] = await recordTaskChanges(actor, action, [{ before, after }], extra);
+    return entry || null;
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    diffTasks,
+    recordTaskChange,
+    recordTaskChanges
+};
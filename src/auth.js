@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const config = require('./config');
+const { users, apiKeys } = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+let jwtSecret = config.jwtSecret;
+if (!jwtSecret) {
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('JWT_SECRET is not set, using a random secret. Tokens will not survive a restart.');
+}
+
+/** Hash a password as "scrypt$<salt>$<hash>" */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/** Strip secrets before a user row leaves the server */
+function publicUser(user) {
+    const { password_hash, ...rest } = user;
+    return rest;
+}
+
+function signToken(user) {
+    return jwt.sign(
+        { email: user.email, name: user.name },
+        jwtSecret,
+        { subject: String(user.id), expiresIn: config.jwtExpiresIn }
+    );
+}
+
+/**
+ * The bearer token of a request. Browsers' EventSource cannot send
+ * headers, so event stream requests may pass it as ?access_token= instead.
+ */
+function requestToken(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+        return token;
+    }
+    const wantsStream = req.method === 'GET' && (req.get('Accept') || '').includes('text/event-stream');
+    return wantsStream && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+/** Start of every API key, so a leaked key is easy to recognise */
+const API_KEY_PREFIX = 'tk_';
+
+/** A new random API key */
+const generateApiKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+/** API keys are random, so a plain SHA-256 is enough to store them */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/** The API key of a request, from the X-API-Key header, or null */
+const requestApiKey = (req) => req.get('X-API-Key') || null;
+
+/** Resolves to { data: the { id, email, name } owning an API key, or null } */
+async function apiKeyUser(key) {
+    const found = await apiKeys.list({
+        filters: [{ field: 'key_hash', op: 'eq', value: hashApiKey(key) }],
+        range: { from: 0, to: 0 },
+        count: false
+    });
+    if (found.error || found.data.length === 0) {
+        return { data: null, error: found.error };
+    }
+    const { data: user, error } = await users.findById(found.data[0].owner_id);
+    return { data: user && { id: user.id, email: user.email, name: user.name }, error };
+}
+
+/** The { id, email, name } of a valid, unexpired token, or null */
+function verifyToken(token) {
+    try {
+        const payload = jwt.verify(token, jwtSecret);
+        // Numeric ids come back from the token as strings
+        const id = /^\d+$/.test(payload.sub) ? Number(payload.sub) : payload.sub;
+        return { id, email: payload.email, name: payload.name };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Middleware: require a valid "Authorization: Bearer <token>" or
+ * "X-API-Key: <key>" header and expose its user as
+ * req.user = { id, email, name }.
+ */
+async function requireAuth(req, res, next) {
+    const apiKey = requestApiKey(req);
+    if (apiKey) {
+        const { data: user, error } = await apiKeyUser(apiKey);
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({ error: 'Failed to check API key', message: error.message });
+        }
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        req.user = user;
+        return next();
+    }
+
+    const token = requestToken(req);
+
+    if (!token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const user = verifyToken(token);
+    if (!user) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = user;
+    next();
+}
+
+/**
+ * The user of a request's token, or null without a valid one. Lets
+ * middleware that runs before requireAuth (rate limiting) tell clients
+ * apart without a database lookup.
+ */
+function tokenUser(req) {
+    const token = requestToken(req);
+    return token ? verifyToken(token) : null;
+}
+
+/** True when the task belongs to the given user */
+function ownsTask(user, task) {
+    return task.owner_id !== null && task.owner_id !== undefined && String(task.owner_id) === String(user.id);
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    publicUser,
+    signToken,
+    generateApiKey,
+    hashApiKey,
+    requestApiKey,
+    requireAuth,
+    tokenUser,
+    ownsTask
+};
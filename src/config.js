@@ -1,19 +1,90 @@
 //Initialize dotenv to access environment variables
 require('dotenv').config();
 
-const { createClient } = require("@supabase/supabase-js");
+/** TRUST_PROXY as Express takes it: a boolean, a hop count or a list of addresses */
+function parseTrustProxy(value) {
+  const text = (value || '').trim();
+  if (text === '' || text === 'false') return false;
+  if (text === 'true') return true;
+  return /^\d+$/.test(text) ? Number(text) : text;
+}
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
+const config = {
+  /** Storage backend: 'supabase' (default) or 'memory' */
+  storageDriver: (process.env.STORAGE_DRIVER || 'supabase').trim().toLowerCase(),
 
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error("Missing Supabase URL or Key in environment variables");
-}
+  supabaseUrl: process.env.SUPABASE_URL,
+  supabaseKey: process.env.SUPABASE_ANON_KEY,
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+  /** Optional JSON file used to persist the memory backend between restarts */
+  dataFile: process.env.DATA_FILE,
 
-if(supabase){
-    console.log("Supabase client initialized successfully");
-}
+  /** Secret used to sign access tokens */
+  jwtSecret: process.env.JWT_SECRET,
+  /** Access token lifetime, in seconds or a zeit/ms string such as '1d' */
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1d',
+
+  /** Default for deleting a task with subtasks: 'reparent' or 'cascade' */
+  subtaskDeletePolicy: (process.env.SUBTASK_DELETE_POLICY || 'reparent').trim().toLowerCase(),
+
+  /** Minutes between checks for passed occurrences of recurring tasks (0 disables) */
+  recurrenceSweepMinutes: Number(process.env.RECURRENCE_SWEEP_MINUTES || 15),
+
+  /** Days a deleted task stays in the trash before it is purged (0 keeps it forever) */
+  trashRetentionDays: Number(process.env.TRASH_RETENTION_DAYS || 30),
+
+  /** Largest number of tasks accepted by one POST /tasks/import */
+  importMaxRows: Number(process.env.IMPORT_MAX_ROWS || 5000),
+  /** Largest POST /tasks/import body, in bytes or a size string such as '5mb' */
+  importMaxBytes: process.env.IMPORT_MAX_BYTES || '5mb',
+
+  /** Attempts per webhook delivery before it is marked failed */
+  webhookMaxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+  /** Seconds before the first webhook retry; each later retry waits twice as long */
+  webhookRetryBaseSeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30),
+  /** Hosts webhooks may reach even at a private or loopback address, e.g. 'localhost,127.0.0.1' for development */
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+
+  /** Minutes between checks for due-date reminders (0 disables) */
+  reminderSweepMinutes: Number(process.env.REMINDER_SWEEP_MINUTES || 1),
+  /** Lead times for tasks without their own `reminders`, e.g. '1d,1h' */
+  reminderLeadTimes: process.env.REMINDER_LEAD_TIMES === undefined ? '1d' : process.env.REMINDER_LEAD_TIMES,
+  /** Where reminders are sent: any of console, webhook, email */
+  reminderChannels: process.env.REMINDER_CHANNELS || 'console',
+
+  /** SMTP server for the email reminder channel (plain SMTP, no TLS or login) */
+  smtpHost: process.env.SMTP_HOST || 'localhost',
+  smtpPort: Number(process.env.SMTP_PORT || 1025),
+  /** Sender address of reminder emails */
+  smtpFrom: process.env.SMTP_FROM || 'tasks@localhost',
+
+  /**
+   * Rate limits as '<requests>/<period>' token buckets (period in s, m or h;
+   * 'off' disables one): a client can burst up to <requests>, refilled
+   * evenly over <period>. `client` counts per bearer token user, `ip` per
+   * address, each for reads, writes and searches separately.
+   */
+  rateLimits: {
+    client: {
+      read: process.env.RATE_LIMIT_READS || '300/1m',
+      write: process.env.RATE_LIMIT_WRITES || '60/1m',
+      search: process.env.RATE_LIMIT_SEARCHES || '30/1m'
+    },
+    ip: {
+      read: process.env.RATE_LIMIT_IP_READS || '600/1m',
+      write: process.env.RATE_LIMIT_IP_WRITES || '120/1m',
+      search: process.env.RATE_LIMIT_IP_SEARCHES || '60/1m'
+    }
+  },
+  /** Where rate limit buckets live: 'memory' (default, per process) or 'redis' (shared by every instance) */
+  rateLimitStore: (process.env.RATE_LIMIT_STORE || 'memory').trim().toLowerCase(),
+  /** Redis or a Redis-compatible server (Valkey, KeyDB, Dragonfly) for RATE_LIMIT_STORE=redis */
+  redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+  /**
+   * Express 'trust proxy' setting, so per-IP limits see the client address
+   * behind a proxy: 'true', a number of hops, or addresses/subnets
+   */
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY)
+};
 
-module.exports = supabase;
\ No newline at end of file
+module.exports = config;
@@ -0,0 +1,247 @@
+const { tasks, taskDependencies } = require('./storage');
+const { CLOSED_STATUSES } = require('./taskStatus');
+const { failure, databaseFailure, getOwnTask } = require('./taskService');
+
+/**
+ * Dependencies between tasks: a TaskDependencies row
+ * ({ task_id, depends_on_id, owner_id }) says task_id cannot start until
+ * depends_on_id is done. Both tasks belong to the same user and edges
+ * never form a cycle. A task is blocked while one of its blockers is
+ * still open; blockers in the trash are ignored. Like taskService,
+ * functions resolve to { data } or { error: { status, body } }.
+ */
+
+const validationFailure = (errors) => failure(400, { error: 'Validation failed', details: errors });
+
+/** The fields of a related task shown on a task */
+const taskSummary = ({ id, title, status, start_date: startDate, due_date: dueDate }) => ({
+    id,
+    title,
+    status,
+    start_date: startDate === undefined ? null : startDate,
+    due_date: dueDate === undefined ? null : dueDate
+});
+
+const isOpen = (task) => !CLOSED_STATUSES.includes(task.status);
+
+const startsBeforeDue = (task, blocker) => Boolean(task.start_date && blocker.due_date)
+    && new Date(task.start_date) < new Date(blocker.due_date);
+
+/**
+ * Warnings (not errors) for a task that is scheduled to start before one
+ * of its blockers is due, or that is due after one of its dependents starts.
+ */
+function scheduleWarnings(task, blockers, dependents) {
+    const warnings = [];
+    for (const blocker of blockers.filter(row => startsBeforeDue(task, row))) {
+        warnings.push({
+            field: 'start_date',
+            task_id: blocker.id,
+            message: `start_date is before the due_date of blocker #${blocker.id} "${blocker.title}"`
+        });
+    }
+    for (const dependent of dependents.filter(row => startsBeforeDue(row, task))) {
+        warnings.push({
+            field: 'due_date',
+            task_id: dependent.id,
+            message: `due_date is after the start_date of dependent #${dependent.id} "${dependent.title}"`
+        });
+    }
+    return warnings;
+}
+
+/** Live tasks with the given ids, by id */
+async function liveTasks(ids) {
+    if (ids.length === 0) {
+        return { data: [], error: null };
+    }
+    return tasks.list({
+        filters: [{ field: 'id', op: 'in', value: ids }, { field: 'deleted_at', op: 'is', value: null }],
+        sort: { field: 'id', ascending: true },
+        count: false
+    });
+}
+
+/**
+ * The blockers and dependents of a task, whether it is blocked, and its
+ * schedule warnings: { blocked, blockers, dependents, warnings }.
+ */
+async function listDependencies(task) {
+    const [blockerEdges, dependentEdges] = await Promise.all([
+        taskDependencies.list({ filters: [{ field: 'task_id', op: 'eq', value: task.id }], count: false }),
+        taskDependencies.list({ filters: [{ field: 'depends_on_id', op: 'eq', value: task.id }], count: false })
+    ]);
+    const edgesError = blockerEdges.error || dependentEdges.error;
+    if (edgesError) {
+        return databaseFailure('Failed to fetch dependencies', edgesError);
+    }
+
+    const [blockers, dependents] = await Promise.all([
+        liveTasks(blockerEdges.data.map(edge => edge.depends_on_id)),
+        liveTasks(dependentEdges.data.map(edge => edge.task_id))
+    ]);
+    const tasksError = blockers.error || dependents.error;
+    if (tasksError) {
+        return databaseFailure('Failed to fetch dependencies', tasksError);
+    }
+
+    return {
+        data: {
+            blocked: blockers.data.some(isOpen),
+            blockers: blockers.data.map(taskSummary),
+            dependents: dependents.data.map(taskSummary),
+            warnings: scheduleWarnings(task, blockers.data, dependents.data)
+        }
+    };
+}
+
+/**
+ * The chain of blockers leading from `fromId` to `toId`, following
+ * depends_on edges breadth first, or null when `toId` cannot be reached.
+ */
+async function blockerPath(fromId, toId) {
+    const previous = new Map([[String(fromId), null]]);
+    let frontier = [fromId];
+
+    while (frontier.length > 0) {
+        const { data, error } = await taskDependencies.list({
+            filters: [{ field: 'task_id', op: 'in', value: frontier }],
+            count: false
+        });
+        if (error) {
+            return { data: null, error };
+        }
+
+        const next = [];
+        for (const edge of data) {
+            const key = String(edge.depends_on_id);
+            if (previous.has(key)) continue;
+            previous.set(key, edge.task_id);
+            if (key === String(toId)) {
+                const path = [edge.depends_on_id];
+                for (let at = edge.task_id; at !== null; at = previous.get(String(at))) {
+                    path.unshift(at);
+                }
+                return { data: path, error: null };
+            }
+            next.push(edge.depends_on_id);
+        }
+        frontier = next;
+    }
+    return { data: null, error: null };
+}
+
+/** The edge between a task and one of its blockers, or null */
+async function findEdge(taskId, blockerId) {
+    const { data, error } = await taskDependencies.list({
+        filters: [
+            { field: 'task_id', op: 'eq', value: taskId },
+            { field: 'depends_on_id', op: 'eq', value: blockerId }
+        ],
+        count: false
+    });
+    return { data: data && data.length > 0 ? data[0] : null, error };
+}
+
+/**
+ * Make task `id` depend on `blockerId`. Rejects a task depending on
+ * itself, on another user's task, twice on the same task, or on a task
+ * that already depends on it, directly or through others.
+ */
+async function addDependency(user, id, blockerId) {
+    const task = await getOwnTask(user, id);
+    if (task.error) {
+        return task;
+    }
+    if (String(blockerId) === String(task.data.id)) {
+        return validationFailure([{ field: 'depends_on', message: 'A task cannot depend on itself' }]);
+    }
+    const blocker = await getOwnTask(user, blockerId);
+    if (blocker.error) {
+        return blocker.error.status === 500
+            ? blocker
+            : validationFailure([{ field: 'depends_on', message: 'depends_on must be the id of one of your tasks' }]);
+    }
+
+    const existing = await findEdge(task.data.id, blocker.data.id);
+    if (existing.error) {
+        return databaseFailure('Failed to add dependency', existing.error);
+    }
+    if (existing.data) {
+        return failure(409, { error: `Task ${task.data.id} already depends on task ${blocker.data.id}` });
+    }
+
+    // The new edge closes a cycle if the blocker already waits for the task
+    const cycle = await blockerPath(blocker.data.id, task.data.id);
+    if (cycle.error) {
+        return databaseFailure('Failed to add dependency', cycle.error);
+    }
+    if (cycle.data) {
+        const loop = [task.data.id, ...cycle.data];
+        return failure(409, {
+            error: `Adding this dependency would create a cycle: ${loop.join(' -> ')}`,
+            cycle: loop
+        });
+    }
+
+    const { error } = await taskDependencies.insert([{
+        task_id: task.data.id,
+        depends_on_id: blocker.data.id,
+        owner_id: user.id
+    }]);
+    if (error) {
+        if (error.code === '23505') {
+            return failure(409, { error: `Task ${task.data.id} already depends on task ${blocker.data.id}` });
+        }
+        return databaseFailure('Failed to add dependency', error);
+    }
+    return listDependencies(task.data);
+}
+
+async function removeDependency(user, id, blockerId) {
+    const task = await getOwnTask(user, id);
+    if (task.error) {
+        return task;
+    }
+
+    const existing = await findEdge(task.data.id, blockerId);
+    if (existing.error) {
+        return databaseFailure('Failed to remove dependency', existing.error);
+    }
+    if (!existing.data) {
+        return failure(404, { error: 'Dependency not found' });
+    }
+
+    const { error } = await taskDependencies.remove(existing.data.id);
+    if (error) {
+        return databaseFailure('Failed to remove dependency', error);
+    }
+    return listDependencies(task.data);
+}
+
+/** Schedule warnings of a task after it was saved; an empty list if it has no dependencies */
+async function dependencyWarnings(task) {
+    const result = await listDependencies(task);
+    return result.error ? result : { data: result.data.warnings };
+}
+
+/** Remove every edge from or to the given tasks, when they are purged */
+async function removeTaskDependencies(taskIds) {
+    const from = await taskDependencies.removeWhere([{ field: 'task_id', op: 'in', value: taskIds }]);
+    if (from.error) {
+        return { data: null, error: from.error };
+    }
+    const to = await taskDependencies.removeWhere([{ field: 'depends_on_id', op: 'in', value: taskIds }]);
+    if (to.error) {
+        return { data: null, error: to.error };
+    }
+    return { data: [...from.data, ...to.data], error: null };
+}
+
+module.exports = {
+    listDependencies,
+    addDependency,
+    removeDependency,
+    dependencyWarnings,
+    removeTaskDependencies
+};
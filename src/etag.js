@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+/**
+ * Entity tags for optimistic concurrency.
+ *
+ * Every write to a task bumps its `version`, and the task's ETag is that
+ * version: "7". When a response also carries data derived from other rows
+ * (tags, subtask progress) a digest of it is appended, "7.3f9a0c1b2d", so
+ * caches notice those changes too. Preconditions (If-Match) only compare
+ * the version, so either form can be sent back with PUT, PATCH or DELETE.
+ */
+
+/** The task's version; rows written before versioning count as 0 */
+const versionOf = (task) => (typeof task.version === 'number' ? task.version : 0);
+
+function taskETag(task, derived) {
+    if (derived === undefined) {
+        return `"${versionOf(task)}"`;
+    }
+    const digest = crypto.createHash('sha1').update(JSON.stringify(derived)).digest('hex').slice(0, 10);
+    return `"${versionOf(task)}.${digest}"`;
+}
+
+/**
+ * Versions allowed by an If-Match header: null when there is no header,
+ * '*' for any version, otherwise a list of versions. If-Match uses strong
+ * comparison, so weak (W/) and malformed tags match nothing.
+ */
+function parseIfMatch(header) {
+    if (header === undefined) {
+        return null;
+    }
+    if (header.trim() === '*') {
+        return '*';
+    }
+    return header.split(',')
+        .map(tag => /^\s*"(\d+)(?:\.[0-9a-f]+)?"\s*$/.exec(tag))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+}
+
+/** Whether `task` satisfies the parsed If-Match versions */
+function matchesVersion(task, expected) {
+    return expected === null || expected === undefined || expected === '*' || expected.includes(versionOf(task));
+}
+
+module.exports = {
+    versionOf,
+    taskETag,
+    parseIfMatch,
+    matchesVersion
+};
@@ -0,0 +1,21 @@
+/**
+ * The error results of the service modules: { error: { status, body } },
+ * which routes send as the HTTP status and JSON body. taskService
+ * re-exports them; modules that taskService itself requires (such as
+ * projectService) take them from here.
+ */
+
+const failure = (status, body) => ({ error: { status, body } });
+
+const validationFailure = (errors) => failure(400, { error: 'Validation failed', details: errors });
+
+const databaseFailure = (message, error) => {
+    console.error('Database error:', error);
+    return failure(500, { error: message, message: error.message });
+};
+
+module.exports = {
+    failure,
+    validationFailure,
+    databaseFailure
+};
@@ -0,0 +1,129 @@
+const { users } = require('./storage');
+const { enqueueDeliveries } = require('./webhooks');
+const { sendMail } = require('./smtp');
+const config = require('./config');
+
+/**
+ * Channels that reminders are sent through, chosen with REMINDER_CHANNELS.
+ *
+ * A channel is { send(reminder) } resolving to { data, error }. The
+ * reminder is { id, kind, lead, remind_at, due_date, owner_id, task }.
+ * More channels can be added with registerChannel before the scheduler
+ * starts.
+ */
+
+const channels = new Map();
+
+/** Make a channel available under `name` */
+function registerChannel(name, channel) {
+    if (!channel || typeof channel.send !== 'function') {
+        throw new Error(`Notification channel "${name}" must have a send(reminder) function`);
+    }
+    channels.set(name, channel);
+}
+
+/** One line describing the reminder, used as log line and email subject */
+function reminderSubject({ kind, task }) {
+    return kind === 'overdue'
+        ? `Overdue: "${task.title}" was due ${task.due_date}`
+        : `Reminder: "${task.title}" is due ${task.due_date}`;
+}
+
+function reminderText(reminder) {
+    const { task } = reminder;
+    return [
+        reminderSubject(reminder),
+        '',
+        `Status: ${task.status}`,
+        ...(task.priority ? [`Priority: ${task.priority}`] : []),
+        ...(task.description ? ['', task.description] : []),
+        '',
+        `Task ID: ${task.id}`
+    ].join('\n');
+}
+
+/** Write reminders to the server log */
+registerChannel('console', {
+    async send(reminder) {
+        console.log(`[reminder] user ${reminder.owner_id}, task ${reminder.task.id}: ${reminderSubject(reminder)}`);
+        return { data: null, error: null };
+    }
+});
+
+/** Deliver reminders to the owner's webhooks subscribed to task.reminder or task.overdue */
+registerChannel('webhook', {
+    async send(reminder) {
+        const { id, kind, lead, remind_at, due_date, owner_id, task } = reminder;
+        const type = `task.${kind === 'overdue' ? 'overdue' : 'reminder'}`;
+        return enqueueDeliveries(owner_id, type, id, {
+            id,
+            type,
+            task_id: task.id,
+            task,
+            reminder: { kind, lead, remind_at, due_date },
+            at: new Date().toISOString()
+        });
+    }
+});
+
+/** Email the task owner through SMTP_HOST */
+registerChannel('email', {
+    async send(reminder) {
+        const user = await users.findById(reminder.owner_id);
+        if (user.error) {
+            return { data: null, error: user.error };
+        }
+        if (!user.data || !user.data.email) {
+            return { data: null, error: new Error('The task owner has no email address') };
+        }
+        return sendMail({
+            host: config.smtpHost,
+            port: config.smtpPort,
+            from: config.smtpFrom,
+            to: user.data.email,
+            subject: reminderSubject(reminder),
+            text: reminderText(reminder)
+        });
+    }
+});
+
+/**
+ * The configured channel names, or { error } naming the unknown ones.
+ * Read when the scheduler starts so a typo fails loudly once.
+ */
+function configuredChannels(value = config.reminderChannels) {
+    const names = [...new Set(String(value).split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+    const unknown = names.filter(name => !channels.has(name));
+    if (unknown.length > 0) {
+        return { error: `Unknown REMINDER_CHANNELS: ${unknown.join(', ')}. Available: ${[...channels.keys()].join(', ')}` };
+    }
+    return { data: names };
+}
+
+/**
+ * Send `reminder` through each named channel. A failing channel does not
+ * stop the others. Resolves to { sent: names, errors: { name: message } }.
+ */
+async function notify(reminder, names) {
+    const sent = [];
+    const errors = {};
+    for (const name of names) {
+        try {
+            const { error } = await channels.get(name).send(reminder);
+            if (error) {
+                errors[name] = error.message || String(error);
+            } else {
+                sent.push(name);
+            }
+        } catch (err) {
+            errors[name] = err.message;
+        }
+    }
+    return { sent, errors };
+}
+
+module.exports = {
+    registerChannel,
+    configuredChannels,
+    notify
+};
@@ -0,0 +1,1085 @@
+const { version } = require('../package.json');
+const { TASK_STATUSES } = require('./taskStatus');
+const {
+    SEARCHABLE_FIELDS,
+    TASK_SCHEMA,
+    TASK_LIST_QUERY,
+    TASK_SEARCH_QUERY,
+    TASK_SORT_QUERY,
+    TASK_EXPORT_QUERY,
+    TASK_STATS_QUERY,
+    TASK_STREAM_QUERY,
+    TASK_TRASH_QUERY,
+    TASK_HISTORY_QUERY,
+    TASK_REVERT_SCHEMA,
+    TASK_OCCURRENCES_QUERY,
+    TASK_DELETE_QUERY,
+    TASK_TRANSITION_SCHEMA,
+    TASK_MOVE_SCHEMA,
+    TASK_BOARD_QUERY,
+    TASK_DEPENDENCY_SCHEMA,
+    PROJECT_TASKS_QUERY
+} = require('./taskSchema');
+const { TASK_IMPORT_QUERY } = require('./taskImport');
+const { AUDIT_ACTIONS } = require('./audit');
+const { DELIVERY_STATUSES } = require('./webhooks');
+const { REGISTER_SCHEMA, LOGIN_SCHEMA, API_KEY_SCHEMA } = require('./routes/auth');
+const { TAG_SCHEMA, MERGE_SCHEMA } = require('./routes/tags');
+const { AUDIT_QUERY } = require('./routes/audit');
+const { WEBHOOK_SCHEMA, DELIVERY_QUERY } = require('./routes/webhooks');
+const { VIEW_SCHEMA, VIEW_TASKS_QUERY } = require('./routes/views');
+const { PROJECT_SCHEMA, PROJECT_LIST_QUERY, PROJECT_MEMBER_SCHEMA } = require('./routes/projects');
+
+/**
+ * The OpenAPI 3 document served at GET /openapi.json.
+ *
+ * Query parameters and request bodies are generated from the same
+ * validation schemas the handlers use (see validation.js), so they cannot
+ * drift apart. Paths and response bodies are described here, next to each
+ * other; scripts/check-openapi.js compares them with the registered
+ * routes and with real responses.
+ */
+
+/** Drop the keys whose value is undefined */
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: 'array', items });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const STRING = { type: 'string' };
+const INTEGER = { type: 'integer' };
+const DATE = { type: 'string', description: 'ISO 8601 date or date-time' };
+
+/** Read-only columns have no validation type: ids and counters are integers, position a number, the rest timestamps */
+function readOnlySchema(name) {
+    if (name === 'id' || name.endsWith('_id') || ['version', 'recurrence_index'].includes(name)) {
+        return INTEGER;
+    }
+    if (name === 'position') {
+        return { type: 'number', description: 'Manual order within a board column' };
+    }
+    return { type: 'string', format: 'date-time' };
+}
+
+/** JSON Schema of one validation rule */
+function ruleSchema(name, rule) {
+    switch (rule.type) {
+        case 'string':
+            return compact({
+                type: 'string',
+                enum: rule.enum,
+                minLength: rule.minLength,
+                pattern: rule.pattern && rule.pattern.source,
+                default: rule.default
+            });
+        case 'date':
+            return DATE;
+        case 'integer':
+            return compact({ type: 'integer', minimum: rule.min, maximum: rule.max, default: rule.default });
+        case 'boolean':
+            return compact({ type: 'boolean', default: rule.default });
+        case 'list':
+            return compact({ type: 'array', items: compact({ type: 'string', enum: rule.items }), default: rule.default });
+        default:
+            return readOnlySchema(name);
+    }
+}
+
+/** Descriptions of the query parameters that come back on many routes */
+const PARAMETER_DESCRIPTIONS = {
+    limit: 'Items per page',
+    page: 'Page number, starting at 1',
+    cursor: 'next_cursor of the previous page (instead of page)',
+    count: "'none' skips counting the total",
+    q: 'Search terms, "quoted phrases" and -exclusions; a task must contain every term and phrase',
+    fields: 'Fields to search',
+    sort: 'Field to sort by',
+    order: 'Sort order',
+    tags: 'Tag names',
+    tags_match: "'any' tag or 'all' of them"
+};
+
+/** Query parameters of a validation schema; lists are comma separated */
+const queryParameters = ({ fields }) => Object.entries(fields)
+    .filter(([, rule]) => !rule.readOnly)
+    .map(([name, rule]) => compact({
+        name,
+        in: 'query',
+        required: rule.required || undefined,
+        description: PARAMETER_DESCRIPTIONS[name],
+        schema: ruleSchema(name, rule),
+        ...(rule.type === 'list' && { style: 'form', explode: false })
+    }));
+
+/**
+ * Request body of a validation schema in `mode` (create, replace or
+ * update, as passed to validate). Optional fields accept null, which
+ * clears them.
+ */
+function bodySchema({ fields }, mode) {
+    const properties = {};
+    const required = [];
+    for (const [name, rule] of Object.entries(fields)) {
+        if (rule.readOnly || (rule.createOnly && mode !== 'create')) continue;
+        properties[name] = rule.required ? ruleSchema(name, rule) : nullable(ruleSchema(name, rule));
+        if (rule.required && mode !== 'update') required.push(name);
+    }
+    return compact({
+        type: 'object',
+        required: required.length > 0 ? required : undefined,
+        properties,
+        additionalProperties: false
+    });
+}
+
+/**
+ * A stored record of a validation schema: every field, read-only ones
+ * included, nullable unless it is in `required`. Records are open, so
+ * routes can add computed fields.
+ */
+function recordSchema({ fields }, required, extra = {}) {
+    const properties = {};
+    for (const [name, rule] of Object.entries(fields)) {
+        const schema = ruleSchema(name, rule);
+        // Stored records have no defaults to fill in
+        delete schema.default;
+        properties[name] = required.includes(name) ? schema : nullable(schema);
+    }
+    return { type: 'object', required, properties: { ...properties, ...extra } };
+}
+
+/** A response body with exactly these top-level keys; `optional` ones may be left out */
+const envelope = (properties, optional = []) => compact({
+    type: 'object',
+    required: Object.keys(properties).filter(key => !optional.includes(key)),
+    properties,
+    additionalProperties: false
+});
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+
+/** { message, data } of most writes */
+const saved = (description, data, extra = {}) => json(description, envelope({ message: STRING, data, ...extra }));
+
+/** { data, pagination } of the paginated lists */
+const page = (description, items) => json(description, envelope({ data: arrayOf(items), pagination: ref('Pagination') }));
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: STRING,
+            message: { ...STRING, description: 'Details, e.g. the database error' },
+            details: arrayOf(ref('FieldError'))
+        }
+    },
+    FieldError: envelope({ field: STRING, message: STRING }),
+    Pagination: {
+        type: 'object',
+        description: 'page and totalPages for page requests, cursor for cursor requests; total is null with count=none',
+        required: ['limit', 'total', 'next_cursor'],
+        properties: {
+            page: INTEGER,
+            limit: INTEGER,
+            cursor: STRING,
+            total: nullable(INTEGER),
+            totalPages: nullable(INTEGER),
+            next_cursor: nullable({ ...STRING, description: 'Pass as cursor to get the next page; null on the last page' })
+        },
+        additionalProperties: false
+    },
+    Sorting: envelope({ field: STRING, order: { type: 'string', enum: ['asc', 'desc'] } }),
+    Search: envelope({
+        query: { ...STRING, description: 'q as sent' },
+        terms: arrayOf(STRING),
+        phrases: arrayOf(STRING),
+        exclude: arrayOf(STRING),
+        fields: arrayOf({ type: 'string', enum: SEARCHABLE_FIELDS }),
+        filters: { type: 'object', description: 'Every search parameter, with defaults applied' },
+        resultsCount: nullable(INTEGER)
+    }),
+    User: {
+        type: 'object',
+        required: ['id', 'email', 'name'],
+        properties: { id: INTEGER, email: STRING, name: STRING, created_at: { type: 'string', format: 'date-time' } }
+    },
+    Session: envelope({ user: ref('User'), token: { ...STRING, description: 'Bearer token for the Authorization header' } }),
+    ApiKey: recordSchema(API_KEY_SCHEMA, ['id', 'name', 'prefix', 'created_at'], {
+        key: { ...STRING, description: 'The key for the X-API-Key header; only returned when it is created' }
+    }),
+    TagSummary: envelope({ id: INTEGER, name: STRING, color: nullable(STRING) }),
+    Tag: recordSchema(TAG_SCHEMA, ['id', 'name'], { usage_count: { ...INTEGER, description: 'Number of tasks using the tag' } }),
+    Progress: envelope({ total: INTEGER, done: INTEGER, percent: nullable(INTEGER) }),
+    TaskSummary: envelope({
+        id: INTEGER,
+        title: STRING,
+        status: { type: 'string', enum: TASK_STATUSES },
+        start_date: nullable(DATE),
+        due_date: nullable(DATE)
+    }),
+    ScheduleWarning: envelope({
+        field: { type: 'string', enum: ['start_date', 'due_date'] },
+        task_id: { ...INTEGER, description: 'The blocker or dependent the dates clash with' },
+        message: STRING
+    }),
+    Dependencies: envelope({
+        blocked: { type: 'boolean', description: 'A blocker is neither done nor cancelled' },
+        blockers: arrayOf(ref('TaskSummary')),
+        dependents: arrayOf(ref('TaskSummary')),
+        warnings: arrayOf(ref('ScheduleWarning'))
+    }),
+    Task: recordSchema(TASK_SCHEMA, ['id', 'title', 'author', 'status'], {
+        tags: arrayOf(ref('TagSummary')),
+        progress: ref('Progress'),
+        dependencies: ref('Dependencies'),
+        score: { type: 'number', description: 'Relevance to q (search results only)' },
+        highlights: {
+            type: 'object',
+            description: 'HTML snippet of each matching field, matches in <mark> (search results only)',
+            additionalProperties: STRING
+        },
+        purge_at: nullable({ type: 'string', format: 'date-time', description: 'When the trash is purged (trash only)' })
+    }),
+    AuditEntry: {
+        type: 'object',
+        required: ['id', 'task_id', 'action', 'created_at'],
+        properties: {
+            id: INTEGER,
+            task_id: INTEGER,
+            action: { type: 'string', enum: AUDIT_ACTIONS },
+            actor_id: nullable(INTEGER),
+            actor_name: nullable(STRING),
+            changes: nullable({ type: 'object', description: '{ field: { from, to } }' }),
+            snapshot: nullable({ type: 'object', description: 'The task after the change (history only)' }),
+            created_at: { type: 'string', format: 'date-time' }
+        }
+    },
+    Occurrence: envelope({ index: INTEGER, start_date: nullable(DATE), due_date: nullable(DATE) }),
+    Reminder: envelope({
+        kind: { type: 'string', enum: ['upcoming', 'overdue'] },
+        lead: nullable(STRING),
+        lead_minutes: nullable(INTEGER),
+        remind_at: { type: 'string', format: 'date-time' },
+        status: { type: 'string', enum: ['scheduled', 'sent', 'failed', 'skipped', 'missed', 'pending'] },
+        channels: arrayOf(STRING),
+        errors: nullable({ type: 'object' }),
+        sent_at: nullable({ type: 'string', format: 'date-time' })
+    }),
+    TaskStats: envelope({
+        total: INTEGER,
+        by_priority: { type: 'object', additionalProperties: INTEGER },
+        by_status: { type: 'object', additionalProperties: INTEGER },
+        by_author: arrayOf(envelope({ author: nullable(STRING), count: INTEGER })),
+        overdue: INTEGER,
+        due_this_week: INTEGER,
+        week: envelope({ from: STRING, to: STRING }),
+        trend: envelope({
+            interval: { type: 'string', enum: ['day', 'week'] },
+            from: STRING,
+            to: STRING,
+            points: arrayOf(envelope({ period: STRING, count: INTEGER }))
+        })
+    }),
+    BatchResult: {
+        type: 'object',
+        description: 'data on success; error (and details) like the single-task route otherwise',
+        required: ['index', 'op', 'status'],
+        properties: {
+            index: INTEGER,
+            op: { type: 'string', enum: ['create', 'update', 'delete'] },
+            id: { oneOf: [INTEGER, STRING] },
+            status: INTEGER,
+            data: ref('Task'),
+            error: STRING
+        }
+    },
+    BatchSummary: envelope({ total: INTEGER, succeeded: INTEGER, failed: INTEGER }),
+    ImportColumns: envelope({ mapped: { type: 'object', additionalProperties: STRING }, ignored: arrayOf(STRING) }),
+    ImportRowError: envelope({
+        row: INTEGER,
+        errors: arrayOf(envelope({ field: STRING, column: nullable(STRING), message: STRING }, ['column']))
+    }),
+    Webhook: recordSchema(WEBHOOK_SCHEMA, ['id', 'url', 'events', 'active']),
+    Delivery: {
+        type: 'object',
+        required: ['id', 'status', 'attempts'],
+        properties: {
+            id: INTEGER,
+            webhook_id: INTEGER,
+            event: STRING,
+            event_id: nullable(INTEGER),
+            payload: { type: 'object' },
+            status: { type: 'string', enum: DELIVERY_STATUSES },
+            attempts: INTEGER,
+            next_attempt_at: nullable({ type: 'string', format: 'date-time' }),
+            last_attempt_at: nullable({ type: 'string', format: 'date-time' }),
+            response_status: nullable(INTEGER),
+            response_body: nullable(STRING),
+            error: nullable(STRING),
+            duration_ms: nullable(INTEGER),
+            delivered_at: nullable({ type: 'string', format: 'date-time' }),
+            redelivery_of: nullable(INTEGER),
+            created_at: { type: 'string', format: 'date-time' }
+        }
+    },
+    View: recordSchema(VIEW_SCHEMA, ['id', 'owner_id', 'name', 'shared']),
+    Project: recordSchema(PROJECT_SCHEMA, ['id', 'owner_id', 'name'], {
+        role: { type: 'string', enum: ['owner', 'member'], description: 'Your role in the project' }
+    }),
+    ProjectMember: envelope({
+        user_id: INTEGER,
+        name: STRING,
+        email: STRING,
+        role: { type: 'string', enum: ['owner', 'member'] },
+        added_at: nullable({ type: 'string', format: 'date-time' })
+    })
+};
+
+const ERROR_RESPONSES = {
+    400: ['BadRequest', 'Validation failed; details lists every { field, message }'],
+    401: ['Unauthorized', 'Missing, invalid or expired bearer token, or unknown API key'],
+    403: ['Forbidden', 'The resource belongs to another user'],
+    404: ['NotFound', 'Not found'],
+    409: ['Conflict', 'Conflicts with the current state'],
+    412: ['PreconditionFailed', 'If-Match does not match the current version'],
+    429: ['TooManyRequests', 'Rate limit reached; retry after Retry-After seconds'],
+    500: ['InternalError', 'Unexpected or database error']
+};
+
+const HEADERS = {
+    'If-Match': 'ETag the change is based on; 412 if the task has changed since',
+    'If-None-Match': 'ETag from an earlier response; 304 if the task is unchanged',
+    'Last-Event-ID': 'Id of the last event received; later changes are replayed first'
+};
+
+const ETAG = { ETag: { description: 'Version of the task, for If-Match and If-None-Match', schema: STRING } };
+
+const withETag = (response) => ({ ...response, headers: ETAG });
+
+const RETRY_AFTER = { 'Retry-After': { description: 'Seconds until the rate limit allows another request', schema: INTEGER } };
+
+const TASK = ref('Task');
+/** PUT and PATCH: the task, and warnings when its dates clash with its dependencies */
+const SAVED_TASK = envelope({ data: TASK, warnings: arrayOf(ref('ScheduleWarning')) }, ['warnings']);
+/** 409 of a status change the lifecycle does not allow */
+const ILLEGAL_TRANSITION = {
+    type: 'object',
+    required: ['error'],
+    properties: { error: STRING, allowed: arrayOf({ type: 'string', enum: TASK_STATUSES }) }
+};
+const TASKS_LIST = json('Tasks with tags', envelope({ data: arrayOf(TASK), pagination: ref('Pagination') }));
+const IMPORT_REPORT = {
+    summary: envelope({ total: INTEGER, valid: INTEGER, invalid: INTEGER }),
+    columns: ref('ImportColumns'),
+    errors: arrayOf(ref('ImportRowError'))
+};
+const BATCH_FAILURE = {
+    type: 'object',
+    required: ['error', 'atomic', 'data', 'summary'],
+    properties: {
+        error: STRING,
+        atomic: { type: 'boolean' },
+        data: arrayOf(ref('BatchResult')),
+        summary: ref('BatchSummary'),
+        rollbackErrors: arrayOf({ type: 'object' })
+    },
+    additionalProperties: false
+};
+
+/**
+ * Every route. `query` and `body` are validation schemas (`mode` is the
+ * validation mode of the body) or, for bodies checked by hand, a JSON
+ * schema in `bodySchema`. 400, 401, 403/404 (for paths with ids) and 500
+ * are added from `query`, `body`, `auth` and the path.
+ */
+const OPERATIONS = [
+    {
+        method: 'post', path: '/auth/register', tag: 'Auth', auth: false,
+        summary: 'Create an account and return an access token',
+        body: REGISTER_SCHEMA, mode: 'create',
+        responses: { 201: saved('Registered', ref('Session')) },
+        errors: [409]
+    },
+    {
+        method: 'post', path: '/auth/login', tag: 'Auth', auth: false,
+        summary: 'Exchange credentials for an access token',
+        body: LOGIN_SCHEMA, mode: 'create',
+        responses: { 200: json('Logged in', envelope({ data: ref('Session') })) },
+        errors: [401]
+    },
+    {
+        method: 'get', path: '/auth/me', tag: 'Auth',
+        summary: 'The authenticated user',
+        responses: { 200: json('The user', envelope({ data: ref('User') })) },
+        errors: [404]
+    },
+    {
+        method: 'get', path: '/auth/keys', tag: 'Auth',
+        summary: 'The user\'s API keys, without the keys themselves',
+        responses: { 200: json('API keys', envelope({ data: arrayOf(ref('ApiKey')) })) }
+    },
+    {
+        method: 'post', path: '/auth/keys', tag: 'Auth',
+        summary: 'Create an API key; the key is only returned here',
+        body: API_KEY_SCHEMA, mode: 'create',
+        responses: { 201: saved('Created API key with the key', ref('ApiKey')) }
+    },
+    {
+        method: 'delete', path: '/auth/keys/{id}', tag: 'Auth',
+        summary: 'Revoke an API key',
+        responses: { 200: saved('Deleted API key', ref('ApiKey')) }
+    },
+    {
+        method: 'post', path: '/tasks', tag: 'Tasks',
+        summary: 'Create a task; author defaults to the user\'s name',
+        body: TASK_SCHEMA, mode: 'create',
+        responses: { 201: withETag(saved('Created task', TASK)) },
+        errors: [404]
+    },
+    {
+        method: 'post', path: '/tasks/batch', tag: 'Tasks',
+        summary: 'Create, update and delete up to 100 tasks in one request',
+        description: 'With atomic: true nothing is applied unless every operation succeeds; the failing status is returned.',
+        bodySchema: {
+            type: 'object',
+            required: ['operations'],
+            properties: {
+                operations: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: 100,
+                    items: {
+                        type: 'object',
+                        required: ['op'],
+                        properties: {
+                            op: { type: 'string', enum: ['create', 'update', 'delete'] },
+                            id: INTEGER,
+                            data: { type: 'object', description: 'Body of POST /tasks or PATCH /tasks/{id}' },
+                            subtasks: ruleSchema('subtasks', TASK_DELETE_QUERY.fields.subtasks)
+                        }
+                    }
+                },
+                atomic: { type: 'boolean', default: false }
+            },
+            additionalProperties: false
+        },
+        responses: {
+            200: json('Result of every operation', envelope({
+                atomic: { type: 'boolean' },
+                data: arrayOf(ref('BatchResult')),
+                summary: ref('BatchSummary')
+            }))
+        },
+        errorBodies: {
+            400: { anyOf: [ref('Error'), BATCH_FAILURE] },
+            403: BATCH_FAILURE,
+            404: BATCH_FAILURE,
+            409: BATCH_FAILURE,
+            412: BATCH_FAILURE
+        },
+        errors: [403, 404, 409, 412]
+    },
+    {
+        method: 'post', path: '/tasks/import', tag: 'Tasks',
+        summary: 'Import tasks from CSV or JSON; nothing is imported if a row is invalid',
+        query: TASK_IMPORT_QUERY,
+        requestBody: {
+            required: true,
+            content: {
+                'text/csv': { schema: { type: 'string', description: 'CSV with a header row' } },
+                'application/json': {
+                    schema: {
+                        oneOf: [
+                            arrayOf({ type: 'object' }),
+                            { type: 'object', required: ['tasks'], properties: { tasks: arrayOf({ type: 'object' }) } }
+                        ]
+                    }
+                }
+            }
+        },
+        responses: {
+            200: json('Dry run report', envelope({ dry_run: { type: 'boolean' }, ...IMPORT_REPORT })),
+            201: json('Imported', envelope({ message: STRING, ...IMPORT_REPORT, data: arrayOf(INTEGER) }))
+        },
+        errorBodies: {
+            400: { anyOf: [ref('Error'), envelope({ error: STRING, ...IMPORT_REPORT })] },
+            500: {
+                anyOf: [ref('Error'), envelope({
+                    error: STRING,
+                    message: STRING,
+                    orphaned_ids: { ...arrayOf(INTEGER), description: 'Imported tasks that could not be removed after the import failed' }
+                })]
+            }
+        }
+    },
+    {
+        method: 'get', path: '/tasks/search', tag: 'Tasks',
+        summary: 'Search tasks, best match first by default',
+        query: TASK_SEARCH_QUERY,
+        responses: {
+            200: json('Matching tasks with tags, score and highlights', envelope({
+                data: arrayOf(TASK),
+                search: ref('Search'),
+                pagination: ref('Pagination'),
+                sorting: ref('Sorting')
+            }))
+        }
+    },
+    {
+        method: 'get', path: '/tasks/sort', tag: 'Tasks',
+        summary: 'Filter and sort tasks',
+        query: TASK_SORT_QUERY,
+        responses: {
+            200: json('Tasks with tags', envelope({
+                data: arrayOf(TASK),
+                sorting: ref('Sorting'),
+                pagination: ref('Pagination')
+            }))
+        }
+    },
+    {
+        method: 'get', path: '/tasks/export', tag: 'Tasks',
+        summary: 'Download every matching task as CSV, NDJSON or iCalendar',
+        query: TASK_EXPORT_QUERY,
+        responses: {
+            200: {
+                description: 'The file, streamed',
+                content: {
+                    'text/csv': { schema: STRING },
+                    'application/x-ndjson': { schema: STRING },
+                    'text/calendar': { schema: STRING }
+                }
+            }
+        }
+    },
+    {
+        method: 'get', path: '/tasks/stats', tag: 'Tasks',
+        summary: 'Counts by priority, status and author, due dates and the creation trend',
+        query: TASK_STATS_QUERY,
+        responses: { 200: json('Statistics', envelope({ data: ref('TaskStats') })) }
+    },
+    {
+        method: 'get', path: '/tasks/board', tag: 'Tasks',
+        summary: 'Tasks grouped by status column, in their manual order',
+        description: 'A column\'s next_cursor continues it on /tasks/sort with sort_by=position, order=asc and the same filters.',
+        query: TASK_BOARD_QUERY,
+        responses: {
+            200: json('One entry per column', envelope({
+                data: arrayOf(envelope({
+                    status: { type: 'string', enum: TASK_STATUSES },
+                    tasks: arrayOf(TASK),
+                    pagination: ref('Pagination')
+                }))
+            }))
+        }
+    },
+    {
+        method: 'get', path: '/tasks/stream', tag: 'Tasks',
+        summary: 'Server-Sent Events for changes to the user\'s tasks',
+        description: 'EventSource clients can pass the token as access_token.',
+        query: {
+            fields: {
+                ...TASK_STREAM_QUERY.fields,
+                access_token: { type: 'string' }
+            }
+        },
+        headers: ['Last-Event-ID'],
+        responses: {
+            200: {
+                description: 'task.created, task.updated, task.deleted, task.restored, task.reverted and task.purged events',
+                content: { 'text/event-stream': { schema: STRING } }
+            }
+        }
+    },
+    {
+        method: 'get', path: '/tasks/trash', tag: 'Trash',
+        summary: 'Deleted tasks, most recently deleted first',
+        query: TASK_TRASH_QUERY,
+        responses: { 200: page('Deleted tasks with purge_at', TASK) }
+    },
+    {
+        method: 'delete', path: '/tasks/trash', tag: 'Trash',
+        summary: 'Empty the trash',
+        responses: { 200: json('Purged', envelope({ message: STRING, purged: arrayOf(INTEGER) })) }
+    },
+    {
+        method: 'delete', path: '/tasks/trash/{id}', tag: 'Trash',
+        summary: 'Permanently delete a task from the trash',
+        responses: { 200: saved('Purged task', TASK, { purged: arrayOf(INTEGER) }) }
+    },
+    {
+        method: 'get', path: '/tasks/{id}', tag: 'Tasks',
+        summary: 'A task with its tags, subtask progress and dependencies',
+        headers: ['If-None-Match'],
+        responses: {
+            200: withETag(json('The task', envelope({ data: TASK }))),
+            304: { description: 'Not modified' }
+        }
+    },
+    {
+        method: 'get', path: '/tasks/{id}/subtasks', tag: 'Subtasks',
+        summary: 'Direct subtasks, oldest first',
+        query: TASK_LIST_QUERY,
+        responses: { 200: page('Subtasks', TASK) }
+    },
+    {
+        method: 'post', path: '/tasks/{id}/subtasks', tag: 'Subtasks',
+        summary: 'Create a task under this one',
+        body: { fields: { ...TASK_SCHEMA.fields, parent_id: { readOnly: true } } }, mode: 'create',
+        responses: { 201: saved('Created subtask', TASK) }
+    },
+    {
+        method: 'get', path: '/tasks/{id}/history', tag: 'History',
+        summary: 'Every change to the task, newest first; also for tasks in the trash or purged',
+        query: TASK_HISTORY_QUERY,
+        responses: { 200: page('Audit entries', ref('AuditEntry')) }
+    },
+    {
+        method: 'post', path: '/tasks/{id}/revert', tag: 'History',
+        summary: 'Put the task\'s fields back to a version from its history',
+        body: TASK_REVERT_SCHEMA, mode: 'create',
+        responses: { 200: saved('Reverted task', TASK) },
+        errors: [409]
+    },
+    {
+        method: 'get', path: '/tasks/{id}/occurrences', tag: 'Recurrence',
+        summary: 'Preview the next occurrences of a recurring task',
+        query: TASK_OCCURRENCES_QUERY,
+        responses: { 200: json('Occurrences', envelope({ recurrence: STRING, data: arrayOf(ref('Occurrence')) })) }
+    },
+    {
+        method: 'get', path: '/tasks/{id}/reminders', tag: 'Reminders',
+        summary: 'The task\'s reminders for its current due date',
+        responses: {
+            200: json('Reminders, earliest first', envelope({ leads: arrayOf(STRING), data: arrayOf(ref('Reminder')) }))
+        }
+    },
+    {
+        method: 'get', path: '/tasks/{id}/tags', tag: 'Tags',
+        summary: 'The task\'s tags',
+        responses: { 200: json('Tags', envelope({ data: arrayOf(ref('TagSummary')) })) }
+    },
+    {
+        method: 'post', path: '/tasks/{id}/tags', tag: 'Tags',
+        summary: 'Attach tags by id or name; unknown names are created',
+        bodySchema: {
+            type: 'object',
+            required: ['tags'],
+            properties: { tags: { type: 'array', minItems: 1, items: { oneOf: [INTEGER, { type: 'string', pattern: '^[^,]+$' }] } } }
+        },
+        responses: { 200: saved('The task\'s tags', arrayOf(ref('TagSummary'))) }
+    },
+    {
+        method: 'delete', path: '/tasks/{id}/tags/{tagId}', tag: 'Tags',
+        summary: 'Remove a tag from a task',
+        responses: { 200: json('Removed', envelope({ message: STRING })) }
+    },
+    {
+        method: 'get', path: '/tasks', tag: 'Tasks',
+        summary: 'The user\'s tasks, oldest first',
+        query: TASK_LIST_QUERY,
+        responses: { 200: TASKS_LIST }
+    },
+    {
+        method: 'post', path: '/tasks/{id}/restore', tag: 'Trash',
+        summary: 'Take a task and the subtasks deleted with it out of the trash',
+        responses: { 200: saved('Restored task', TASK, { restored: arrayOf(INTEGER) }) },
+        errors: [409]
+    },
+    {
+        method: 'put', path: '/tasks/{id}', tag: 'Tasks',
+        summary: 'Replace the editable fields of a task; omitted optional fields are cleared',
+        body: TASK_SCHEMA, mode: 'replace',
+        headers: ['If-Match'],
+        responses: { 200: withETag(json('Updated task', SAVED_TASK)) },
+        errors: [409, 412]
+    },
+    {
+        method: 'patch', path: '/tasks/{id}', tag: 'Tasks',
+        summary: 'Update some fields of a task',
+        body: TASK_SCHEMA, mode: 'update',
+        headers: ['If-Match'],
+        responses: { 200: withETag(json('Updated task', SAVED_TASK)) },
+        errors: [409, 412]
+    },
+    {
+        method: 'post', path: '/tasks/{id}/transition', tag: 'Tasks',
+        summary: 'Move a task to another status',
+        body: TASK_TRANSITION_SCHEMA, mode: 'create',
+        responses: {
+            200: withETag(json('Updated task; next_occurrence when a recurring task is done', envelope({
+                message: STRING,
+                data: TASK,
+                next_occurrence: TASK
+            }, ['next_occurrence'])))
+        },
+        errorBodies: { 409: ILLEGAL_TRANSITION },
+        errors: [409]
+    },
+    {
+        method: 'post', path: '/tasks/{id}/move', tag: 'Tasks',
+        summary: 'Reorder a task on the board, or move it to another column',
+        description: 'Moving into another column changes the status, with the same rules as a transition. '
+            + 'Only the moved task is rewritten.',
+        body: TASK_MOVE_SCHEMA, mode: 'create',
+        headers: ['If-Match'],
+        responses: {
+            200: withETag(json('Moved task; next_occurrence when a recurring task moves to done', envelope({
+                message: STRING,
+                data: TASK,
+                next_occurrence: TASK
+            }, ['next_occurrence'])))
+        },
+        errorBodies: { 409: ILLEGAL_TRANSITION },
+        errors: [409, 412]
+    },
+    {
+        method: 'get', path: '/tasks/{id}/dependencies', tag: 'Tasks',
+        summary: 'Blockers and dependents of a task, and whether it is blocked',
+        responses: { 200: json('Dependencies', envelope({ data: ref('Dependencies') })) }
+    },
+    {
+        method: 'post', path: '/tasks/{id}/dependencies', tag: 'Tasks',
+        summary: 'Make a task wait for another one; cycles are rejected',
+        body: TASK_DEPENDENCY_SCHEMA, mode: 'create',
+        responses: { 201: saved('The task\'s dependencies', ref('Dependencies')) },
+        errorBodies: {
+            409: {
+                type: 'object',
+                required: ['error'],
+                properties: { error: STRING, cycle: { ...arrayOf(INTEGER), description: 'Task ids around the cycle' } }
+            }
+        },
+        errors: [409]
+    },
+    {
+        method: 'delete', path: '/tasks/{id}/dependencies/{dependsOnId}', tag: 'Tasks',
+        summary: 'Remove a dependency',
+        responses: { 200: saved('The task\'s remaining dependencies', ref('Dependencies')) }
+    },
+    {
+        method: 'delete', path: '/tasks/{id}', tag: 'Tasks',
+        summary: 'Move a task to the trash',
+        query: TASK_DELETE_QUERY,
+        headers: ['If-Match'],
+        responses: {
+            200: saved('Deleted task', TASK, {
+                subtasks: envelope({
+                    policy: { type: 'string', enum: TASK_DELETE_QUERY.fields.subtasks.enum },
+                    removed: arrayOf(INTEGER),
+                    reparented: arrayOf(INTEGER)
+                })
+            })
+        },
+        errors: [409, 412]
+    },
+    {
+        method: 'get', path: '/tags', tag: 'Tags',
+        summary: 'The user\'s tags with usage counts, by name',
+        responses: { 200: json('Tags', envelope({ data: arrayOf(ref('Tag')) })) }
+    },
+    {
+        method: 'post', path: '/tags', tag: 'Tags',
+        summary: 'Create a tag',
+        body: TAG_SCHEMA, mode: 'create',
+        responses: { 201: saved('Created tag', ref('Tag')) },
+        errors: [409]
+    },
+    {
+        method: 'get', path: '/tags/{id}', tag: 'Tags',
+        summary: 'A tag',
+        responses: { 200: json('The tag', envelope({ data: ref('Tag') })) }
+    },
+    {
+        method: 'patch', path: '/tags/{id}', tag: 'Tags',
+        summary: 'Rename or recolour a tag',
+        body: TAG_SCHEMA, mode: 'update',
+        responses: { 200: saved('Updated tag', ref('Tag')) },
+        errors: [409]
+    },
+    {
+        method: 'post', path: '/tags/{id}/merge', tag: 'Tags',
+        summary: 'Move every task to another tag and delete this one',
+        body: MERGE_SCHEMA, mode: 'create',
+        responses: { 200: saved('The kept tag', ref('Tag'), { merged: ref('Tag') }) }
+    },
+    {
+        method: 'delete', path: '/tags/{id}', tag: 'Tags',
+        summary: 'Delete a tag and remove it from its tasks',
+        responses: { 200: saved('Deleted tag', ref('Tag'), { detached: INTEGER }) }
+    },
+    {
+        method: 'get', path: '/audit', tag: 'History',
+        summary: 'Changes to the user\'s tasks, newest first',
+        query: AUDIT_QUERY,
+        responses: { 200: page('Audit entries without snapshots', ref('AuditEntry')) }
+    },
+    {
+        method: 'get', path: '/webhooks', tag: 'Webhooks',
+        summary: 'The user\'s webhooks, without secrets',
+        responses: { 200: json('Webhooks', envelope({ data: arrayOf(ref('Webhook')) })) }
+    },
+    {
+        method: 'post', path: '/webhooks', tag: 'Webhooks',
+        summary: 'Create a webhook; its secret is only returned here',
+        body: WEBHOOK_SCHEMA, mode: 'create',
+        responses: { 201: saved('Created webhook with its secret', ref('Webhook')) }
+    },
+    {
+        method: 'get', path: '/webhooks/{id}', tag: 'Webhooks',
+        summary: 'A webhook, without its secret',
+        responses: { 200: json('The webhook', envelope({ data: ref('Webhook') })) }
+    },
+    {
+        method: 'patch', path: '/webhooks/{id}', tag: 'Webhooks',
+        summary: 'Update a webhook',
+        body: WEBHOOK_SCHEMA, mode: 'update',
+        responses: { 200: saved('Updated webhook', ref('Webhook')) }
+    },
+    {
+        method: 'delete', path: '/webhooks/{id}', tag: 'Webhooks',
+        summary: 'Delete a webhook and its delivery log',
+        responses: { 200: saved('Deleted webhook', ref('Webhook')) }
+    },
+    {
+        method: 'get', path: '/webhooks/{id}/deliveries', tag: 'Webhooks',
+        summary: 'Deliveries of a webhook, newest first',
+        query: DELIVERY_QUERY,
+        responses: { 200: page('Deliveries', ref('Delivery')) }
+    },
+    {
+        method: 'post', path: '/webhooks/{id}/deliveries/{deliveryId}/redeliver', tag: 'Webhooks',
+        summary: 'Send a delivery again with a fresh set of retries',
+        responses: { 202: saved('The new delivery', ref('Delivery')) },
+        errors: [409]
+    },
+    {
+        method: 'get', path: '/views', tag: 'Views',
+        summary: 'The user\'s views and the views others share, by name',
+        responses: { 200: json('Views', envelope({ data: arrayOf(ref('View')) })) }
+    },
+    {
+        method: 'post', path: '/views', tag: 'Views',
+        summary: 'Save a view',
+        description: 'Date filters also take relative dates such as today, end_of_week or start_of_week-1w.',
+        body: VIEW_SCHEMA, mode: 'create',
+        responses: { 201: saved('Created view', ref('View')) },
+        errors: [409]
+    },
+    {
+        method: 'get', path: '/views/{id}', tag: 'Views',
+        summary: 'A view',
+        responses: { 200: json('The view', envelope({ data: ref('View') })) }
+    },
+    {
+        method: 'patch', path: '/views/{id}', tag: 'Views',
+        summary: 'Update a view (owner only); null clears a filter',
+        body: VIEW_SCHEMA, mode: 'update',
+        responses: { 200: saved('Updated view', ref('View')) },
+        errors: [409]
+    },
+    {
+        method: 'delete', path: '/views/{id}', tag: 'Views',
+        summary: 'Delete a view (owner only)',
+        responses: { 200: saved('Deleted view', ref('View')) }
+    },
+    {
+        method: 'get', path: '/views/{id}/tasks', tag: 'Views',
+        summary: 'Run a view over the user\'s tasks',
+        query: VIEW_TASKS_QUERY,
+        responses: {
+            200: json('Matching tasks in the view\'s order', envelope({
+                data: arrayOf(TASK),
+                view: envelope({ id: INTEGER, name: STRING }),
+                params: { type: 'object', description: 'The parameters the view ran with, relative dates resolved' },
+                sorting: ref('Sorting'),
+                pagination: ref('Pagination')
+            }))
+        }
+    },
+    {
+        method: 'get', path: '/projects', tag: 'Projects',
+        summary: 'Projects the user owns or is a member of, by name',
+        query: PROJECT_LIST_QUERY,
+        responses: { 200: json('Projects', envelope({ data: arrayOf(ref('Project')) })) }
+    },
+    {
+        method: 'post', path: '/projects', tag: 'Projects',
+        summary: 'Create a project',
+        body: PROJECT_SCHEMA, mode: 'create',
+        responses: { 201: saved('Created project', ref('Project')) },
+        errors: [409]
+    },
+    {
+        method: 'get', path: '/projects/{id}', tag: 'Projects',
+        summary: 'A project',
+        responses: { 200: json('The project', envelope({ data: ref('Project') })) }
+    },
+    {
+        method: 'patch', path: '/projects/{id}', tag: 'Projects',
+        summary: 'Update a project (owner only, not while archived)',
+        body: PROJECT_SCHEMA, mode: 'update',
+        responses: { 200: saved('Updated project', ref('Project')) },
+        errors: [409]
+    },
+    {
+        method: 'post', path: '/projects/{id}/archive', tag: 'Projects',
+        summary: 'Archive a project (owner only); it becomes read-only',
+        responses: { 200: saved('Archived project', ref('Project')) }
+    },
+    {
+        method: 'post', path: '/projects/{id}/unarchive', tag: 'Projects',
+        summary: 'Unarchive a project (owner only)',
+        responses: { 200: saved('Active project', ref('Project')) }
+    },
+    {
+        method: 'get', path: '/projects/{id}/members', tag: 'Projects',
+        summary: 'The owner and the members of a project',
+        responses: { 200: json('Owner first, then members by name', envelope({ data: arrayOf(ref('ProjectMember')) })) }
+    },
+    {
+        method: 'post', path: '/projects/{id}/members', tag: 'Projects',
+        summary: 'Add a member by user_id or email (owner only)',
+        description: 'Members can see the project, its members and its tasks.',
+        body: PROJECT_MEMBER_SCHEMA, mode: 'create',
+        responses: { 201: saved('Added member', ref('ProjectMember')) },
+        errors: [409]
+    },
+    {
+        method: 'delete', path: '/projects/{id}/members/{userId}', tag: 'Projects',
+        summary: 'Remove a member; members can remove themselves',
+        responses: {
+            200: saved('Removed membership', envelope({
+                id: INTEGER,
+                project_id: INTEGER,
+                user_id: INTEGER,
+                created_at: { type: 'string', format: 'date-time' }
+            }))
+        },
+        errors: [409]
+    },
+    {
+        method: 'get', path: '/projects/{id}/tasks', tag: 'Projects',
+        summary: 'Search, filter and sort the tasks of a project',
+        description: 'sort defaults to relevance with a q and to created_at without.',
+        query: PROJECT_TASKS_QUERY,
+        responses: {
+            200: json('The project\'s tasks with tags', envelope({
+                data: arrayOf(TASK),
+                project: envelope({ id: INTEGER, name: STRING }),
+                search: ref('Search'),
+                sorting: ref('Sorting'),
+                pagination: ref('Pagination')
+            }, ['search']))
+        }
+    }
+];
+
+/** The status codes an operation can answer with besides its successes */
+function errorStatuses(operation) {
+    // Every route is rate limited
+    const statuses = new Set([...(operation.errors || []), 429, 500]);
+    if (operation.query || operation.body || operation.bodySchema || operation.requestBody) statuses.add(400);
+    if (operation.auth !== false) statuses.add(401);
+    if (operation.path.includes('{')) {
+        statuses.add(403);
+        statuses.add(404);
+    }
+    return [...statuses].sort((a, b) => a - b);
+}
+
+function errorResponse(operation, status) {
+    const body = operation.errorBodies && operation.errorBodies[status];
+    if (body) {
+        return json(ERROR_RESPONSES[status] ? ERROR_RESPONSES[status][1] : 'Error', body);
+    }
+    return ERROR_RESPONSES[status]
+        ? { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` }
+        : json('Error', ref('Error'));
+}
+
+function buildOperation(operation) {
+    const parameters = [
+        ...[...operation.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: INTEGER
+        })),
+        ...(operation.headers || []).map(name => ({
+            name,
+            in: 'header',
+            description: HEADERS[name],
+            schema: STRING
+        })),
+        ...(operation.query ? queryParameters(operation.query) : [])
+    ];
+
+    let requestBody = operation.requestBody;
+    if (operation.body || operation.bodySchema) {
+        const schema = operation.bodySchema || bodySchema(operation.body, operation.mode);
+        requestBody = { required: Boolean(schema.required), content: { 'application/json': { schema } } };
+    }
+
+    const responses = { ...operation.responses };
+    for (const status of errorStatuses(operation)) {
+        responses[status] = errorResponse(operation, status);
+    }
+
+    return compact({
+        tags: [operation.tag],
+        summary: operation.summary,
+        description: operation.description,
+        security: operation.auth === false ? [] : undefined,
+        parameters: parameters.length > 0 ? parameters : undefined,
+        requestBody,
+        responses
+    });
+}
+
+let document = null;
+
+/** The OpenAPI document, built once */
+function openApiDocument() {
+    if (document) {
+        return document;
+    }
+
+    const paths = {};
+    for (const operation of OPERATIONS) {
+        paths[operation.path] = { ...paths[operation.path], [operation.method]: buildOperation(operation) };
+    }
+
+    document = {
+        openapi: '3.0.3',
+        info: {
+            title: 'Task API',
+            version,
+            description: 'Tasks with subtasks, projects, tags, recurrence, reminders, webhooks and saved views. '
+                + 'Every route except /auth/register and /auth/login needs an Authorization: Bearer <token> header '
+                + 'or an X-API-Key: <key> header with a key from POST /auth/keys. '
+                + 'Requests are rate limited per client (API key or user) and per IP address; responses carry RateLimit-* headers.'
+        },
+        tags: [...new Set(OPERATIONS.map(operation => operation.tag))].map(name => ({ name })),
+        security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            },
+            schemas: SCHEMAS,
+            responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description]) =>
+                [name, name === 'TooManyRequests'
+                    ? { ...json(description, ref('Error')), headers: RETRY_AFTER }
+                    : json(description, ref('Error'))]))
+        }
+    };
+    return document;
+}
+
+module.exports = {
+    openApiDocument
+};
@@ -0,0 +1,92 @@
+/**
+ * Offset (page/limit) and cursor (keyset) pagination for the list routes.
+ *
+ * A cursor is an opaque base64url token holding the sort field, direction
+ * and the sort value + id of the last row of the previous page. The next
+ * page starts strictly after that (value, id) pair, so rows inserted
+ * between requests are never skipped or repeated.
+ */
+
+/** Query string fields shared by every paginated route */
+const paginationFields = (defaultLimit) => ({
+    limit: { type: 'integer', min: 1, max: 100, default: defaultLimit },
+    page: { type: 'integer', min: 1 },
+    cursor: { type: 'string', trim: true },
+    count: { type: 'string', trim: true, lowercase: true, enum: ['exact', 'none'], default: 'exact' }
+});
+
+/** Cross-field check: page and cursor are mutually exclusive */
+const pageOrCursor = ({ page, cursor }) =>
+    (page && cursor ? { field: 'cursor', message: 'Use either cursor or page, not both' } : null);
+
+function encodeCursor(sort, row) {
+    const payload = { f: sort.field, a: sort.ascending, v: row[sort.field] === undefined ? null : row[sort.field], id: row.id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        if (!payload || typeof payload.f !== 'string' || typeof payload.a !== 'boolean' || payload.id === undefined) {
+            return null;
+        }
+        return payload;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Turn validated pagination params into repository list options.
+ * Returns { error } or { options, page } where options holds range, after
+ * and count for repository.list().
+ */
+function pageRequest({ limit, page, cursor, count }, sort) {
+    const options = { sort, count: count !== 'none' };
+
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        if (!decoded) {
+            return { error: { field: 'cursor', message: 'cursor is invalid' } };
+        }
+        if (decoded.f !== sort.field || decoded.a !== sort.ascending) {
+            return { error: { field: 'cursor', message: 'cursor does not match the current sort field and order' } };
+        }
+        options.after = { value: decoded.v, id: decoded.id };
+        // One extra row tells us whether there is a next page
+        options.range = { from: 0, to: limit };
+        return { options, page: null };
+    }
+
+    const pageNumber = page || 1;
+    const from = (pageNumber - 1) * limit;
+    options.range = { from, to: from + limit };
+    return { options, page: pageNumber };
+}
+
+/**
+ * Trim the extra row fetched by pageRequest and build the pagination
+ * block of the response.
+ */
+function pageResult(rows, count, { limit, cursor }, { options, page }) {
+    const hasMore = rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+    const total = options.count ? count : null;
+
+    const pagination = cursor
+        ? { limit, cursor, total }
+        : { page, limit, total, totalPages: total === null ? null : Math.ceil(total / limit) };
+
+    pagination.next_cursor = hasMore ? encodeCursor(options.sort, data[data.length - 1]) : null;
+
+    return { data, pagination };
+}
+
+module.exports = {
+    paginationFields,
+    pageOrCursor,
+    encodeCursor,
+    decodeCursor,
+    pageRequest,
+    pageResult
+};
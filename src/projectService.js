@@ -0,0 +1,323 @@
+const { projects, projectMembers, users } = require('./storage');
+const { failure, databaseFailure } = require('./failures');
+
+/**
+ * Projects group a user's tasks. The owner can add other users as
+ * members: members see the project, its members and its tasks, but only
+ * the owner changes them, so every task in a project belongs to the
+ * project's owner. An archived project is read-only until it is
+ * unarchived. Like taskService, functions resolve to { data } or
+ * { error: { status, body } }; projects come with the user's `role` in
+ * them, owner or member.
+ */
+
+const isOwner = (user, project) => String(project.owner_id) === String(user.id);
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const withRole = (user, project) => ({ ...project, role: isOwner(user, project) ? 'owner' : 'member' });
+
+const archivedFilter = (archived) => ({ field: 'archived_at', op: archived ? 'not_is' : 'is', value: null });
+
+/** The membership row of `userId` in a project, or null */
+async function findMembership(projectId, userId) {
+    const { data, error } = await projectMembers.list({
+        filters: [
+            { field: 'project_id', op: 'eq', value: projectId },
+            { field: 'user_id', op: 'eq', value: userId }
+        ],
+        count: false
+    });
+    return { data: data && data.length > 0 ? data[0] : null, error };
+}
+
+/** Whether `user` is a member (not the owner) of the project. Resolves to { data: boolean, error } */
+async function isProjectMember(user, projectId) {
+    const { data, error } = await findMembership(projectId, user.id);
+    return { data: Boolean(data), error };
+}
+
+/**
+ * The projects the user owns or is a member of, by name: active ones, or
+ * archived ones with { archived: true }.
+ */
+async function listProjects(user, { archived = false } = {}) {
+    const memberships = await projectMembers.list({ filters: [{ field: 'user_id', op: 'eq', value: user.id }], count: false });
+    if (memberships.error) {
+        return databaseFailure('Failed to fetch projects', memberships.error);
+    }
+
+    const sort = { field: 'name', ascending: true };
+    const memberOf = memberships.data.map(membership => membership.project_id);
+    const [own, shared] = await Promise.all([
+        projects.list({ filters: [{ field: 'owner_id', op: 'eq', value: user.id }, archivedFilter(archived)], sort, count: false }),
+        memberOf.length === 0
+            ? { data: [], error: null }
+            : projects.list({ filters: [{ field: 'id', op: 'in', value: memberOf }, archivedFilter(archived)], sort, count: false })
+    ]);
+    const error = own.error || shared.error;
+    if (error) {
+        return databaseFailure('Failed to fetch projects', error);
+    }
+    return {
+        data: [...own.data, ...shared.data]
+            .sort((a, b) => a.name.localeCompare(b.name) || a.id - b.id)
+            .map(project => withRole(user, project))
+    };
+}
+
+/**
+ * Load a project `user` owns or is a member of. Other projects answer
+ * 404, as if they did not exist.
+ */
+async function getVisibleProject(user, id) {
+    const { data, error } = await projects.findById(id);
+
+    if (error) {
+        return failure(500, { error: error.message });
+    }
+    if (!data) {
+        return failure(404, { error: 'Project not found' });
+    }
+    if (!isOwner(user, data)) {
+        const member = await isProjectMember(user, data.id);
+        if (member.error) {
+            return databaseFailure('Failed to fetch project', member.error);
+        }
+        if (!member.data) {
+            return failure(404, { error: 'Project not found' });
+        }
+    }
+    return { data: withRole(user, data) };
+}
+
+/** Load a project and check that `user` owns it and, unless `archived` is allowed, that it is active */
+async function getOwnProject(user, id, { archived = false } = {}) {
+    const result = await getVisibleProject(user, id);
+    if (result.error) {
+        return result;
+    }
+    if (!isOwner(user, result.data)) {
+        return failure(403, { error: 'Only the owner can change a project' });
+    }
+    if (result.data.archived_at && !archived) {
+        return failure(409, { error: 'Project is archived, unarchive it first' });
+    }
+    return result;
+}
+
+async function nameTaken(user, name, exceptId) {
+    const { data, error } = await projects.list({
+        filters: [{ field: 'owner_id', op: 'eq', value: user.id }],
+        count: false
+    });
+    if (error) {
+        return { error };
+    }
+    return { taken: data.some(project => sameName(project.name, name) && String(project.id) !== String(exceptId)) };
+}
+
+const conflict = (name) => failure(409, { error: `A project named "${name}" already exists` });
+
+async function createProject(user, value) {
+    const existing = await nameTaken(user, value.name);
+    if (existing.error) {
+        return databaseFailure('Failed to create project', existing.error);
+    }
+    if (existing.taken) {
+        return conflict(value.name);
+    }
+
+    const { data, error } = await projects.insert([{ description: null, archived_at: null, ...value, owner_id: user.id }]);
+    if (error) {
+        return databaseFailure('Failed to create project', error);
+    }
+    return { data: withRole(user, data[0]) };
+}
+
+async function updateProject(user, id, changes) {
+    const current = await getOwnProject(user, id);
+    if (current.error) {
+        return current;
+    }
+
+    if (changes.name) {
+        const existing = await nameTaken(user, changes.name, id);
+        if (existing.error) {
+            return databaseFailure('Failed to update project', existing.error);
+        }
+        if (existing.taken) {
+            return conflict(changes.name);
+        }
+    }
+
+    const { data, error } = await projects.update(id, changes, { owner_id: user.id });
+    if (error) {
+        return databaseFailure('Failed to update project', error);
+    }
+    if (!data) {
+        return failure(404, { error: 'Project not found' });
+    }
+    return { data: withRole(user, data) };
+}
+
+/** Archive or unarchive a project; doing it twice is not an error */
+async function setArchived(user, id, archived) {
+    const current = await getOwnProject(user, id, { archived: true });
+    if (current.error) {
+        return current;
+    }
+    if (Boolean(current.data.archived_at) === archived) {
+        return current;
+    }
+
+    const { data, error } = await projects.update(id, { archived_at: archived ? new Date().toISOString() : null }, { owner_id: user.id });
+    if (error) {
+        return databaseFailure(`Failed to ${archived ? 'archive' : 'unarchive'} project`, error);
+    }
+    if (!data) {
+        return failure(404, { error: 'Project not found' });
+    }
+    return { data: withRole(user, data) };
+}
+
+/** A member as listed: who, and since when (null for the owner) */
+const memberEntry = (user, role, since) => ({
+    user_id: user.id,
+    name: user.name,
+    email: user.email,
+    role,
+    added_at: since
+});
+
+/** The owner and the members of a project, owner first, then by name */
+async function listMembers(user, id) {
+    const project = await getVisibleProject(user, id);
+    if (project.error) {
+        return project;
+    }
+
+    const memberships = await projectMembers.list({
+        filters: [{ field: 'project_id', op: 'eq', value: project.data.id }],
+        count: false
+    });
+    if (memberships.error) {
+        return databaseFailure('Failed to fetch members', memberships.error);
+    }
+    const found = await users.list({
+        filters: [{ field: 'id', op: 'in', value: [project.data.owner_id, ...memberships.data.map(m => m.user_id)] }],
+        count: false
+    });
+    if (found.error) {
+        return databaseFailure('Failed to fetch members', found.error);
+    }
+
+    const byId = new Map(found.data.map(row => [String(row.id), row]));
+    const owner = byId.get(String(project.data.owner_id));
+    const members = memberships.data
+        .filter(membership => byId.has(String(membership.user_id)))
+        .map(membership => memberEntry(byId.get(String(membership.user_id)), 'member', membership.created_at))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)) || a.user_id - b.user_id);
+    return { data: [...(owner ? [memberEntry(owner, 'owner', null)] : []), ...members] };
+}
+
+/** The user to add from a validated { user_id } or { email } */
+async function findUser({ user_id: userId, email }) {
+    if (userId) {
+        return users.findById(userId);
+    }
+    const { data, error } = await users.list({ filters: [{ field: 'email', op: 'eq', value: email }], count: false });
+    return { data: data && data.length > 0 ? data[0] : null, error };
+}
+
+async function addMember(user, id, value) {
+    const project = await getOwnProject(user, id);
+    if (project.error) {
+        return project;
+    }
+
+    const found = await findUser(value);
+    if (found.error) {
+        return databaseFailure('Failed to add member', found.error);
+    }
+    if (!found.data) {
+        return failure(404, { error: 'User not found' });
+    }
+    if (isOwner(found.data, project.data)) {
+        return failure(409, { error: 'The owner is already part of the project' });
+    }
+
+    const existing = await findMembership(project.data.id, found.data.id);
+    if (existing.error) {
+        return databaseFailure('Failed to add member', existing.error);
+    }
+    if (existing.data) {
+        return failure(409, { error: `${found.data.name} is already a member` });
+    }
+
+    const { data, error } = await projectMembers.insert([{ project_id: project.data.id, user_id: found.data.id }]);
+    if (error) {
+        if (error.code === '23505') {
+            return failure(409, { error: `${found.data.name} is already a member` });
+        }
+        return databaseFailure('Failed to add member', error);
+    }
+    return { data: memberEntry(found.data, 'member', data[0].created_at) };
+}
+
+/** Remove a member: the owner can remove anyone, members only themselves */
+async function removeMember(user, id, memberId) {
+    const project = await getVisibleProject(user, id);
+    if (project.error) {
+        return project;
+    }
+    if (String(memberId) === String(project.data.owner_id)) {
+        return failure(409, { error: 'The owner cannot be removed from a project' });
+    }
+    if (!isOwner(user, project.data) && String(memberId) !== String(user.id)) {
+        return failure(403, { error: 'Only the owner can remove other members' });
+    }
+
+    const existing = await findMembership(project.data.id, memberId);
+    if (existing.error) {
+        return databaseFailure('Failed to remove member', existing.error);
+    }
+    if (!existing.data) {
+        return failure(404, { error: 'User is not a member of this project' });
+    }
+
+    const { error } = await projectMembers.remove(existing.data.id);
+    if (error) {
+        return databaseFailure('Failed to remove member', error);
+    }
+    return { data: existing.data };
+}
+
+/**
+ * Check that a task of `user` can go into `projectId`: the user owns the
+ * project and it is not archived. Returns a { field, message } validation
+ * error or null.
+ */
+async function checkProject(user, projectId) {
+    const { data, error } = await projects.findById(projectId);
+    if (error || !data || !isOwner(user, data)) {
+        return { field: 'project_id', message: 'project_id must be the id of one of your projects' };
+    }
+    if (data.archived_at) {
+        return { field: 'project_id', message: `Project "${data.name}" is archived` };
+    }
+    return null;
+}
+
+module.exports = {
+    isProjectMember,
+    listProjects,
+    getVisibleProject,
+    createProject,
+    updateProject,
+    setArchived,
+    listMembers,
+    addMember,
+    removeMember,
+    checkProject
+};
@@ -0,0 +1,275 @@
+const config = require('./config');
+const { tokenUser, requestApiKey, hashApiKey } = require('./auth');
+const { createRedisClient } = require('./redis');
+
+/**
+ * Rate limiting with token buckets. Every request takes a token from the
+ * bucket of its client and from the bucket of its IP address, one pair of
+ * buckets per route class: reads, writes and searches. The client is the
+ * API key of the request, or else the user of its bearer token, so every
+ * API key has buckets of its own and all tokens of a user share theirs.
+ * A bucket holds up to `limit` tokens and refills evenly, `limit` per
+ * `windowMs`, so clients can burst but not keep up more than the
+ * configured rate. An empty bucket answers 429 with Retry-After.
+ *
+ * A request takes its tokens only when every one of its buckets has one,
+ * so a request denied by one bucket costs the others nothing.
+ *
+ * Buckets live in a store, selected with RATE_LIMIT_STORE: 'memory' for a
+ * single process, 'redis' to share them between instances. A store has
+ * take(buckets, now), buckets being [{ key, policy: { limit, windowMs } }],
+ * resolving to one { allowed, tokens } per bucket: whether it had a token
+ * and the tokens it has left after the request.
+ */
+
+const PERIOD_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/** Routes that search or aggregate: they cost more than a plain read */
+const SEARCH_ROUTES = [
+    /^\/tasks\/(search|export|stats|board)\/?$/,
+    /^\/(views|projects)\/[^/]+\/tasks\/?$/
+];
+
+const ROUTE_CLASS_NAMES = { read: 'reads', write: 'writes', search: 'searches' };
+
+/**
+ * Parse a limit such as '300/1m' or '10/30s' into { limit, windowMs }.
+ * 'off' or a limit of 0 disable it (null).
+ */
+function parseLimit(text) {
+    const value = String(text).trim().toLowerCase();
+    if (value === 'off' || value === '0') {
+        return null;
+    }
+    const match = /^(\d+)\s*\/\s*(\d*)\s*([smh])$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid rate limit "${text}", expected <requests>/<period> such as 300/1m`);
+    }
+    const limit = Number(match[1]);
+    const windowMs = Number(match[2] || 1) * PERIOD_MS[match[3]];
+    return limit > 0 && windowMs > 0 ? { limit, windowMs } : null;
+}
+
+/** Parse config.rateLimits: { client: { read, write, search }, ip: { ... } } */
+function parseLimits(limits) {
+    const parsed = {};
+    for (const [scope, classes] of Object.entries(limits)) {
+        parsed[scope] = {};
+        for (const [routeClass, text] of Object.entries(classes)) {
+            parsed[scope][routeClass] = parseLimit(text);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * The client of a request: its API key (by hash, so the limiter needs no
+ * database lookup and keeps no keys), the user of its token, or null
+ */
+function clientKey(req) {
+    const apiKey = requestApiKey(req);
+    if (apiKey) {
+        return `key:${hashApiKey(apiKey)}`;
+    }
+    const user = tokenUser(req);
+    return user ? `user:${user.id}` : null;
+}
+
+/** 'search', 'read' or 'write' */
+function routeClass(req) {
+    const path = req.baseUrl + req.path;
+    if (SEARCH_ROUTES.some(pattern => pattern.test(path))) {
+        return 'search';
+    }
+    return req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write';
+}
+
+/**
+ * The tokens of a bucket last seen with `tokens` at `updatedAt`, refilled
+ * up to `now`. A new bucket starts full.
+ */
+const refill = (state, { limit, windowMs }, now) => (state
+    ? Math.min(limit, state.tokens + (Math.max(0, now - state.updatedAt) * limit) / windowMs)
+    : limit);
+
+/**
+ * Refill the buckets of a request ({ state, policy } each) up to `now`,
+ * then take one token from each of them if every one has a token.
+ */
+function takeTokens(buckets, now) {
+    const refilled = buckets.map(({ state, policy }) => refill(state, policy, now));
+    const allowed = refilled.every(tokens => tokens >= 1);
+    return refilled.map(tokens => ({ allowed: tokens >= 1, tokens: allowed ? tokens - 1 : tokens }));
+}
+
+/** Milliseconds until a bucket with `tokens` left holds `wanted` tokens */
+const refillMs = (tokens, wanted, { limit, windowMs }) => Math.max(0, ((wanted - tokens) * windowMs) / limit);
+
+/** How often the memory store drops buckets that have refilled completely */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/** Buckets in a Map, for one process */
+function createMemoryStore() {
+    const buckets = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (bucket.fullAt <= now) buckets.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+        async take(requested, now) {
+            const results = takeTokens(requested.map(({ key, policy }) => ({ state: buckets.get(key), policy })), now);
+            requested.forEach(({ key, policy }, i) => buckets.set(key, {
+                tokens: results[i].tokens,
+                updatedAt: now,
+                fullAt: now + refillMs(results[i].tokens, policy.limit, policy)
+            }));
+            return results;
+        },
+        close() {
+            clearInterval(sweep);
+        }
+    };
+}
+
+/**
+ * takeTokens() as a script, so concurrent requests from several instances
+ * update their buckets atomically. ARGV holds now, then the limit and
+ * window of each key. A bucket expires once it would be full again.
+ * Tokens are returned as strings: Lua numbers lose their fraction on the
+ * way to a Redis integer reply.
+ */
+const TAKE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local tokens = {}
+local allowed = 1
+for i, key in ipairs(KEYS) do
+  local limit = tonumber(ARGV[i * 2])
+  local window = tonumber(ARGV[i * 2 + 1])
+  local state = redis.call('HMGET', key, 'tokens', 'updated_at')
+  tokens[i] = limit
+  if state[1] then
+    tokens[i] = math.min(limit, tonumber(state[1]) + math.max(0, now - tonumber(state[2])) * limit / window)
+  end
+  if tokens[i] < 1 then
+    allowed = 0
+  end
+end
+local result = { allowed }
+for i, key in ipairs(KEYS) do
+  if allowed == 1 then
+    local limit = tonumber(ARGV[i * 2])
+    local window = tonumber(ARGV[i * 2 + 1])
+    tokens[i] = tokens[i] - 1
+    redis.call('HSET', key, 'tokens', tostring(tokens[i]), 'updated_at', tostring(now))
+    redis.call('PEXPIRE', key, math.max(1, math.ceil((limit - tokens[i]) * window / limit)))
+  end
+  result[i + 1] = tostring(tokens[i])
+end
+return result
+`;
+
+/** Buckets in Redis (or a compatible server), shared by every instance */
+function createRedisStore(options) {
+    const client = createRedisClient(options.redisUrl);
+    return {
+        async take(requested, now) {
+            const keys = requested.map(({ key }) => `ratelimit:${key}`);
+            const policies = requested.flatMap(({ policy }) => [policy.limit, policy.windowMs]);
+            const [allowed, ...tokens] = await client.command('EVAL', TAKE_SCRIPT, keys.length, ...keys, now, ...policies);
+            return tokens.map(left => ({ allowed: allowed === 1 || Number(left) >= 1, tokens: Number(left) }));
+        },
+        close() {
+            client.close();
+        }
+    };
+}
+
+const STORES = {
+    memory: createMemoryStore,
+    redis: createRedisStore
+};
+
+function createRateLimitStore(options = config) {
+    const create = STORES[options.rateLimitStore];
+    if (!create) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${options.rateLimitStore}". Available: ${Object.keys(STORES).join(', ')}`);
+    }
+    return create(options);
+}
+
+/** RateLimit-Policy entry of a bucket, e.g. 300;w=60 */
+const policyHeader = ({ limit, windowMs }) => `${limit};w=${Math.ceil(windowMs / 1000)}`;
+
+/** A window as written in the configuration: 1m, 30s, 2h */
+function policyWindow({ windowMs }) {
+    for (const unit of ['h', 'm', 's']) {
+        if (windowMs % PERIOD_MS[unit] === 0) {
+            return `${windowMs / PERIOD_MS[unit]}${unit}`;
+        }
+    }
+    return `${windowMs}ms`;
+}
+
+/**
+ * Middleware limiting requests with `limits` (as in config.rateLimits)
+ * kept in `store`. Every response gets the RateLimit-Limit, -Remaining,
+ * -Reset and -Policy headers of its most restrictive bucket. When the
+ * store fails, requests go through unlimited rather than failing.
+ */
+function rateLimiter({ limits = config.rateLimits, store = createRateLimitStore() } = {}) {
+    const policies = parseLimits(limits);
+
+    return async (req, res, next) => {
+        const kind = routeClass(req);
+        const client = clientKey(req);
+        const buckets = [
+            client && { key: `client:${client}:${kind}`, policy: policies.client[kind] },
+            { key: `ip:${req.ip}:${kind}`, policy: policies.ip[kind] }
+        ].filter(bucket => bucket && bucket.policy);
+        if (buckets.length === 0) {
+            return next();
+        }
+
+        let taken;
+        try {
+            const results = await store.take(buckets, Date.now());
+            taken = buckets.map((bucket, i) => ({ ...bucket, ...results[i] }));
+        } catch (err) {
+            console.error('Rate limit store error:', err);
+            return next();
+        }
+
+        const denied = taken.find(bucket => !bucket.allowed);
+        const shown = denied || taken.reduce((low, bucket) => (bucket.tokens < low.tokens ? bucket : low));
+        res.set({
+            'RateLimit-Limit': String(shown.policy.limit),
+            'RateLimit-Remaining': String(Math.floor(shown.tokens)),
+            'RateLimit-Reset': String(Math.ceil(refillMs(shown.tokens, shown.policy.limit, shown.policy) / 1000)),
+            'RateLimit-Policy': buckets.map(bucket => policyHeader(bucket.policy)).join(', ')
+        });
+        if (!denied) {
+            return next();
+        }
+
+        const retryAfter = Math.max(1, Math.ceil(refillMs(denied.tokens, 1, denied.policy) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({
+            error: 'Too many requests',
+            message: `Limit of ${denied.policy.limit} ${ROUTE_CLASS_NAMES[kind]} per ${policyWindow(denied.policy)} `
+                + `${denied.key.startsWith('ip:') ? 'from this address' : 'for this client'} reached, retry in ${retryAfter}s`
+        });
+    };
+}
+
+module.exports = {
+    parseLimit,
+    routeClass,
+    takeTokens,
+    createRateLimitStore,
+    rateLimiter
+};
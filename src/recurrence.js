@@ -0,0 +1,214 @@
+/**
+ * Recurrence rules: a subset of iCalendar RRULE (RFC 5545).
+ *
+ * Supported parts:
+ * - FREQ=DAILY|WEEKLY|MONTHLY (required)
+ * - INTERVAL=n (default 1)
+ * - BYDAY=MO,WE,... (WEEKLY only; weeks start on Monday)
+ * - UNTIL=YYYYMMDD or YYYYMMDDTHHMMSSZ (inclusive)
+ * - COUNT=n (total number of occurrences, first one included)
+ *
+ * MONTHLY rules repeat on the day of month of the current occurrence and
+ * skip months that do not have that day, as RFC 5545 does.
+ */
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseUntil(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+    if (!match) return null;
+    const [, y, m, d, hh = '23', mm = '59', ss = '59'] = match;
+    const date = new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+    return isNaN(date) ? null : date;
+}
+
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse an RRULE string (with or without the "RRULE:" prefix).
+ * Returns { rule } or { error }.
+ */
+function parseRule(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { error: 'recurrence must be an RRULE string' };
+    }
+
+    const rule = { freq: null, interval: 1, byDay: null, until: null, count: null };
+    const body = text.trim().replace(/^RRULE:/i, '');
+
+    for (const part of body.split(';').filter(Boolean)) {
+        const [rawKey, rawValue = ''] = part.split('=');
+        const key = rawKey.trim().toUpperCase();
+        const value = rawValue.trim().toUpperCase();
+
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(value)) {
+                    return { error: `FREQ must be one of: ${FREQUENCIES.join(', ')}` };
+                }
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                if (!/^\d+$/.test(value) || Number(value) < 1) {
+                    return { error: 'INTERVAL must be a positive integer' };
+                }
+                rule.interval = Number(value);
+                break;
+            case 'BYDAY': {
+                const days = value.split(',').map(d => d.trim());
+                if (days.length === 0 || days.some(d => !WEEKDAYS.includes(d))) {
+                    return { error: `BYDAY must be a list of: ${WEEKDAYS.join(', ')}` };
+                }
+                rule.byDay = [...new Set(days.map(d => WEEKDAYS.indexOf(d)))].sort((a, b) => a - b);
+                break;
+            }
+            case 'UNTIL':
+                rule.until = parseUntil(value);
+                if (!rule.until) {
+                    return { error: 'UNTIL must look like YYYYMMDD or YYYYMMDDTHHMMSSZ' };
+                }
+                break;
+            case 'COUNT':
+                if (!/^\d+$/.test(value) || Number(value) < 1) {
+                    return { error: 'COUNT must be a positive integer' };
+                }
+                rule.count = Number(value);
+                break;
+            default:
+                return { error: `Unsupported RRULE part: ${key}` };
+        }
+    }
+
+    if (!rule.freq) {
+        return { error: 'FREQ is required' };
+    }
+    if (rule.byDay && rule.freq !== 'WEEKLY') {
+        return { error: 'BYDAY is only supported with FREQ=WEEKLY' };
+    }
+    if (rule.until && rule.count) {
+        return { error: 'UNTIL and COUNT cannot be used together' };
+    }
+    return { rule };
+}
+
+/** Canonical RRULE string for a parsed rule */
+function formatRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay) parts.push(`BYDAY=${rule.byDay.map(d => WEEKDAYS[d]).join(',')}`);
+    if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    return parts.join(';');
+}
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/** The occurrence that follows `date` under `rule` (ignoring UNTIL/COUNT) */
+function nextDate(rule, date) {
+    switch (rule.freq) {
+        case 'DAILY':
+            return addDays(date, rule.interval);
+
+        case 'WEEKLY': {
+            if (!rule.byDay) {
+                return addDays(date, 7 * rule.interval);
+            }
+            // Later weekday in the same week, else the first one `interval` weeks on
+            const weekday = date.getUTCDay();
+            const mondayOffset = (weekday + 6) % 7;
+            const later = rule.byDay
+                .map(d => (d + 6) % 7)
+                .filter(offset => offset > mondayOffset)
+                .sort((a, b) => a - b);
+            if (later.length > 0) {
+                return addDays(date, later[0] - mondayOffset);
+            }
+            const first = Math.min(...rule.byDay.map(d => (d + 6) % 7));
+            return addDays(date, 7 * rule.interval - mondayOffset + first);
+        }
+
+        case 'MONTHLY': {
+            const day = date.getUTCDate();
+            let year = date.getUTCFullYear();
+            let month = date.getUTCMonth();
+            // Skip months that do not have this day (e.g. the 31st)
+            do {
+                month += rule.interval;
+                year += Math.floor(month / 12);
+                month %= 12;
+            } while (daysInMonth(year, month) < day);
+            return new Date(Date.UTC(year, month, day,
+                date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()));
+        }
+    }
+}
+
+/** Shift a stored date string by `ms`, keeping date-only values date-only */
+function shiftDate(value, ms) {
+    if (!value) return value;
+    const shifted = new Date(Date.parse(value) + ms);
+    return DATE_ONLY.test(value) ? shifted.toISOString().slice(0, 10) : shifted.toISOString();
+}
+
+/**
+ * The occurrence after the given one, or null when the series has ended.
+ * `occurrence` is { index, start_date, due_date }; the schedule follows
+ * start_date when present, otherwise due_date, and the other date keeps
+ * the same offset.
+ */
+function nextOccurrence(rule, occurrence) {
+    const anchorValue = occurrence.start_date || occurrence.due_date;
+    if (!anchorValue) return null;
+
+    const index = occurrence.index + 1;
+    if (rule.count && index > rule.count) return null;
+
+    const anchor = new Date(Date.parse(anchorValue));
+    const next = nextDate(rule, anchor);
+    if (rule.until && next > rule.until) return null;
+
+    const delta = next.getTime() - anchor.getTime();
+    return {
+        index,
+        start_date: shiftDate(occurrence.start_date, delta),
+        due_date: shiftDate(occurrence.due_date, delta)
+    };
+}
+
+/**
+ * True once the occurrence is over: its due_date (or start_date) is behind
+ * `now`, a date-only value counting as the whole day.
+ */
+function hasPassed(occurrence, now = new Date()) {
+    const value = occurrence.due_date || occurrence.start_date;
+    if (!value) return false;
+    const end = Date.parse(value) + (DATE_ONLY.test(value) ? DAY_MS : 0);
+    return end <= now.getTime();
+}
+
+/** Up to `limit` occurrences following the given one */
+function upcomingOccurrences(rule, occurrence, limit) {
+    const occurrences = [];
+    let current = occurrence;
+    while (occurrences.length < limit) {
+        current = nextOccurrence(rule, current);
+        if (!current) break;
+        occurrences.push(current);
+    }
+    return occurrences;
+}
+
+module.exports = {
+    parseRule,
+    formatRule,
+    nextOccurrence,
+    hasPassed,
+    upcomingOccurrences
+};
@@ -0,0 +1,170 @@
+const { tasks, taskTags } = require('./storage');
+const { DEFAULT_STATUS, statusChanges } = require('./taskStatus');
+const { parseRule, nextOccurrence, hasPassed, upcomingOccurrences } = require('./recurrence');
+const { recordTaskChange } = require('./audit');
+const { nextPosition } = require('./taskOrder');
+const config = require('./config');
+
+/**
+ * Instances of recurring tasks.
+ *
+ * A recurring task carries an RRULE in `recurrence`. Every instance records
+ * its position in the series (recurrence_index, 1 for the first task), the
+ * first task of the series (recurrence_series_id, null on the first task
+ * itself) and, once it exists, the instance generated after it
+ * (recurrence_next_id). The next instance is generated when an instance is
+ * completed, or by the sweep once the instance's date has passed.
+ */
+
+/** Fields every new instance copies from the previous one */
+const COPIED_FIELDS = ['title', 'author', 'priority', 'description', 'parent_id', 'project_id', 'owner_id', 'recurrence', 'reminders'];
+
+const SWEEP_BATCH_SIZE = 200;
+
+const occurrenceOf = (task) => ({
+    index: task.recurrence_index || 1,
+    start_date: task.start_date,
+    due_date: task.due_date
+});
+
+const ruleOf = (task) => (task.recurrence ? parseRule(task.recurrence).rule || null : null);
+
+/**
+ * The occurrence after `task`. With skipPassed, occurrences that are
+ * already over are skipped so a long outage does not leave a pile of
+ * overdue copies behind.
+ */
+function followingOccurrence(rule, task, { skipPassed = false, now = new Date() } = {}) {
+    let next = nextOccurrence(rule, occurrenceOf(task));
+    while (skipPassed && next && hasPassed(next, now)) {
+        next = nextOccurrence(rule, next);
+    }
+    return next;
+}
+
+/**
+ * Create the instance that follows `task`, unless the series has ended or
+ * it was already generated. `options.actor` is the user whose action
+ * triggered it (null for the sweep). Resolves to { data: instance | null, error },
+ * with `task`, the row of `task` after linking it to the instance: the
+ * link bumps its version, so callers sending it back need this one.
+ */
+async function generateNextInstance(task, options = {}) {
+    const rule = ruleOf(task);
+    if (!rule || task.recurrence_next_id) {
+        return { data: null, error: null };
+    }
+
+    const next = followingOccurrence(rule, task, options);
+    if (!next) {
+        return { data: null, error: null };
+    }
+
+    const model = {};
+    for (const field of COPIED_FIELDS) {
+        if (task[field] !== undefined) model[field] = task[field];
+    }
+    Object.assign(model, {
+        start_date: next.start_date || null,
+        due_date: next.due_date || null,
+        recurrence_index: next.index,
+        recurrence_series_id: task.recurrence_series_id || task.id,
+        ...statusChanges(DEFAULT_STATUS)
+    });
+    const position = await nextPosition(task.owner_id);
+    if (position.error) {
+        return { data: null, error: position.error };
+    }
+    model.position = position.data;
+
+    const inserted = await tasks.insert([model]);
+    if (inserted.error) {
+        return { data: null, error: inserted.error };
+    }
+    const instance = inserted.data[0];
+
+    // Claim the link; if another request generated the instance first, drop ours
+    const linked = await tasks.update(task.id, { recurrence_next_id: instance.id }, { recurrence_next_id: null });
+    if (linked.error || !linked.data) {
+        await tasks.remove(instance.id);
+        return { data: null, error: linked.error || null };
+    }
+    await recordTaskChange(options.actor || null, 'created', null, instance);
+
+    // The new instance keeps the tags of the previous one
+    const links = await taskTags.list({ filters: [{ field: 'task_id', op: 'eq', value: task.id }], count: false });
+    const copied = links.error || links.data.length === 0 ? links : await taskTags.insert(
+        links.data.map(({ tag_id, owner_id }) => ({ task_id: instance.id, tag_id, owner_id })));
+    if (copied.error) {
+        console.error(`Failed to copy tags to task ${instance.id}:`, copied.error);
+    }
+    return { data: instance, task: linked.data, error: null };
+}
+
+/** The next `limit` occurrences after `task`, without creating anything */
+function previewOccurrences(task, limit) {
+    const rule = ruleOf(task);
+    return rule ? upcomingOccurrences(rule, occurrenceOf(task), limit) : [];
+}
+
+/**
+ * Generate the next instance of every recurring task whose occurrence has
+ * passed without one. Cancelled or deleted instances end their series.
+ */
+async function sweepRecurringTasks(now = new Date()) {
+    const filters = [
+        { field: 'recurrence', op: 'not_is', value: null },
+        { field: 'recurrence_next_id', op: 'is', value: null },
+        { field: 'status', op: 'neq', value: 'cancelled' },
+        { field: 'deleted_at', op: 'is', value: null }
+    ];
+    const sort = { field: 'id', ascending: true };
+    let after;
+    let generated = 0;
+
+    for (;;) {
+        const { data, error } = await tasks.list({ filters, sort, after, range: { from: 0, to: SWEEP_BATCH_SIZE - 1 }, count: false });
+        if (error) {
+            console.error('Recurring task sweep failed:', error);
+            break;
+        }
+
+        for (const task of data) {
+            if (!hasPassed(task, now)) continue;
+            const result = await generateNextInstance(task, { skipPassed: true, now });
+            if (result.error) {
+                console.error(`Failed to generate the next instance of task ${task.id}:`, result.error);
+            } else if (result.data) {
+                generated++;
+            }
+        }
+
+        if (data.length < SWEEP_BATCH_SIZE) break;
+        const last = data[data.length - 1];
+        after = { value: last.id, id: last.id };
+    }
+
+    if (generated > 0) {
+        console.log(`Generated ${generated} recurring task instance(s)`);
+    }
+    return generated;
+}
+
+/** Run the sweep now and then every RECURRENCE_SWEEP_MINUTES */
+function startRecurrenceSweep(minutes = config.recurrenceSweepMinutes) {
+    if (!minutes || minutes <= 0) {
+        return null;
+    }
+    const run = () => sweepRecurringTasks().catch(err => console.error('Recurring task sweep failed:', err));
+    run();
+    const timer = setInterval(run, minutes * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    generateNextInstance,
+    previewOccurrences,
+    sweepRecurringTasks,
+    startRecurrenceSweep
+};
@@ -0,0 +1,162 @@
+const net = require('net');
+
+/**
+ * A minimal Redis client for the shared rate limit store: one connection,
+ * commands pipelined in order, RESP2 replies. It speaks to Redis and to
+ * compatible servers (Valkey, KeyDB, Dragonfly); redis://[user:password@]
+ * host[:port][/db] URLs are supported, TLS is not.
+ */
+
+/** How long the server has to answer each command */
+const COMMAND_TIMEOUT_MS = 2 * 1000;
+
+/** A command in wire format: an array of bulk strings */
+function encodeCommand(args) {
+    const parts = [`*${args.length}\r\n`];
+    for (const arg of args) {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    }
+    return parts.join('');
+}
+
+/**
+ * Parse one reply from `buffer` at `offset`. Returns { value, next } with
+ * the offset after the reply, or null when the reply is not complete yet.
+ * Error replies come back as Error values.
+ */
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+        return null;
+    }
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, next };
+        case '-':
+            return { value: new Error(line), next };
+        case ':':
+            return { value: Number(line), next };
+        case '$': {
+            const length = Number(line);
+            if (length < 0) {
+                return { value: null, next };
+            }
+            if (buffer.length < next + length + 2) {
+                return null;
+            }
+            return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count < 0) {
+                return { value: null, next };
+            }
+            const items = [];
+            let at = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, at);
+                if (!item) {
+                    return null;
+                }
+                items.push(item.value);
+                at = item.next;
+            }
+            return { value: items, next: at };
+        }
+        default:
+            throw new Error(`Unexpected Redis reply type "${type}"`);
+    }
+}
+
+/**
+ * A client for the server at `url`. It connects on the first command and
+ * again after the connection is lost. command(...args) resolves to the
+ * reply, or rejects when the server answers with an error, does not answer
+ * in time or cannot be reached.
+ */
+function createRedisClient(url) {
+    const target = new URL(url);
+    const database = Number(target.pathname.slice(1)) || 0;
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+    let pending = [];
+
+    const failAll = (err) => {
+        const failed = pending;
+        pending = [];
+        buffer = Buffer.alloc(0);
+        for (const { reject, timer } of failed) {
+            clearTimeout(timer);
+            reject(err);
+        }
+    };
+
+    const onData = (chunk) => {
+        buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+        let reply;
+        try {
+            while (pending.length > 0 && (reply = parseReply(buffer))) {
+                buffer = buffer.subarray(reply.next);
+                const { resolve, reject, timer } = pending.shift();
+                clearTimeout(timer);
+                if (reply.value instanceof Error) {
+                    reject(reply.value);
+                } else {
+                    resolve(reply.value);
+                }
+            }
+        } catch (err) {
+            socket.destroy(err);
+        }
+    };
+
+    const send = (args) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.destroy(new Error(`Redis did not answer within ${COMMAND_TIMEOUT_MS / 1000}s`));
+        }, COMMAND_TIMEOUT_MS);
+        pending.push({ resolve, reject, timer });
+        socket.write(encodeCommand(args));
+    });
+
+    const connect = () => {
+        socket = net.createConnection({ host: target.hostname || 'localhost', port: Number(target.port) || 6379 });
+        socket.setNoDelay(true);
+        socket.on('data', onData);
+        socket.on('error', (err) => failAll(err));
+        socket.on('close', () => {
+            socket = null;
+            failAll(new Error('Redis closed the connection'));
+        });
+
+        // Pipelined ahead of the first command, so nothing waits for them
+        if (target.password) {
+            const password = decodeURIComponent(target.password);
+            const auth = target.username ? ['AUTH', decodeURIComponent(target.username), password] : ['AUTH', password];
+            send(auth).catch(() => {});
+        }
+        if (database > 0) {
+            send(['SELECT', database]).catch(() => {});
+        }
+    };
+
+    return {
+        command(...args) {
+            if (!socket) connect();
+            return send(args);
+        },
+        close() {
+            if (socket) socket.end();
+        }
+    };
+}
+
+module.exports = {
+    encodeCommand,
+    parseReply,
+    createRedisClient
+};
@@ -0,0 +1,83 @@
+/**
+ * Relative dates for saved views, so "due this week" stays this week.
+ *
+ * A relative date is an anchor with an optional offset in days or weeks:
+ * now, today (= start_of_day), end_of_day, start_of_week, end_of_week,
+ * start_of_month or end_of_month, e.g. `today+3d` or `start_of_week-1w`.
+ * They are resolved in UTC when the view runs; weeks start on Monday and
+ * end_of_* is the last millisecond of the day, week or month.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RELATIVE_DATE = /^([a-z_]+)(?:([+-])(\d+)([dw]))?$/;
+
+/** 00:00 UTC of the day containing `time` */
+const startOfDay = (time) => Math.floor(time / DAY_MS) * DAY_MS;
+
+/** Monday 00:00 UTC of the week containing `time` */
+const startOfWeek = (time) => {
+    const day = startOfDay(time);
+    return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS;
+};
+
+const startOfMonth = (time) => {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+};
+
+const ANCHORS = {
+    now: (time) => time,
+    today: startOfDay,
+    start_of_day: startOfDay,
+    end_of_day: (time) => startOfDay(time) + DAY_MS - 1,
+    start_of_week: startOfWeek,
+    end_of_week: (time) => startOfWeek(time) + 7 * DAY_MS - 1,
+    start_of_month: startOfMonth,
+    end_of_month: (time) => {
+        const date = new Date(time);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) - 1;
+    }
+};
+
+const UNIT_MS = { d: DAY_MS, w: 7 * DAY_MS };
+
+/** Whether `value` is a relative date */
+function isRelativeDate(value) {
+    const match = RELATIVE_DATE.exec(value);
+    return Boolean(match && ANCHORS[match[1]]);
+}
+
+/**
+ * Validation `parse` rule for date filters that may be relative: accepts
+ * a relative date or anything Date.parse understands, stored as given.
+ */
+function parseDateOrRelative(value) {
+    const lower = value.toLowerCase();
+    if (isRelativeDate(lower)) {
+        return { value: lower };
+    }
+    if (isNaN(Date.parse(value))) {
+        return { message: `"${value}" must be a date or a relative date such as today, end_of_week or today+7d` };
+    }
+    return { value };
+}
+
+/** The ISO timestamp a relative date stands for at `now`; other dates come back unchanged */
+function resolveDate(value, now = new Date()) {
+    if (!value || !isRelativeDate(value)) {
+        return value;
+    }
+    const [, anchor, sign, amount, unit] = RELATIVE_DATE.exec(value);
+    const offset = sign ? (sign === '+' ? 1 : -1) * Number(amount) * UNIT_MS[unit] : 0;
+    return new Date(ANCHORS[anchor](now.getTime()) + offset).toISOString();
+}
+
+module.exports = {
+    DAY_MS,
+    startOfDay,
+    startOfWeek,
+    isRelativeDate,
+    parseDateOrRelative,
+    resolveDate
+};
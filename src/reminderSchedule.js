@@ -0,0 +1,112 @@
+const config = require('./config');
+
+/**
+ * When a task's due-date reminders fire.
+ *
+ * A task's `reminders` holds lead times such as '30m', '2h' or '1d': each
+ * one fires that long before the due date. Tasks without their own list
+ * use REMINDER_LEAD_TIMES. Every open task with a due date also gets one
+ * `overdue` reminder once the due date has passed, unless its list is
+ * empty ('none'), which turns reminders off for the task. Date-only due
+ * dates are due at the end of that day (UTC), the same moment
+ * GET /tasks/stats counts them as overdue.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const LEAD_PATTERN = /^(\d+)([mhd])$/;
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+/** Longest lead time, which also bounds how far ahead the scheduler looks */
+const MAX_LEAD_MINUTES = 30 * 24 * 60;
+
+/** Most lead times per task */
+const MAX_LEADS = 5;
+
+/** Value of `reminders` that turns them off for a task */
+const NO_REMINDERS = 'none';
+
+/** Minutes in a lead time such as '2h', or null if it is not one */
+function leadMinutes(lead) {
+    const match = LEAD_PATTERN.exec(lead);
+    return match ? Number(match[1]) * UNIT_MINUTES[match[2]] : null;
+}
+
+/**
+ * Validation `parse` rule for the reminders list: each value must be a
+ * lead time of at most 30 days, or the list is just 'none'. Lead times
+ * are kept as written, longest first, one per duration.
+ */
+function parseLeads(leads) {
+    if (leads.length === 1 && leads[0] === NO_REMINDERS) {
+        return { value: [] };
+    }
+    const byMinutes = new Map();
+    for (const lead of leads) {
+        const minutes = leadMinutes(lead);
+        if (minutes === null) {
+            return { message: `reminders: "${lead}" is not a lead time such as 30m, 2h or 1d (or use "${NO_REMINDERS}")` };
+        }
+        if (minutes > MAX_LEAD_MINUTES) {
+            return { message: `reminders: "${lead}" is more than ${MAX_LEAD_MINUTES / UNIT_MINUTES.d} days` };
+        }
+        if (!byMinutes.has(minutes)) byMinutes.set(minutes, lead);
+    }
+    if (byMinutes.size > MAX_LEADS) {
+        return { message: `reminders can have at most ${MAX_LEADS} lead times` };
+    }
+    return { value: [...byMinutes].sort(([a], [b]) => b - a).map(([, lead]) => lead) };
+}
+
+/** The lead times of REMINDER_LEAD_TIMES, or { error } when it is invalid */
+function defaultLeads(value = config.reminderLeadTimes) {
+    const leads = String(value).split(',').map(lead => lead.trim().toLowerCase()).filter(Boolean);
+    if (leads.length === 0) {
+        return { data: [] };
+    }
+    const parsed = parseLeads(leads);
+    return parsed.message ? { error: `REMINDER_LEAD_TIMES is invalid: ${parsed.message}` } : { data: parsed.value };
+}
+
+/** The moment a task is due, as a timestamp */
+const dueTime = (task) => Date.parse(task.due_date) + (DATE_ONLY.test(task.due_date) ? DAY_MS : 0);
+
+/**
+ * Every reminder of `task` for its current due date, earliest first:
+ * { kind: 'upcoming' | 'overdue', lead, lead_minutes, remind_at }.
+ * `fallback` holds the lead times used when the task has none of its own.
+ */
+function reminderSchedule(task, fallback = []) {
+    // An empty list of its own turns every reminder off, overdue included
+    if (!task.due_date || (Array.isArray(task.reminders) && task.reminders.length === 0)) {
+        return [];
+    }
+    const due = dueTime(task);
+    const leads = Array.isArray(task.reminders) ? task.reminders : fallback;
+
+    const upcoming = leads
+        .map(lead => ({ lead, minutes: leadMinutes(lead) }))
+        .filter(({ minutes }) => minutes !== null)
+        .map(({ lead, minutes }) => ({
+            kind: 'upcoming',
+            lead,
+            lead_minutes: minutes,
+            remind_at: new Date(due - minutes * MINUTE_MS).toISOString()
+        }));
+    return [...upcoming, { kind: 'overdue', lead: null, lead_minutes: 0, remind_at: new Date(due).toISOString() }]
+        .sort((a, b) => Date.parse(a.remind_at) - Date.parse(b.remind_at));
+}
+
+module.exports = {
+    MAX_LEAD_MINUTES,
+    leadMinutes,
+    parseLeads,
+    defaultLeads,
+    dueTime,
+    reminderSchedule
+};
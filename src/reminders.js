@@ -0,0 +1,233 @@
+const { reminders } = require('./storage');
+const { scanTasks, trashFilter } = require('./taskService');
+const { TASK_STATUSES, CLOSED_STATUSES } = require('./taskStatus');
+const { MAX_LEAD_MINUTES, defaultLeads, dueTime, reminderSchedule } = require('./reminderSchedule');
+const { configuredChannels, notify } = require('./notifications');
+const config = require('./config');
+
+/**
+ * Due-date reminders.
+ *
+ * The scheduler looks for open tasks whose reminders have come due (see
+ * reminderSchedule.js) and sends each one through REMINDER_CHANNELS.
+ * Every reminder is recorded in the Reminders table before it is sent,
+ * keyed by task, kind, lead time and due date, so it fires at most once
+ * even across restarts, and fires again if the due date moves.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/** Overdue reminders are not sent for tasks that became overdue longer ago than this */
+const OVERDUE_LOOKBACK_MS = 24 * 60 * MINUTE_MS;
+
+const OPEN_STATUSES = TASK_STATUSES.filter(status => !CLOSED_STATUSES.includes(status));
+
+/** Identifies one reminder of one due date */
+const reminderKey = ({ kind, lead_minutes, due_date }) => `${kind}:${lead_minutes}:${due_date}`;
+
+/** Postgres unique_violation: another instance recorded the reminder first */
+const isDuplicate = (error) => error && error.code === '23505';
+
+/** Recorded reminders of the given tasks, keyed by task id and reminderKey */
+async function recordedReminders(taskIds) {
+    const { data, error } = await reminders.list({
+        filters: [{ field: 'task_id', op: 'in', value: taskIds }],
+        count: false
+    });
+    if (error) {
+        return { data: null, error };
+    }
+    const recorded = new Map();
+    for (const row of data) {
+        recorded.set(`${row.task_id}/${reminderKey(row)}`, row);
+    }
+    return { data: recorded, error: null };
+}
+
+/**
+ * Which reminders of `task` are due at `now`. When several upcoming ones
+ * are due at once (the task was created or moved close to its due date,
+ * or the server was down), only the latest is sent and the others are
+ * recorded as skipped.
+ */
+function dueReminders(task, fallback, now) {
+    const due = dueTime(task);
+    const passed = reminderSchedule(task, fallback).filter(item => Date.parse(item.remind_at) <= now.getTime());
+    const upcoming = due > now.getTime() ? passed.filter(item => item.kind === 'upcoming') : [];
+    const overdue = due <= now.getTime() && due > now.getTime() - OVERDUE_LOOKBACK_MS
+        ? passed.filter(item => item.kind === 'overdue')
+        : [];
+
+    return [
+        ...upcoming.map((item, index) => ({ ...item, skip: index < upcoming.length - 1 })),
+        ...overdue.map(item => ({ ...item, skip: false }))
+    ];
+}
+
+/**
+ * Record one reminder and send it unless it is skipped. Resolves to the
+ * stored row, or null when another instance recorded it first.
+ */
+async function sendReminder(task, item, channels) {
+    const claimed = await reminders.insert([{
+        task_id: task.id,
+        owner_id: task.owner_id,
+        kind: item.kind,
+        lead: item.lead,
+        lead_minutes: item.lead_minutes,
+        due_date: task.due_date,
+        remind_at: item.remind_at,
+        status: item.skip ? 'skipped' : 'pending'
+    }]);
+    if (isDuplicate(claimed.error)) {
+        return { data: null, error: null };
+    }
+    if (claimed.error || item.skip) {
+        return { data: claimed.error ? null : claimed.data[0], error: claimed.error };
+    }
+
+    const row = claimed.data[0];
+    const { sent, errors } = await notify({
+        id: row.id,
+        kind: row.kind,
+        lead: row.lead,
+        remind_at: row.remind_at,
+        due_date: row.due_date,
+        owner_id: row.owner_id,
+        task
+    }, channels);
+    return reminders.update(row.id, {
+        status: sent.length > 0 || channels.length === 0 ? 'sent' : 'failed',
+        channels: sent,
+        errors: Object.keys(errors).length > 0 ? errors : null,
+        sent_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Send every reminder that is due at `now` and has not been recorded yet.
+ * Reminders are sent at most once: one that fails on every channel is
+ * marked failed, not retried. Resolves to the number of reminders sent.
+ */
+async function sweepReminders({ channels, fallback }, now = new Date()) {
+    const filters = [
+        trashFilter(),
+        { field: 'owner_id', op: 'not_is', value: null },
+        { field: 'status', op: 'in', value: OPEN_STATUSES },
+        { field: 'due_date', op: 'not_is', value: null },
+        // Date-only due dates are due a day after they start, hence the extra day
+        { field: 'due_date', op: 'gte', value: new Date(now.getTime() - OVERDUE_LOOKBACK_MS - 24 * 60 * MINUTE_MS).toISOString() },
+        { field: 'due_date', op: 'lte', value: new Date(now.getTime() + MAX_LEAD_MINUTES * MINUTE_MS).toISOString() }
+    ];
+    let sent = 0;
+
+    for await (const { data, error } of scanTasks({ filters })) {
+        if (error) {
+            console.error('Reminder sweep failed:', error);
+            break;
+        }
+
+        const pending = data.map(task => ({ task, items: dueReminders(task, fallback, now) }))
+            .filter(({ items }) => items.length > 0);
+        if (pending.length === 0) continue;
+
+        const recorded = await recordedReminders(pending.map(({ task }) => task.id));
+        if (recorded.error) {
+            console.error('Reminder sweep failed:', recorded.error);
+            break;
+        }
+
+        for (const { task, items } of pending) {
+            for (const item of items) {
+                if (recorded.data.has(`${task.id}/${reminderKey({ ...item, due_date: task.due_date })}`)) continue;
+                const result = await sendReminder(task, item, channels);
+                if (result.error) {
+                    console.error(`Failed to send a reminder for task ${task.id}:`, result.error);
+                } else if (result.data && result.data.status === 'sent') {
+                    sent++;
+                }
+            }
+        }
+    }
+
+    if (sent > 0) {
+        console.log(`Sent ${sent} task reminder(s)`);
+    }
+    return sent;
+}
+
+/**
+ * The reminders of `task` for its current due date, with what happened to
+ * the ones that came due. Resolves to { data: { leads, schedule } }.
+ */
+async function taskReminders(task) {
+    const fallback = defaultLeads();
+    const leads = Array.isArray(task.reminders) ? task.reminders : (fallback.data || []);
+    const schedule = reminderSchedule(task, leads);
+    if (schedule.length === 0) {
+        return { data: { leads, schedule }, error: null };
+    }
+
+    const recorded = await recordedReminders([task.id]);
+    if (recorded.error) {
+        return { data: null, error: recorded.error };
+    }
+    const now = Date.now();
+    // Upcoming reminders are dropped once the task is due, overdue ones after the lookback
+    const missed = (item) => (item.kind === 'upcoming'
+        ? dueTime(task) <= now
+        : Date.parse(item.remind_at) <= now - OVERDUE_LOOKBACK_MS);
+    return {
+        data: {
+            leads,
+            schedule: schedule.map(item => {
+                const row = recorded.data.get(`${task.id}/${reminderKey({ ...item, due_date: task.due_date })}`);
+                return {
+                    ...item,
+                    status: row ? row.status : (missed(item) ? 'missed' : 'scheduled'),
+                    channels: row ? row.channels || [] : [],
+                    errors: row ? row.errors || null : null,
+                    sent_at: row ? row.sent_at || null : null
+                };
+            })
+        },
+        error: null
+    };
+}
+
+/**
+ * Run the reminder sweep now and then every REMINDER_SWEEP_MINUTES.
+ * Invalid REMINDER_CHANNELS or REMINDER_LEAD_TIMES keep it from starting.
+ */
+function startReminderScheduler(minutes = config.reminderSweepMinutes) {
+    if (!minutes || minutes <= 0) {
+        return null;
+    }
+    const channels = configuredChannels();
+    const fallback = defaultLeads();
+    if (channels.error || fallback.error) {
+        console.error(`Reminders are off: ${channels.error || fallback.error}`);
+        return null;
+    }
+
+    const options = { channels: channels.data, fallback: fallback.data };
+    // A slow sweep (e.g. a hanging SMTP server) must not overlap the next one
+    let running = false;
+    const run = () => {
+        if (running) return;
+        running = true;
+        sweepReminders(options)
+            .catch(err => console.error('Reminder sweep failed:', err))
+            .finally(() => { running = false; });
+    };
+    run();
+    const timer = setInterval(run, minutes * MINUTE_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    sweepReminders,
+    taskReminders,
+    startReminderScheduler
+};
@@ -0,0 +1,80 @@
+const express = require('express');
+const { auditLog } = require('../storage');
+const { AUDIT_ACTIONS } = require('../audit');
+const { validate, sendValidationErrors } = require('../validation');
+const { paginationFields, pageOrCursor, pageRequest, pageResult } = require('../pagination');
+
+const router = express.Router();
+
+/** Cross-field check: from must not be after to */
+const fromBeforeTo = ({ from, to }) =>
+    (from && to && new Date(from) > new Date(to) ? { field: 'from', message: 'from cannot be after to' } : null);
+
+const AUDIT_QUERY = {
+    fields: {
+        task_id: { type: 'integer', min: 1 },
+        action: { type: 'list', items: AUDIT_ACTIONS },
+        actor_id: { type: 'integer', min: 1 },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        ...paginationFields(50)
+    },
+    checks: [fromBeforeTo, pageOrCursor]
+};
+
+/**
+ * GET /audit
+ * Query Parameters:
+ * - task_id: only entries of this task
+ * - action: created, updated, deleted, restored, reverted, purged (comma separated)
+ * - actor_id: only changes made by this user
+ * - from, to: created_at range (ISO format)
+ * - limit, page, cursor, count: same as GET /tasks (default limit: 50)
+ * Response:
+ * - data: audit entries, newest first, without snapshots:
+ *   { id, task_id, action, actor_id, actor_name, changes, created_at }
+ * - pagination: { page, limit, total, totalPages, next_cursor }
+ * Changes to every task the authenticated user owns, including tasks that
+ * have since been purged.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(AUDIT_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const pageRequested = pageRequest(params, { field: 'id', ascending: false });
+        if (pageRequested.error) {
+            return sendValidationErrors(res, [pageRequested.error]);
+        }
+
+        const filters = [{ field: 'owner_id', op: 'eq', value: req.user.id }];
+        if (params.task_id) filters.push({ field: 'task_id', op: 'eq', value: params.task_id });
+        if (params.action) filters.push({ field: 'action', op: 'in', value: params.action });
+        if (params.actor_id) filters.push({ field: 'actor_id', op: 'eq', value: params.actor_id });
+        if (params.from) filters.push({ field: 'created_at', op: 'gte', value: params.from });
+        if (params.to) filters.push({ field: 'created_at', op: 'lte', value: params.to });
+
+        const { data: rows, error, count } = await auditLog.list({ ...pageRequested.options, filters });
+
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch audit log',
+                message: error.message
+            });
+        }
+
+        const page = pageResult(rows, count, params, pageRequested);
+        res.status(200).json({ ...page, data: page.data.map(({ snapshot, ...entry }) => entry) });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = {
+    router,
+    AUDIT_QUERY
+};
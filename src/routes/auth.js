@@ -0,0 +1,247 @@
+const express = require('express');
+const { users, apiKeys } = require('../storage');
+const { validate, sendValidationErrors } = require('../validation');
+const { hashPassword, verifyPassword, publicUser, signToken, generateApiKey, hashApiKey, requireAuth } = require('../auth');
+
+const router = express.Router();
+
+const EMAIL_FIELD = {
+    type: 'string',
+    required: true,
+    trim: true,
+    lowercase: true,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    patternMessage: 'email must be a valid email address'
+};
+
+const REGISTER_SCHEMA = {
+    fields: {
+        email: EMAIL_FIELD,
+        password: { type: 'string', required: true, minLength: 8 },
+        name: { type: 'string', trim: true }
+    }
+};
+
+const LOGIN_SCHEMA = {
+    fields: {
+        email: EMAIL_FIELD,
+        password: { type: 'string', required: true }
+    }
+};
+
+const API_KEY_SCHEMA = {
+    fields: {
+        id: { readOnly: true },
+        owner_id: { readOnly: true },
+        prefix: { readOnly: true },
+        created_at: { readOnly: true },
+        name: { type: 'string', required: true, trim: true }
+    }
+};
+
+/** Characters of a key kept to tell keys apart: "tk_" and 8 more */
+const API_KEY_PREFIX_LENGTH = 11;
+
+/** Strip the hash before an API key row leaves the server */
+function publicApiKey(apiKey) {
+    const { key_hash, ...rest } = apiKey;
+    return rest;
+}
+
+async function findUserByEmail(email) {
+    const { data, error } = await users.list({
+        filters: [{ field: 'email', op: 'eq', value: email }],
+        range: { from: 0, to: 0 },
+        count: false
+    });
+    return { data: data && data.length > 0 ? data[0] : null, error };
+}
+
+/**
+ * POST /auth/register
+ * Body Parameters:
+ * - email: string (required)
+ * - password: string (required, at least 8 characters)
+ * - name: string (display name, used as the default task author)
+ * Response: data: { user, token }
+ * Create a user account and return an access token.
+ */
+router.post('/register', async (req, res) => {
+    try {
+        const { value, errors } = validate(REGISTER_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const existing = await findUserByEmail(value.email);
+        if (existing.error) {
+            return res.status(500).json({ error: existing.error.message });
+        }
+        if (existing.data) {
+            return res.status(409).json({ error: 'Email is already registered' });
+        }
+
+        const { data, error } = await users.insert([{
+            email: value.email,
+            name: value.name || value.email.split('@')[0],
+            password_hash: await hashPassword(value.password)
+        }]);
+
+        if (error) {
+            console.error('Database error:', error);
+
+            if (error.code === '23505') { // Unique constraint violation
+                return res.status(409).json({ error: 'Email is already registered' });
+            }
+
+            return res.status(500).json({
+                error: 'Failed to register user',
+                message: error.message
+            });
+        }
+
+        res.status(201).json({
+            message: 'User registered successfully',
+            data: {
+                user: publicUser(data[0]),
+                token: signToken(data[0])
+            }
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /auth/login
+ * Body Parameters:
+ * - email: string (required)
+ * - password: string (required)
+ * Response: data: { user, token }
+ * Exchange credentials for an access token.
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { value, errors } = validate(LOGIN_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const { data: user, error } = await findUserByEmail(value.email);
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+
+        if (!user || !(await verifyPassword(value.password, user.password_hash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        res.status(200).json({
+            data: {
+                user: publicUser(user),
+                token: signToken(user)
+            }
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /auth/me
+ * Response: data: the authenticated user
+ */
+router.get('/me', requireAuth, async (req, res) => {
+    const { data, error } = await users.findById(req.user.id);
+    if (error) {
+        return res.status(500).json({ error: error.message });
+    }
+    if (!data) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(200).json({ data: publicUser(data) });
+});
+
+/**
+ * GET /auth/keys
+ * Response: data: array of API keys { id, name, prefix, created_at }, oldest first
+ * The keys themselves are never listed.
+ */
+router.get('/keys', requireAuth, async (req, res) => {
+    const { data, error } = await apiKeys.list({
+        filters: [{ field: 'owner_id', op: 'eq', value: req.user.id }],
+        sort: { field: 'id', ascending: true },
+        count: false
+    });
+    if (error) {
+        return res.status(500).json({ error: 'Failed to fetch API keys', message: error.message });
+    }
+    res.status(200).json({ data: data.map(publicApiKey) });
+});
+
+/**
+ * POST /auth/keys
+ * Body Parameters:
+ * - name: string (required), what the key is for
+ * Response: data: created API key, including the key (shown only this once)
+ * Create an API key. Requests that send it in the X-API-Key header act as
+ * the authenticated user, like a bearer token that does not expire.
+ */
+router.post('/keys', requireAuth, async (req, res) => {
+    const { value, errors } = validate(API_KEY_SCHEMA, req.body, 'create');
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const key = generateApiKey();
+    const { data, error } = await apiKeys.insert([{
+        owner_id: req.user.id,
+        name: value.name,
+        prefix: key.slice(0, API_KEY_PREFIX_LENGTH),
+        key_hash: hashApiKey(key)
+    }]);
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Failed to create API key', message: error.message });
+    }
+    res.status(201).json({ message: 'API key created successfully', data: { ...publicApiKey(data[0]), key } });
+});
+
+/**
+ * DELETE /auth/keys/:id
+ * Path Parameters:
+ * - id: API key ID
+ * Response: data: the deleted API key
+ * Revoke an API key; requests sending it are refused from then on.
+ */
+router.delete('/keys/:id', requireAuth, async (req, res) => {
+    const current = await apiKeys.findById(req.params.id);
+    if (current.error) {
+        return res.status(500).json({ error: current.error.message });
+    }
+    if (!current.data) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    if (String(current.data.owner_id) !== String(req.user.id)) {
+        return res.status(403).json({ error: 'You do not have access to this API key' });
+    }
+
+    const { data, error } = await apiKeys.remove(current.data.id, { owner_id: req.user.id });
+    if (error) {
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Failed to delete API key', message: error.message });
+    }
+    if (!data) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    res.status(200).json({ message: 'API key deleted successfully', data: publicApiKey(data) });
+});
+
+module.exports = {
+    router,
+    REGISTER_SCHEMA,
+    LOGIN_SCHEMA,
+    API_KEY_SCHEMA
+};
@@ -0,0 +1,43 @@
+const express = require('express');
+const { openApiDocument } = require('../openapi');
+
+const router = express.Router();
+
+/** Swagger UI from a CDN, so the docs page needs no build step or extra dependency */
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5';
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Task API</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+    <div id="docs"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+    <script>
+        SwaggerUIBundle({ url: '/openapi.json', dom_id: '#docs', persistAuthorization: true });
+    </script>
+</body>
+</html>
+`;
+
+/**
+ * GET /openapi.json
+ * Response: the OpenAPI 3 document of the API
+ */
+router.get('/openapi.json', (req, res) => {
+    res.status(200).json(openApiDocument());
+});
+
+/**
+ * GET /docs
+ * Response: HTML page to browse and try the API (log in with
+ * POST /auth/login, then paste the token under Authorize)
+ */
+router.get('/docs', (req, res) => {
+    res.status(200).type('html').send(DOCS_PAGE);
+});
+
+module.exports = { router };
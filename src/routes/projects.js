@@ -0,0 +1,353 @@
+const express = require('express');
+const { PROJECT_TASKS_QUERY } = require('../taskSchema');
+const { validate, sendValidationErrors } = require('../validation');
+const { pageRequest, pageResult } = require('../pagination');
+const { RELEVANCE_SORT_FIELD, findTasks } = require('../taskSearch');
+const { appliedFilters, withTags } = require('../taskFilters');
+const {
+    listProjects,
+    getVisibleProject,
+    createProject,
+    updateProject,
+    setArchived,
+    listMembers,
+    addMember,
+    removeMember
+} = require('../projectService');
+
+const router = express.Router();
+
+/** Send the error of a failed project service call */
+const sendFailure = (res, { error }) => res.status(error.status).json(error.body);
+
+const PROJECT_SCHEMA = {
+    fields: {
+        id: { readOnly: true },
+        owner_id: { readOnly: true },
+        archived_at: { readOnly: true },
+        created_at: { readOnly: true },
+        updated_at: { readOnly: true },
+        name: { type: 'string', required: true, trim: true },
+        description: { type: 'string', trim: true }
+    }
+};
+
+const PROJECT_LIST_QUERY = {
+    fields: {
+        archived: { type: 'boolean', default: false }
+    }
+};
+
+/** Cross-field check: a member is added by exactly one of user_id or email */
+function oneMemberKey({ user_id: userId, email }) {
+    if (userId && email) {
+        return { field: 'body', message: 'Give either user_id or email, not both' };
+    }
+    if (!userId && !email) {
+        return { field: 'body', message: 'user_id or email is required' };
+    }
+    return null;
+}
+
+const PROJECT_MEMBER_SCHEMA = {
+    fields: {
+        user_id: { type: 'integer', min: 1 },
+        email: { type: 'string', trim: true, lowercase: true }
+    },
+    checks: [oneMemberKey]
+};
+
+/**
+ * GET /projects
+ * Query Parameters:
+ * - archived: boolean (default: false), list archived projects instead of active ones
+ * Response: data: array of projects, by name: the ones you own and the ones
+ * you are a member of, each with your role (owner or member)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(PROJECT_LIST_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await listProjects(req.user, params);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /projects
+ * Body Parameters:
+ * - name: string (required, unique per user ignoring case)
+ * - description: string
+ * Response: data: created project
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { value, errors } = validate(PROJECT_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await createProject(req.user, value);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(201).json({ message: 'Project created successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /projects/:id
+ * Path Parameters:
+ * - id: project ID
+ * Response: data: project object
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const result = await getVisibleProject(req.user, req.params.id);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PATCH /projects/:id
+ * Path Parameters:
+ * - id: project ID
+ * Body Parameters: name, description
+ * Response: data: updated project
+ * Only the owner can change a project, and not while it is archived.
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const { value, errors } = validate(PROJECT_SCHEMA, req.body, 'update');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        if (Object.keys(value).length === 0) {
+            return sendValidationErrors(res, [{ field: 'body', message: 'No fields to update' }]);
+        }
+
+        const result = await updateProject(req.user, req.params.id, value);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Project updated successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/** POST /projects/:id/archive and /unarchive share everything but the direction */
+const archiveRoute = (archived) => async (req, res) => {
+    try {
+        const result = await setArchived(req.user, req.params.id, archived);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({
+            message: archived ? 'Project archived' : 'Project unarchived',
+            data: result.data
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * POST /projects/:id/archive
+ * Path Parameters:
+ * - id: project ID
+ * Response: data: archived project
+ * Archived projects are read-only: their tasks stay visible, but the
+ * project cannot be changed and no task can be moved into it. Only the
+ * owner can archive a project.
+ */
+router.post('/:id/archive', archiveRoute(true));
+
+/**
+ * POST /projects/:id/unarchive
+ * Path Parameters:
+ * - id: project ID
+ * Response: data: active project
+ */
+router.post('/:id/unarchive', archiveRoute(false));
+
+/**
+ * GET /projects/:id/members
+ * Path Parameters:
+ * - id: project ID
+ * Response: data: array of { user_id, name, email, role, added_at }, the
+ * owner first, then the members by name
+ */
+router.get('/:id/members', async (req, res) => {
+    try {
+        const result = await listMembers(req.user, req.params.id);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /projects/:id/members
+ * Path Parameters:
+ * - id: project ID
+ * Body Parameters (one of):
+ * - user_id: integer
+ * - email: string
+ * Response: data: added member
+ * Members can see the project, its members and its tasks. Only the owner
+ * can add members.
+ */
+router.post('/:id/members', async (req, res) => {
+    try {
+        const { value, errors } = validate(PROJECT_MEMBER_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await addMember(req.user, req.params.id, value);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(201).json({ message: 'Member added', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /projects/:id/members/:userId
+ * Path Parameters:
+ * - id: project ID
+ * - userId: ID of the member to remove
+ * Response: data: removed membership
+ * The owner can remove any member; members can leave a project by
+ * removing themselves.
+ */
+router.delete('/:id/members/:userId', async (req, res) => {
+    try {
+        const result = await removeMember(req.user, req.params.id, req.params.userId);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Member removed', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /projects/:id/tasks
+ * Path Parameters:
+ * - id: project ID
+ * Query Parameters:
+ * - q, fields: optional search, same as GET /tasks/search
+ * - sort: a sortable field or relevance (default: relevance with a q, created_at without)
+ * - order: 'asc' or 'desc' (default: desc)
+ * - limit, page, cursor, count: pagination (default limit: 20)
+ * - priority, author, status, start_date_from, start_date_to, due_date_from,
+ *   due_date_to, tags, tags_match: same filters as GET /tasks/search
+ * Response:
+ * - data: the project's tasks, with tags (and score and highlights with a q)
+ * - project: { id, name }
+ * - search: same as GET /tasks/search, only with a q
+ * - sorting: { field, order }
+ * - pagination: { page, limit, total, totalPages, next_cursor }
+ * Members see the same tasks as the owner.
+ */
+router.get('/:id/tasks', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(PROJECT_TASKS_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const project = await getVisibleProject(req.user, req.params.id);
+        if (project.error) {
+            return sendFailure(res, project);
+        }
+
+        const { q: searchQuery, fields, order } = params;
+        const sort = params.sort || (searchQuery ? 'relevance' : 'created_at');
+        const pageRequested = pageRequest(params, {
+            field: sort === 'relevance' ? RELEVANCE_SORT_FIELD : sort,
+            ascending: order === 'asc'
+        });
+        if (pageRequested.error) {
+            return sendValidationErrors(res, [pageRequested.error]);
+        }
+
+        // Every task of a project belongs to its owner, so list them as the owner
+        const owner = { id: project.data.owner_id };
+        const projectParams = { ...params, sort, project_id: project.data.id };
+        const { data: rows, error, count } = await findTasks(owner, projectParams, pageRequested);
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch tasks',
+                message: error.message
+            });
+        }
+
+        const page = pageResult(rows, count, params, pageRequested);
+        const { data, error: tagsError } = await withTags(page.data);
+        if (tagsError) {
+            console.error('Database error:', tagsError);
+            return res.status(500).json({ error: 'Failed to fetch tasks', message: tagsError.message });
+        }
+
+        res.status(200).json({
+            data,
+            project: { id: project.data.id, name: project.data.name },
+            ...(searchQuery && {
+                search: {
+                    query: searchQuery.text,
+                    terms: searchQuery.terms,
+                    phrases: searchQuery.phrases,
+                    exclude: searchQuery.exclude,
+                    fields,
+                    filters: appliedFilters(params),
+                    resultsCount: page.pagination.total
+                }
+            }),
+            sorting: { field: sort, order },
+            pagination: page.pagination
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = {
+    router,
+    PROJECT_SCHEMA,
+    PROJECT_LIST_QUERY,
+    PROJECT_MEMBER_SCHEMA
+};
@@ -0,0 +1,195 @@
+const express = require('express');
+const { validate, sendValidationErrors } = require('../validation');
+const {
+    listTagsWithUsage,
+    getOwnTag,
+    createTag,
+    updateTag,
+    deleteTag,
+    mergeTags
+} = require('../tagService');
+
+const router = express.Router();
+
+/** Send the error of a failed tag service call */
+const sendFailure = (res, { error }) => res.status(error.status).json(error.body);
+
+const TAG_SCHEMA = {
+    fields: {
+        id: { readOnly: true },
+        owner_id: { readOnly: true },
+        created_at: { readOnly: true },
+        name: {
+            type: 'string',
+            required: true,
+            trim: true,
+            // Tag filters are comma separated, so names cannot contain commas
+            pattern: /^[^,]+$/,
+            patternMessage: 'name cannot contain commas'
+        },
+        color: {
+            type: 'string',
+            trim: true,
+            lowercase: true,
+            pattern: /^#[0-9a-f]{6}$/,
+            patternMessage: 'color must be a hex colour such as #1e90ff'
+        }
+    }
+};
+
+const MERGE_SCHEMA = {
+    fields: {
+        into: { type: 'integer', required: true, min: 1 }
+    }
+};
+
+/**
+ * GET /tags
+ * Response: data: array of tags { id, name, color, usage_count }, by name
+ * Return the authenticated user's tags with the number of tasks using each.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await listTagsWithUsage(req.user);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /tags
+ * Body Parameters:
+ * - name: string (required, unique per user ignoring case)
+ * - color: string (hex colour such as #1e90ff)
+ * Response: data: created tag
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { value, errors } = validate(TAG_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await createTag(req.user, value);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(201).json({ message: 'Tag created successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /tags/:id
+ * Path Parameters:
+ * - id: tag ID
+ * Response: data: tag object
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const result = await getOwnTag(req.user, req.params.id);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PATCH /tags/:id
+ * Path Parameters:
+ * - id: tag ID
+ * Body Parameters: name and/or color
+ * Response: data: updated tag
+ * Rename or recolour a tag. Tasks using it show the new name right away.
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const { value, errors } = validate(TAG_SCHEMA, req.body, 'update');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        if (Object.keys(value).length === 0) {
+            return sendValidationErrors(res, [{ field: 'body', message: 'No fields to update' }]);
+        }
+
+        const result = await updateTag(req.user, req.params.id, value);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Tag updated successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /tags/:id/merge
+ * Path Parameters:
+ * - id: tag to merge away
+ * Body Parameters:
+ * - into: id of the tag to keep
+ * Response: data: the kept tag with its new usage_count; merged: the deleted tag
+ * Move every task from one tag to another and delete the first tag.
+ */
+router.post('/:id/merge', async (req, res) => {
+    try {
+        const { value, errors } = validate(MERGE_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await mergeTags(req.user, req.params.id, value.into);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({
+            message: `Tag "${result.merged.name}" merged into "${result.data.name}"`,
+            data: result.data,
+            merged: result.merged
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /tags/:id
+ * Path Parameters:
+ * - id: tag ID
+ * Response: data: deleted tag; detached: number of tasks it was removed from
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await deleteTag(req.user, req.params.id);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({
+            message: 'Tag deleted successfully',
+            data: result.data,
+            detached: result.detached
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = {
+    router,
+    TAG_SCHEMA,
+    MERGE_SCHEMA
+};
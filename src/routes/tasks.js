@@ -0,0 +1,1449 @@
+const express = require('express');
+const { tasks, auditLog } = require('../storage');
+const {
+    DEFAULT_STATUS,
+    STATUS_TRANSITIONS,
+    canTransition,
+    statusChanges
+} = require('../taskStatus');
+const {
+    TASK_LIST_QUERY,
+    TASK_SEARCH_QUERY,
+    TASK_SORT_QUERY,
+    TASK_EXPORT_QUERY,
+    TASK_STATS_QUERY,
+    TASK_STREAM_QUERY,
+    TASK_TRASH_QUERY,
+    TASK_HISTORY_QUERY,
+    TASK_REVERT_SCHEMA,
+    TASK_OCCURRENCES_QUERY,
+    TASK_DELETE_QUERY,
+    TASK_TRANSITION_SCHEMA,
+    TASK_MOVE_SCHEMA,
+    TASK_BOARD_QUERY,
+    TASK_DEPENDENCY_SCHEMA
+} = require('../taskSchema');
+const { validate, sendValidationErrors } = require('../validation');
+const {
+    trashFilter,
+    getOwnTask,
+    getVisibleTask,
+    getTaskProgress,
+    createTask,
+    updateTask,
+    deleteTask,
+    revertTask,
+    moveTask
+} = require('../taskService');
+const { validateBatch, runBatch } = require('../taskBatch');
+const { pageRequest, pageResult } = require('../pagination');
+const { generateNextInstance, previewOccurrences } = require('../recurringTasks');
+const { taskReminders } = require('../reminders');
+const { searchOption } = require('../searchQuery');
+const { RELEVANCE_SORT_FIELD, findTasks } = require('../taskSearch');
+const { tagsForTasks, attachTags, detachTag } = require('../tagService');
+const { purgeAt, restoreTask, purgeTask, emptyTrash } = require('../trash');
+const { recordTaskChange } = require('../audit');
+const { ownsTask } = require('../auth');
+const { taskETag, parseIfMatch } = require('../etag');
+const { exportTasks } = require('../taskExport');
+const { TASK_IMPORT_QUERY, readImportBody, prepareImport, commitImport } = require('../taskImport');
+const { subscribe, serializeEvent, eventMatches, eventsSince } = require('../taskEvents');
+const { trendRange, taskStats } = require('../taskStats');
+const { boardColumns } = require('../taskOrder');
+const { listDependencies, addDependency, removeDependency, dependencyWarnings } = require('../dependencyService');
+const { ownerFilter, buildTaskFilters, appliedFilters, withTags } = require('../taskFilters');
+
+const router = express.Router();
+
+/** Send the error of a failed task service call */
+const sendFailure = (res, { error }) => res.status(error.status).json(error.body);
+
+/**
+ * Load the task from req.params.id and check that the authenticated user
+ * owns it. Sends the 404/403/500 response itself and returns null when the
+ * request cannot continue.
+ */
+async function loadOwnTask(req, res) {
+    const result = await getOwnTask(req.user, req.params.id);
+    if (result.error) {
+        sendFailure(res, result);
+        return null;
+    }
+    return result.data;
+}
+
+/**
+ * POST /tasks
+ * Body Parameters:
+ * - title: string
+ * - author: string
+ * - priority: string
+ * - description: string
+ * - due_date: string (ISO format)
+ * - start_date: string (ISO format)
+ * - status: string (todo|in_progress|blocked|done|cancelled, default: todo)
+ * - recurrence: string (RRULE subset, e.g. FREQ=WEEKLY;BYDAY=MO,TH)
+ * - reminders: lead times before due_date, array or comma separated
+ *   (e.g. 1d,2h,30m; "none" for no reminders; default: REMINDER_LEAD_TIMES)
+ * - project_id: one of your projects that is not archived
+ * Response: data: created task object, ETag header with its version
+ * Create a new task owned by the authenticated user. author defaults to
+ * the user's name.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const result = await createTask(req.user, req.body);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+
+        res.set('ETag', taskETag(result.data));
+        res.status(201).json({
+            message: 'Task created successfully',
+            data: result.data
+        });
+
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+/**
+ * POST /tasks/batch
+ * Body Parameters:
+ * - operations: array (max 100) of
+ *   { op: 'create', data } | { op: 'update', id, data } | { op: 'delete', id }
+ * - atomic: boolean (default: false). When true, nothing is applied unless
+ *   every operation succeeds.
+ * Response:
+ * - data: one result per operation { index, op, id, status, data | error }
+ * - summary: { total, succeeded, failed }
+ * Apply several task changes in one request with the same validation as
+ * POST /tasks, PATCH /tasks/:id and DELETE /tasks/:id.
+ */
+router.post('/batch', async (req, res) => {
+    try {
+        const errors = validateBatch(req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const { operations, atomic = false } = req.body;
+        const outcome = await runBatch(req.user, operations, { atomic });
+
+        if (!outcome.ok) {
+            return res.status(outcome.status).json({
+                error: 'Batch was not applied',
+                atomic,
+                data: outcome.results,
+                summary: outcome.summary,
+                ...(outcome.rollbackErrors && outcome.rollbackErrors.length > 0 && { rollbackErrors: outcome.rollbackErrors })
+            });
+        }
+
+        res.status(200).json({
+            atomic,
+            data: outcome.results,
+            summary: outcome.summary
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+/**
+ * POST /tasks/import
+ * Query Parameters:
+ * - dry_run: 'true' to only validate, 'false' (default) to import
+ * - mapping: column:field pairs, comma separated (e.g. Summary:title,Owner:author).
+ *   Columns without a mapping are used when their name is a task field.
+ * Body: CSV with a header row (Content-Type: text/csv), or a JSON array of
+ * task objects (or { tasks: [...] })
+ * Response:
+ * - summary: { total, valid, invalid }
+ * - columns: { mapped: { column: field }, ignored: [columns] }
+ * - errors: [{ row, errors: [{ field, column, message }] }], rows counted from 1
+ * - data: ids of the created tasks (not for dry runs)
+ * Create many tasks at once. Every row is checked like POST /tasks; if any
+ * row fails, nothing is imported (400) and the errors list every bad row.
+ */
+router.post('/import', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(TASK_IMPORT_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const file = readImportBody(req.body, req.is('text/csv') || req.is('text/plain'));
+        const prepared = file.error ? file : await prepareImport(req.user, file.data, params.mapping);
+        if (prepared.error) {
+            return sendFailure(res, prepared);
+        }
+
+        const { columns, rows, errors: rowErrors } = prepared.data;
+        const report = {
+            summary: { total: rows.length + rowErrors.length, valid: rows.length, invalid: rowErrors.length },
+            columns,
+            errors: rowErrors
+        };
+
+        if (params.dry_run === 'true') {
+            return res.status(200).json({ dry_run: true, ...report });
+        }
+        if (rowErrors.length > 0) {
+            return res.status(400).json({ error: 'Import failed validation, no tasks were imported', ...report });
+        }
+
+        const result = await commitImport(req.user, rows);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(201).json({
+            message: `Imported ${result.data.length} tasks`,
+            ...report,
+            data: result.data.map(task => task.id)
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+/**
+ * GET /tasks/search
+ * Tìm kiếm tasks với nhiều bộ lọc và tùy chọn
+ *
+ * Query Parameters:
+ * - q: từ khóa tìm kiếm (bắt buộc). Nhiều từ thì task phải chứa tất cả các từ;
+ *   "cụm từ" trong dấu ngoặc kép được tìm nguyên cụm; -từ hoặc -"cụm từ" để loại trừ
+ * - fields: các trường cần tìm kiếm, phân tách bằng dấu phẩy (mặc định: tất cả)
+ * - limit: số lượng kết quả mỗi trang (mặc định: 20, tối đa: 100)
+ * - page: số trang (mặc định: 1)
+ * - cursor: next_cursor của trang trước (thay cho page)
+ * - count: 'exact' (mặc định) hoặc 'none' để bỏ qua việc đếm tổng số
+ * - sort: trường để sắp xếp, hoặc 'relevance' theo độ liên quan (mặc định: relevance)
+ * - order: thứ tự sắp xếp 'asc' hoặc 'desc' (mặc định: desc)
+ * - priority: lọc theo độ ưu tiên, phân tách bằng dấu phẩy
+ * - author: lọc theo tác giả
+ * - status: lọc theo trạng thái, phân tách bằng dấu phẩy
+ * - start_date_from: lọc ngày bắt đầu từ
+ * - start_date_to: lọc ngày bắt đầu đến
+ * - due_date_from: lọc ngày hết hạn từ
+ * - due_date_to: lọc ngày hết hạn đến
+ * - tags: lọc theo tên tag, phân cách bằng dấu phẩy
+ * - tags_match: 'any' (mặc định, có ít nhất một tag) hoặc 'all' (có tất cả các tag)
+ * - project_id: chỉ lấy các task của project này
+ *
+ * Response:
+ * - data: mảng các task tìm được (kèm tags), mỗi task có thêm score (điểm liên quan)
+ *   và highlights (đoạn trích của từng trường khớp, từ khớp nằm trong <mark>)
+ * - search: thông tin tìm kiếm (query, terms, phrases, exclude, fields, filters, resultsCount)
+ * - pagination: thông tin phân trang (kèm next_cursor)
+ * - sorting: thông tin sắp xếp
+ */
+router.get('/search', async (req, res) => {
+    try {
+        // Kiểm tra và chuẩn hóa các tham số từ query string
+        const { value: params, errors } = validate(TASK_SEARCH_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const { q: searchQuery, fields: fieldsToSearch, sort: sortField, order } = params;
+
+        // Xử lý phân trang theo trang hoặc theo cursor
+        const pageRequested = pageRequest(params, {
+            field: sortField === 'relevance' ? RELEVANCE_SORT_FIELD : sortField,
+            ascending: order === 'asc'
+        });
+        if (pageRequested.error) {
+            return sendValidationErrors(res, [pageRequested.error]);
+        }
+
+        // Thực thi tìm kiếm với bộ lọc (kể cả tag), sắp xếp và phân trang
+        const { data: rows, error, count } = await findTasks(req.user, params, pageRequested);
+
+        // Xử lý lỗi nếu có
+        if (error) {
+            console.error('Search error:', error);
+            return res.status(500).json({
+                error: 'Search failed',
+                message: error.message
+            });
+        }
+
+        const page = pageResult(rows, count, params, pageRequested);
+        const { data, error: tagsError } = await withTags(page.data);
+        if (tagsError) {
+            console.error('Search error:', tagsError);
+            return res.status(500).json({ error: 'Search failed', message: tagsError.message });
+        }
+        const { pagination } = page;
+
+        // Trả về kết quả tìm kiếm với thông tin chi tiết
+        res.status(200).json({
+            data,
+            search: {
+                query: searchQuery.text,
+                terms: searchQuery.terms,
+                phrases: searchQuery.phrases,
+                exclude: searchQuery.exclude,
+                fields: fieldsToSearch,
+                // Các bộ lọc đã áp dụng
+                filters: appliedFilters(params),
+                resultsCount: pagination.total
+            },
+            pagination,
+            sorting: {
+                field: sortField,
+                order
+            }
+        });
+
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+/**
+ * GET /tasks/sort
+ * Query Parameters:
+ * - sort_by: field to sort by (default: created_at); position is the board order
+ * - order: 'asc' or 'desc' (default: desc)
+ * - limit: number of items per page (default: 20, max: 100)
+ * - page: page number (default: 1)
+ * - cursor: next_cursor from the previous page (instead of page)
+ * - count: 'exact' (default) or 'none' to skip counting the total
+ * - priority, author, status, start_date_from, start_date_to, due_date_from, due_date_to: filters
+ * - tags: tag names, comma separated
+ * - tags_match: 'any' (default) or 'all' of the tags
+ * - project_id: only the tasks of this project
+ * Response:
+ * - data: array of task objects, with tags
+ * - sorting: { field, order }
+ * - pagination: { page, limit, total, totalPages, next_cursor }
+ * Return a sorted, filtered and paginated list of tasks.
+ */
+router.get('/sort', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(TASK_SORT_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const { sort_by: sortField, order } = params;
+
+        // Pagination
+        const pageRequested = pageRequest(params, { field: sortField, ascending: order === 'asc' });
+        if (pageRequested.error) {
+            return sendValidationErrors(res, [pageRequested.error]);
+        }
+
+        const { data: rows, error, count } = await tasks.list({
+            ...pageRequested.options,
+            filters: buildTaskFilters(req.user, params)
+        });
+
+        if (error) {
+            console.error('Sort error:', error);
+            return res.status(500).json({
+                error: 'Failed to sort tasks',
+                message: error.message
+            });
+        }
+
+        const page = pageResult(rows, count, params, pageRequested);
+        const { data, error: tagsError } = await withTags(page.data);
+        if (tagsError) {
+            console.error('Sort error:', tagsError);
+            return res.status(500).json({ error: 'Failed to sort tasks', message: tagsError.message });
+        }
+        const { pagination } = page;
+
+        res.status(200).json({
+            data,
+            sorting: {
+                field: sortField,
+                order
+            },
+            pagination
+        });
+
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+/**
+ * GET /tasks/export
+ * Query Parameters:
+ * - format: 'csv' (default), 'ndjson' or 'ics'
+ * - q, fields: optional search, same as GET /tasks/search
+ * - sort, order: same as GET /tasks/search (default: created_at desc)
+ * - priority, author, status, start_date_from, start_date_to, due_date_from,
+ *   due_date_to, tags, tags_match, project_id: same filters as GET /tasks/search
+ * Response: every matching task as a file download, streamed
+ * - csv: one row per task with a header row; tags are comma separated
+ * - ndjson: one task object (with tag names) per line
+ * - ics: a calendar; tasks with a start_date are VEVENTs from start_date to
+ *   due_date, the others VTODOs due on due_date
+ */
+router.get('/export', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(TASK_EXPORT_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await exportTasks(res, params.format, {
+            filters: buildTaskFilters(req.user, params),
+            search: params.q ? searchOption(params.q, params.fields) : undefined,
+            sort: { field: params.sort, ascending: params.order === 'asc' }
+        });
+
+        if (result.error) {
+            console.error('Export error:', result.error);
+            return res.status(500).json({
+                error: 'Failed to export tasks',
+                message: result.error.message
+            });
+        }
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+/**
+ * GET /tasks/stats
+ * Query Parameters:
+ * - q, fields, priority, author, status, start_date_from, start_date_to,
+ *   due_date_from, due_date_to, tags, tags_match, project_id: same filters
+ *   as GET /tasks/search (q is optional)
+ * - interval: 'day' (default) or 'week', the creation trend's step
+ * - from, to: creation trend range (default: the last 30 days or 12 weeks)
+ * Response: data:
+ * - total
+ * - by_priority: { high, medium, low, none }, by_status: { todo, ... }
+ * - by_author: [{ author, count }], most tasks first
+ * - overdue: open tasks whose due_date has passed
+ * - due_this_week: open tasks due this week (Monday to Sunday, UTC); week: { from, to }
+ * - trend: { interval, from, to, points: [{ period, count }] } tasks created
+ *   per day or week (period is the day, or the Monday of the week)
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(TASK_STATS_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const trend = trendRange(params);
+        if (trend.error) {
+            return sendValidationErrors(res, [trend.error]);
+        }
+
+        const { data, error } = await taskStats({
+            filters: buildTaskFilters(req.user, params),
+            search: params.q ? searchOption(params.q, params.fields) : undefined
+        }, trend.data);
+
+        if (error) {
+            console.error('Stats error:', error);
+            return res.status(500).json({
+                error: 'Failed to compute task statistics',
+                message: error.message
+            });
+        }
+
+        res.status(200).json({ data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /tasks/board
+ * Query Parameters:
+ * - status: the columns to return, comma separated (default: every status)
+ * - limit: tasks per column (default: 50, max: 100)
+ * - priority, author, start_date_from, start_date_to, due_date_from,
+ *   due_date_to, tags, tags_match, project_id: same filters as GET /tasks/sort
+ * Response: data: one { status, tasks, pagination } per column, tasks (with
+ * tags) in their manual order. A column's next_cursor continues it on
+ * GET /tasks/sort?sort_by=position&order=asc&status=<column> with the same filters.
+ */
+router.get('/board', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(TASK_BOARD_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const board = await boardColumns(buildTaskFilters(req.user, params), params.status, params.limit);
+        if (board.error) {
+            console.error('Database error:', board.error);
+            return res.status(500).json({ error: 'Failed to fetch board', message: board.error.message });
+        }
+
+        const columns = [];
+        for (const column of board.data) {
+            const tagged = await withTags(column.tasks);
+            if (tagged.error) {
+                console.error('Database error:', tagged.error);
+                return res.status(500).json({ error: 'Failed to fetch board', message: tagged.error.message });
+            }
+            columns.push({ ...column, tasks: tagged.data });
+        }
+        res.status(200).json({ data: columns });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+/** How often an open event stream gets a keep-alive comment */
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * GET /tasks/stream
+ * Headers:
+ * - Accept: text/event-stream
+ * - Last-Event-ID: id of the last event received; the changes made since
+ *   are replayed first (browsers send it when they reconnect)
+ * Query Parameters:
+ * - priority, author, status, start_date_from, start_date_to, due_date_from,
+ *   due_date_to: same filters as GET /tasks/sort
+ * - last_event_id: same as the Last-Event-ID header, for the first connection
+ * - access_token: the bearer token, for clients that cannot set headers (EventSource)
+ * Response: a Server-Sent Events stream. Each change to one of the user's
+ * tasks is an event named task.created, task.updated, task.deleted,
+ * task.restored, task.reverted or task.purged with data
+ * { id, type, task_id, task, changes, actor, at }. A change is sent when the
+ * task matches the filters before or after it. If too many changes were
+ * missed to replay, a `reset` event tells the client to reload its tasks.
+ */
+router.get('/stream', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(TASK_STREAM_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const header = req.get('Last-Event-ID');
+        const lastEventId = header && /^\d+$/.test(header.trim()) ? Number(header) : params.last_event_id;
+
+        // Listen before replaying so no change falls in between; ids already sent are skipped
+        let lastSent = lastEventId === undefined ? null : lastEventId;
+        let live = false;
+        const pending = [];
+        const send = (event) => {
+            if (event.id !== null && lastSent !== null && Number(event.id) <= lastSent) return;
+            if (event.id !== null) lastSent = Number(event.id);
+            res.write(serializeEvent(event));
+        };
+        const unsubscribe = subscribe(event => {
+            if (!eventMatches(event, req.user, params)) return;
+            if (live) {
+                send(event);
+            } else {
+                pending.push(event);
+            }
+        });
+
+        const missed = lastEventId === undefined ? { data: [], truncated: false } : await eventsSince(req.user, lastEventId);
+        if (missed.error) {
+            unsubscribe();
+            console.error('Database error:', missed.error);
+            return res.status(500).json({ error: 'Failed to replay task events', message: missed.error.message });
+        }
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        if (missed.truncated) {
+            res.write('event: reset\ndata: {}\n\n');
+            lastSent = null;
+        } else {
+            missed.data.filter(event => eventMatches(event, req.user, params)).forEach(send);
+        }
+        pending.forEach(send);
+        live = true;
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+/**
+ * GET /tasks/trash
+ * Query Parameters:
+ * - limit, page, cursor, count: same as GET /tasks (default limit: 20)
+ * Response:
+ * - data: array of deleted tasks, most recently deleted first, each with
+ *   purge_at (when it will be purged automatically, or null)
+ * - pagination: { page, limit, total, totalPages, next_cursor }
+ */
+router.get('/trash', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(TASK_TRASH_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const pageRequested = pageRequest(params, { field: 'deleted_at', ascending: false });
+        if (pageRequested.error) {
+            return sendValidationErrors(res, [pageRequested.error]);
+        }
+
+        const { data: rows, error, count } = await tasks.list({
+            ...pageRequested.options,
+            filters: [ownerFilter(req.user), trashFilter(true)]
+        });
+
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch trash',
+                message: error.message
+            });
+        }
+
+        const page = pageResult(rows, count, params, pageRequested);
+        res.status(200).json({ ...page, data: page.data.map(task => ({ ...task, purge_at: purgeAt(task) })) });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /tasks/trash
+ * Response: purged: ids of the permanently deleted tasks
+ * Empty the trash.
+ */
+router.delete('/trash', async (req, res) => {
+    try {
+        const result = await emptyTrash(req.user);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Trash emptied', purged: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /tasks/trash/:id
+ * Path Parameters:
+ * - id: ID of a deleted task
+ * Response:
+ * - data: the purged task
+ * - purged: ids of the task and the deleted subtasks purged with it
+ * Permanently delete one task from the trash. This cannot be undone.
+ */
+router.delete('/trash/:id', async (req, res) => {
+    try {
+        const result = await purgeTask(req.user, req.params.id);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Task purged', data: result.data, purged: result.purged });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /tasks/:id
+ * Path Parameters:
+ * - id: task ID
+ * Headers:
+ * - If-None-Match: ETag from an earlier response; 304 Not Modified if the
+ *   task, its tags and its progress are unchanged
+ * Response: data: task object with tags, progress { total, done, percent }
+ * and dependencies { blocked, blockers, dependents, warnings }, ETag header
+ * Return a single task by ID from the database. progress counts the
+ * task's direct subtasks, ignoring cancelled ones. Members of the task's
+ * project can read it too.
+ */
+router.get('/:id', async (req, res) => {
+    const {id} = req.params;
+    if(!id){
+        return res.status(400).json({error: 'ID is required'});
+    }
+    const result = await getVisibleTask(req.user, id);
+    if(result.error){
+        return sendFailure(res, result);
+    }
+    const { data } = result;
+    const progress = await getTaskProgress(data);
+    if(progress.error){
+        return res.status(500).json({error: progress.error.message});
+    }
+    const tagged = await withTags([data]);
+    if(tagged.error){
+        return res.status(500).json({error: tagged.error.message});
+    }
+    const dependencies = await listDependencies(data);
+    if(dependencies.error){
+        return sendFailure(res, dependencies);
+    }
+    const { tags } = tagged.data[0];
+    res.set('ETag', taskETag(data, { tags, progress: progress.data, dependencies: dependencies.data }));
+    if(req.fresh){
+        return res.status(304).end();
+    }
+    res.status(200).json({data: {...tagged.data[0], progress: progress.data, dependencies: dependencies.data}});
+})
+
+/**
+ * GET /tasks/:id/subtasks
+ * Path Parameters:
+ * - id: parent task ID
+ * Query Parameters:
+ * - limit, page, cursor, count, status: same as GET /tasks
+ * Response:
+ * - data: array of subtasks, oldest first
+ * - pagination: { page, limit, total, totalPages, next_cursor }
+ * Return the direct subtasks of a task.
+ */
+router.get('/:id/subtasks', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(TASK_LIST_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const parent = await loadOwnTask(req, res);
+        if (!parent) {
+            return;
+        }
+
+        const pageRequested = pageRequest(params, { field: 'id', ascending: true });
+        if (pageRequested.error) {
+            return sendValidationErrors(res, [pageRequested.error]);
+        }
+
+        const { data: rows, error, count } = await tasks.list({
+            ...pageRequested.options,
+            filters: [
+                ...buildTaskFilters(req.user, params),
+                { field: 'parent_id', op: 'eq', value: parent.id }
+            ]
+        });
+
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch subtasks',
+                message: error.message
+            });
+        }
+
+        res.status(200).json(pageResult(rows, count, params, pageRequested));
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /tasks/:id/subtasks
+ * Path Parameters:
+ * - id: parent task ID
+ * Body Parameters: same as POST /tasks
+ * Response: data: created subtask
+ * Create a task under the given parent.
+ */
+router.post('/:id/subtasks', async (req, res) => {
+    try {
+        const isObject = req.body === undefined
+            || (req.body !== null && typeof req.body === 'object' && !Array.isArray(req.body));
+        const body = isObject ? { ...req.body, parent_id: req.params.id } : req.body;
+
+        const result = await createTask(req.user, body);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+
+        res.status(201).json({
+            message: 'Subtask created successfully',
+            data: result.data
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /tasks/:id/history
+ * Path Parameters:
+ * - id: task ID (also works for tasks in the trash or purged)
+ * Query Parameters:
+ * - limit, page, cursor, count: same as GET /tasks (default limit: 20)
+ * Response:
+ * - data: audit entries, newest first:
+ *   { id, action, actor_id, actor_name, changes, snapshot, created_at }
+ * - pagination: { page, limit, total, totalPages, next_cursor }
+ * Every change made to the task. An entry's id is the version to pass to
+ * POST /tasks/:id/revert.
+ */
+router.get('/:id/history', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(TASK_HISTORY_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const task = await tasks.findById(req.params.id);
+        if (task.error) {
+            return res.status(500).json({ error: task.error.message });
+        }
+        if (task.data && !ownsTask(req.user, task.data)) {
+            return res.status(403).json({ error: 'You do not have access to this task' });
+        }
+
+        const pageRequested = pageRequest(params, { field: 'id', ascending: false });
+        if (pageRequested.error) {
+            return sendValidationErrors(res, [pageRequested.error]);
+        }
+
+        const { data: rows, error, count } = await auditLog.list({
+            ...pageRequested.options,
+            filters: [
+                { field: 'task_id', op: 'eq', value: req.params.id },
+                { field: 'owner_id', op: 'eq', value: req.user.id }
+            ]
+        });
+
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch task history',
+                message: error.message
+            });
+        }
+        // A purged task still has its history; one that never existed does not
+        if (!task.data && rows.length === 0 && !params.cursor) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.status(200).json(pageResult(rows, count, params, pageRequested));
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /tasks/:id/revert
+ * Path Parameters:
+ * - id: task ID
+ * Body Parameters:
+ * - version: id of an entry from GET /tasks/:id/history
+ * Response: data: updated task object
+ * Put the task's fields back to how they were right after that change.
+ * Status is not reverted; use the transition endpoint for that.
+ */
+router.post('/:id/revert', async (req, res) => {
+    try {
+        const { value, errors } = validate(TASK_REVERT_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await revertTask(req.user, req.params.id, value.version);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({
+            message: `Task reverted to version ${value.version}`,
+            data: result.data
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /tasks/:id/occurrences
+ * Path Parameters:
+ * - id: recurring task ID
+ * Query Parameters:
+ * - count: number of occurrences to preview (default: 5, max: 100)
+ * Response:
+ * - recurrence: the task's RRULE
+ * - data: array of { index, start_date, due_date }
+ * Preview the occurrences that follow this task without creating them.
+ * Fewer than count are returned when the series ends (UNTIL/COUNT).
+ */
+router.get('/:id/occurrences', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(TASK_OCCURRENCES_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const task = await loadOwnTask(req, res);
+        if (!task) {
+            return;
+        }
+        if (!task.recurrence) {
+            return res.status(400).json({ error: 'Task does not recur' });
+        }
+
+        res.status(200).json({
+            recurrence: task.recurrence,
+            data: previewOccurrences(task, params.count)
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /tasks/:id/reminders
+ * Path Parameters:
+ * - id: task ID
+ * Response:
+ * - leads: the task's lead times (REMINDER_LEAD_TIMES when it has none of its own)
+ * - data: array of { kind, lead, lead_minutes, remind_at, status, channels,
+ *   errors, sent_at } for the current due_date, earliest first. status is
+ *   scheduled, sent, failed, skipped (a later reminder was due at the same
+ *   time) or missed (it came due while reminders were off)
+ * Empty when the task has no due_date.
+ */
+router.get('/:id/reminders', async (req, res) => {
+    try {
+        const task = await loadOwnTask(req, res);
+        if (!task) {
+            return;
+        }
+
+        const { data, error } = await taskReminders(task);
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch reminders',
+                message: error.message
+            });
+        }
+        res.status(200).json({ leads: data.leads, data: data.schedule });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /tasks/:id/tags
+ * Path Parameters:
+ * - id: task ID
+ * Response: data: array of tags { id, name, color }
+ */
+router.get('/:id/tags', async (req, res) => {
+    try {
+        const task = await loadOwnTask(req, res);
+        if (!task) {
+            return;
+        }
+
+        const { data, error } = await tagsForTasks([task.id]);
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({ error: 'Failed to fetch tags', message: error.message });
+        }
+        res.status(200).json({ data: data.get(String(task.id)) });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /tasks/:id/tags
+ * Path Parameters:
+ * - id: task ID
+ * Body Parameters:
+ * - tags: array of tag ids or names; unknown names are created
+ * Response: data: the task's tags afterwards
+ * Attach tags to a task. Tags already on the task are left as they are.
+ */
+router.post('/:id/tags', async (req, res) => {
+    try {
+        const refs = req.body && req.body.tags;
+        const valid = Array.isArray(refs) && refs.length > 0 && refs.every(ref =>
+            (Number.isInteger(ref) && ref > 0) || (typeof ref === 'string' && /^[^,]+$/.test(ref.trim())));
+        if (!valid) {
+            return sendValidationErrors(res, [{
+                field: 'tags',
+                message: 'tags must be a non-empty array of tag ids or names (names cannot contain commas)'
+            }]);
+        }
+
+        const task = await loadOwnTask(req, res);
+        if (!task) {
+            return;
+        }
+
+        const result = await attachTags(req.user, task, refs.map(ref => (typeof ref === 'string' ? ref.trim() : ref)));
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Tags attached successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /tasks/:id/tags/:tagId
+ * Path Parameters:
+ * - id: task ID
+ * - tagId: tag ID
+ * Response: message only
+ * Remove a tag from a task. The tag itself is kept.
+ */
+router.delete('/:id/tags/:tagId', async (req, res) => {
+    try {
+        const task = await loadOwnTask(req, res);
+        if (!task) {
+            return;
+        }
+
+        const result = await detachTag(task, req.params.tagId);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Tag removed from task' });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /tasks/:id/dependencies
+ * Path Parameters:
+ * - id: task ID
+ * Response: data: { blocked, blockers, dependents, warnings }
+ * - blockers: tasks this one waits for; dependents: tasks waiting for it,
+ *   each { id, title, status, start_date, due_date }
+ * - blocked: true while a blocker is neither done nor cancelled
+ * - warnings: { field, task_id, message } when the task starts before a
+ *   blocker is due, or is due after a dependent starts
+ */
+router.get('/:id/dependencies', async (req, res) => {
+    try {
+        const task = await loadOwnTask(req, res);
+        if (!task) {
+            return;
+        }
+        const result = await listDependencies(task);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /tasks/:id/dependencies
+ * Path Parameters:
+ * - id: task ID
+ * Body Parameters:
+ * - depends_on: ID of the task that must be done before this one starts
+ * Response: data: the task's dependencies, as GET /tasks/:id/dependencies
+ * Dependencies that would form a cycle are rejected with 409 and the
+ * cycle's task ids.
+ */
+router.post('/:id/dependencies', async (req, res) => {
+    try {
+        const { value, errors } = validate(TASK_DEPENDENCY_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await addDependency(req.user, req.params.id, value.depends_on);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(201).json({ message: 'Dependency added', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /tasks/:id/dependencies/:dependsOnId
+ * Path Parameters:
+ * - id: task ID
+ * - dependsOnId: ID of the blocker to remove
+ * Response: data: the task's remaining dependencies
+ */
+router.delete('/:id/dependencies/:dependsOnId', async (req, res) => {
+    try {
+        const result = await removeDependency(req.user, req.params.id, req.params.dependsOnId);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Dependency removed', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /tasks
+ * Query Parameters:
+ * - limit: number of items per page (default: 10, max: 100)
+ * - page: page number (default: 1)
+ * - cursor: next_cursor from the previous page (instead of page)
+ * - count: 'exact' (default) or 'none' to skip counting the total
+ * - status: filter by status, comma separated
+ * - project_id: only the tasks of this project
+ * Response:
+ * - data: array of task objects, oldest first
+ * - pagination: { page, limit, total, totalPages, next_cursor }
+ * Return a paginated list of tasks from the database.
+ */
+router.get('/', async (req, res) => {
+    // Parse and validate query parameters
+    const { value: params, errors } = validate(TASK_LIST_QUERY, req.query, 'query');
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    // Calculate range, or the keyset position when a cursor is given
+    const pageRequested = pageRequest(params, { field: 'id', ascending: true });
+    if (pageRequested.error) {
+        return sendValidationErrors(res, [pageRequested.error]);
+    }
+
+    try {
+        // Fetch data with count for pagination metadata
+        const { data: rows, error, count } = await tasks.list({
+            ...pageRequested.options,
+            filters: buildTaskFilters(req.user, params)
+        });
+
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch tasks',
+                message: error.message
+            });
+        }
+
+        // Return data with pagination metadata
+        const page = pageResult(rows, count, params, pageRequested);
+        const tagged = await withTags(page.data);
+        if (tagged.error) {
+            console.error('Database error:', tagged.error);
+            return res.status(500).json({ error: 'Failed to fetch tasks', message: tagged.error.message });
+        }
+        res.status(200).json({ ...page, data: tagged.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+/**
+ * Validate a PUT or PATCH body against the stored task and save it.
+ * mode is 'replace' for PUT and 'update' for PATCH.
+ */
+async function saveTask(req, res, mode) {
+    try {
+        const ifMatch = parseIfMatch(req.get('If-Match'));
+        const result = await updateTask(req.user, req.params.id, req.body, mode, { ifMatch });
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        const warnings = await dependencyWarnings(result.data);
+        if (warnings.error) {
+            return sendFailure(res, warnings);
+        }
+        res.set('ETag', taskETag(result.data));
+        res.status(200).json({ data: result.data, ...(warnings.data.length > 0 && { warnings: warnings.data }) });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * POST /tasks/:id/restore
+ * Path Parameters:
+ * - id: ID of a deleted task
+ * Response:
+ * - data: restored task
+ * - restored: ids of the subtasks that were deleted with it and came back
+ * Take a task out of the trash. A task whose parent is gone comes back at
+ * the top level.
+ */
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const result = await restoreTask(req.user, req.params.id);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Task restored', data: result.data, restored: result.restored });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /tasks/:id
+ * Path Parameters:
+ * - id: task ID
+ * Headers:
+ * - If-Match: ETag the change is based on; 412 if the task has changed since
+ * Body Parameters:
+ * - title, author (required)
+ * - priority, description, start_date, due_date, parent_id, project_id,
+ *   recurrence, reminders: set to null when left out
+ * Response: data: updated task object, ETag header with the new version;
+ * warnings when the new dates clash with the task's dependencies
+ * Replace all editable fields of a task. Leaving out parent_id makes the
+ * task top level and leaving out project_id takes it out of its project.
+ */
+router.put('/:id', (req, res) => saveTask(req, res, 'replace'));
+
+/**
+ * PATCH /tasks/:id
+ * Path Parameters:
+ * - id: task ID
+ * Headers:
+ * - If-Match: ETag the change is based on; 412 if the task has changed since
+ * Body Parameters:
+ * - fields to update (title, author, priority, description, due_date, start_date, project_id)
+ * Response: data: updated task object, ETag header with the new version;
+ * warnings when the new dates clash with the task's dependencies
+ * Update a task by ID in the database. A project_id moves the task to
+ * that project, null takes it out of its project.
+ */
+router.patch('/:id', (req, res) => saveTask(req, res, 'update'));
+
+
+/**
+ * POST /tasks/:id/transition
+ * Path Parameters:
+ * - id: task ID
+ * Body Parameters:
+ * - status: target status (todo|in_progress|blocked|done|cancelled)
+ * Response:
+ * - data: updated task object, ETag header with its new version
+ * - next_occurrence: instance generated when a recurring task becomes done
+ * Move a task to a new status. Illegal moves are rejected with 409 and
+ * completed_at is set when the task becomes done.
+ */
+router.post('/:id/transition', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { value, errors } = validate(TASK_TRANSITION_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        const { status } = value;
+
+        const current = await loadOwnTask(req, res);
+        if (!current) {
+            return;
+        }
+
+        const from = current.status || DEFAULT_STATUS;
+        if (!canTransition(from, status)) {
+            return res.status(409).json({
+                error: `Cannot move task from ${from} to ${status}`,
+                allowed: STATUS_TRANSITIONS[from]
+            });
+        }
+
+        // Only update if the status has not changed since it was read
+        let { data, error } = await tasks.update(id, statusChanges(status), { status: from, owner_id: req.user.id, deleted_at: null });
+
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({
+                error: 'Failed to update task status',
+                message: error.message
+            });
+        }
+
+        if (!data) {
+            return res.status(409).json({ error: 'Task status changed, please retry' });
+        }
+        await recordTaskChange(req.user, 'updated', current, data);
+
+        // Completing a recurring task schedules the next one; the sweep retries on failure
+        let nextOccurrence = null;
+        if (status === 'done' && data.recurrence) {
+            const generated = await generateNextInstance(data, { actor: req.user });
+            if (generated.error) {
+                console.error('Failed to generate the next occurrence:', generated.error);
+            }
+            nextOccurrence = generated.data;
+            // Linking the instance bumped the version the ETag is made of
+            if (generated.task) data = generated.task;
+        }
+
+        res.set('ETag', taskETag(data));
+        res.status(200).json({
+            message: `Task moved from ${from} to ${status}`,
+            data,
+            ...(nextOccurrence && { next_occurrence: nextOccurrence })
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /tasks/:id/move
+ * Path Parameters:
+ * - id: task ID
+ * Headers:
+ * - If-Match: ETag the move is based on; 412 if the task has changed since
+ * Body Parameters (before, after or status):
+ * - before: ID of the task to put this one right above
+ * - after: ID of the task to put this one right below
+ * - status: column to move into; without before or after, the task goes to
+ *   the bottom of the column
+ * Response:
+ * - data: moved task object with its new position, ETag header
+ * - next_occurrence: instance generated when a recurring task moves to done
+ * Reorder a task on the board. Moving into another column changes the
+ * status, with the same rules as POST /tasks/:id/transition (409 for an
+ * illegal move). Only the moved task is rewritten.
+ */
+router.post('/:id/move', async (req, res) => {
+    try {
+        const { value, errors } = validate(TASK_MOVE_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await moveTask(req.user, req.params.id, value, { ifMatch: parseIfMatch(req.get('If-Match')) });
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        let { data } = result;
+
+        // Like a transition, moving a recurring task to done schedules the next one
+        let nextOccurrence = null;
+        if (data.status === 'done' && result.from !== 'done' && data.recurrence) {
+            const generated = await generateNextInstance(data, { actor: req.user });
+            if (generated.error) {
+                console.error('Failed to generate the next occurrence:', generated.error);
+            }
+            nextOccurrence = generated.data;
+            // Linking the instance bumped the version the ETag is made of
+            if (generated.task) data = generated.task;
+        }
+
+        res.set('ETag', taskETag(data));
+        res.status(200).json({
+            message: 'Task moved',
+            data,
+            ...(nextOccurrence && { next_occurrence: nextOccurrence })
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /tasks/:id
+ * Path Parameters:
+ * - id: task ID
+ * Headers:
+ * - If-Match: ETag the deletion is based on; 412 if the task has changed since
+ * Query Parameters:
+ * - subtasks: 'reparent' moves subtasks up to this task's parent,
+ *   'cascade' deletes them too (default: SUBTASK_DELETE_POLICY)
+ * Response:
+ * - data: deleted task object, with deleted_at
+ * - subtasks: { policy, removed: ids, reparented: ids }
+ * Move a task to the trash. It can be restored with
+ * POST /tasks/:id/restore until it is purged.
+ */
+router.delete('/:id', async (req, res) => {
+    const { id } = req.params;
+    if (!id) {
+        return res.status(400).json({ error: 'ID is required' });
+    }
+
+    const { value: params, errors } = validate(TASK_DELETE_QUERY, req.query, 'query');
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const result = await deleteTask(req.user, id, params.subtasks, { ifMatch: parseIfMatch(req.get('If-Match')) });
+    if (result.error) {
+        return sendFailure(res, result);
+    }
+
+    const { policy, removed, reparented } = result.subtasks;
+    res.status(200).json({
+        message: 'Task moved to trash',
+        data: result.data,
+        subtasks: {
+            policy,
+            removed: removed.map(task => task.id),
+            reparented: reparented.map(task => task.id)
+        }
+    });
+});
+
+module.exports = { router };
@@ -0,0 +1,259 @@
+const express = require('express');
+const { SEARCHABLE_FIELDS, SORTABLE_FIELDS, TASK_SEARCH_QUERY, relevanceNeedsQuery } = require('../taskSchema');
+const { validate, sendValidationErrors } = require('../validation');
+const { paginationFields, pageOrCursor, pageRequest, pageResult } = require('../pagination');
+const { parseSearchQuery } = require('../searchQuery');
+const { parseDateOrRelative } = require('../relativeDates');
+const { RELEVANCE_SORT_FIELD, findTasks } = require('../taskSearch');
+const { withTags } = require('../taskFilters');
+const {
+    listViews,
+    getVisibleView,
+    getOwnView,
+    createView,
+    updateView,
+    deleteView,
+    viewParams
+} = require('../viewService');
+
+const router = express.Router();
+
+/** Send the error of a failed view service call */
+const sendFailure = (res, { error }) => res.status(error.status).json(error.body);
+
+/** Check q like GET /tasks/search does, but keep the text as typed */
+function checkQuery(text) {
+    const parsed = parseSearchQuery(text);
+    return parsed.message ? parsed : { value: text };
+}
+
+const DATE_FIELD = { type: 'string', trim: true, parse: parseDateOrRelative };
+
+const VIEW_SCHEMA = {
+    fields: {
+        id: { readOnly: true },
+        owner_id: { readOnly: true },
+        created_at: { readOnly: true },
+        updated_at: { readOnly: true },
+        name: { type: 'string', required: true, trim: true },
+        description: { type: 'string', trim: true },
+        shared: { type: 'boolean' },
+        q: { type: 'string', trim: true, parse: checkQuery },
+        fields: { type: 'list', items: SEARCHABLE_FIELDS },
+        priority: TASK_SEARCH_QUERY.fields.priority,
+        author: TASK_SEARCH_QUERY.fields.author,
+        status: TASK_SEARCH_QUERY.fields.status,
+        start_date_from: DATE_FIELD,
+        start_date_to: DATE_FIELD,
+        due_date_from: DATE_FIELD,
+        due_date_to: DATE_FIELD,
+        tags: TASK_SEARCH_QUERY.fields.tags,
+        tags_match: { type: 'string', trim: true, lowercase: true, enum: ['any', 'all'] },
+        sort: { type: 'string', trim: true, enum: [...SORTABLE_FIELDS, 'relevance'] },
+        order: { type: 'string', trim: true, lowercase: true, enum: ['asc', 'desc'] }
+    },
+    checks: [relevanceNeedsQuery]
+};
+
+const VIEW_TASKS_QUERY = {
+    fields: paginationFields(20),
+    checks: [pageOrCursor]
+};
+
+/**
+ * GET /views
+ * Response: data: array of views, by name: your own views and the views
+ * other users share
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await listViews(req.user);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /views
+ * Body Parameters:
+ * - name: string (required, unique per user ignoring case)
+ * - description: string
+ * - shared: boolean (default: false). Shared views can be seen and run by
+ *   every user; only the owner can change them
+ * - q, fields, priority, author, status, tags, tags_match: same as GET /tasks/search
+ * - start_date_from, start_date_to, due_date_from, due_date_to: a date, or a
+ *   relative date resolved when the view runs: now, today, end_of_day,
+ *   start_of_week, end_of_week, start_of_month, end_of_month, with an
+ *   optional offset such as today+7d or start_of_week-1w
+ * - sort: a sortable field or relevance (default: relevance with a q, created_at without)
+ * - order: 'asc' or 'desc' (default: desc)
+ * Response: data: created view
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { value, errors } = validate(VIEW_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await createView(req.user, value);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(201).json({ message: 'View created successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /views/:id
+ * Path Parameters:
+ * - id: view ID
+ * Response: data: view object
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const result = await getVisibleView(req.user, req.params.id);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PATCH /views/:id
+ * Path Parameters:
+ * - id: view ID
+ * Body Parameters: any of the POST /views fields; null clears a filter
+ * Response: data: updated view
+ * Only the owner can change a view.
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const current = await getOwnView(req.user, req.params.id);
+        if (current.error) {
+            return sendFailure(res, current);
+        }
+
+        // Checks such as relevanceNeedsQuery see the view as it will be saved
+        const { value, errors } = validate(VIEW_SCHEMA, req.body, 'update', current.data);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        if (Object.keys(value).length === 0) {
+            return sendValidationErrors(res, [{ field: 'body', message: 'No fields to update' }]);
+        }
+
+        const result = await updateView(req.user, current.data, value);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'View updated successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /views/:id
+ * Path Parameters:
+ * - id: view ID
+ * Response: data: deleted view
+ * Only the owner can delete a view.
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await deleteView(req.user, req.params.id);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'View deleted successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /views/:id/tasks
+ * Path Parameters:
+ * - id: view ID
+ * Query Parameters:
+ * - limit, page, cursor, count: same as GET /tasks/search (default limit: 20)
+ * Response:
+ * - data: your tasks matching the view, with tags (and score and highlights
+ *   when the view has a q), in the view's order
+ * - view: { id, name }
+ * - params: the parameters the view ran with, relative dates resolved
+ * - sorting: { field, order }
+ * - pagination: { page, limit, total, totalPages, next_cursor }
+ * Run a view over the authenticated user's tasks, also for views shared by others.
+ */
+router.get('/:id/tasks', async (req, res) => {
+    try {
+        const { value: pagination, errors } = validate(VIEW_TASKS_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const view = await getVisibleView(req.user, req.params.id);
+        if (view.error) {
+            return sendFailure(res, view);
+        }
+
+        const params = viewParams(view.data);
+        const pageRequested = pageRequest(pagination, {
+            field: params.sort === 'relevance' ? RELEVANCE_SORT_FIELD : params.sort,
+            ascending: params.order === 'asc'
+        });
+        if (pageRequested.error) {
+            return sendValidationErrors(res, [pageRequested.error]);
+        }
+
+        const { data: rows, error, count } = await findTasks(req.user, params, pageRequested);
+        if (error) {
+            console.error('View error:', error);
+            return res.status(500).json({
+                error: 'Failed to run view',
+                message: error.message
+            });
+        }
+
+        const page = pageResult(rows, count, pagination, pageRequested);
+        const { data, error: tagsError } = await withTags(page.data);
+        if (tagsError) {
+            console.error('View error:', tagsError);
+            return res.status(500).json({ error: 'Failed to run view', message: tagsError.message });
+        }
+
+        const { q, sort, order, ...filters } = params;
+        res.status(200).json({
+            data,
+            view: { id: view.data.id, name: view.data.name },
+            params: { ...(q && { q: q.text }), ...filters },
+            sorting: { field: sort, order },
+            pagination: page.pagination
+        });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = {
+    router,
+    VIEW_SCHEMA,
+    VIEW_TASKS_QUERY
+};
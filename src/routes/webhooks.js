@@ -0,0 +1,240 @@
+const express = require('express');
+const { webhookDeliveries } = require('../storage');
+const { validate, sendValidationErrors } = require('../validation');
+const { paginationFields, pageOrCursor, pageRequest, pageResult } = require('../pagination');
+const {
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES,
+    listWebhooks,
+    getOwnWebhook,
+    publicWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    redeliver
+} = require('../webhooks');
+
+const router = express.Router();
+
+/** Send the error of a failed webhook service call */
+const sendFailure = (res, { error }) => res.status(error.status).json(error.body);
+
+/** Only absolute http(s) URLs can receive webhooks */
+function parseUrl(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? { value: url.toString() } : { message: 'url must use http or https' };
+    } catch (err) {
+        return { message: 'url must be an absolute URL' };
+    }
+}
+
+const WEBHOOK_SCHEMA = {
+    fields: {
+        id: { readOnly: true },
+        owner_id: { readOnly: true },
+        created_at: { readOnly: true },
+        url: { type: 'string', required: true, trim: true, parse: parseUrl },
+        events: { type: 'list', items: WEBHOOK_EVENTS, default: WEBHOOK_EVENTS },
+        secret: { type: 'string', minLength: 16 },
+        active: { type: 'boolean', default: true }
+    }
+};
+
+const DELIVERY_QUERY = {
+    fields: {
+        status: { type: 'list', items: DELIVERY_STATUSES },
+        ...paginationFields(20)
+    },
+    checks: [pageOrCursor]
+};
+
+/**
+ * GET /webhooks
+ * Response: data: array of webhooks { id, url, events, active, created_at }
+ * Return the authenticated user's webhooks. Secrets are never listed.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await listWebhooks(req.user);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /webhooks
+ * Body Parameters:
+ * - url: string (required, http or https)
+ * - events: event types, array or comma separated (default: all of
+ *   task.created, task.updated, task.deleted, task.restored, task.reverted,
+ *   task.purged, task.reminder, task.overdue)
+ * - secret: string (at least 16 characters, generated when omitted)
+ * - active: boolean (default: true)
+ * Response: data: created webhook, including its secret (shown only this once)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { value, errors } = validate(WEBHOOK_SCHEMA, req.body, 'create');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await createWebhook(req.user, value);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(201).json({ message: 'Webhook created successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /webhooks/:id
+ * Path Parameters:
+ * - id: webhook ID
+ * Response: data: webhook object, without its secret
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const result = await getOwnWebhook(req.user, req.params.id);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ data: publicWebhook(result.data) });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PATCH /webhooks/:id
+ * Path Parameters:
+ * - id: webhook ID
+ * Body Parameters: url, events, secret and/or active
+ * Response: data: updated webhook (with the secret if it was changed)
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const { value, errors } = validate(WEBHOOK_SCHEMA, req.body, 'update');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        if (Object.keys(value).length === 0) {
+            return sendValidationErrors(res, [{ field: 'body', message: 'No fields to update' }]);
+        }
+
+        const result = await updateWebhook(req.user, req.params.id, value);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Webhook updated successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /webhooks/:id
+ * Path Parameters:
+ * - id: webhook ID
+ * Response: data: deleted webhook
+ * Delete a webhook together with its delivery log.
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await deleteWebhook(req.user, req.params.id);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(200).json({ message: 'Webhook deleted successfully', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /webhooks/:id/deliveries
+ * Path Parameters:
+ * - id: webhook ID
+ * Query Parameters:
+ * - status: pending, succeeded, failed (comma separated)
+ * - limit, page, cursor, count: same as GET /tasks (default limit: 20)
+ * Response:
+ * - data: deliveries, newest first: { id, event, event_id, payload, status,
+ *   attempts, next_attempt_at, last_attempt_at, response_status,
+ *   response_body, error, duration_ms, delivered_at, redelivery_of, created_at }
+ * - pagination: { page, limit, total, totalPages, next_cursor }
+ */
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const { value: params, errors } = validate(DELIVERY_QUERY, req.query, 'query');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const webhook = await getOwnWebhook(req.user, req.params.id);
+        if (webhook.error) {
+            return sendFailure(res, webhook);
+        }
+
+        const pageRequested = pageRequest(params, { field: 'id', ascending: false });
+        if (pageRequested.error) {
+            return sendValidationErrors(res, [pageRequested.error]);
+        }
+
+        const filters = [{ field: 'webhook_id', op: 'eq', value: webhook.data.id }];
+        if (params.status) filters.push({ field: 'status', op: 'in', value: params.status });
+
+        const { data: rows, error, count } = await webhookDeliveries.list({ ...pageRequested.options, filters });
+        if (error) {
+            console.error('Database error:', error);
+            return res.status(500).json({
+                error: 'Failed to fetch deliveries',
+                message: error.message
+            });
+        }
+
+        res.status(200).json(pageResult(rows, count, params, pageRequested));
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /webhooks/:id/deliveries/:deliveryId/redeliver
+ * Path Parameters:
+ * - id: webhook ID
+ * - deliveryId: delivery to send again
+ * Response: 202, data: the new delivery (redelivery_of points at the original)
+ * Send the same payload again right away, with a fresh set of retries.
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+    try {
+        const result = await redeliver(req.user, req.params.id, req.params.deliveryId);
+        if (result.error) {
+            return sendFailure(res, result);
+        }
+        res.status(202).json({ message: 'Redelivery queued', data: result.data });
+    } catch (err) {
+        console.error('Unexpected error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = {
+    router,
+    WEBHOOK_SCHEMA,
+    DELIVERY_QUERY
+};
@@ -0,0 +1,192 @@
+/**
+ * The search language of `q` and how matches are scored and highlighted.
+ *
+ * A query is whitespace separated terms, "quoted phrases" and excluded
+ * -terms or -"phrases". A task matches when every term and phrase appears
+ * in at least one searched field and no excluded one appears in any of
+ * them. This module scores and highlights for the memory backend, where
+ * matching is a case-insensitive substring match: a term also finds longer
+ * words that contain it ("plan" finds "planning"). The Supabase backend
+ * matches with full-text search instead (see 015_task_search.sql).
+ */
+
+/** Most terms, phrases and exclusions in one query */
+const MAX_QUERY_PARTS = 10;
+
+/** How much a match in each field counts towards the score */
+const FIELD_WEIGHTS = { title: 4, author: 2, priority: 1, description: 1 };
+
+/** Longest snippet returned for a field, in characters */
+const SNIPPET_LENGTH = 160;
+
+/** Context kept before the first match when a long field is cut */
+const SNIPPET_LEAD = 40;
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * Split `q` into { text, terms, phrases, exclude }, all lowercased and
+ * without duplicates. Used as the validation `parse` rule of q, so it
+ * returns { value } or { message }.
+ */
+function parseSearchQuery(text) {
+    const terms = new Set();
+    const phrases = new Set();
+    const exclude = new Set();
+    // -"phrase", "phrase" (an unterminated quote runs to the end), -term, term
+    const pattern = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const [, quoteNot, phrase, termNot, term] = match;
+        const value = (phrase !== undefined ? phrase.replace(/\s+/g, ' ') : term.replace(/"/g, '')).trim().toLowerCase();
+        if (!value || value === '-') continue;
+
+        if (quoteNot || termNot) {
+            exclude.add(value);
+        } else if (phrase !== undefined && /\s/.test(value)) {
+            phrases.add(value);
+        } else {
+            terms.add(value);
+        }
+    }
+
+    if (terms.size + phrases.size + exclude.size === 0) {
+        return { message: 'q must contain at least one search term' };
+    }
+    if (terms.size + phrases.size + exclude.size > MAX_QUERY_PARTS) {
+        return { message: `q can have at most ${MAX_QUERY_PARTS} terms, phrases and exclusions` };
+    }
+    return { value: { text, terms: [...terms], phrases: [...phrases], exclude: [...exclude] } };
+}
+
+/**
+ * The storage `search` option for a parsed query over `fields`; `ranked`
+ * asks for the score and highlights of every row.
+ */
+const searchOption = (query, fields, { ranked = false } = {}) => ({
+    fields,
+    include: [...query.terms, ...query.phrases],
+    exclude: query.exclude,
+    ranked
+});
+
+/** The terms and phrases of a storage `search` option, for scoreTask and highlightTask */
+const searchedQuery = ({ include = [] }) => ({
+    terms: include.filter(text => !/\s/.test(text)),
+    phrases: include.filter(text => /\s/.test(text))
+});
+
+/** Start positions of every non-overlapping `needle` in `text` */
+function positions(text, needle) {
+    const found = [];
+    let index = text.indexOf(needle);
+    while (index !== -1) {
+        found.push(index);
+        index = text.indexOf(needle, index + needle.length);
+    }
+    return found;
+}
+
+const isWordChar = (char) => char !== undefined && WORD_CHAR.test(char);
+
+/** 2 for a whole-word match, 1.5 for the start of a word, 1 inside a word */
+function matchQuality(text, index, length) {
+    if (isWordChar(text[index - 1])) return 1;
+    return isWordChar(text[index + length]) ? 1.5 : 2;
+}
+
+/** The lowercased text of each searched field that has a value */
+const fieldTexts = (task, fields) => fields
+    .filter(field => task[field] !== null && task[field] !== undefined)
+    .map(field => ({ field, text: String(task[field]), lower: String(task[field]).toLowerCase() }));
+
+/**
+ * Relevance of `task` to the query: for every term or phrase and field it
+ * appears in, the field's weight, times the quality of its best match,
+ * plus a little for each extra occurrence. Phrases count one and a half
+ * times. Rounded to 3 decimals so scores survive a cursor round trip.
+ */
+function scoreTask(task, query, fields) {
+    let score = 0;
+    const parts = [
+        ...query.terms.map(text => ({ text, boost: 1 })),
+        ...query.phrases.map(text => ({ text, boost: 1.5 }))
+    ];
+
+    for (const { field, lower } of fieldTexts(task, fields)) {
+        for (const { text, boost } of parts) {
+            const found = positions(lower, text);
+            if (found.length === 0) continue;
+            const quality = Math.max(...found.map(index => matchQuality(lower, index, text.length)));
+            score += (FIELD_WEIGHTS[field] || 1) * quality * boost * (1 + Math.log2(found.length));
+        }
+    }
+    return Math.round(score * 1000) / 1000;
+}
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/** Merge overlapping [start, end) ranges */
+function mergeRanges(ranges) {
+    const merged = [];
+    for (const range of [...ranges].sort((a, b) => a[0] - b[0])) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    }
+    return merged;
+}
+
+/** `text` from `start` to `end` with the ranges inside it wrapped in <mark>, HTML escaped */
+function markUp(text, ranges, start, end) {
+    let html = '';
+    let at = start;
+    for (const [from, to] of ranges) {
+        if (to <= start || from >= end) continue;
+        html += escapeHtml(text.slice(at, Math.max(from, start)));
+        html += `<mark>${escapeHtml(text.slice(Math.max(from, start), Math.min(to, end)))}</mark>`;
+        at = Math.min(to, end);
+    }
+    return html + escapeHtml(text.slice(at, end));
+}
+
+/**
+ * A snippet of every searched field that matched, with the matches in
+ * <mark> tags: { title: 'Fix the <mark>login</mark> page', ... }. Text
+ * is HTML escaped, so snippets can be inserted as HTML. Long fields are
+ * cut to about SNIPPET_LENGTH characters around the first match.
+ */
+function highlightTask(task, query, fields) {
+    const highlights = {};
+    const parts = [...query.terms, ...query.phrases];
+
+    for (const { field, text, lower } of fieldTexts(task, fields)) {
+        const ranges = mergeRanges(parts.flatMap(part =>
+            positions(lower, part).map(index => [index, index + part.length])));
+        if (ranges.length === 0) continue;
+
+        let start = 0;
+        let end = text.length;
+        if (text.length > SNIPPET_LENGTH) {
+            start = Math.max(0, ranges[0][0] - SNIPPET_LEAD);
+            // Do not start or end in the middle of a word
+            while (start > 0 && isWordChar(text[start - 1]) && start > ranges[0][0] - SNIPPET_LEAD - 15) start--;
+            end = Math.min(text.length, start + SNIPPET_LENGTH);
+            while (end < text.length && isWordChar(text[end]) && end < start + SNIPPET_LENGTH + 15) end++;
+        }
+        highlights[field] = `${start > 0 ? '…' : ''}${markUp(text, ranges, start, end)}${end < text.length ? '…' : ''}`;
+    }
+    return highlights;
+}
+
+module.exports = {
+    parseSearchQuery,
+    searchOption,
+    searchedQuery,
+    scoreTask,
+    highlightTask
+};
@@ -0,0 +1,130 @@
+const net = require('net');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * A minimal SMTP client for reminder emails: plain SMTP without TLS or
+ * authentication, enough for a local relay or a development stand-in
+ * (scripts/smtp-stand-in.js, MailHog, smtp4dev). Put a real relay in
+ * front of it for production mail.
+ */
+
+/** How long the server has to answer each command */
+const COMMAND_TIMEOUT_MS = 10 * 1000;
+
+/** Encode a header value as an RFC 2047 word when it is not plain ASCII */
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+/** The message in wire format: headers, a base64 text body, ready for DATA */
+function formatMessage({ from, to, subject, text }) {
+    const domain = from.split('@')[1] || 'localhost';
+    const body = Buffer.from(text).toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * Read SMTP replies from `socket`. Returns a function that resolves to the
+ * next complete reply { code, text }, joining multi-line (250-...) replies.
+ */
+function replyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    const settle = () => {
+        while (waiting.length > 0 && (replies.length > 0 || failure)) {
+            const { resolve, reject } = waiting.shift();
+            if (replies.length > 0) {
+                resolve(replies.shift());
+            } else {
+                reject(failure);
+            }
+        }
+    };
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, end).replace(/\r$/, '');
+            buffer = buffer.slice(end + 1);
+            lines.push(line.slice(4));
+            if (line[3] !== '-') {
+                replies.push({ code: Number(line.slice(0, 3)), text: lines.join('\n') });
+                lines = [];
+            }
+        }
+        settle();
+    });
+    const fail = (err) => {
+        failure = failure || err;
+        settle();
+    };
+    socket.on('error', fail);
+    socket.on('close', () => fail(new Error('SMTP server closed the connection')));
+    socket.setTimeout(COMMAND_TIMEOUT_MS, () => {
+        fail(new Error(`SMTP server did not answer within ${COMMAND_TIMEOUT_MS / 1000}s`));
+        socket.destroy();
+    });
+
+    return () => new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+    });
+}
+
+/**
+ * Send one plain text email. Resolves to { data: { response }, error }
+ * where error is set when the connection failed or the server refused
+ * a command.
+ */
+async function sendMail({ host, port, from, to, subject, text }) {
+    const socket = net.createConnection({ host, port });
+    const nextReply = replyReader(socket);
+
+    const command = async (line, expected) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await nextReply();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${line === null ? 'greeting' : line.split(/[\s:]/)[0]} failed: ${reply.code} ${reply.text}`);
+        }
+        return reply;
+    };
+
+    try {
+        await command(null, [220]);
+        await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        await command(`MAIL FROM:<${from}>`, [250]);
+        await command(`RCPT TO:<${to}>`, [250, 251]);
+        await command('DATA', [354]);
+        // Lines starting with a dot are doubled so they do not end the message
+        const message = formatMessage({ from, to, subject, text }).replace(/^\./gm, '..');
+        const accepted = await command(`${message}\r\n.`, [250]);
+        await command('QUIT', [221]).catch(() => {});
+        return { data: { response: accepted.text }, error: null };
+    } catch (err) {
+        return { data: null, error: err };
+    } finally {
+        socket.destroy();
+    }
+}
+
+module.exports = {
+    formatMessage,
+    sendMail
+};
@@ -0,0 +1,78 @@
+const config = require('../config');
+const { createSupabaseStorage } = require('./supabase');
+const { createMemoryStorage } = require('./memory');
+
+/**
+ * Storage backends, selected with the STORAGE_DRIVER environment variable.
+ *
+ * Each backend exposes collection(table, options) returning a repository.
+ * Options: updatedAt sets updated_at and version bumps a version counter
+ * on every update (the Supabase backend relies on table defaults and
+ * triggers for both). Repository methods:
+ * - insert(rows): { data: rows }
+ * - findById(id): { data: row | null }
+ * - update(id, changes, match?): { data: row | null }
+ * - remove(id, match?): { data: row | null }
+ * - removeWhere(filters): { data: removed rows }
+ * - list({ filters, search, sort, after, range, count, computed }): { data: rows, count }
+ * - renumber({ filters, sort, field, step }): { data: number of rows changed }
+ * - aggregate({ filters, search, groups, counts, histogram }): { data: { total, groups, counts, histogram } }
+ *
+ * `match` is an optional map of extra column values the row must have for
+ * the write to apply. `search` is { fields, include, exclude, ranked }:
+ * every include text must appear in one of the fields and no exclude text
+ * in any of them. The memory backend matches case-insensitive substrings;
+ * on Supabase, tables with a search function (Tasks) use full-text search
+ * with stemming and typo tolerance, and others ilike. With `ranked`, rows
+ * come with a `score` to sort and page by and their `highlights`. Filters are
+ * { field, op, value } with op one of eq, neq, in, ilike, gt, gte, lt,
+ * lte, is, not_is, and overlaps or contains for array columns (any or all
+ * of the values). Computed columns (tag_names of Tasks, usage_count of
+ * Tags) can be filtered on and are returned when listed in `computed`.
+ * Sorting puts nulls last and breaks ties on id; `after` ({ value, id })
+ * starts the results strictly after that position in the sort order.
+ * renumber() sets `field` to step, 2 * step, ... on the rows matching the
+ * filters, in sort order, without reading them (on Supabase only for
+ * tables with a renumber function, Tasks). It is not an update: versions
+ * and updated_at stay as they are.
+ * aggregate() counts the rows matching the filters and search without
+ * reading them (on Supabase only for tables with an aggregate function,
+ * Tasks): `groups` lists fields to count by ([{ value, count }] per
+ * value), `counts` maps names to extra filters to count with, and
+ * `histogram` ({ field, interval: day | week, from, to }) counts by UTC day
+ * or week (from Monday) in [from, to), as [{ period, count }] for the
+ * periods that have rows.
+ * Results always carry an `error` key so callers can handle both backends
+ * the same way.
+ */
+const DRIVERS = {
+    supabase: createSupabaseStorage,
+    memory: createMemoryStorage
+};
+
+function createStorage(options = config) {
+    const create = DRIVERS[options.storageDriver];
+    if (!create) {
+        throw new Error(`Unknown STORAGE_DRIVER "${options.storageDriver}". Available: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return create(options);
+}
+
+const storage = createStorage();
+
+module.exports = {
+    storage,
+    tasks: storage.collection('Tasks', { updatedAt: true, version: true }),
+    users: storage.collection('Users'),
+    apiKeys: storage.collection('ApiKeys'),
+    tags: storage.collection('Tags'),
+    taskTags: storage.collection('TaskTags'),
+    taskDependencies: storage.collection('TaskDependencies'),
+    auditLog: storage.collection('AuditLog'),
+    webhooks: storage.collection('Webhooks'),
+    webhookDeliveries: storage.collection('WebhookDeliveries'),
+    reminders: storage.collection('Reminders'),
+    views: storage.collection('Views', { updatedAt: true }),
+    projects: storage.collection('Projects', { updatedAt: true }),
+    projectMembers: storage.collection('ProjectMembers')
+};
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const { searchedQuery, scoreTask, highlightTask } = require('../searchQuery');
+const { startOfDay, startOfWeek } = require('../relativeDates');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/** Turn an SQL LIKE pattern into a case-insensitive regular expression */
+function likeToRegExp(pattern) {
+    const source = String(pattern)
+        .split('')
+        .map(ch => {
+            if (ch === '%') return '.*';
+            if (ch === '_') return '.';
+            return ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'is');
+}
+
+/**
+ * Compare two non-null column values the way Postgres would for our
+ * column types: numbers numerically, ISO dates chronologically, text as-is.
+ */
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    if (typeof a === 'string' && typeof b === 'string' && ISO_DATE.test(a) && ISO_DATE.test(b)) {
+        return Date.parse(a) - Date.parse(b);
+    }
+    const left = String(a);
+    const right = String(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+const isNil = (value) => value === null || value === undefined;
+
+const sameValue = (a, b) => !isNil(a) && !isNil(b) && String(a) === String(b);
+
+const FILTER_TESTS = {
+    eq: (actual, value) => sameValue(actual, value),
+    neq: (actual, value) => !isNil(actual) && !sameValue(actual, value),
+    in: (actual, values) => values.some(value => sameValue(actual, value)),
+    ilike: (actual, pattern) => !isNil(actual) && likeToRegExp(pattern).test(String(actual)),
+    gt: (actual, value) => !isNil(actual) && compareValues(actual, value) > 0,
+    gte: (actual, value) => !isNil(actual) && compareValues(actual, value) >= 0,
+    lt: (actual, value) => !isNil(actual) && compareValues(actual, value) < 0,
+    lte: (actual, value) => !isNil(actual) && compareValues(actual, value) <= 0,
+    is: (actual, value) => (value === null ? isNil(actual) : actual === value),
+    not_is: (actual, value) => (value === null ? !isNil(actual) : actual !== value),
+    overlaps: (actual, values) => Array.isArray(actual) && values.some(value => actual.some(item => sameValue(item, value))),
+    contains: (actual, values) => Array.isArray(actual) && values.every(value => actual.some(item => sameValue(item, value)))
+};
+
+/**
+ * Computed columns, the counterparts of the SQL functions PostgREST exposes
+ * as columns (tag_names in 005_tags.sql, usage_count in 006_soft_delete.sql).
+ * Each takes a function returning the rows of a table and returns the
+ * column's value for a row.
+ */
+const COMPUTED_FIELDS = {
+    Tasks: {
+        tag_names(rowsOf) {
+            const names = new Map(rowsOf('Tags').map(tag => [String(tag.id), tag.name.toLowerCase()]));
+            const byTask = new Map();
+            for (const link of rowsOf('TaskTags')) {
+                const tagNames = byTask.get(String(link.task_id)) || [];
+                byTask.set(String(link.task_id), [...tagNames, names.get(String(link.tag_id))]);
+            }
+            return task => byTask.get(String(task.id)) || [];
+        }
+    },
+    Tags: {
+        usage_count(rowsOf) {
+            const live = new Set(rowsOf('Tasks').filter(task => isNil(task.deleted_at)).map(task => String(task.id)));
+            const counts = new Map();
+            for (const link of rowsOf('TaskTags').filter(l => live.has(String(l.task_id)))) {
+                counts.set(String(link.tag_id), (counts.get(String(link.tag_id)) || 0) + 1);
+            }
+            return tag => counts.get(String(tag.id)) || 0;
+        }
+    }
+};
+
+function matchesFilters(row, filters = []) {
+    return filters.every(({ field, op, value }) => {
+        const test = FILTER_TESTS[op];
+        if (!test) {
+            throw new Error(`Unsupported filter operator: ${op}`);
+        }
+        return test(row[field], value);
+    });
+}
+
+function matchesMatch(row, match = {}) {
+    return Object.entries(match).every(([field, value]) =>
+        value === null ? isNil(row[field]) : sameValue(row[field], value));
+}
+
+/**
+ * Case-insensitive substring matching. Deliberately simpler than the
+ * full-text search of the Supabase backend: no stemming, stopwords or
+ * typo tolerance, so "plan" finds "planning" here but "planned" does not
+ * (test/memorySearch.test.js pins this down).
+ */
+function matchesSearch(row, search) {
+    if (!search) return true;
+    const { fields, include = [], exclude = [] } = search;
+    const contains = (text) => fields.some(field =>
+        !isNil(row[field]) && String(row[field]).toLowerCase().includes(text.toLowerCase()));
+    return include.every(contains) && !exclude.some(contains);
+}
+
+/** Start of the UTC day or week (from Monday) of a histogram period */
+const PERIOD_STARTS = { day: startOfDay, week: startOfWeek };
+
+/** Count rows by the key `keyOf` gives each one, skipping undefined keys */
+function countBy(rows, keyOf) {
+    const counts = new Map();
+    for (const row of rows) {
+        const key = keyOf(row);
+        if (key !== undefined) {
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+    return [...counts];
+}
+
+/**
+ * Sort with nulls last in both directions and id as the tiebreaker,
+ * matching the Supabase backend
+ */
+function sortRows(rows, { field, ascending }) {
+    const direction = ascending ? 1 : -1;
+    return rows.sort((a, b) => {
+        const left = a[field];
+        const right = b[field];
+        if (isNil(left) && isNil(right)) return direction * compareValues(a.id, b.id);
+        if (isNil(left)) return 1;
+        if (isNil(right)) return -1;
+        return direction * (compareValues(left, right) || compareValues(a.id, b.id));
+    });
+}
+
+/** True when the row sorts strictly after the (value, id) keyset position */
+function isAfter(row, { field, ascending }, after) {
+    const direction = ascending ? 1 : -1;
+    const idAfter = direction * compareValues(row.id, after.id) > 0;
+
+    if (field === 'id') return idAfter;
+    if (after.value === null) return isNil(row[field]) && idAfter;
+    if (isNil(row[field])) return true;
+
+    const result = direction * compareValues(row[field], after.value);
+    return result > 0 || (result === 0 && idAfter);
+}
+
+/**
+ * In-process storage backend. Tables live in memory and, when a data file
+ * is configured, are written to disk after every change so they survive
+ * restarts.
+ */
+function createMemoryStorage({ dataFile } = {}) {
+    let tables = {};
+
+    if (dataFile && fs.existsSync(dataFile)) {
+        tables = JSON.parse(fs.readFileSync(dataFile, 'utf8')).tables || {};
+        console.log(`Memory storage loaded from ${dataFile}`);
+    }
+
+    const persist = () => {
+        if (!dataFile) return;
+        const tmpFile = `${dataFile}.tmp`;
+        fs.mkdirSync(path.dirname(path.resolve(dataFile)), { recursive: true });
+        fs.writeFileSync(tmpFile, JSON.stringify({ tables }));
+        fs.renameSync(tmpFile, dataFile);
+    };
+
+    const tableFor = (name) => {
+        if (!tables[name]) {
+            tables[name] = { nextId: 1, rows: [] };
+        }
+        return tables[name];
+    };
+
+    /** Rows with the computed fields in `fields` that this table has */
+    const withComputed = (name, rows, fields) => {
+        const computed = COMPUTED_FIELDS[name] || {};
+        const values = [...new Set(fields)].filter(field => computed[field])
+            .map(field => [field, computed[field](other => tableFor(other).rows)]);
+        if (values.length === 0) {
+            return rows;
+        }
+        return rows.map(row => ({ ...row, ...Object.fromEntries(values.map(([field, valueOf]) => [field, valueOf(row)])) }));
+    };
+
+    const collection = (name, { updatedAt = false, version = false } = {}) => ({
+        async insert(rows) {
+            const table = tableFor(name);
+            const now = new Date().toISOString();
+            const inserted = rows.map(row => ({
+                id: table.nextId++,
+                created_at: now,
+                ...(updatedAt && { updated_at: now }),
+                ...(version && { version: 1 }),
+                ...clone(row)
+            }));
+            table.rows.push(...inserted);
+            persist();
+            return { data: clone(inserted), error: null };
+        },
+
+        async findById(id) {
+            const row = tableFor(name).rows.find(r => sameValue(r.id, id));
+            return { data: row ? clone(row) : null, error: null };
+        },
+
+        async update(id, changes, match) {
+            const row = tableFor(name).rows.find(r => sameValue(r.id, id) && matchesMatch(r, match));
+            if (!row) {
+                return { data: null, error: null };
+            }
+            Object.assign(row, clone(changes),
+                updatedAt && { updated_at: new Date().toISOString() },
+                version && { version: (row.version || 0) + 1 });
+            persist();
+            return { data: clone(row), error: null };
+        },
+
+        async remove(id, match) {
+            const table = tableFor(name);
+            const index = table.rows.findIndex(r => sameValue(r.id, id) && matchesMatch(r, match));
+            if (index === -1) {
+                return { data: null, error: null };
+            }
+            const [row] = table.rows.splice(index, 1);
+            persist();
+            return { data: clone(row), error: null };
+        },
+
+        async removeWhere(filters) {
+            const table = tableFor(name);
+            const matching = new Set(withComputed(name, table.rows, filters.map(({ field }) => field))
+                .filter(row => matchesFilters(row, filters))
+                .map(row => row.id));
+            const removed = table.rows.filter(row => matching.has(row.id));
+            table.rows = table.rows.filter(row => !matching.has(row.id));
+            if (removed.length > 0) {
+                persist();
+            }
+            return { data: clone(removed), error: null };
+        },
+
+        async list({ filters = [], search, sort, after, range, count = true, computed = [] } = {}) {
+            const ranked = Boolean(search && search.ranked);
+            const filtered = filters.map(({ field }) => field);
+            let rows = withComputed(name, tableFor(name).rows, [...filtered, ...computed])
+                .filter(row => matchesSearch(row, search) && matchesFilters(row, filters));
+            // Computed fields only filtered on are not returned
+            const hidden = filtered.filter(field => (COMPUTED_FIELDS[name] || {})[field] && !computed.includes(field));
+            if (hidden.length > 0) {
+                rows = rows.map(row => Object.fromEntries(Object.entries(row).filter(([field]) => !hidden.includes(field))));
+            }
+            if (ranked) {
+                rows = rows.map(row => ({ ...row, score: scoreTask(row, searchedQuery(search), search.fields) }));
+            }
+
+            if (sort) {
+                rows = sortRows(rows, sort);
+            }
+
+            // The count ignores the keyset position, like the Supabase backend
+            const total = rows.length;
+            if (after) {
+                rows = rows.filter(row => isAfter(row, sort, after));
+            }
+            if (range) {
+                rows = rows.slice(range.from, range.to + 1);
+            }
+            // Highlights only for the rows returned
+            if (ranked) {
+                rows = rows.map(row => ({ ...row, highlights: highlightTask(row, searchedQuery(search), search.fields) }));
+            }
+
+            return { data: clone(rows), error: null, count: count ? total : null };
+        },
+
+        async renumber({ filters = [], sort, field, step }) {
+            const table = tableFor(name);
+            const byId = new Map(table.rows.map(row => [row.id, row]));
+            const ordered = sortRows(withComputed(name, table.rows, filters.map(filter => filter.field))
+                .filter(row => matchesFilters(row, filters)), sort);
+            let renumbered = 0;
+            for (const [index, { id }] of ordered.entries()) {
+                const row = byId.get(id);
+                if (row[field] !== (index + 1) * step) {
+                    row[field] = (index + 1) * step;
+                    renumbered++;
+                }
+            }
+            if (renumbered > 0) {
+                persist();
+            }
+            return { data: renumbered, error: null };
+        },
+
+        async aggregate({ filters = [], search, groups = [], counts = {}, histogram } = {}) {
+            const fields = [...filters, ...Object.values(counts).flat()].map(({ field }) => field);
+            const rows = withComputed(name, tableFor(name).rows, fields)
+                .filter(row => matchesSearch(row, search) && matchesFilters(row, filters));
+
+            let periods = null;
+            if (histogram) {
+                const { field, interval, from, to } = histogram;
+                const start = PERIOD_STARTS[interval];
+                if (!start) {
+                    throw new Error(`Unsupported histogram interval: ${interval}`);
+                }
+                const inRange = rows.filter(row => !isNil(row[field])
+                    && compareValues(row[field], from) >= 0 && compareValues(row[field], to) < 0);
+                periods = countBy(inRange, row => new Date(start(Date.parse(row[field]))).toISOString().slice(0, 10))
+                    .sort(([a], [b]) => compareValues(a, b))
+                    .map(([period, count]) => ({ period, count }));
+            }
+
+            return {
+                data: {
+                    total: rows.length,
+                    groups: Object.fromEntries(groups.map(field => [field,
+                        countBy(rows, row => (isNil(row[field]) ? null : row[field])).map(([value, count]) => ({ value, count }))])),
+                    counts: Object.fromEntries(Object.entries(counts).map(([key, extra]) =>
+                        [key, rows.filter(row => matchesFilters(row, extra)).length])),
+                    histogram: periods
+                },
+                error: null
+            };
+        }
+    });
+
+    return {
+        driver: 'memory',
+        collection
+    };
+}
+
+module.exports = { createMemoryStorage };
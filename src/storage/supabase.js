@@ -0,0 +1,258 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/** Filter operators understood by every backend, mapped to PostgREST builder methods */
+const FILTER_METHODS = {
+    eq: 'eq',
+    neq: 'neq',
+    in: 'in',
+    ilike: 'ilike',
+    gt: 'gt',
+    gte: 'gte',
+    lt: 'lt',
+    lte: 'lte',
+    is: 'is',
+    overlaps: 'overlaps',
+    contains: 'contains'
+};
+
+/** Quote a value for a PostgREST or() filter string or an array literal */
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/** The array operators; the client would join their values unquoted */
+const ARRAY_OPS = ['overlaps', 'contains'];
+
+const arrayLiteral = (values) => `{${values.map(quote).join(',')}}`;
+
+function applyFilters(query, filters = []) {
+    for (const { field, op, value } of filters) {
+        if (op === 'not_is') {
+            query = query.not(field, 'is', value);
+            continue;
+        }
+        const method = FILTER_METHODS[op];
+        if (!method) {
+            throw new Error(`Unsupported filter operator: ${op}`);
+        }
+        query = query[method](field, ARRAY_OPS.includes(op) ? arrayLiteral(value) : value);
+    }
+    return query;
+}
+
+/**
+ * ilike pattern matching `text` anywhere. LIKE wildcards in the text are
+ * escaped; PostgREST turns every `*` into `%`, so a literal `*` becomes
+ * the single-character wildcard `_` instead.
+ */
+const containsPattern = (text) => `*${text.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '_')}*`;
+
+/**
+ * Narrow `query` to rows where every `include` text appears in one of the
+ * fields and no `exclude` text appears in any of them.
+ */
+function applySearch(query, { fields, include = [], exclude = [] }) {
+    for (const text of include) {
+        query = query.or(fields.map(field => `${field}.ilike.${quote(containsPattern(text))}`).join(','));
+    }
+    for (const text of exclude) {
+        for (const field of fields) {
+            query = query.or(`${field}.is.null,${field}.not.ilike.${quote(containsPattern(text))}`);
+        }
+    }
+    return query;
+}
+
+/**
+ * Tables searched in the database rather than with ilike: a `search` runs
+ * the function (see supabase/migrations/015_task_search.sql), which
+ * matches with full-text search and typo tolerance and adds the score and
+ * highlights of every row.
+ */
+const SEARCH_FUNCTIONS = {
+    Tasks: 'search_tasks'
+};
+
+/** The arguments of a search function for a `search` option */
+function searchArguments({ fields, include = [], exclude = [], ranked = false }) {
+    const websearch = (text) => (/\s/.test(text) ? `"${text}"` : text);
+    return {
+        include_query: include.map(websearch).join(' '),
+        exclude_query: exclude.map(websearch).join(' or '),
+        fuzzy_text: include.join(' '),
+        search_fields: fields,
+        with_highlights: ranked
+    };
+}
+
+/**
+ * Tables aggregated in the database: aggregate() calls the function (see
+ * supabase/migrations/017_task_aggregates.sql) with the filters, groups,
+ * counts and histogram as JSON.
+ */
+const AGGREGATE_FUNCTIONS = {
+    Tasks: 'aggregate_tasks'
+};
+
+/**
+ * Tables renumbered in the database: renumber() calls the function (see
+ * supabase/migrations/018_task_renumber.sql), one update for every row.
+ */
+const RENUMBER_FUNCTIONS = {
+    Tasks: 'renumber_tasks'
+};
+
+/** Columns a search function returns besides those of its table */
+const SEARCH_EXTRAS = ['tag_names', 'score', 'highlights'];
+
+/** Rows of a search function without the extra columns no one asked for */
+function searchedRows(rows, { ranked = false }, computed) {
+    const wanted = [...computed, ...(ranked ? ['score', 'highlights'] : [])];
+    const unwanted = SEARCH_EXTRAS.filter(field => !wanted.includes(field));
+    return rows && rows.map(row => Object.fromEntries(Object.entries(row).filter(([field]) => !unwanted.includes(field))));
+}
+
+/**
+ * or() condition selecting rows strictly after the (value, id) keyset
+ * position, with nulls sorted last in both directions.
+ */
+function keysetCondition(sort, after) {
+    const op = sort.ascending ? 'gt' : 'lt';
+    const idAfter = `id.${op}.${quote(after.id)}`;
+
+    if (sort.field === 'id') {
+        return idAfter;
+    }
+    if (after.value === null) {
+        return `and(${sort.field}.is.null,${idAfter})`;
+    }
+    return [
+        `${sort.field}.${op}.${quote(after.value)}`,
+        `and(${sort.field}.eq.${quote(after.value)},${idAfter})`,
+        `${sort.field}.is.null`
+    ].join(',');
+}
+
+function applyMatch(query, match = {}) {
+    for (const [field, value] of Object.entries(match)) {
+        query = value === null ? query.is(field, null) : query.eq(field, value);
+    }
+    return query;
+}
+
+/**
+ * Repository for one Supabase table.
+ * Every method resolves to { data, error } (plus count for list) so
+ * handlers can treat both backends the same way.
+ */
+function createSupabaseCollection(client, table) {
+    return {
+        async insert(rows) {
+            return client.from(table).insert(rows).select();
+        },
+
+        async findById(id) {
+            return client.from(table).select('*').eq('id', id).maybeSingle();
+        },
+
+        async update(id, changes, match) {
+            const query = applyMatch(client.from(table).update(changes).eq('id', id), match);
+            const { data, error } = await query.select();
+            return { data: data && data.length > 0 ? data[0] : null, error };
+        },
+
+        async remove(id, match) {
+            const query = applyMatch(client.from(table).delete().eq('id', id), match);
+            const { data, error } = await query.select();
+            return { data: data && data.length > 0 ? data[0] : null, error };
+        },
+
+        async removeWhere(filters) {
+            const { data, error } = await applyFilters(client.from(table).delete(), filters).select();
+            return { data: data || [], error };
+        },
+
+        async list({ filters, search, sort, after, range, count = true, computed = [] } = {}) {
+            const searchFunction = search && SEARCH_FUNCTIONS[table];
+            const filtered = (options) => {
+                let query;
+                if (searchFunction) {
+                    query = client.rpc(searchFunction, searchArguments(search), options);
+                } else {
+                    query = client.from(table).select(['*', ...computed].join(', '), options);
+                    if (search) {
+                        query = applySearch(query, search);
+                    }
+                }
+
+                return applyFilters(query, filters);
+            };
+
+            // The keyset condition would shrink the count, so count separately
+            const countOnAfter = Boolean(after && count);
+            let query = filtered(count && !countOnAfter ? { count: 'exact' } : undefined);
+
+            if (sort) {
+                query = query.order(sort.field, { ascending: sort.ascending, nullsFirst: false });
+                // id breaks ties so the order is stable across pages
+                if (sort.field !== 'id') {
+                    query = query.order('id', { ascending: sort.ascending });
+                }
+            }
+
+            if (after) {
+                query = query.or(keysetCondition(sort, after));
+            }
+
+            if (range) {
+                query = query.range(range.from, range.to);
+            }
+
+            const [rows, counted] = await Promise.all([
+                query,
+                countOnAfter ? filtered({ count: 'exact', head: true }) : null
+            ]);
+            const data = searchFunction ? searchedRows(rows.data, search, computed) : rows.data;
+            if (!countOnAfter) {
+                return { data, error: rows.error, count: rows.count };
+            }
+            return { data, error: rows.error || counted.error, count: counted.count };
+        },
+
+        async renumber({ filters = [], sort, field, step }) {
+            const renumberFunction = RENUMBER_FUNCTIONS[table];
+            if (!renumberFunction) {
+                throw new Error(`No renumber function for ${table}`);
+            }
+            return client.rpc(renumberFunction, { filters, sort_field: sort.field, ascending: sort.ascending, field, step });
+        },
+
+        async aggregate({ filters = [], search, groups = [], counts = {}, histogram = null } = {}) {
+            const aggregateFunction = AGGREGATE_FUNCTIONS[table];
+            if (!aggregateFunction) {
+                throw new Error(`No aggregate function for ${table}`);
+            }
+            return client.rpc(aggregateFunction, {
+                filters,
+                search: search ? searchArguments(search) : null,
+                groups,
+                counts,
+                histogram
+            });
+        }
+    };
+}
+
+function createSupabaseStorage({ supabaseUrl, supabaseKey }) {
+    if (!supabaseUrl || !supabaseKey) {
+        throw new Error('Missing Supabase URL or Key in environment variables');
+    }
+
+    const client = createClient(supabaseUrl, supabaseKey);
+    console.log('Supabase client initialized successfully');
+
+    return {
+        driver: 'supabase',
+        collection: (table) => createSupabaseCollection(client, table)
+    };
+}
+
+module.exports = { createSupabaseStorage };
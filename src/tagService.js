@@ -0,0 +1,339 @@
+const { tags, taskTags } = require('./storage');
+const { failure, databaseFailure, ownerFilter } = require('./taskService');
+
+/**
+ * Tags and their links to tasks.
+ *
+ * Tags belong to a user and are attached to tasks through TaskTags rows
+ * ({ task_id, tag_id, owner_id }), so renaming a tag renames it on every
+ * task at once. Names are unique per user, ignoring case. Like
+ * taskService, functions resolve to { data } or { error: { status, body } }.
+ */
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/** The fields of a tag shown on tasks */
+const tagSummary = ({ id, name, color }) => ({ id, name, color: color === undefined ? null : color });
+
+async function listOwnTags(user) {
+    return tags.list({ filters: [ownerFilter(user)], sort: { field: 'name', ascending: true }, count: false });
+}
+
+/**
+ * The user's tags, by name, each with the number of live tasks using it,
+ * counted in the database (the usage_count computed column)
+ */
+async function listTagsWithUsage(user) {
+    const { data, error } = await tags.list({
+        filters: [ownerFilter(user)],
+        sort: { field: 'name', ascending: true },
+        computed: ['usage_count'],
+        count: false
+    });
+    if (error) {
+        return databaseFailure('Failed to fetch tags', error);
+    }
+    return { data };
+}
+
+/** Load a tag and check that `user` owns it */
+async function getOwnTag(user, id) {
+    const { data, error } = await tags.findById(id);
+
+    if (error) {
+        return failure(500, { error: error.message });
+    }
+    if (!data) {
+        return failure(404, { error: 'Tag not found' });
+    }
+    if (String(data.owner_id) !== String(user.id)) {
+        return failure(403, { error: 'You do not have access to this tag' });
+    }
+    return { data };
+}
+
+async function nameTaken(user, name, exceptId) {
+    const { data, error } = await listOwnTags(user);
+    if (error) {
+        return { error };
+    }
+    return { taken: data.some(tag => sameName(tag.name, name) && String(tag.id) !== String(exceptId)) };
+}
+
+const conflict = (name) => failure(409, { error: `A tag named "${name}" already exists` });
+
+async function createTag(user, value) {
+    const existing = await nameTaken(user, value.name);
+    if (existing.error) {
+        return databaseFailure('Failed to create tag', existing.error);
+    }
+    if (existing.taken) {
+        return conflict(value.name);
+    }
+
+    const { data, error } = await tags.insert([{ color: null, ...value, owner_id: user.id }]);
+    if (error) {
+        return databaseFailure('Failed to create tag', error);
+    }
+    return { data: data[0] };
+}
+
+/** Rename or recolour a tag; every task using it sees the change */
+async function updateTag(user, id, changes) {
+    const current = await getOwnTag(user, id);
+    if (current.error) {
+        return current;
+    }
+
+    if (changes.name) {
+        const existing = await nameTaken(user, changes.name, id);
+        if (existing.error) {
+            return databaseFailure('Failed to update tag', existing.error);
+        }
+        if (existing.taken) {
+            return conflict(changes.name);
+        }
+    }
+
+    const { data, error } = await tags.update(id, changes, { owner_id: user.id });
+    if (error) {
+        return databaseFailure('Failed to update tag', error);
+    }
+    if (!data) {
+        return failure(404, { error: 'Tag not found' });
+    }
+    return { data };
+}
+
+/** Delete a tag and detach it from every task */
+async function deleteTag(user, id) {
+    const current = await getOwnTag(user, id);
+    if (current.error) {
+        return current;
+    }
+
+    const links = await taskTags.removeWhere([{ field: 'tag_id', op: 'eq', value: current.data.id }]);
+    if (links.error) {
+        return databaseFailure('Failed to detach tag', links.error);
+    }
+
+    const { data, error } = await tags.remove(id, { owner_id: user.id });
+    if (error) {
+        return databaseFailure('Failed to delete tag', error);
+    }
+    if (!data) {
+        return failure(404, { error: 'Tag not found' });
+    }
+    return { data, detached: links.data.length };
+}
+
+/**
+ * Merge tag `sourceId` into `targetId`: every task tagged with the source
+ * gets the target instead, then the source is deleted.
+ */
+async function mergeTags(user, sourceId, targetId) {
+    if (String(sourceId) === String(targetId)) {
+        return failure(400, { error: 'A tag cannot be merged into itself' });
+    }
+
+    const source = await getOwnTag(user, sourceId);
+    if (source.error) {
+        return source;
+    }
+    const target = await getOwnTag(user, targetId);
+    if (target.error) {
+        return target.error.status === 404 ? failure(400, { error: 'Target tag not found' }) : target;
+    }
+
+    const links = await taskTags.list({
+        filters: [{ field: 'tag_id', op: 'in', value: [source.data.id, target.data.id] }],
+        count: false
+    });
+    if (links.error) {
+        return databaseFailure('Failed to merge tags', links.error);
+    }
+
+    const targetTasks = new Set(links.data
+        .filter(link => String(link.tag_id) === String(target.data.id))
+        .map(link => String(link.task_id)));
+
+    for (const link of links.data.filter(l => String(l.tag_id) === String(source.data.id))) {
+        // Tasks that already have the target only lose the source
+        const { error } = targetTasks.has(String(link.task_id))
+            ? await taskTags.remove(link.id)
+            : await taskTags.update(link.id, { tag_id: target.data.id });
+        if (error) {
+            return databaseFailure('Failed to merge tags', error);
+        }
+    }
+
+    const removed = await tags.remove(source.data.id, { owner_id: user.id });
+    if (removed.error) {
+        return databaseFailure('Failed to merge tags', removed.error);
+    }
+
+    const usage = await listTagsWithUsage(user);
+    if (usage.error) {
+        return usage;
+    }
+    const merged = usage.data.find(tag => String(tag.id) === String(target.data.id)) || { ...target.data, usage_count: 0 };
+    return { data: merged, merged: source.data };
+}
+
+/** Tags of each task, as a Map of task id (string) to tag summaries */
+async function tagsForTasks(taskIds) {
+    const byTask = new Map(taskIds.map(id => [String(id), []]));
+    if (taskIds.length === 0) {
+        return { data: byTask, error: null };
+    }
+
+    const links = await taskTags.list({ filters: [{ field: 'task_id', op: 'in', value: taskIds }], count: false });
+    if (links.error || links.data.length === 0) {
+        return { data: byTask, error: links.error };
+    }
+
+    const tagIds = [...new Set(links.data.map(link => link.tag_id))];
+    const found = await tags.list({
+        filters: [{ field: 'id', op: 'in', value: tagIds }],
+        sort: { field: 'name', ascending: true },
+        count: false
+    });
+    if (found.error) {
+        return { data: byTask, error: found.error };
+    }
+
+    for (const tag of found.data) {
+        for (const link of links.data.filter(l => String(l.tag_id) === String(tag.id))) {
+            byTask.get(String(link.task_id)).push(tagSummary(tag));
+        }
+    }
+    return { data: byTask, error: null };
+}
+
+/**
+ * Attach tags to a task. `refs` holds tag ids or names; names that do not
+ * exist yet are created. Resolves to the task's tags afterwards.
+ */
+async function attachTags(user, task, refs) {
+    const ownTags = await listOwnTags(user);
+    if (ownTags.error) {
+        return databaseFailure('Failed to fetch tags', ownTags.error);
+    }
+
+    const wanted = [];
+    for (const ref of refs) {
+        if (typeof ref === 'number') {
+            const tag = ownTags.data.find(t => String(t.id) === String(ref));
+            if (!tag) {
+                return failure(400, { error: 'Validation failed', details: [{ field: 'tags', message: `Tag ${ref} not found` }] });
+            }
+            wanted.push(tag);
+            continue;
+        }
+
+        let tag = ownTags.data.find(t => sameName(t.name, ref)) || wanted.find(t => sameName(t.name, ref));
+        if (!tag) {
+            const created = await tags.insert([{ name: ref, color: null, owner_id: user.id }]);
+            if (created.error) {
+                return databaseFailure('Failed to create tag', created.error);
+            }
+            tag = created.data[0];
+        }
+        wanted.push(tag);
+    }
+
+    const current = await taskTags.list({ filters: [{ field: 'task_id', op: 'eq', value: task.id }], count: false });
+    if (current.error) {
+        return databaseFailure('Failed to tag task', current.error);
+    }
+
+    const linked = new Set(current.data.map(link => String(link.tag_id)));
+    const rows = [];
+    for (const tag of wanted) {
+        if (linked.has(String(tag.id))) continue;
+        linked.add(String(tag.id));
+        rows.push({ task_id: task.id, tag_id: tag.id, owner_id: user.id });
+    }
+
+    if (rows.length > 0) {
+        const { error } = await taskTags.insert(rows);
+        if (error) {
+            return databaseFailure('Failed to tag task', error);
+        }
+    }
+
+    const result = await tagsForTasks([task.id]);
+    if (result.error) {
+        return databaseFailure('Failed to fetch tags', result.error);
+    }
+    return { data: result.data.get(String(task.id)) };
+}
+
+/**
+ * Tag tasks that have no tags yet, given as [task, names] pairs, with one
+ * read of the user's tags and one insert each for the missing tags and
+ * the links. Resolves to the links created.
+ */
+async function tagNewTasks(user, pairs) {
+    const names = pairs.flatMap(([, tagNames]) => tagNames);
+    if (names.length === 0) {
+        return { data: [] };
+    }
+
+    const ownTags = await listOwnTags(user);
+    if (ownTags.error) {
+        return databaseFailure('Failed to fetch tags', ownTags.error);
+    }
+    const byName = new Map(ownTags.data.map(tag => [tag.name.toLowerCase(), tag]));
+
+    const missing = new Map(names.filter(name => !byName.has(name.toLowerCase())).map(name => [name.toLowerCase(), name]));
+    if (missing.size > 0) {
+        const created = await tags.insert([...missing.values()].map(name => ({ name, color: null, owner_id: user.id })));
+        if (created.error) {
+            return databaseFailure('Failed to create tag', created.error);
+        }
+        created.data.forEach(tag => byName.set(tag.name.toLowerCase(), tag));
+    }
+
+    const links = pairs.flatMap(([task, tagNames]) =>
+        [...new Set(tagNames.map(name => byName.get(name.toLowerCase()).id))]
+            .map(tagId => ({ task_id: task.id, tag_id: tagId, owner_id: user.id })));
+    const { data, error } = await taskTags.insert(links);
+    if (error) {
+        return databaseFailure('Failed to tag task', error);
+    }
+    return { data };
+}
+
+async function detachTag(task, tagId) {
+    const links = await taskTags.removeWhere([
+        { field: 'task_id', op: 'eq', value: task.id },
+        { field: 'tag_id', op: 'eq', value: tagId }
+    ]);
+    if (links.error) {
+        return databaseFailure('Failed to untag task', links.error);
+    }
+    if (links.data.length === 0) {
+        return failure(404, { error: 'Tag is not attached to this task' });
+    }
+    return { data: links.data[0] };
+}
+
+/** Detach every tag from the given tasks. Resolves to the removed links. */
+async function removeTaskLinks(taskIds) {
+    return taskTags.removeWhere([{ field: 'task_id', op: 'in', value: taskIds }]);
+}
+
+module.exports = {
+    listTagsWithUsage,
+    getOwnTag,
+    createTag,
+    updateTag,
+    deleteTag,
+    mergeTags,
+    tagsForTasks,
+    attachTags,
+    tagNewTasks,
+    detachTag,
+    removeTaskLinks
+};
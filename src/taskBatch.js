@@ -0,0 +1,244 @@
+const { tasks } = require('./storage');
+const { SUBTASK_DELETE_POLICIES } = require('./taskSchema');
+const {
+    failure,
+    prepareCreate,
+    commitCreate,
+    prepareUpdate,
+    commitUpdate,
+    prepareDelete,
+    commitDelete
+} = require('./taskService');
+const { removeTasks } = require('./trash');
+const { recordTaskChange } = require('./audit');
+
+/**
+ * Batch create/update/delete for POST /tasks/batch.
+ *
+ * Operations look like:
+ * - { op: 'create', data: {...} }
+ * - { op: 'update', id, data: {...} }
+ * - { op: 'delete', id, subtasks?: 'reparent' | 'cascade' }
+ *
+ * By default every operation is applied independently. In atomic mode all
+ * operations are validated first and nothing is written unless all of them
+ * pass; if a write still fails, the writes already made are undone.
+ */
+const MAX_BATCH_SIZE = 100;
+
+const OPERATIONS = ['create', 'update', 'delete'];
+
+/** Check the batch envelope. Returns a list of { field, message } errors. */
+function validateBatch(body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return [{ field: 'body', message: 'Request body must be a JSON object' }];
+    }
+
+    const errors = [];
+    const { operations, atomic } = body;
+
+    if (atomic !== undefined && typeof atomic !== 'boolean') {
+        errors.push({ field: 'atomic', message: 'atomic must be a boolean' });
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+        errors.push({ field: 'operations', message: 'operations must be a non-empty array' });
+        return errors;
+    }
+    if (operations.length > MAX_BATCH_SIZE) {
+        errors.push({ field: 'operations', message: `operations must contain at most ${MAX_BATCH_SIZE} items` });
+        return errors;
+    }
+
+    operations.forEach((operation, index) => {
+        const field = `operations[${index}]`;
+        if (operation === null || typeof operation !== 'object' || Array.isArray(operation)) {
+            errors.push({ field, message: `${field} must be an object` });
+            return;
+        }
+        if (!OPERATIONS.includes(operation.op)) {
+            errors.push({ field: `${field}.op`, message: `${field}.op must be one of: ${OPERATIONS.join(', ')}` });
+        }
+        if (operation.op !== 'create' && (operation.id === undefined || operation.id === null || operation.id === '')) {
+            errors.push({ field: `${field}.id`, message: `${field}.id is required` });
+        }
+        if (operation.subtasks !== undefined && !SUBTASK_DELETE_POLICIES.includes(operation.subtasks)) {
+            errors.push({ field: `${field}.subtasks`, message: `${field}.subtasks must be one of: ${SUBTASK_DELETE_POLICIES.join(', ')}` });
+        }
+    });
+
+    return errors;
+}
+
+async function prepareOperation(user, { op, id, data }) {
+    switch (op) {
+        case 'create':
+            return prepareCreate(user, data);
+        case 'update':
+            return prepareUpdate(user, id, data, 'update');
+        case 'delete':
+            return prepareDelete(user, id);
+    }
+}
+
+async function commitOperation(user, { op, id, subtasks }, prepared) {
+    switch (op) {
+        case 'create':
+            return commitCreate(user, prepared);
+        case 'update':
+            return commitUpdate(user, id, prepared.changes, prepared.current);
+        case 'delete':
+            return commitDelete(user, prepared, subtasks);
+    }
+}
+
+/**
+ * Undo one committed operation using what was read before it ran.
+ * `committed` is the full result of commitOperation.
+ */
+async function undoOperation(user, { op, id }, prepared, committed) {
+    switch (op) {
+        case 'create': {
+            // A created task is removed for good rather than left in the trash
+            const { error } = await removeTasks([committed.data], user);
+            return error ? failure(500, { error: error.message }) : { data: committed.data };
+        }
+        case 'update': {
+            const previous = {};
+            for (const field of Object.keys(prepared.changes)) {
+                previous[field] = prepared.current[field] === undefined ? null : prepared.current[field];
+            }
+            return commitUpdate(user, id, previous, committed.data);
+        }
+        case 'delete': {
+            const { removed, reparented } = committed.subtasks;
+            for (const row of [committed.data, ...removed]) {
+                const { data, error } = await tasks.update(row.id, { deleted_at: null });
+                if (error) {
+                    return failure(500, { error: error.message });
+                }
+                if (data) await recordTaskChange(user, 'restored', { ...row, deleted_at: committed.data.deleted_at }, data);
+            }
+            for (const child of reparented) {
+                const restored = await tasks.update(child.id, { parent_id: child.parent_id });
+                if (restored.error) {
+                    return failure(500, { error: restored.error.message });
+                }
+                if (restored.data) await recordTaskChange(user, 'updated', child, restored.data);
+            }
+            return { data: prepared };
+        }
+    }
+}
+
+const toResult = (index, operation, result, successStatus) => {
+    const base = { index, op: operation.op, ...(operation.id !== undefined && { id: operation.id }) };
+    return result.error
+        ? { ...base, status: result.error.status, ...result.error.body }
+        : { ...base, status: successStatus, data: result.data };
+};
+
+const SUCCESS_STATUS = { create: 201, update: 200, delete: 200 };
+
+const notApplied = (index, operation, reason) => ({
+    index,
+    op: operation.op,
+    ...(operation.id !== undefined && { id: operation.id }),
+    status: 424,
+    error: reason
+});
+
+function summarize(results) {
+    const succeeded = results.filter(r => r.status < 300).length;
+    return { total: results.length, succeeded, failed: results.length - succeeded };
+}
+
+async function runIndependent(user, operations) {
+    const results = [];
+    for (const [index, operation] of operations.entries()) {
+        const prepared = await prepareOperation(user, operation);
+        const result = prepared.error ? prepared : await commitOperation(user, operation, prepared.data);
+        results.push(toResult(index, operation, result, SUCCESS_STATUS[operation.op]));
+    }
+    return { ok: true, results };
+}
+
+async function runAtomic(user, operations) {
+    // A task touched twice would be prepared against stale data
+    const seen = new Set();
+    const duplicates = new Set();
+    for (const [index, operation] of operations.entries()) {
+        if (operation.op === 'create') continue;
+        const key = String(operation.id);
+        if (seen.has(key)) duplicates.add(index);
+        seen.add(key);
+    }
+
+    // Validate everything before writing anything
+    const prepared = [];
+    for (const [index, operation] of operations.entries()) {
+        prepared.push(duplicates.has(index)
+            ? failure(400, { error: `Task ${operation.id} appears more than once in an atomic batch` })
+            : await prepareOperation(user, operation));
+    }
+
+    const firstInvalid = prepared.findIndex(p => p.error);
+    if (firstInvalid !== -1) {
+        return {
+            ok: false,
+            status: prepared[firstInvalid].error.status,
+            results: operations.map((operation, index) => (prepared[index].error
+                ? toResult(index, operation, prepared[index])
+                : notApplied(index, operation, 'Not applied because another operation failed')))
+        };
+    }
+
+    const committed = [];
+    for (const [index, operation] of operations.entries()) {
+        const result = await commitOperation(user, operation, prepared[index].data);
+
+        if (result.error) {
+            // Undo in reverse order so later writes never depend on undone ones
+            const rollbackErrors = [];
+            for (let i = committed.length - 1; i >= 0; i--) {
+                const undone = await undoOperation(user, operations[i], prepared[i].data, committed[i]);
+                if (undone.error) {
+                    console.error(`Batch rollback failed for operation ${i}:`, undone.error.body);
+                    rollbackErrors.push({ index: i, ...undone.error.body });
+                }
+            }
+
+            return {
+                ok: false,
+                status: result.error.status,
+                rollbackErrors,
+                results: operations.map((op, i) => (i === index
+                    ? toResult(i, op, result)
+                    : notApplied(i, op, i < index ? 'Rolled back because another operation failed' : 'Not applied because another operation failed')))
+            };
+        }
+
+        committed.push(result);
+    }
+
+    return {
+        ok: true,
+        results: operations.map((operation, index) =>
+            toResult(index, operation, committed[index], SUCCESS_STATUS[operation.op]))
+    };
+}
+
+/**
+ * Run a validated batch. Resolves to { ok, status?, results, rollbackErrors? }
+ * where results holds one entry per operation, in request order.
+ */
+async function runBatch(user, operations, { atomic = false } = {}) {
+    const outcome = atomic ? await runAtomic(user, operations) : await runIndependent(user, operations);
+    return { ...outcome, summary: summarize(outcome.results) };
+}
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    validateBatch,
+    runBatch
+};
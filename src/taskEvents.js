@@ -0,0 +1,135 @@
+const { EventEmitter } = require('events');
+const { auditLog } = require('./storage');
+
+/**
+ * Task change events for GET /tasks/stream.
+ *
+ * Every audit entry is also published here as an event, and the entry id
+ * doubles as the event id. A client that reconnects with Last-Event-ID
+ * catches up from the audit log, so nothing is lost across reconnects or
+ * server restarts. Live delivery is in-process: with several server
+ * instances, each only pushes the changes it made itself.
+ */
+
+const emitter = new EventEmitter();
+// Every open stream is a listener
+emitter.setMaxListeners(0);
+
+/** Most events replayed on reconnect; with more, the client is told to reload */
+const CATCH_UP_LIMIT = 500;
+
+/** Turn an audit entry into the event sent to clients */
+function eventFromEntry(entry) {
+    const after = entry.action === 'purged' ? null : entry.snapshot;
+    // Rebuild the task as it was before the change from the diff
+    const before = entry.action === 'created' ? null : { ...entry.snapshot };
+    if (before) {
+        for (const [field, { from }] of Object.entries(entry.changes || {})) {
+            before[field] = from;
+        }
+    }
+
+    return {
+        id: entry.id === undefined ? null : entry.id,
+        type: `task.${entry.action}`,
+        task_id: entry.task_id,
+        owner_id: entry.owner_id,
+        task: entry.snapshot,
+        changes: entry.changes,
+        actor: { id: entry.actor_id, name: entry.actor_name },
+        at: entry.created_at,
+        before,
+        after
+    };
+}
+
+/** What clients get to see of an event */
+const eventPayload = ({ id, type, task_id, task, changes, actor, at }) => ({ id, type, task_id, task, changes, actor, at });
+
+/** An event in Server-Sent Events wire format; events without an id cannot be resumed from */
+function serializeEvent(event) {
+    const { id, type } = event;
+    return `${id === null ? '' : `id: ${id}\n`}event: ${type}\ndata: ${JSON.stringify(eventPayload(event))}\n\n`;
+}
+
+/** Publish a recorded change to every open stream */
+function publishTaskChange(entry) {
+    emitter.emit('change', eventFromEntry(entry));
+}
+
+/** Call `listener(event)` for every change until the returned function is called */
+function subscribe(listener) {
+    // A broken stream must not fail the request that made the change
+    const safeListener = (event) => {
+        try {
+            listener(event);
+        } catch (err) {
+            console.error('Task event listener failed:', err);
+        }
+    };
+    emitter.on('change', safeListener);
+    return () => emitter.off('change', safeListener);
+}
+
+const contains = (value, part) => typeof value === 'string' && value.toLowerCase().includes(part.toLowerCase());
+
+const inRange = (value, from, to) => {
+    if (!from && !to) return true;
+    if (!value) return false;
+    const time = Date.parse(value);
+    return (!from || time >= Date.parse(from)) && (!to || time <= Date.parse(to));
+};
+
+/** The same priority, author, status and date filters as GET /tasks/sort */
+function taskMatches(task, params) {
+    return Boolean(task)
+        && (!params.priority || params.priority.includes(task.priority))
+        && (!params.author || contains(task.author, params.author))
+        && (!params.status || params.status.includes(task.status))
+        && inRange(task.start_date, params.start_date_from, params.start_date_to)
+        && inRange(task.due_date, params.due_date_from, params.due_date_to);
+}
+
+/**
+ * Whether `user` should see `event` with the given filters. A change is
+ * sent when the task matches before or after it, so clients also hear
+ * about tasks that leave their filtered view.
+ */
+function eventMatches(event, user, params) {
+    return event.owner_id !== null && event.owner_id !== undefined
+        && String(event.owner_id) === String(user.id)
+        && (taskMatches(event.before, params) || taskMatches(event.after, params));
+}
+
+/**
+ * The user's changes after event `lastId`, oldest first. `truncated` is
+ * true when there were more than CATCH_UP_LIMIT of them.
+ */
+async function eventsSince(user, lastId) {
+    const { data, error } = await auditLog.list({
+        filters: [
+            { field: 'owner_id', op: 'eq', value: user.id },
+            { field: 'id', op: 'gt', value: lastId }
+        ],
+        sort: { field: 'id', ascending: true },
+        range: { from: 0, to: CATCH_UP_LIMIT },
+        count: false
+    });
+    if (error) {
+        return { data: null, error };
+    }
+    return {
+        data: data.slice(0, CATCH_UP_LIMIT).map(eventFromEntry),
+        truncated: data.length > CATCH_UP_LIMIT,
+        error: null
+    };
+}
+
+module.exports = {
+    publishTaskChange,
+    subscribe,
+    eventPayload,
+    serializeEvent,
+    eventMatches,
+    eventsSince
+};
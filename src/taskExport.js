@@ -0,0 +1,231 @@
+const { scanTasks } = require('./taskService');
+const { tagsForTasks } = require('./tagService');
+
+/**
+ * Streaming task export as CSV, NDJSON or iCalendar.
+ *
+ * Tasks are read in keyset-paginated batches (see scanTasks) and written
+ * as they arrive, so an export of any size only keeps one batch in memory.
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const CSV_COLUMNS = [
+    'id',
+    'title',
+    'author',
+    'priority',
+    'status',
+    'description',
+    'start_date',
+    'due_date',
+    'completed_at',
+    'created_at',
+    'updated_at',
+    'parent_id',
+    'project_id',
+    'recurrence',
+    'reminders',
+    'tags'
+];
+
+/**
+ * Quote a CSV value when needed. Values that a spreadsheet would run as a
+ * formula (=, +, -, @) get a leading apostrophe.
+ */
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = Array.isArray(value) ? value.join(',') : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (values) => `${values.map(csvValue).join(',')}\r\n`;
+
+const ICS_STATUSES = {
+    todo: 'NEEDS-ACTION',
+    blocked: 'NEEDS-ACTION',
+    in_progress: 'IN-PROCESS',
+    done: 'COMPLETED',
+    cancelled: 'CANCELLED'
+};
+
+/** iCalendar PRIORITY: 1 is the highest, 9 the lowest */
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+const icsText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/** UTC date-time in iCalendar basic format: 20240131T093000Z */
+const icsTimestamp = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * A date property. Date-only values stay all-day dates; `nextDay` moves
+ * them one day on, since an all-day DTEND is exclusive.
+ */
+function icsDate(name, value, { nextDay = false } = {}) {
+    if (!DATE_ONLY.test(value)) {
+        return `${name}:${icsTimestamp(value)}`;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    if (nextDay) date.setUTCDate(date.getUTCDate() + 1);
+    return `${name};VALUE=DATE:${date.toISOString().slice(0, 10).replace(/-/g, '')}`;
+}
+
+/** Fold content lines longer than 75 octets (RFC 5545 section 3.1) */
+function icsFold(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * A task as a calendar component: tasks with a start_date are events
+ * running from start_date to due_date, the others are to-dos due on
+ * due_date.
+ */
+function icsComponent(task) {
+    const isEvent = Boolean(task.start_date);
+    const type = isEvent ? 'VEVENT' : 'VTODO';
+    const lines = [
+        `BEGIN:${type}`,
+        `UID:task-${task.id}@tasks`,
+        `DTSTAMP:${icsTimestamp(task.updated_at || task.created_at || Date.now())}`,
+        `SUMMARY:${icsText(task.title)}`
+    ];
+
+    if (task.description) lines.push(`DESCRIPTION:${icsText(task.description)}`);
+    if (isEvent) {
+        lines.push(icsDate('DTSTART', task.start_date));
+        if (task.due_date) lines.push(icsDate('DTEND', task.due_date, { nextDay: DATE_ONLY.test(task.due_date) }));
+        lines.push(`STATUS:${task.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+    } else {
+        if (task.due_date) lines.push(icsDate('DUE', task.due_date));
+        if (ICS_STATUSES[task.status]) lines.push(`STATUS:${ICS_STATUSES[task.status]}`);
+        if (task.completed_at) lines.push(`COMPLETED:${icsTimestamp(task.completed_at)}`);
+    }
+    if (ICS_PRIORITIES[task.priority]) lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority]}`);
+    if (task.tags && task.tags.length > 0) lines.push(`CATEGORIES:${task.tags.map(icsText).join(',')}`);
+    lines.push(`END:${type}`);
+
+    return lines.map(line => `${icsFold(line)}\r\n`).join('');
+}
+
+/**
+ * Output formats: content type, file extension, and what to write before,
+ * for every task and after the tasks. Tasks carry their tag names in `tags`.
+ */
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        // The byte order mark makes spreadsheet apps read the file as UTF-8
+        header: () => `\uFEFF${csvLine(CSV_COLUMNS)}`,
+        row: (task) => csvLine(CSV_COLUMNS.map(column => task[column])),
+        footer: () => ''
+    },
+    ndjson: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'ndjson',
+        header: () => '',
+        row: (task) => `${JSON.stringify(task)}\n`,
+        footer: () => ''
+    },
+    ics: {
+        contentType: 'text/calendar; charset=utf-8',
+        extension: 'ics',
+        header: () => 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//test_api//Tasks//EN\r\nCALSCALE:GREGORIAN\r\n',
+        row: icsComponent,
+        footer: () => 'END:VCALENDAR\r\n'
+    }
+};
+
+/** Add tag names to a batch of tasks */
+async function withTagNames(rows) {
+    const tagged = await tagsForTasks(rows.map(task => task.id));
+    if (tagged.error) {
+        return { data: null, error: tagged.error };
+    }
+    return {
+        data: rows.map(task => ({ ...task, tags: tagged.data.get(String(task.id)).map(tag => tag.name) })),
+        error: null
+    };
+}
+
+/** Write a chunk, waiting for the client to catch up (or leave) if it is behind */
+async function write(res, chunk) {
+    if (!chunk || res.write(chunk) || res.destroyed) {
+        return;
+    }
+    await new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+/**
+ * Stream every task matching the list options ({ filters, search, sort })
+ * to `res` as `format`. Resolves to { error } without writing anything if
+ * the first batch cannot be read. Later failures end the response early,
+ * since the status has already been sent.
+ */
+async function exportTasks(res, format, query, filename = 'tasks') {
+    const output = EXPORT_FORMATS[format];
+    const start = async () => {
+        res.status(200).set({
+            'Content-Type': output.contentType,
+            'Content-Disposition': `attachment; filename="${filename}.${output.extension}"`
+        });
+        await write(res, output.header());
+    };
+
+    for await (const scanned of scanTasks(query)) {
+        const batch = scanned.error ? scanned : await withTagNames(scanned.data);
+        if (batch.error) {
+            if (!res.headersSent) {
+                return { error: batch.error };
+            }
+            console.error('Export failed:', batch.error);
+            res.destroy(batch.error);
+            return { error: null };
+        }
+
+        if (!res.headersSent) await start();
+        for (const task of batch.data) {
+            if (res.destroyed) return { error: null };
+            await write(res, output.row(task));
+        }
+    }
+
+    // No tasks at all still makes a valid (empty) file
+    if (!res.headersSent) await start();
+    await write(res, output.footer());
+    res.end();
+    return { error: null };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportTasks
+};
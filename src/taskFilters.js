@@ -0,0 +1,83 @@
+const { ownerFilter, trashFilter } = require('./taskService');
+const { tagsForTasks } = require('./tagService');
+
+/**
+ * Repository filters for the task list routes (GET /tasks/search, /sort,
+ * /export, /stats) and saved views, built from validated query parameters.
+ */
+
+/**
+ * Build the repository filters shared by the list routes from the
+ * authenticated user and validated priority, author, status, date range,
+ * project and tags query parameters.
+ */
+function buildTaskFilters(user, { priority, author, status, start_date_from, start_date_to, due_date_from, due_date_to, project_id, tags, tags_match }) {
+    // Tasks in the trash only show up in GET /tasks/trash
+    const filters = [ownerFilter(user), trashFilter()];
+
+    if (project_id) {
+        filters.push({ field: 'project_id', op: 'eq', value: project_id });
+    }
+
+    if (priority) {
+        filters.push({ field: 'priority', op: 'in', value: priority });
+    }
+
+    if (author) {
+        filters.push({ field: 'author', op: 'ilike', value: `%${author}%` });
+    }
+
+    if (status) {
+        filters.push({ field: 'status', op: 'in', value: status });
+    }
+
+    // Date range filters
+    if (start_date_from) filters.push({ field: 'start_date', op: 'gte', value: start_date_from });
+    if (start_date_to) filters.push({ field: 'start_date', op: 'lte', value: start_date_to });
+    if (due_date_from) filters.push({ field: 'due_date', op: 'gte', value: due_date_from });
+    if (due_date_to) filters.push({ field: 'due_date', op: 'lte', value: due_date_to });
+
+    // Tasks with any (or, with tags_match=all, every) of the named tags;
+    // tag_names holds the lowercased names of a task's tags
+    if (tags) {
+        const names = tags.map(name => name.toLowerCase());
+        filters.push({ field: 'tag_names', op: tags_match === 'all' ? 'contains' : 'overlaps', value: names });
+    }
+
+    return filters;
+}
+
+/** The filters of a search as echoed in its `search.filters` block */
+function appliedFilters({ priority, author, status, start_date_from, start_date_to, due_date_from, due_date_to, tags, tags_match, project_id }) {
+    const applied = {};
+    if (priority) applied.priority = priority;
+    if (author) applied.author = author;
+    if (status) applied.status = status;
+    if (start_date_from || start_date_to) {
+        applied.start_date = { from: start_date_from, to: start_date_to };
+    }
+    if (due_date_from || due_date_to) {
+        applied.due_date = { from: due_date_from, to: due_date_to };
+    }
+    if (tags) {
+        applied.tags = { names: tags, match: tags_match };
+    }
+    if (project_id) applied.project_id = project_id;
+    return applied;
+}
+
+/** Add each task's tags ({ id, name, color }) to a list of tasks */
+async function withTags(rows) {
+    const { data, error } = await tagsForTasks(rows.map(row => row.id));
+    if (error) {
+        return { data: null, error };
+    }
+    return { data: rows.map(row => ({ ...row, tags: data.get(String(row.id)) })), error: null };
+}
+
+module.exports = {
+    ownerFilter,
+    buildTaskFilters,
+    appliedFilters,
+    withTags
+};
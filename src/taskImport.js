@@ -0,0 +1,295 @@
+const { tasks } = require('./storage');
+const { TASK_SCHEMA } = require('./taskSchema');
+const { failure, databaseFailure, prepareCreate } = require('./taskService');
+const { POSITION_STEP, nextPosition } = require('./taskOrder');
+const { tagNewTasks, removeTaskLinks } = require('./tagService');
+const { recordTaskChanges } = require('./audit');
+const config = require('./config');
+
+/**
+ * Bulk task import for POST /tasks/import.
+ *
+ * The file is a CSV with a header row, or a JSON array of objects. Each
+ * column (or key) is mapped to a task field: explicitly through the
+ * mapping, otherwise when its name matches a field. Every row goes
+ * through prepareCreate, the same checks POST /tasks makes, and nothing
+ * is written unless every row passes.
+ */
+
+/** Fields a column can map to: the ones POST /tasks accepts, plus tags */
+const IMPORT_FIELDS = [
+    ...Object.entries(TASK_SCHEMA.fields).filter(([, rule]) => !rule.readOnly).map(([field]) => field),
+    'tags'
+];
+
+/** Column names are matched to fields ignoring case, spaces and dashes */
+const normalizeColumn = (name) => String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Parse RFC 4180 CSV. Resolves to { columns, records } where records are
+ * objects keyed by column name, or { error }. Blank lines are skipped.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        return { error: 'CSV has an unterminated quoted value' };
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonBlank = rows.filter(r => r.length > 1 || r[0].trim() !== '');
+    if (nonBlank.length === 0) {
+        return { error: 'CSV must have a header row' };
+    }
+
+    const [columns, ...lines] = nonBlank;
+    const records = lines.map(values => {
+        const record = {};
+        columns.forEach((column, index) => {
+            if (values[index] !== undefined) record[column] = values[index];
+        });
+        return record;
+    });
+    return { columns, records };
+}
+
+/**
+ * Parse the mapping query parameter: comma separated `column:field` pairs,
+ * e.g. "Summary:title,Owner:author". Used as a validation `parse` rule.
+ */
+function parseMapping(text) {
+    const mapping = {};
+    for (const pair of text.split(',').filter(p => p.trim())) {
+        const separator = pair.lastIndexOf(':');
+        const column = pair.slice(0, separator).trim();
+        const field = pair.slice(separator + 1).trim();
+        if (separator === -1 || !column) {
+            return { message: `mapping: "${pair.trim()}" is not a column:field pair` };
+        }
+        if (!IMPORT_FIELDS.includes(field)) {
+            return { message: `mapping: "${field}" is not a task field. Available: ${IMPORT_FIELDS.join(', ')}` };
+        }
+        mapping[column] = field;
+    }
+    return { value: mapping };
+}
+
+const TASK_IMPORT_QUERY = {
+    fields: {
+        dry_run: { type: 'string', trim: true, lowercase: true, enum: ['true', 'false'], default: 'false' },
+        mapping: { type: 'string', trim: true, parse: parseMapping }
+    }
+};
+
+/**
+ * Decide which field each column fills. Resolves to { fields, ignored }
+ * where fields maps column name to task field.
+ */
+function resolveColumns(columns, mapping) {
+    const fields = {};
+    const ignored = [];
+    for (const column of columns) {
+        const field = mapping[column] || (IMPORT_FIELDS.includes(normalizeColumn(column)) ? normalizeColumn(column) : null);
+        if (field) {
+            fields[column] = field;
+        } else {
+            ignored.push(column);
+        }
+    }
+    return { fields, ignored };
+}
+
+/** Undo the apostrophe that CSV export puts before formula-like values */
+const unguard = (value) => (typeof value === 'string' && /^'[=+\-@]/.test(value) ? value.slice(1) : value);
+
+/** Build a POST /tasks body and tag names from one record */
+function toTask(record, fields) {
+    const body = {};
+    const columns = {};
+    let tags = [];
+
+    for (const [column, field] of Object.entries(fields)) {
+        const raw = unguard(record[column]);
+        // Empty cells mean "not set", as if the column were missing
+        if (raw === undefined || raw === '' || raw === null) continue;
+
+        if (field === 'tags') {
+            tags = (Array.isArray(raw) ? raw : String(raw).split(','))
+                .map(name => String(name).trim())
+                .filter(Boolean);
+            continue;
+        }
+        body[field] = raw;
+        columns[field] = column;
+    }
+    return { body, columns, tags };
+}
+
+/**
+ * Validate every record as a new task. Resolves to
+ * { data: { columns: { mapped, ignored }, rows, errors } } where rows holds
+ * { row, model, tags } for valid records and errors holds
+ * { row, errors: [{ field, column, message }] } for the others. Row
+ * numbers start at 1 with the first task (the CSV header is not counted).
+ */
+async function prepareImport(user, { columns, records }, mapping = {}) {
+    if (records.length === 0) {
+        return failure(400, { error: 'Validation failed', details: [{ field: 'body', message: 'The file has no tasks' }] });
+    }
+    if (records.length > config.importMaxRows) {
+        return failure(400, {
+            error: 'Validation failed',
+            details: [{ field: 'body', message: `At most ${config.importMaxRows} tasks can be imported at once` }]
+        });
+    }
+
+    const { fields, ignored } = resolveColumns(columns, mapping);
+    const rows = [];
+    const errors = [];
+
+    for (const [index, record] of records.entries()) {
+        const row = index + 1;
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+            errors.push({ row, errors: [{ field: 'body', message: 'Each task must be an object' }] });
+            continue;
+        }
+
+        const { body, columns: sources, tags } = toTask(record, fields);
+        const prepared = await prepareCreate(user, body);
+        if (prepared.error) {
+            const details = prepared.error.body.details || [{ field: 'body', message: prepared.error.body.error }];
+            errors.push({
+                row,
+                errors: details.map(detail => ({ ...detail, ...(sources[detail.field] && { column: sources[detail.field] }) }))
+            });
+        } else {
+            rows.push({ row, model: prepared.data, tags });
+        }
+    }
+    return { data: { columns: { mapped: fields, ignored }, rows, errors } };
+}
+
+/**
+ * Remove the tasks of a failed import and their tag links. No audit
+ * entries were recorded for them, so none are recorded for the removal
+ * either. Resolves to the ids of the tasks that are still there.
+ */
+async function discardTasks(created) {
+    const ids = created.map(task => task.id);
+    const links = await removeTaskLinks(ids);
+    if (links.error) {
+        console.error('Import rollback failed:', links.error);
+        return ids;
+    }
+    const removed = await tasks.removeWhere([{ field: 'id', op: 'in', value: ids }]);
+    if (removed.error) {
+        console.error('Import rollback failed:', removed.error);
+        return ids;
+    }
+    const gone = new Set(removed.data.map(task => String(task.id)));
+    return ids.filter(id => !gone.has(String(id)));
+}
+
+/**
+ * Create the prepared rows with one insert, below the user's other tasks
+ * in their order, then tag them. If tagging fails the new tasks are
+ * removed again, so the import is all or nothing; if even that fails, a
+ * 500 lists them in `orphaned_ids`. Audit entries, and so task events,
+ * are recorded only once everything is saved. Resolves to { data: tasks }.
+ */
+async function commitImport(user, rows) {
+    const position = await nextPosition(user.id);
+    if (position.error) {
+        return databaseFailure('Failed to import tasks', position.error);
+    }
+    const { data: created, error } = await tasks.insert(rows.map(({ model }, index) =>
+        ({ ...model, position: position.data + index * POSITION_STEP })));
+    if (error) {
+        if (error.code === '23505') { // Unique constraint violation
+            return failure(409, { error: 'Task already exists' });
+        }
+        return databaseFailure('Failed to import tasks', error);
+    }
+
+    const tagged = await tagNewTasks(user, created.map((task, index) => [task, rows[index].tags]));
+    if (tagged.error) {
+        const orphaned = await discardTasks(created);
+        if (orphaned.length > 0) {
+            return failure(500, {
+                error: 'Import failed and its tasks could not all be removed again',
+                message: tagged.error.body.error,
+                orphaned_ids: orphaned
+            });
+        }
+        return tagged;
+    }
+
+    await recordTaskChanges(user, 'created', created.map(task => ({ before: null, after: task })));
+    return { data: created };
+}
+
+/**
+ * Read the request body: CSV text, a JSON array of task objects or
+ * { tasks: [...] }. Resolves to { data: { columns, records } } or a 400.
+ */
+function readImportBody(body, isCsv) {
+    const invalid = (message) => failure(400, { error: 'Validation failed', details: [{ field: 'body', message }] });
+
+    if (isCsv) {
+        if (typeof body !== 'string') {
+            return invalid('Request body must be CSV text');
+        }
+        const parsed = parseCsv(body);
+        return parsed.error ? invalid(parsed.error) : { data: parsed };
+    }
+
+    const records = Array.isArray(body) ? body : body && body.tasks;
+    if (!Array.isArray(records)) {
+        return invalid('Request body must be CSV, a JSON array of tasks or { "tasks": [...] }');
+    }
+    const columns = [...new Set(records.flatMap(record =>
+        (record && typeof record === 'object' && !Array.isArray(record) ? Object.keys(record) : [])))];
+    return { data: { columns, records } };
+}
+
+module.exports = {
+    IMPORT_FIELDS,
+    TASK_IMPORT_QUERY,
+    parseCsv,
+    readImportBody,
+    prepareImport,
+    commitImport
+};
@@ -0,0 +1,168 @@
+const { tasks } = require('./storage');
+const { pageRequest, pageResult } = require('./pagination');
+
+/**
+ * Manual order of tasks on the board.
+ *
+ * Every task has a numeric `position`; a status column lists its tasks by
+ * position, then id. New tasks go below all of their owner's tasks, and a
+ * move only rewrites the moved task: it gets the midpoint between its new
+ * neighbours. Only when two neighbours are too close for a midpoint is the
+ * column renumbered, POSITION_STEP apart.
+ */
+
+const POSITION_STEP = 1024;
+
+/** Board order; also accepted by GET /tasks/sort as sort_by=position */
+const POSITION_SORT = { field: 'position', ascending: true };
+
+/** Live tasks of `ownerId` in one status column */
+const columnFilters = (ownerId, status) => [
+    { field: 'owner_id', op: 'eq', value: ownerId },
+    { field: 'deleted_at', op: 'is', value: null },
+    { field: 'status', op: 'eq', value: status }
+];
+
+/** Position of a new task of `ownerId`: below every task they have */
+async function nextPosition(ownerId) {
+    const { data, error } = await tasks.list({
+        filters: [{ field: 'owner_id', op: 'eq', value: ownerId }, { field: 'position', op: 'not_is', value: null }],
+        sort: { field: 'position', ascending: false },
+        range: { from: 0, to: 0 },
+        count: false
+    });
+    if (error) {
+        return { data: null, error };
+    }
+    return { data: data.length > 0 ? data[0].position + POSITION_STEP : POSITION_STEP, error: null };
+}
+
+/**
+ * The task next to `anchor` in its column, below it (`ascending`) or above
+ * it, leaving out the task being moved. Resolves to { data: task | null }.
+ */
+async function neighbour(anchor, movingId, ascending) {
+    const { data, error } = await tasks.list({
+        filters: [...columnFilters(anchor.owner_id, anchor.status), { field: 'id', op: 'neq', value: movingId }],
+        sort: { field: 'position', ascending },
+        after: { value: anchor.position, id: anchor.id },
+        range: { from: 0, to: 0 },
+        count: false
+    });
+    return { data: data && data.length > 0 ? data[0] : null, error };
+}
+
+/** The last task of a column, leaving out the task being moved */
+async function lastInColumn(ownerId, status, movingId) {
+    const { data, error } = await tasks.list({
+        filters: [...columnFilters(ownerId, status), { field: 'id', op: 'neq', value: movingId }],
+        sort: { field: 'position', ascending: false },
+        range: { from: 0, to: 0 },
+        count: false
+    });
+    return { data: data && data.length > 0 ? data[0] : null, error };
+}
+
+const hasPosition = (task) => typeof task.position === 'number';
+
+/**
+ * A position strictly between two neighbours (either may be missing), or
+ * null when there is no room left between them.
+ */
+function positionBetween(above, below) {
+    if (!above && !below) return POSITION_STEP;
+    if ((above && !hasPosition(above)) || (below && !hasPosition(below))) return null;
+    if (!above) return below.position - POSITION_STEP;
+    if (!below) return above.position + POSITION_STEP;
+
+    const middle = (above.position + below.position) / 2;
+    return above.position < middle && middle < below.position ? middle : null;
+}
+
+/**
+ * Renumber a column POSITION_STEP apart, keeping its order and leaving out
+ * the task being moved. Tasks without a position (from before positions
+ * existed) go last, by id. The storage backend does it in one go, without
+ * reading the column or bumping the tasks' versions.
+ */
+async function renumberColumn(ownerId, status, movingId) {
+    const { error } = await tasks.renumber({
+        filters: [...columnFilters(ownerId, status), { field: 'id', op: 'neq', value: movingId }],
+        sort: POSITION_SORT,
+        field: 'position',
+        step: POSITION_STEP
+    });
+    return { error };
+}
+
+/**
+ * The new position of `task` in the column `status`: right above
+ * `before`, right below `after` (tasks of that column), or at the bottom
+ * of the column when neither is given. Resolves to { data: position }.
+ */
+async function placeTask(task, { before = null, after = null, status }) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        let above = null;
+        let below = null;
+        let error = null;
+
+        if (before) {
+            below = before;
+            ({ data: above, error } = await neighbour(before, task.id, false));
+        } else if (after) {
+            above = after;
+            ({ data: below, error } = await neighbour(after, task.id, true));
+        } else {
+            ({ data: above, error } = await lastInColumn(task.owner_id, status, task.id));
+        }
+        if (error) {
+            return { data: null, error };
+        }
+
+        const position = positionBetween(above, below);
+        if (position !== null) {
+            return { data: position, error: null };
+        }
+
+        // No room between the neighbours: spread the column out and look again
+        const renumbered = await renumberColumn(task.owner_id, status, task.id);
+        if (renumbered.error) {
+            return { data: null, error: renumbered.error };
+        }
+        if (before) before = (await tasks.findById(before.id)).data;
+        if (after) after = (await tasks.findById(after.id)).data;
+    }
+    return { data: null, error: new Error('Could not find a free position') };
+}
+
+/**
+ * The first `limit` tasks of each status column matching `filters`, in
+ * board order. Resolves to { data: [{ status, tasks, pagination }] }; each
+ * next_cursor continues the column on GET /tasks/sort with
+ * sort_by=position&order=asc and the same filters.
+ */
+async function boardColumns(filters, statuses, limit) {
+    const columns = [];
+    for (const status of statuses) {
+        const params = { limit };
+        const pageRequested = pageRequest(params, POSITION_SORT);
+        const { data: rows, error, count } = await tasks.list({
+            ...pageRequested.options,
+            filters: [...filters, { field: 'status', op: 'eq', value: status }]
+        });
+        if (error) {
+            return { data: null, error };
+        }
+        const page = pageResult(rows, count, params, pageRequested);
+        columns.push({ status, tasks: page.data, pagination: page.pagination });
+    }
+    return { data: columns, error: null };
+}
+
+module.exports = {
+    POSITION_STEP,
+    POSITION_SORT,
+    nextPosition,
+    placeTask,
+    boardColumns
+};
@@ -0,0 +1,313 @@
+const { TASK_STATUSES, DEFAULT_STATUS } = require('./taskStatus');
+const { paginationFields, pageOrCursor } = require('./pagination');
+const { parseRule, formatRule } = require('./recurrence');
+const { parseLeads } = require('./reminderSchedule');
+const { parseSearchQuery } = require('./searchQuery');
+
+/**
+ * Declarative task schema (see validation.js for the rule format).
+ * The same definition drives POST, PUT and PATCH bodies and the query
+ * strings of GET /tasks, /tasks/search and /tasks/sort.
+ */
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const SEARCHABLE_FIELDS = ['title', 'description', 'author', 'priority'];
+
+/** What happens to subtasks when their parent is deleted */
+const SUBTASK_DELETE_POLICIES = ['reparent', 'cascade'];
+
+const SORTABLE_FIELDS = [
+    'title',
+    'author',
+    'priority',
+    'status',
+    'created_at',
+    'updated_at',
+    'start_date',
+    'due_date',
+    'completed_at',
+    'description',
+    'position'
+];
+
+/** Cross-field check: start must not be after due */
+function startBeforeDue(startField, dueField) {
+    return (record) => {
+        const start = record[startField];
+        const due = record[dueField];
+        if (start && due && new Date(start) > new Date(due)) {
+            return { field: startField, message: `${startField} cannot be after ${dueField}` };
+        }
+        return null;
+    };
+}
+
+/** Store recurrence rules in canonical RRULE form */
+function parseRecurrence(value) {
+    const { rule, error } = parseRule(value);
+    return error ? { message: `recurrence is invalid: ${error}` } : { value: formatRule(rule) };
+}
+
+/** Cross-field check: a recurring task needs a date to schedule from */
+function recurrenceNeedsDate(record) {
+    if (record.recurrence && !record.start_date && !record.due_date) {
+        return { field: 'recurrence', message: 'recurrence needs a start_date or due_date to schedule from' };
+    }
+    return null;
+}
+
+const TASK_SCHEMA = {
+    fields: {
+        id: { readOnly: true },
+        created_at: { readOnly: true },
+        updated_at: { readOnly: true },
+        completed_at: { readOnly: true },
+        owner_id: { readOnly: true },
+        deleted_at: { readOnly: true },
+        recurrence_index: { readOnly: true },
+        recurrence_series_id: { readOnly: true },
+        recurrence_next_id: { readOnly: true },
+        version: { readOnly: true },
+        position: { readOnly: true },
+        title: { type: 'string', required: true, trim: true },
+        author: { type: 'string', required: true, trim: true },
+        priority: { type: 'string', trim: true, lowercase: true, enum: PRIORITIES },
+        description: { type: 'string', trim: true },
+        start_date: { type: 'date' },
+        due_date: { type: 'date' },
+        parent_id: { type: 'integer', min: 1 },
+        project_id: { type: 'integer', min: 1 },
+        recurrence: { type: 'string', trim: true, parse: parseRecurrence },
+        reminders: { type: 'list', parse: parseLeads },
+        status: {
+            type: 'string',
+            trim: true,
+            lowercase: true,
+            enum: TASK_STATUSES,
+            default: DEFAULT_STATUS,
+            createOnly: true,
+            createOnlyMessage: 'status is changed with POST /tasks/:id/transition'
+        }
+    },
+    checks: [startBeforeDue('start_date', 'due_date'), recurrenceNeedsDate]
+};
+
+/** Filters shared by the search and sort query strings */
+const TASK_FILTER_FIELDS = {
+    priority: { type: 'list', items: TASK_SCHEMA.fields.priority.enum },
+    author: { type: 'string', trim: true },
+    status: { type: 'list', items: TASK_SCHEMA.fields.status.enum },
+    start_date_from: TASK_SCHEMA.fields.start_date,
+    start_date_to: TASK_SCHEMA.fields.start_date,
+    due_date_from: TASK_SCHEMA.fields.due_date,
+    due_date_to: TASK_SCHEMA.fields.due_date,
+    tags: { type: 'list' },
+    tags_match: { type: 'string', trim: true, lowercase: true, enum: ['any', 'all'], default: 'any' }
+};
+
+/** Only the tasks of one project, on the user's own task routes */
+const PROJECT_FILTER_FIELD = { type: 'integer', min: 1 };
+
+const TASK_FILTER_CHECKS = [
+    startBeforeDue('start_date_from', 'start_date_to'),
+    startBeforeDue('due_date_from', 'due_date_to'),
+    pageOrCursor
+];
+
+const ORDER_FIELD = { type: 'string', trim: true, lowercase: true, enum: ['asc', 'desc'], default: 'desc' };
+
+const TASK_LIST_QUERY = {
+    fields: {
+        ...paginationFields(10),
+        status: TASK_FILTER_FIELDS.status,
+        project_id: PROJECT_FILTER_FIELD
+    },
+    checks: [pageOrCursor]
+};
+
+/** q of the search routes: terms, "phrases" and -exclusions (see searchQuery.js) */
+const SEARCH_Q_FIELD = { type: 'string', trim: true, parse: parseSearchQuery };
+
+const TASK_SEARCH_QUERY = {
+    fields: {
+        q: { ...SEARCH_Q_FIELD, required: true },
+        fields: { type: 'list', items: SEARCHABLE_FIELDS, default: SEARCHABLE_FIELDS },
+        sort: { type: 'string', trim: true, enum: [...SORTABLE_FIELDS, 'relevance'], default: 'relevance' },
+        order: ORDER_FIELD,
+        ...paginationFields(20),
+        ...TASK_FILTER_FIELDS,
+        project_id: PROJECT_FILTER_FIELD
+    },
+    checks: TASK_FILTER_CHECKS
+};
+
+const TASK_SORT_QUERY = {
+    fields: {
+        sort_by: { type: 'string', trim: true, enum: SORTABLE_FIELDS, default: 'created_at' },
+        order: ORDER_FIELD,
+        ...paginationFields(20),
+        ...TASK_FILTER_FIELDS,
+        project_id: PROJECT_FILTER_FIELD
+    },
+    checks: TASK_FILTER_CHECKS
+};
+
+/** Same filters as search (q is optional here), without pagination */
+const TASK_EXPORT_QUERY = {
+    fields: {
+        format: { type: 'string', trim: true, lowercase: true, enum: ['csv', 'ndjson', 'ics'], default: 'csv' },
+        q: SEARCH_Q_FIELD,
+        fields: TASK_SEARCH_QUERY.fields.fields,
+        sort: { type: 'string', trim: true, enum: SORTABLE_FIELDS, default: 'created_at' },
+        order: ORDER_FIELD,
+        ...TASK_FILTER_FIELDS,
+        project_id: PROJECT_FILTER_FIELD
+    },
+    checks: TASK_FILTER_CHECKS.filter(check => check !== pageOrCursor)
+};
+
+/** Search filters plus the creation trend's interval and range */
+const TASK_STATS_QUERY = {
+    fields: {
+        q: SEARCH_Q_FIELD,
+        fields: TASK_SEARCH_QUERY.fields.fields,
+        ...TASK_FILTER_FIELDS,
+        project_id: PROJECT_FILTER_FIELD,
+        interval: { type: 'string', trim: true, lowercase: true, enum: ['day', 'week'], default: 'day' },
+        from: { type: 'date' },
+        to: { type: 'date' }
+    },
+    checks: [...TASK_FILTER_CHECKS.filter(check => check !== pageOrCursor), startBeforeDue('from', 'to')]
+};
+
+/** Cross-field check: relevance order needs something to be relevant to */
+function relevanceNeedsQuery({ q, sort }) {
+    return sort === 'relevance' && !q ? { field: 'sort', message: 'sort=relevance needs a q' } : null;
+}
+
+/**
+ * GET /projects/:id/tasks: the search parameters with q optional; sort
+ * defaults to relevance with a q and created_at without.
+ */
+const PROJECT_TASKS_QUERY = {
+    fields: {
+        q: SEARCH_Q_FIELD,
+        fields: TASK_SEARCH_QUERY.fields.fields,
+        sort: { type: 'string', trim: true, enum: [...SORTABLE_FIELDS, 'relevance'] },
+        order: ORDER_FIELD,
+        ...paginationFields(20),
+        ...TASK_FILTER_FIELDS
+    },
+    checks: [...TASK_FILTER_CHECKS, relevanceNeedsQuery]
+};
+
+/** Filters of GET /tasks/sort that can be checked on a single task */
+const TASK_STREAM_QUERY = {
+    fields: {
+        priority: TASK_FILTER_FIELDS.priority,
+        author: TASK_FILTER_FIELDS.author,
+        status: TASK_FILTER_FIELDS.status,
+        start_date_from: TASK_FILTER_FIELDS.start_date_from,
+        start_date_to: TASK_FILTER_FIELDS.start_date_to,
+        due_date_from: TASK_FILTER_FIELDS.due_date_from,
+        due_date_to: TASK_FILTER_FIELDS.due_date_to,
+        last_event_id: { type: 'integer', min: 0 }
+    },
+    checks: TASK_FILTER_CHECKS.filter(check => check !== pageOrCursor)
+};
+
+const TASK_TRASH_QUERY = {
+    fields: paginationFields(20),
+    checks: [pageOrCursor]
+};
+
+const TASK_HISTORY_QUERY = {
+    fields: paginationFields(20),
+    checks: [pageOrCursor]
+};
+
+const TASK_REVERT_SCHEMA = {
+    fields: {
+        version: { type: 'integer', required: true, min: 1 }
+    }
+};
+
+const TASK_OCCURRENCES_QUERY = {
+    fields: {
+        count: { type: 'integer', min: 1, max: 100, default: 5 }
+    }
+};
+
+const TASK_DELETE_QUERY = {
+    fields: {
+        subtasks: { type: 'string', trim: true, lowercase: true, enum: SUBTASK_DELETE_POLICIES }
+    }
+};
+
+const TASK_TRANSITION_SCHEMA = {
+    fields: {
+        status: { type: 'string', required: true, trim: true, lowercase: true, enum: TASK_STATUSES }
+    }
+};
+
+/** Cross-field check: a move needs somewhere to go, and only one neighbour */
+function oneMoveTarget({ before, after, status }) {
+    if (before && after) {
+        return { field: 'body', message: 'Give either before or after, not both' };
+    }
+    if (!before && !after && !status) {
+        return { field: 'body', message: 'before, after or status is required' };
+    }
+    return null;
+}
+
+const TASK_MOVE_SCHEMA = {
+    fields: {
+        before: { type: 'integer', min: 1 },
+        after: { type: 'integer', min: 1 },
+        status: { type: 'string', trim: true, lowercase: true, enum: TASK_STATUSES }
+    },
+    checks: [oneMoveTarget]
+};
+
+const TASK_DEPENDENCY_SCHEMA = {
+    fields: {
+        depends_on: { type: 'integer', required: true, min: 1 }
+    }
+};
+
+/** GET /tasks/board: the filters of GET /tasks/sort; status picks the columns */
+const TASK_BOARD_QUERY = {
+    fields: {
+        limit: { type: 'integer', min: 1, max: 100, default: 50 },
+        ...TASK_FILTER_FIELDS,
+        status: { ...TASK_FILTER_FIELDS.status, default: TASK_STATUSES },
+        project_id: PROJECT_FILTER_FIELD
+    },
+    checks: TASK_FILTER_CHECKS.filter(check => check !== pageOrCursor)
+};
+
+module.exports = {
+    PRIORITIES,
+    SUBTASK_DELETE_POLICIES,
+    SEARCHABLE_FIELDS,
+    SORTABLE_FIELDS,
+    TASK_SCHEMA,
+    TASK_LIST_QUERY,
+    TASK_SEARCH_QUERY,
+    TASK_SORT_QUERY,
+    TASK_EXPORT_QUERY,
+    TASK_STATS_QUERY,
+    PROJECT_TASKS_QUERY,
+    TASK_STREAM_QUERY,
+    TASK_TRASH_QUERY,
+    TASK_HISTORY_QUERY,
+    TASK_REVERT_SCHEMA,
+    TASK_OCCURRENCES_QUERY,
+    TASK_DELETE_QUERY,
+    TASK_TRANSITION_SCHEMA,
+    TASK_MOVE_SCHEMA,
+    TASK_BOARD_QUERY,
+    TASK_DEPENDENCY_SCHEMA,
+    relevanceNeedsQuery
+};
@@ -0,0 +1,33 @@
+const { tasks } = require('./storage');
+const { searchOption } = require('./searchQuery');
+const { buildTaskFilters } = require('./taskFilters');
+
+/**
+ * Task search for GET /tasks/search, saved views and project task lists.
+ * Matching, scoring and highlighting happen in the storage backend (in
+ * the database on Supabase), so every request reads one page of tasks,
+ * whatever the order.
+ */
+
+/** Sort field of relevance order, also used in its cursors */
+const RELEVANCE_SORT_FIELD = 'score';
+
+/**
+ * One page of the user's tasks matching validated search params (q,
+ * fields and the list filters), in the order of pageRequested. With a q,
+ * rows carry score and highlights. Resolves to { data, count, error }.
+ */
+async function findTasks(user, params, pageRequested) {
+    const { q: query, fields } = params;
+
+    return tasks.list({
+        ...pageRequested.options,
+        search: query ? searchOption(query, fields, { ranked: true }) : undefined,
+        filters: buildTaskFilters(user, params)
+    });
+}
+
+module.exports = {
+    RELEVANCE_SORT_FIELD,
+    findTasks
+};
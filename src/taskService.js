@@ -0,0 +1,494 @@
+const { tasks, auditLog } = require('./storage');
+const { DEFAULT_STATUS, STATUS_TRANSITIONS, canTransition, statusChanges } = require('./taskStatus');
+const { TASK_SCHEMA } = require('./taskSchema');
+const { validate } = require('./validation');
+const { ownsTask } = require('./auth');
+const { recordTaskChange } = require('./audit');
+const { versionOf, matchesVersion } = require('./etag');
+const { isProjectMember, checkProject } = require('./projectService');
+const { nextPosition, placeTask } = require('./taskOrder');
+const { failure, validationFailure, databaseFailure } = require('./failures');
+const config = require('./config');
+
+/**
+ * Task write operations shared by the single-item routes and /tasks/batch.
+ *
+ * Each operation is split into a prepare step (validation and access
+ * checks, no writes) and a commit step, so a batch can check every item
+ * before it changes anything. Every function resolves to { data } on
+ * success or { error: { status, body } } describing the HTTP error.
+ *
+ * Writes only apply if the task still has the version that was read, so a
+ * concurrent change is reported instead of silently overwritten: 412 when
+ * the client sent If-Match (`ifMatch`, see etag.js), 409 otherwise.
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/** The task changed after it was read (or after the client's If-Match) */
+const conflictFailure = (task, status = 409) => failure(status, {
+    error: status === 412
+        ? 'Task has been modified since the given version'
+        : 'Task was modified by another request, please retry',
+    version: versionOf(task)
+});
+
+/** Match a write against the version of `before`, when it has one */
+const versionMatch = (before) => (before && typeof before.version === 'number' ? { version: before.version } : {});
+
+/** Status for a concurrent change, depending on whether If-Match was sent */
+const conflictStatus = (ifMatch) => (ifMatch === null || ifMatch === undefined ? 409 : 412);
+
+/**
+ * Explain a conditional write that matched no row: the task is gone, or it
+ * was changed by someone else first.
+ */
+async function missedWrite(id, status) {
+    const { data } = await tasks.findById(id);
+    if (!data || data.deleted_at) {
+        return failure(404, { error: 'Task not found' });
+    }
+    return conflictFailure(data, status);
+}
+
+/** Restrict list queries to the authenticated user's tasks */
+const ownerFilter = (user) => ({ field: 'owner_id', op: 'eq', value: user.id });
+
+/** Filter selecting live tasks, or trashed ones with `trashed` */
+const trashFilter = (trashed = false) => ({ field: 'deleted_at', op: trashed ? 'not_is' : 'is', value: null });
+
+/**
+ * Load a task and check that `user` owns it. Tasks in the trash are only
+ * found with { trashed: true }, and then only those.
+ */
+async function getOwnTask(user, id, { trashed = false } = {}) {
+    const { data, error } = await tasks.findById(id);
+
+    if (error) {
+        return failure(500, { error: error.message });
+    }
+    if (!data || Boolean(data.deleted_at) !== trashed) {
+        return failure(404, { error: trashed ? 'Task not found in trash' : 'Task not found' });
+    }
+    if (!ownsTask(user, data)) {
+        return failure(403, { error: 'You do not have access to this task' });
+    }
+    return { data };
+}
+
+/**
+ * Load a task `user` can see: their own, or one in a project they are a
+ * member of. Members only read such tasks; changes go through getOwnTask.
+ */
+async function getVisibleTask(user, id) {
+    const { data, error } = await tasks.findById(id);
+
+    if (error) {
+        return failure(500, { error: error.message });
+    }
+    if (!data || data.deleted_at) {
+        return failure(404, { error: 'Task not found' });
+    }
+    if (!ownsTask(user, data)) {
+        const member = data.project_id ? await isProjectMember(user, data.project_id) : { data: false };
+        if (member.error) {
+            return failure(500, { error: member.error.message });
+        }
+        if (!member.data) {
+            return failure(403, { error: 'You do not have access to this task' });
+        }
+    }
+    return { data };
+}
+
+/** Rows per query when scanning every task of a list */
+const SCAN_BATCH_SIZE = 500;
+
+/**
+ * Every task matching the list options ({ filters, search, sort }), as an
+ * async iterator of { data: batch, error } read with keyset pagination, so
+ * any number of tasks can be processed one batch at a time. Stops after
+ * the first error.
+ */
+async function* scanTasks({ filters, search, sort = { field: 'id', ascending: true } }, batchSize = SCAN_BATCH_SIZE) {
+    let after;
+    for (;;) {
+        const { data, error } = await tasks.list({ filters, search, sort, after, range: { from: 0, to: batchSize - 1 }, count: false });
+        if (error) {
+            yield { data: null, error };
+            return;
+        }
+        if (data.length > 0) {
+            yield { data, error: null };
+        }
+        if (data.length < batchSize) {
+            return;
+        }
+        const last = data[data.length - 1];
+        after = { value: last[sort.field] === undefined ? null : last[sort.field], id: last.id };
+    }
+}
+
+/** Direct subtasks of the given parent tasks, live or trashed */
+async function listSubtasks(parentIds, { trashed = false } = {}) {
+    return tasks.list({
+        filters: [{ field: 'parent_id', op: 'in', value: parentIds }, trashFilter(trashed)],
+        sort: { field: 'id', ascending: true }
+    });
+}
+
+/** Every task below `id`, parents before their children */
+async function listDescendants(id) {
+    const descendants = [];
+    let level = [id];
+
+    while (level.length > 0) {
+        const { data, error } = await listSubtasks(level);
+        if (error) {
+            return { data: null, error };
+        }
+        descendants.push(...data);
+        level = data.map(task => task.id);
+    }
+    return { data: descendants, error: null };
+}
+
+/** Subtask completion roll-up. Cancelled subtasks do not count. */
+async function getTaskProgress(task) {
+    const { data, error } = await listSubtasks([task.id]);
+    if (error) {
+        return { data: null, error };
+    }
+
+    const counted = data.filter(subtask => subtask.status !== 'cancelled');
+    const done = counted.filter(subtask => subtask.status === 'done').length;
+    const percent = counted.length > 0
+        ? Math.round((done / counted.length) * 100)
+        : (task.status === 'done' ? 100 : 0);
+
+    return { data: { total: counted.length, done, percent }, error: null };
+}
+
+/**
+ * Check that parentId is one of the user's tasks and, for an existing
+ * task, that it is not the task itself or one of its subtasks.
+ * Returns a { field, message } validation error or null.
+ */
+async function checkParent(user, parentId, taskId) {
+    const parent = await getOwnTask(user, parentId);
+    if (parent.error) {
+        return { field: 'parent_id', message: 'parent_id must be the id of one of your tasks' };
+    }
+
+    // Walk up from the new parent; reaching the task itself means a cycle
+    let ancestor = parent.data;
+    const seen = new Set();
+    while (ancestor && taskId !== undefined && !seen.has(String(ancestor.id))) {
+        if (String(ancestor.id) === String(taskId)) {
+            return { field: 'parent_id', message: 'A task cannot be moved under itself or one of its subtasks' };
+        }
+        seen.add(String(ancestor.id));
+        if (ancestor.parent_id === null || ancestor.parent_id === undefined) break;
+        ancestor = (await tasks.findById(ancestor.parent_id)).data;
+    }
+    return null;
+}
+
+/** Validate a create body. author defaults to the user's name. */
+async function prepareCreate(user, body) {
+    const input = body === undefined ? {} : body;
+    const withAuthor = isPlainObject(input) && input.author === undefined
+        ? { ...input, author: user.name }
+        : input;
+
+    const { value, errors } = validate(TASK_SCHEMA, withAuthor, 'create');
+    if (errors.length > 0) {
+        return validationFailure(errors);
+    }
+
+    if (value.parent_id) {
+        const parentError = await checkParent(user, value.parent_id);
+        if (parentError) {
+            return validationFailure([parentError]);
+        }
+    }
+    if (value.project_id) {
+        const projectError = await checkProject(user, value.project_id);
+        if (projectError) {
+            return validationFailure([projectError]);
+        }
+    }
+
+    // Prepare model (only include defined fields)
+    return {
+        data: {
+            ...value,
+            ...statusChanges(value.status),
+            owner_id: user.id
+        }
+    };
+}
+
+async function commitCreate(user, model) {
+    // New tasks go to the bottom of the board
+    const position = await nextPosition(user.id);
+    if (position.error) {
+        return databaseFailure('Failed to create task', position.error);
+    }
+    const { data, error } = await tasks.insert([{ ...model, position: position.data }]);
+
+    if (error) {
+        // Handle specific database errors
+        if (error.code === '23505') { // Unique constraint violation
+            return failure(409, { error: 'Task already exists' });
+        }
+        return databaseFailure('Failed to create task', error);
+    }
+    await recordTaskChange(user, 'created', null, data[0]);
+    return { data: data[0] };
+}
+
+/**
+ * Validate a PUT ('replace') or PATCH ('update') body against the stored
+ * task. Resolves to { data: { current, changes } }.
+ */
+async function prepareUpdate(user, id, body, mode, { ifMatch = null } = {}) {
+    const current = await getOwnTask(user, id);
+    if (current.error) {
+        return current;
+    }
+    if (!matchesVersion(current.data, ifMatch)) {
+        return conflictFailure(current.data, 412);
+    }
+
+    const { value, errors } = validate(TASK_SCHEMA, body, mode, current.data);
+    if (errors.length > 0) {
+        return validationFailure(errors);
+    }
+    if (Object.keys(value).length === 0) {
+        return validationFailure([{ field: 'body', message: 'No fields to update' }]);
+    }
+
+    if (value.parent_id) {
+        const parentError = await checkParent(user, value.parent_id, id);
+        if (parentError) {
+            return validationFailure([parentError]);
+        }
+    }
+    if (value.project_id && String(value.project_id) !== String(current.data.project_id)) {
+        const projectError = await checkProject(user, value.project_id);
+        if (projectError) {
+            return validationFailure([projectError]);
+        }
+    }
+    return { data: { current: current.data, changes: value } };
+}
+
+/**
+ * Write validated changes. `before` is the task as read by prepareUpdate:
+ * the write only applies if the task is still at its version, and it is
+ * used for the audit entry. Options: action and extra override the audit
+ * entry's, ifMatch picks the status of a conflict.
+ */
+async function commitUpdate(user, id, changes, before, options = {}) {
+    const { data, error } = await tasks.update(id, changes, { owner_id: user.id, deleted_at: null, ...versionMatch(before) });
+
+    if (error) {
+        return databaseFailure('Failed to update task', error);
+    }
+    if (!data) {
+        return missedWrite(id, conflictStatus(options.ifMatch));
+    }
+    await recordTaskChange(user, options.action || 'updated', before, data, options.extra);
+    return { data };
+}
+
+async function prepareDelete(user, id, { ifMatch = null } = {}) {
+    const current = await getOwnTask(user, id);
+    if (!current.error && !matchesVersion(current.data, ifMatch)) {
+        return conflictFailure(current.data, 412);
+    }
+    return current;
+}
+
+/**
+ * Move `task` to the trash and apply the subtask policy:
+ * - reparent: direct subtasks move up to the deleted task's parent
+ * - cascade: every subtask below the task goes to the trash too, with the
+ *   same deleted_at so restoring the task brings them back
+ * Resolves to { data, subtasks: { policy, removed, reparented } } where
+ * removed/reparented hold the affected rows as they were before. The task
+ * itself is trashed first, so a concurrent change leaves subtasks alone.
+ */
+async function commitDelete(user, task, policy = config.subtaskDeletePolicy, { ifMatch = null } = {}) {
+    const subtasks = { policy: policy === 'cascade' ? 'cascade' : 'reparent', removed: [], reparented: [] };
+    const deletedAt = new Date().toISOString();
+
+    const { data, error } = await tasks.update(task.id, { deleted_at: deletedAt }, {
+        owner_id: user.id,
+        deleted_at: null,
+        ...versionMatch(task)
+    });
+
+    if (error) {
+        return databaseFailure('Failed to delete task', error);
+    }
+    if (!data) {
+        return missedWrite(task.id, conflictStatus(ifMatch));
+    }
+    await recordTaskChange(user, 'deleted', task, data);
+
+    if (subtasks.policy === 'cascade') {
+        const descendants = await listDescendants(task.id);
+        if (descendants.error) {
+            return databaseFailure('Failed to delete subtasks', descendants.error);
+        }
+        for (const descendant of descendants.data) {
+            const { data: moved, error: moveError } = await tasks.update(descendant.id, { deleted_at: deletedAt }, { deleted_at: null });
+            if (moveError) {
+                return databaseFailure('Failed to delete subtasks', moveError);
+            }
+            subtasks.removed.push(descendant);
+            if (moved) await recordTaskChange(user, 'deleted', descendant, moved);
+        }
+    } else {
+        const children = await listSubtasks([task.id]);
+        if (children.error) {
+            return databaseFailure('Failed to move subtasks', children.error);
+        }
+        const newParent = task.parent_id === undefined ? null : task.parent_id;
+        for (const child of children.data) {
+            const { data: moved, error: moveError } = await tasks.update(child.id, { parent_id: newParent });
+            if (moveError) {
+                return databaseFailure('Failed to move subtasks', moveError);
+            }
+            subtasks.reparented.push(child);
+            if (moved) await recordTaskChange(user, 'updated', child, moved);
+        }
+    }
+    return { data, subtasks };
+}
+
+/** Fields a revert puts back: the ones PUT /tasks/:id accepts */
+const REVERTIBLE_FIELDS = Object.entries(TASK_SCHEMA.fields)
+    .filter(([, rule]) => !rule.readOnly && !rule.createOnly)
+    .map(([field]) => field);
+
+/**
+ * Put a task's editable fields back to how they were right after audit
+ * entry `entryId`, through the same checks as PUT. Status is left alone
+ * because it only changes through transitions.
+ */
+async function revertTask(user, id, entryId) {
+    const entry = await auditLog.findById(entryId);
+    if (entry.error) {
+        return databaseFailure('Failed to load version', entry.error);
+    }
+    if (!entry.data || String(entry.data.task_id) !== String(id) || !entry.data.snapshot) {
+        return failure(404, { error: 'Version not found for this task' });
+    }
+
+    const body = {};
+    for (const field of REVERTIBLE_FIELDS) {
+        const value = entry.data.snapshot[field];
+        if (value !== null && value !== undefined) body[field] = value;
+    }
+
+    const prepared = await prepareUpdate(user, id, body, 'replace');
+    if (prepared.error) {
+        return prepared;
+    }
+    return commitUpdate(user, id, prepared.data.changes, prepared.data.current, {
+        action: 'reverted',
+        extra: { reverted_to: entry.data.id }
+    });
+}
+
+/**
+ * Move a task on the board: right above `before` or right below `after`
+ * (another task, whose column it joins), or to the bottom of the `status`
+ * column. Changing column changes the task's status, with the same rules
+ * as POST /tasks/:id/transition. Only the moved task is written.
+ * Resolves to { data, from } where from is the status before the move.
+ */
+async function moveTask(user, id, { before, after, status }, { ifMatch = null } = {}) {
+    const current = await getOwnTask(user, id);
+    if (current.error) {
+        return current;
+    }
+    if (!matchesVersion(current.data, ifMatch)) {
+        return conflictFailure(current.data, 412);
+    }
+
+    let anchor = null;
+    if (before || after) {
+        const field = before ? 'before' : 'after';
+        if (String(before || after) === String(id)) {
+            return validationFailure([{ field, message: 'A task cannot be moved next to itself' }]);
+        }
+        const found = await getOwnTask(user, before || after);
+        if (found.error) {
+            return found.error.status === 500
+                ? found
+                : validationFailure([{ field, message: `${field} must be the id of one of your tasks` }]);
+        }
+        anchor = found.data;
+        const column = anchor.status || DEFAULT_STATUS;
+        if (status && status !== column) {
+            return validationFailure([{ field: 'status', message: `Task ${anchor.id} is in ${column}, not ${status}` }]);
+        }
+    }
+
+    const from = current.data.status || DEFAULT_STATUS;
+    const to = anchor ? anchor.status || DEFAULT_STATUS : status;
+    if (to !== from && !canTransition(from, to)) {
+        return failure(409, { error: `Cannot move task from ${from} to ${to}`, allowed: STATUS_TRANSITIONS[from] });
+    }
+
+    const position = await placeTask(current.data, { before: before && anchor, after: after && anchor, status: to });
+    if (position.error) {
+        return databaseFailure('Failed to move task', position.error);
+    }
+    const changes = { position: position.data, ...(to !== from && statusChanges(to)) };
+    const saved = await commitUpdate(user, id, changes, current.data, { ifMatch });
+    return saved.error ? saved : { ...saved, from };
+}
+
+async function createTask(user, body) {
+    const prepared = await prepareCreate(user, body);
+    return prepared.error ? prepared : commitCreate(user, prepared.data);
+}
+
+/** `options.ifMatch`: versions from the If-Match header (etag.parseIfMatch) */
+async function updateTask(user, id, body, mode, options = {}) {
+    const prepared = await prepareUpdate(user, id, body, mode, options);
+    return prepared.error ? prepared : commitUpdate(user, id, prepared.data.changes, prepared.data.current, options);
+}
+
+async function deleteTask(user, id, policy, options = {}) {
+    const prepared = await prepareDelete(user, id, options);
+    return prepared.error ? prepared : commitDelete(user, prepared.data, policy, options);
+}
+
+module.exports = {
+    failure,
+    databaseFailure,
+    ownerFilter,
+    trashFilter,
+    scanTasks,
+    getOwnTask,
+    getVisibleTask,
+    listSubtasks,
+    getTaskProgress,
+    prepareCreate,
+    commitCreate,
+    prepareUpdate,
+    commitUpdate,
+    prepareDelete,
+    commitDelete,
+    createTask,
+    updateTask,
+    deleteTask,
+    revertTask,
+    moveTask
+};
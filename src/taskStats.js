@@ -0,0 +1,118 @@
+const { tasks } = require('./storage');
+const { PRIORITIES } = require('./taskSchema');
+const { TASK_STATUSES, CLOSED_STATUSES } = require('./taskStatus');
+const { DAY_MS, startOfDay, startOfWeek } = require('./relativeDates');
+
+/**
+ * Dashboard numbers for GET /tasks/stats, computed over every task that
+ * matches the filters. Days and weeks are UTC; weeks start on Monday. The
+ * storage backend does the counting (aggregate_tasks() on Supabase), so
+ * no task is read.
+ */
+
+const OPEN_STATUSES = TASK_STATUSES.filter(status => !CLOSED_STATUSES.includes(status));
+
+/** Most points a trend may have */
+const MAX_TREND_POINTS = 366;
+
+/** Trend length when no `from` is given */
+const DEFAULT_TREND_POINTS = { day: 30, week: 12 };
+
+const BUCKETS = {
+    day: { start: startOfDay, size: DAY_MS },
+    week: { start: startOfWeek, size: 7 * DAY_MS }
+};
+
+const dateKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+const isoDate = (time) => new Date(time).toISOString();
+
+/** Sum the group counts by the key `keyOf` gives each value */
+function sumBy(groups, keyOf, sums = {}) {
+    for (const { value, count } of groups) {
+        const key = keyOf(value);
+        if (key !== undefined) {
+            sums[key] = (sums[key] || 0) + count;
+        }
+    }
+    return sums;
+}
+
+/**
+ * Work out the trend buckets from the validated interval, from and to.
+ * Returns { data: { interval, start, end, points } } or { error } when the
+ * range has too many points.
+ */
+function trendRange({ interval = 'day', from, to }, now = new Date()) {
+    const bucket = BUCKETS[interval];
+    const last = bucket.start(to ? Date.parse(to) : now.getTime());
+    const first = from
+        ? bucket.start(Date.parse(from))
+        : last - (DEFAULT_TREND_POINTS[interval] - 1) * bucket.size;
+
+    const count = Math.round((last - first) / bucket.size) + 1;
+    if (count > MAX_TREND_POINTS) {
+        return { error: { field: 'from', message: `The trend can have at most ${MAX_TREND_POINTS} ${interval}s` } };
+    }
+    const points = Array.from({ length: count }, (_, i) => ({ period: dateKey(first + i * bucket.size), count: 0 }));
+    return { data: { interval, start: first, end: last + bucket.size, points } };
+}
+
+/**
+ * Aggregate the tasks matching the list options ({ filters, search }).
+ * `trend` comes from trendRange. Resolves to { data } or { error }.
+ */
+async function taskStats({ filters, search }, trend, now = new Date()) {
+    const weekStart = startOfWeek(now.getTime());
+    const weekEnd = weekStart + 7 * DAY_MS;
+    const open = { field: 'status', op: 'in', value: OPEN_STATUSES };
+
+    const { data, error } = await tasks.aggregate({
+        filters,
+        search,
+        groups: ['priority', 'status', 'author'],
+        counts: {
+            overdue: [open, { field: 'due_date', op: 'lte', value: isoDate(now) }],
+            due_this_week: [
+                open,
+                { field: 'due_date', op: 'gte', value: isoDate(weekStart) },
+                { field: 'due_date', op: 'lt', value: isoDate(weekEnd) }
+            ]
+        },
+        histogram: { field: 'created_at', interval: trend.interval, from: isoDate(trend.start), to: isoDate(trend.end) }
+    });
+    if (error) {
+        return { data: null, error };
+    }
+
+    const created = new Map(data.histogram.map(({ period, count }) => [period, count]));
+    const byAuthor = sumBy(data.groups.author, author => author || '');
+
+    return {
+        data: {
+            total: data.total,
+            by_priority: sumBy(data.groups.priority, priority => (PRIORITIES.includes(priority) ? priority : 'none'),
+                Object.fromEntries([...PRIORITIES, 'none'].map(priority => [priority, 0]))),
+            by_status: sumBy(data.groups.status, status => (TASK_STATUSES.includes(status) ? status : undefined),
+                Object.fromEntries(TASK_STATUSES.map(status => [status, 0]))),
+            by_author: Object.entries(byAuthor)
+                .map(([author, count]) => ({ author: author || null, count }))
+                .sort((a, b) => b.count - a.count || String(a.author).localeCompare(String(b.author))),
+            overdue: data.counts.overdue,
+            due_this_week: data.counts.due_this_week,
+            week: { from: dateKey(weekStart), to: dateKey(weekEnd - DAY_MS) },
+            trend: {
+                interval: trend.interval,
+                from: dateKey(trend.start),
+                to: dateKey(trend.end - DAY_MS),
+                points: trend.points.map(point => ({ ...point, count: created.get(point.period) || 0 }))
+            }
+        },
+        error: null
+    };
+}
+
+module.exports = {
+    trendRange,
+    taskStats
+};
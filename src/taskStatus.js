@@ -0,0 +1,52 @@
+/**
+ * Task status lifecycle.
+ *
+ * todo -> in_progress -> done is the happy path; any open task can be
+ * blocked or cancelled, and finished tasks can be reopened.
+ */
+const TASK_STATUSES = ['todo', 'in_progress', 'blocked', 'done', 'cancelled'];
+
+const DEFAULT_STATUS = 'todo';
+
+/** Statuses of finished tasks; the others are open */
+const CLOSED_STATUSES = ['done', 'cancelled'];
+
+/** Allowed target statuses for each current status */
+const STATUS_TRANSITIONS = {
+    todo: ['in_progress', 'blocked', 'cancelled'],
+    in_progress: ['done', 'blocked', 'todo', 'cancelled'],
+    blocked: ['todo', 'in_progress', 'cancelled'],
+    done: ['in_progress', 'todo'],
+    cancelled: ['todo']
+};
+
+function isValidStatus(status) {
+    return TASK_STATUSES.includes(status);
+}
+
+function canTransition(from, to) {
+    const allowed = STATUS_TRANSITIONS[from || DEFAULT_STATUS] || [];
+    return allowed.includes(to);
+}
+
+/**
+ * Build the column updates for moving a task into `status`.
+ * completed_at is stamped when the task becomes done and cleared when it
+ * leaves done, so it always reflects the latest completion.
+ */
+function statusChanges(status, now = new Date()) {
+    return {
+        status,
+        completed_at: status === 'done' ? now.toISOString() : null
+    };
+}
+
+module.exports = {
+    TASK_STATUSES,
+    DEFAULT_STATUS,
+    CLOSED_STATUSES,
+    STATUS_TRANSITIONS,
+    isValidStatus,
+    canTransition,
+    statusChanges
+};
@@ -0,0 +1,233 @@
+const { tasks } = require('./storage');
+const {
+    failure,
+    databaseFailure,
+    trashFilter,
+    getOwnTask,
+    listSubtasks,
+    scanTasks
+} = require('./taskService');
+const { removeTaskLinks } = require('./tagService');
+const { removeTaskDependencies } = require('./dependencyService');
+const { recordTaskChange, recordTaskChanges } = require('./audit');
+const config = require('./config');
+
+/**
+ * The task trash. DELETE /tasks/:id only sets deleted_at; tasks stay in
+ * the trash until they are restored, purged by hand, or purged
+ * automatically TRASH_RETENTION_DAYS after they were deleted.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** How often the automatic purge runs */
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/** Most trashed tasks a purge reads and deletes at a time */
+const PURGE_BATCH_SIZE = 500;
+
+/** When a trashed task will be purged automatically, or null if never */
+function purgeAt(task, retentionDays = config.trashRetentionDays) {
+    if (!task.deleted_at || !retentionDays || retentionDays <= 0) {
+        return null;
+    }
+    return new Date(Date.parse(task.deleted_at) + retentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * Trashed subtasks deleted together with `task` (same deleted_at), and
+ * the trashed direct subtasks that were deleted on their own before it.
+ */
+async function deletedWith(task) {
+    const together = [];
+    const separate = [];
+    let level = [task.id];
+
+    while (level.length > 0) {
+        const { data, error } = await listSubtasks(level, { trashed: true });
+        if (error) {
+            return { error };
+        }
+        const sameBatch = data.filter(child => child.deleted_at === task.deleted_at);
+        together.push(...sameBatch);
+        separate.push(...data.filter(child => child.deleted_at !== task.deleted_at));
+        level = sameBatch.map(child => child.id);
+    }
+    return { together, separate };
+}
+
+/**
+ * Take a task out of the trash. Subtasks that were deleted together with
+ * it (same deleted_at) come back too. If its parent is no longer live, the
+ * task is restored at the top level.
+ * Resolves to { data, restored } where restored lists the subtask ids.
+ */
+async function restoreTask(user, id) {
+    const trashed = await getOwnTask(user, id, { trashed: true });
+    if (trashed.error) {
+        return trashed;
+    }
+    const task = trashed.data;
+
+    const changes = { deleted_at: null };
+    if (task.parent_id !== null && task.parent_id !== undefined) {
+        const parent = await tasks.findById(task.parent_id);
+        if (parent.error) {
+            return databaseFailure('Failed to restore task', parent.error);
+        }
+        if (!parent.data || parent.data.deleted_at) {
+            changes.parent_id = null;
+        }
+    }
+
+    const { together, error: subtasksError } = await deletedWith(task);
+    if (subtasksError) {
+        return databaseFailure('Failed to restore subtasks', subtasksError);
+    }
+
+    const { data, error } = await tasks.update(task.id, changes, { owner_id: user.id, deleted_at: task.deleted_at });
+    if (error) {
+        return databaseFailure('Failed to restore task', error);
+    }
+    if (!data) {
+        return failure(404, { error: 'Task not found in trash' });
+    }
+    await recordTaskChange(user, 'restored', task, data);
+
+    const restored = [];
+    for (const descendant of together) {
+        const result = await tasks.update(descendant.id, { deleted_at: null }, { deleted_at: task.deleted_at });
+        if (result.error) {
+            return databaseFailure('Failed to restore subtasks', result.error);
+        }
+        if (result.data) {
+            restored.push(result.data.id);
+            await recordTaskChange(user, 'restored', descendant, result.data);
+        }
+    }
+    return { data, restored };
+}
+
+/**
+ * Permanently delete tasks, their tag links and their dependencies, with
+ * one delete per table. `actor` is the user doing it, or null for the
+ * automatic purge. Resolves to { data: purged ids, error }.
+ */
+async function removeTasks(rows, actor) {
+    if (rows.length === 0) {
+        return { data: [], error: null };
+    }
+    const removed = await tasks.removeWhere([{ field: 'id', op: 'in', value: rows.map(row => row.id) }]);
+    if (removed.error) {
+        return { data: [], error: removed.error };
+    }
+    const ids = removed.data.map(task => task.id);
+    await recordTaskChanges(actor, 'purged', removed.data.map(task => ({ before: task, after: null })));
+    if (ids.length > 0) {
+        const links = await removeTaskLinks(ids);
+        if (links.error) {
+            return { data: ids, error: links.error };
+        }
+        const dependencies = await removeTaskDependencies(ids);
+        if (dependencies.error) {
+            return { data: ids, error: dependencies.error };
+        }
+    }
+    return { data: ids, error: null };
+}
+
+/**
+ * Permanently delete a trashed task and the subtasks deleted together
+ * with it. Subtasks that were deleted separately stay in the trash and no
+ * longer have a parent. Resolves to { data, purged } where purged lists
+ * every deleted id.
+ */
+async function purgeTask(user, id) {
+    const trashed = await getOwnTask(user, id, { trashed: true });
+    if (trashed.error) {
+        return trashed;
+    }
+
+    const { together, separate, error: subtasksError } = await deletedWith(trashed.data);
+    if (subtasksError) {
+        return databaseFailure('Failed to purge task', subtasksError);
+    }
+
+    // Live subtasks never point at a trashed task, but keep them if one does
+    const live = await listSubtasks([trashed.data.id]);
+    if (live.error) {
+        return databaseFailure('Failed to purge task', live.error);
+    }
+    for (const child of [...live.data, ...separate]) {
+        const { data, error } = await tasks.update(child.id, { parent_id: null });
+        if (error) {
+            return databaseFailure('Failed to purge task', error);
+        }
+        if (data) await recordTaskChange(user, 'updated', child, data);
+    }
+
+    // Children first so no row ever points at a purged parent
+    const { data, error } = await removeTasks([...together].reverse().concat(trashed.data), user);
+    if (error) {
+        return databaseFailure('Failed to purge task', error);
+    }
+    return { data: trashed.data, purged: data };
+}
+
+/**
+ * Permanently delete every trashed task matching `filters`, a batch at a
+ * time, newest first so subtasks tend to go before their parents.
+ * Resolves to { data: purged ids, error }.
+ */
+async function purgeTrash(filters, actor) {
+    const purged = [];
+    const query = { filters: [trashFilter(true), ...filters], sort: { field: 'id', ascending: false } };
+    for await (const { data, error } of scanTasks(query, PURGE_BATCH_SIZE)) {
+        const removed = error ? { data: [], error } : await removeTasks(data, actor);
+        purged.push(...removed.data);
+        if (removed.error) {
+            return { data: purged, error: removed.error };
+        }
+    }
+    return { data: purged, error: null };
+}
+
+/** Empty the user's trash */
+async function emptyTrash(user) {
+    const { data, error } = await purgeTrash([{ field: 'owner_id', op: 'eq', value: user.id }], user);
+    return error ? databaseFailure('Failed to empty trash', error) : { data };
+}
+
+/** Purge every task that has been in the trash for the retention period */
+async function purgeExpiredTrash(now = new Date(), retentionDays = config.trashRetentionDays) {
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+    const { data, error } = await purgeTrash([{ field: 'deleted_at', op: 'lte', value: cutoff }], null);
+    if (error) {
+        console.error('Trash purge failed:', error);
+    } else if (data.length > 0) {
+        console.log(`Purged ${data.length} task(s) from the trash`);
+    }
+    return data;
+}
+
+/** Purge expired trash now and then every hour, unless retention is 0 */
+function startTrashPurge(retentionDays = config.trashRetentionDays) {
+    if (!retentionDays || retentionDays <= 0) {
+        return null;
+    }
+    const run = () => purgeExpiredTrash(new Date(), retentionDays).catch(err => console.error('Trash purge failed:', err));
+    run();
+    const timer = setInterval(run, PURGE_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    purgeAt,
+    restoreTask,
+    removeTasks,
+    purgeTask,
+    emptyTrash,
+    purgeExpiredTrash,
+    startTrashPurge
+};
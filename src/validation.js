@@ -0,0 +1,196 @@
+/**
+ * Declarative validation for request bodies and query strings.
+ *
+ * A schema is { fields, checks }. `fields` maps a field name to its rules:
+ * - type: 'string' | 'date' | 'integer' | 'boolean' | 'list' (comma separated values)
+ * - required, default
+ * - trim, lowercase, enum, minLength, pattern (strings)
+ * - parse: custom check of a string or list, returns { value } or { message }
+ * - items (allowed values of a list)
+ * - min, max (integers)
+ * - readOnly: never accepted from clients
+ * - createOnly: only accepted when creating; `createOnlyMessage` explains why
+ * `checks` are cross-field rules that receive the merged record and return
+ * a { field, message } error or null.
+ *
+ * Modes:
+ * - create: required fields must be present, defaults are applied
+ * - replace: like create, but missing optional fields are cleared to null
+ * - update: only the fields present are validated
+ * - query: like create, but unknown parameters are ignored
+ */
+const MODES = ['create', 'replace', 'update', 'query'];
+
+const isBlank = (raw) => raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+/**
+ * Coerce one raw value according to its rule.
+ * Returns { value } on success or { message } describing the problem.
+ */
+function coerce(name, rule, raw, mode) {
+    if (Array.isArray(raw) && rule.type !== 'list') {
+        return { message: `${name} must be a single value` };
+    }
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof raw !== 'string') {
+                return { message: `${name} must be a string` };
+            }
+            let value = rule.trim ? raw.trim() : raw;
+            if (rule.lowercase) value = value.toLowerCase();
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return { message: `${name} must be at least ${rule.minLength} characters` };
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return { message: rule.patternMessage || `${name} is not in a valid format` };
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                return { message: `${name} must be one of: ${rule.enum.join(', ')}` };
+            }
+            return rule.parse ? rule.parse(value) : { value };
+        }
+
+        case 'date': {
+            if (typeof raw !== 'string' || isNaN(Date.parse(raw))) {
+                return { message: `${name} must be a valid date` };
+            }
+            return { value: raw.trim() };
+        }
+
+        case 'integer': {
+            const value = typeof raw === 'string' && /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+            if (!Number.isInteger(value)) {
+                return { message: `${name} must be an integer` };
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return { message: `${name} must be at least ${rule.min}` };
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return { message: `${name} must be at most ${rule.max}` };
+            }
+            return { value };
+        }
+
+        case 'boolean': {
+            // Query strings can only say 'true' or 'false'
+            const value = typeof raw === 'string' ? { true: true, false: false }[raw.trim().toLowerCase()] : raw;
+            if (typeof value !== 'boolean') {
+                return { message: `${name} must be true or false` };
+            }
+            return { value };
+        }
+
+        case 'list': {
+            const parts = Array.isArray(raw) ? raw : (typeof raw === 'string' ? raw.split(',') : null);
+            if (!parts || parts.some(p => typeof p !== 'string')) {
+                return { message: `${name} must be a comma separated list` };
+            }
+            const value = [...new Set(parts.flatMap(p => p.split(',')).map(p => p.trim().toLowerCase()).filter(Boolean))];
+            const invalid = rule.items ? value.filter(v => !rule.items.includes(v)) : [];
+            if (invalid.length > 0) {
+                return { message: `${name} contains invalid values: ${invalid.join(', ')}. Available: ${rule.items.join(', ')}` };
+            }
+            if (value.length === 0) {
+                return mode === 'query' ? { value: undefined } : { message: `${name} must not be empty` };
+            }
+            return rule.parse ? rule.parse(value) : { value };
+        }
+
+        default:
+            throw new Error(`Unknown validation type "${rule.type}" for ${name}`);
+    }
+}
+
+const defaultValue = (rule) => (Array.isArray(rule.default) ? [...rule.default] : rule.default);
+
+/**
+ * Validate `input` against `schema`.
+ * `current` is the stored record for replace/update, so cross-field checks
+ * see the values the row will end up with.
+ * Returns { value, errors } where errors is a list of { field, message }.
+ */
+function validate(schema, input, mode, current = {}) {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown validation mode "${mode}"`);
+    }
+
+    const errors = [];
+    const value = {};
+    const source = input === undefined ? {} : input;
+
+    if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+        return { value, errors: [{ field: 'body', message: 'Request body must be a JSON object' }] };
+    }
+
+    if (mode !== 'query') {
+        for (const name of Object.keys(source)) {
+            if (!schema.fields[name]) {
+                errors.push({ field: name, message: `${name} is not an allowed field` });
+            }
+        }
+    }
+
+    for (const [name, rule] of Object.entries(schema.fields)) {
+        const present = Object.prototype.hasOwnProperty.call(source, name) && source[name] !== undefined;
+
+        if (rule.readOnly) {
+            if (present && mode !== 'query') {
+                errors.push({ field: name, message: `${name} is read-only` });
+            }
+            continue;
+        }
+
+        if (rule.createOnly && (mode === 'replace' || mode === 'update')) {
+            if (present) {
+                errors.push({ field: name, message: rule.createOnlyMessage || `${name} can only be set when creating` });
+            }
+            continue;
+        }
+
+        if (!present || isBlank(source[name])) {
+            if (rule.required && (present || mode !== 'update')) {
+                errors.push({ field: name, message: `${name} is required` });
+            } else if (present && (mode === 'replace' || mode === 'update')) {
+                value[name] = null;
+            } else if (rule.default !== undefined && mode !== 'update') {
+                value[name] = defaultValue(rule);
+            } else if (mode === 'replace') {
+                value[name] = null;
+            }
+            continue;
+        }
+
+        const result = coerce(name, rule, source[name], mode);
+        if (result.message) {
+            errors.push({ field: name, message: result.message });
+        } else if (result.value !== undefined) {
+            value[name] = result.value;
+        } else if (rule.default !== undefined) {
+            value[name] = defaultValue(rule);
+        }
+    }
+
+    if (errors.length === 0 && schema.checks) {
+        const merged = { ...current, ...value };
+        for (const check of schema.checks) {
+            const error = check(merged);
+            if (error) errors.push(error);
+        }
+    }
+
+    return { value, errors };
+}
+
+/** Send the standard 400 response for a list of field errors */
+function sendValidationErrors(res, errors) {
+    return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+    });
+}
+
+module.exports = {
+    validate,
+    sendValidationErrors
+};
@@ -0,0 +1,195 @@
+const { views } = require('./storage');
+const { SEARCHABLE_FIELDS } = require('./taskSchema');
+const { parseSearchQuery } = require('./searchQuery');
+const { resolveDate } = require('./relativeDates');
+const { failure, databaseFailure } = require('./taskService');
+
+/**
+ * Saved views: named combinations of the GET /tasks/search and
+ * /tasks/sort parameters. A view is private to its owner unless it is
+ * shared, in which case every user can see and run it, but only the
+ * owner can change it. Running a view always lists the tasks of the user
+ * who runs it. Like taskService, functions resolve to { data } or
+ * { error: { status, body } }.
+ */
+
+/** The search and filter parameters a view stores */
+const VIEW_PARAMS = [
+    'q',
+    'fields',
+    'priority',
+    'author',
+    'status',
+    'start_date_from',
+    'start_date_to',
+    'due_date_from',
+    'due_date_to',
+    'tags',
+    'tags_match',
+    'sort',
+    'order'
+];
+
+const DATE_PARAMS = ['start_date_from', 'start_date_to', 'due_date_from', 'due_date_to'];
+
+const isOwner = (user, view) => String(view.owner_id) === String(user.id);
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/** The user's own views and the views others share, by name */
+async function listViews(user) {
+    const sort = { field: 'name', ascending: true };
+    const [own, shared] = await Promise.all([
+        views.list({ filters: [{ field: 'owner_id', op: 'eq', value: user.id }], sort, count: false }),
+        views.list({
+            filters: [{ field: 'shared', op: 'eq', value: true }, { field: 'owner_id', op: 'neq', value: user.id }],
+            sort,
+            count: false
+        })
+    ]);
+    const error = own.error || shared.error;
+    if (error) {
+        return databaseFailure('Failed to fetch views', error);
+    }
+    return { data: [...own.data, ...shared.data].sort((a, b) => a.name.localeCompare(b.name) || a.id - b.id) };
+}
+
+/**
+ * Load a view `user` may see: their own or a shared one. Other users'
+ * private views answer 404, as if they did not exist.
+ */
+async function getVisibleView(user, id) {
+    const { data, error } = await views.findById(id);
+
+    if (error) {
+        return failure(500, { error: error.message });
+    }
+    if (!data || !(isOwner(user, data) || data.shared)) {
+        return failure(404, { error: 'View not found' });
+    }
+    return { data };
+}
+
+/** Load a view and check that `user` owns it */
+async function getOwnView(user, id) {
+    const result = await getVisibleView(user, id);
+    if (result.error) {
+        return result;
+    }
+    if (!isOwner(user, result.data)) {
+        return failure(403, { error: 'Only the owner can change a shared view' });
+    }
+    return result;
+}
+
+async function nameTaken(user, name, exceptId) {
+    const { data, error } = await views.list({
+        filters: [{ field: 'owner_id', op: 'eq', value: user.id }],
+        count: false
+    });
+    if (error) {
+        return { error };
+    }
+    return { taken: data.some(view => sameName(view.name, name) && String(view.id) !== String(exceptId)) };
+}
+
+const conflict = (name) => failure(409, { error: `A view named "${name}" already exists` });
+
+async function createView(user, value) {
+    const existing = await nameTaken(user, value.name);
+    if (existing.error) {
+        return databaseFailure('Failed to create view', existing.error);
+    }
+    if (existing.taken) {
+        return conflict(value.name);
+    }
+
+    const empty = Object.fromEntries([...VIEW_PARAMS, 'description'].map(param => [param, null]));
+    const { data, error } = await views.insert([{ ...empty, shared: false, ...value, owner_id: user.id }]);
+    if (error) {
+        return databaseFailure('Failed to create view', error);
+    }
+    return { data: data[0] };
+}
+
+/**
+ * Save changes to `view`, which the caller loaded with getOwnView to
+ * validate the changes against it. The write still only applies while
+ * `user` owns the view.
+ */
+async function updateView(user, view, changes) {
+    const { id } = view;
+    if (changes.name) {
+        const existing = await nameTaken(user, changes.name, id);
+        if (existing.error) {
+            return databaseFailure('Failed to update view', existing.error);
+        }
+        if (existing.taken) {
+            return conflict(changes.name);
+        }
+    }
+
+    const { data, error } = await views.update(id, changes, { owner_id: user.id });
+    if (error) {
+        return databaseFailure('Failed to update view', error);
+    }
+    if (!data) {
+        return failure(404, { error: 'View not found' });
+    }
+    return { data };
+}
+
+async function deleteView(user, id) {
+    const current = await getOwnView(user, id);
+    if (current.error) {
+        return current;
+    }
+
+    const { data, error } = await views.remove(id, { owner_id: user.id });
+    if (error) {
+        return databaseFailure('Failed to delete view', error);
+    }
+    if (!data) {
+        return failure(404, { error: 'View not found' });
+    }
+    return { data };
+}
+
+/**
+ * The search params a view runs with at `now`: stored values with
+ * relative dates resolved, q parsed, and the defaults of GET /tasks/search
+ * (relevance order with a q, newest first without, also when the q of a
+ * relevance-ordered view was removed).
+ */
+function viewParams(view, now = new Date()) {
+    const params = {};
+    for (const param of VIEW_PARAMS) {
+        if (view[param] !== null && view[param] !== undefined) params[param] = view[param];
+    }
+    for (const param of DATE_PARAMS) {
+        if (params[param]) params[param] = resolveDate(params[param], now);
+    }
+    if (params.q) {
+        // Stored queries were checked when saved
+        params.q = parseSearchQuery(params.q).value;
+    }
+    return {
+        ...params,
+        fields: params.fields || SEARCHABLE_FIELDS,
+        tags_match: params.tags_match || 'any',
+        sort: params.q ? params.sort || 'relevance' : (params.sort !== 'relevance' && params.sort) || 'created_at',
+        order: params.order || 'desc'
+    };
+}
+
+module.exports = {
+    VIEW_PARAMS,
+    isOwner,
+    listViews,
+    getVisibleView,
+    getOwnView,
+    createView,
+    updateView,
+    deleteView,
+    viewParams
+};
@@ -0,0 +1,82 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('./config');
+
+/**
+ * Where webhooks may be sent. A webhook URL must resolve to public
+ * addresses only: loopback, private, link-local (which holds the cloud
+ * metadata service at 169.254.169.254), shared and reserved ranges are
+ * refused, so a webhook cannot be used to reach or read the server's own
+ * network. Hosts listed in WEBHOOK_ALLOWED_HOSTS skip the check, e.g. a
+ * receiver on localhost during development.
+ */
+
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], // "this" network
+    ['10.0.0.0', 8], // private
+    ['100.64.0.0', 10], // shared (carrier-grade NAT)
+    ['127.0.0.0', 8], // loopback
+    ['169.254.0.0', 16], // link-local, cloud metadata
+    ['172.16.0.0', 12], // private
+    ['192.0.0.0', 24], // IETF protocol assignments
+    ['192.168.0.0', 16], // private
+    ['198.18.0.0', 15], // benchmarking
+    ['224.0.0.0', 4], // multicast
+    ['240.0.0.0', 4] // reserved, broadcast
+]) {
+    BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 128], // unspecified
+    ['::1', 128], // loopback
+    ['64:ff9b::', 96], // IPv4 translation
+    ['fc00::', 7], // unique local, includes the fd00:ec2::254 metadata address
+    ['fe80::', 10], // link-local
+    ['ff00::', 8] // multicast
+]) {
+    BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+/** Whether a resolved address may receive webhooks */
+const isPublicAddress = (address) => !BLOCKED.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/** Whether WEBHOOK_ALLOWED_HOSTS lists the host of `url` */
+const isAllowedHost = (url) => config.webhookAllowedHosts.includes(url.hostname.replace(/^\[|\]$/g, '').toLowerCase());
+
+const lookupAll = (hostname) => new Promise((resolve, reject) => {
+    dns.lookup(hostname, { all: true }, (err, addresses) => (err ? reject(err) : resolve(addresses)));
+});
+
+/**
+ * Resolve the host of a webhook URL and check where it leads. Resolves to
+ * { data: { address, family } }, the address to connect to, or { error }
+ * with a message when the host cannot be resolved or is refused. Every
+ * address of the host must be public, so a host cannot hide a private
+ * address behind a public one.
+ */
+async function resolveTarget(value) {
+    const url = new URL(value);
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [{ address: hostname, family: net.isIP(hostname) }] : await lookupAll(hostname);
+    } catch (err) {
+        return { error: `Cannot resolve ${hostname}: ${err.code || err.message}` };
+    }
+    if (addresses.length === 0) {
+        return { error: `Cannot resolve ${hostname}` };
+    }
+    const refused = addresses.find(({ address }) => !isPublicAddress(address));
+    if (refused && !isAllowedHost(url)) {
+        return { error: refused.address === hostname
+            ? `${hostname} is not a public address`
+            : `${hostname} resolves to ${refused.address}, which is not a public address` };
+    }
+    return { data: addresses[0] };
+}
+
+module.exports = {
+    isPublicAddress,
+    resolveTarget
+};
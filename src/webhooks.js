@@ -0,0 +1,418 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { webhooks, webhookDeliveries } = require('./storage');
+const { AUDIT_ACTIONS } = require('./audit');
+const { subscribe, eventPayload } = require('./taskEvents');
+const { failure, databaseFailure } = require('./taskService');
+const { resolveTarget } = require('./webhookTargets');
+const config = require('./config');
+
+/**
+ * Outbound webhooks.
+ *
+ * A webhook subscribes one of the user's URLs to task events (the same
+ * events GET /tasks/stream sends). Every matching event becomes a delivery:
+ * a signed POST that is retried with exponential backoff until the URL
+ * answers 2xx or WEBHOOK_MAX_ATTEMPTS is reached. Deliveries are kept as
+ * a log and can be sent again by hand. Due-date reminders are delivered
+ * the same way (see reminders.js). Like taskService, functions resolve
+ * to { data } or { error: { status, body } }.
+ */
+
+const REMINDER_EVENTS = ['task.reminder', 'task.overdue'];
+
+const WEBHOOK_EVENTS = [...AUDIT_ACTIONS.map(action => `task.${action}`), ...REMINDER_EVENTS];
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/** How long a receiver has to answer */
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+/** How often the retry worker looks for due deliveries */
+const RETRY_POLL_MS = 10 * 1000;
+
+const RETRY_BATCH_SIZE = 50;
+
+/** Most of a response body kept in the delivery log */
+const MAX_RESPONSE_BODY = 1000;
+
+/** A webhook as shown to its owner: the secret is only returned when it is set */
+const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Signature sent in X-Webhook-Signature: sha256=HMAC(secret, "<timestamp>.<body>").
+ * Receivers recompute it with the X-Webhook-Timestamp header to check the
+ * request came from us and reject old timestamps to stop replays.
+ */
+const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/** Wait before the retry after `attempts` failed attempts */
+const retryDelayMs = (attempts) => config.webhookRetryBaseSeconds * 1000 * 2 ** (attempts - 1);
+
+async function listWebhooks(user) {
+    const { data, error } = await webhooks.list({
+        filters: [{ field: 'owner_id', op: 'eq', value: user.id }],
+        sort: { field: 'id', ascending: true },
+        count: false
+    });
+    return error ? databaseFailure('Failed to fetch webhooks', error) : { data: data.map(publicWebhook) };
+}
+
+/** Load a webhook and check that `user` owns it */
+async function getOwnWebhook(user, id) {
+    const { data, error } = await webhooks.findById(id);
+
+    if (error) {
+        return failure(500, { error: error.message });
+    }
+    if (!data) {
+        return failure(404, { error: 'Webhook not found' });
+    }
+    if (String(data.owner_id) !== String(user.id)) {
+        return failure(403, { error: 'You do not have access to this webhook' });
+    }
+    return { data };
+}
+
+/** Refuse a URL whose host cannot be resolved or is not public (see webhookTargets.js) */
+async function checkUrl(url) {
+    const target = await resolveTarget(url);
+    return target.error ? failure(400, { error: 'Validation failed', details: [{ field: 'url', message: target.error }] }) : target;
+}
+
+/** Create a webhook. Without a secret one is generated; either way it is returned this once. */
+async function createWebhook(user, value) {
+    const checked = await checkUrl(value.url);
+    if (checked.error) {
+        return checked;
+    }
+    const secret = value.secret || generateSecret();
+    const { data, error } = await webhooks.insert([{
+        events: WEBHOOK_EVENTS,
+        active: true,
+        ...value,
+        secret,
+        owner_id: user.id
+    }]);
+    if (error) {
+        return databaseFailure('Failed to create webhook', error);
+    }
+    return { data: { ...publicWebhook(data[0]), secret } };
+}
+
+async function updateWebhook(user, id, changes) {
+    const current = await getOwnWebhook(user, id);
+    if (current.error) {
+        return current;
+    }
+    if (changes.url) {
+        const checked = await checkUrl(changes.url);
+        if (checked.error) {
+            return checked;
+        }
+    }
+
+    const { data, error } = await webhooks.update(id, changes, { owner_id: user.id });
+    if (error) {
+        return databaseFailure('Failed to update webhook', error);
+    }
+    if (!data) {
+        return failure(404, { error: 'Webhook not found' });
+    }
+    return { data: { ...publicWebhook(data), ...(changes.secret && { secret: changes.secret }) } };
+}
+
+/** Delete a webhook and its delivery log */
+async function deleteWebhook(user, id) {
+    const current = await getOwnWebhook(user, id);
+    if (current.error) {
+        return current;
+    }
+
+    const deliveries = await webhookDeliveries.list({
+        filters: [{ field: 'webhook_id', op: 'eq', value: current.data.id }],
+        count: false
+    });
+    if (deliveries.error) {
+        return databaseFailure('Failed to delete webhook', deliveries.error);
+    }
+    for (const delivery of deliveries.data) {
+        const { error } = await webhookDeliveries.remove(delivery.id);
+        if (error) {
+            return databaseFailure('Failed to delete webhook', error);
+        }
+    }
+
+    const { data, error } = await webhooks.remove(id, { owner_id: user.id });
+    if (error) {
+        return databaseFailure('Failed to delete webhook', error);
+    }
+    if (!data) {
+        return failure(404, { error: 'Webhook not found' });
+    }
+    return { data: publicWebhook(data) };
+}
+
+/**
+ * POST `body` to `url`, connecting to the already checked `address` so
+ * the host cannot resolve somewhere else in between. Resolves to the
+ * status and up to MAX_RESPONSE_BODY characters of the answer. Redirects
+ * are not followed.
+ */
+function post(url, { address, family }, headers, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: (hostname, options, callback) => (options.all
+                ? callback(null, [{ address, family }])
+                : callback(null, address, family)),
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        }, (response) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                if (text.length < MAX_RESPONSE_BODY) text += chunk;
+            });
+            response.on('end', () => resolve({ status: response.statusCode, text: text.slice(0, MAX_RESPONSE_BODY) }));
+            response.on('error', reject);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * POST the delivery's payload to the webhook URL. Resolves to what
+ * happened. The host is checked again first: one that now resolves to a
+ * private address is refused and never contacted.
+ */
+async function send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const failed = (error) => ({ ok: false, response_status: null, response_body: null, error, duration_ms: Date.now() - started });
+
+    const target = await resolveTarget(webhook.url);
+    if (target.error) {
+        return failed(`Refused: ${target.error}`);
+    }
+
+    try {
+        const response = await post(webhook.url, target.data, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'test-api-webhooks/1.0',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        }, body);
+        const ok = response.status >= 200 && response.status < 300;
+        return {
+            ok,
+            response_status: response.status,
+            response_body: response.text,
+            error: ok ? null : `Receiver answered ${response.status}`,
+            duration_ms: Date.now() - started
+        };
+    } catch (err) {
+        return failed(err.name === 'TimeoutError' || err.name === 'AbortError'
+            ? `No answer within ${DELIVERY_TIMEOUT_MS / 1000}s`
+            : err.message);
+    }
+}
+
+/**
+ * Make one attempt at a pending delivery. The attempt is claimed first by
+ * bumping `attempts`, so the retry worker and an immediate send (or two
+ * server instances) never post the same attempt twice; the claim also
+ * pushes next_attempt_at past the timeout in case this process dies.
+ */
+async function attemptDelivery(delivery) {
+    const now = Date.now();
+    const claimed = await webhookDeliveries.update(delivery.id, {
+        attempts: delivery.attempts + 1,
+        last_attempt_at: new Date(now).toISOString(),
+        next_attempt_at: new Date(now + DELIVERY_TIMEOUT_MS + retryDelayMs(1)).toISOString()
+    }, { status: 'pending', attempts: delivery.attempts });
+    if (claimed.error || !claimed.data) {
+        return claimed.error ? { data: null, error: claimed.error } : { data: null, error: null };
+    }
+
+    const webhook = await webhooks.findById(delivery.webhook_id);
+    if (webhook.error) {
+        return { data: null, error: webhook.error };
+    }
+
+    if (!webhook.data || !webhook.data.active) {
+        return webhookDeliveries.update(delivery.id, {
+            status: 'failed',
+            next_attempt_at: null,
+            error: 'Webhook was deleted or disabled'
+        });
+    }
+
+    const attempts = claimed.data.attempts;
+    const { ok, ...result } = await send(webhook.data, claimed.data);
+    const retry = !ok && attempts < config.webhookMaxAttempts;
+    return webhookDeliveries.update(delivery.id, {
+        ...result,
+        status: ok ? 'succeeded' : (retry ? 'pending' : 'failed'),
+        next_attempt_at: retry ? new Date(Date.now() + retryDelayMs(attempts)).toISOString() : null,
+        delivered_at: ok ? new Date().toISOString() : null
+    });
+}
+
+/** Attempt a delivery without making the caller wait or fail */
+const attemptInBackground = (delivery) => attemptDelivery(delivery)
+    .then(({ error }) => error && console.error(`Webhook delivery ${delivery.id} failed:`, error))
+    .catch(err => console.error(`Webhook delivery ${delivery.id} failed:`, err));
+
+/**
+ * Queue a delivery of `payload` as event `type` for every active webhook
+ * of `ownerId` that wants it. Resolves to { data: deliveries, error }.
+ */
+async function enqueueDeliveries(ownerId, type, eventId, payload) {
+    if (ownerId === null || ownerId === undefined) {
+        return { data: [], error: null };
+    }
+    const { data, error } = await webhooks.list({
+        filters: [
+            { field: 'owner_id', op: 'eq', value: ownerId },
+            { field: 'active', op: 'eq', value: true }
+        ],
+        count: false
+    });
+    if (error) {
+        return { data: null, error };
+    }
+
+    const subscribed = data.filter(webhook => (webhook.events || []).includes(type));
+    if (subscribed.length === 0) {
+        return { data: [], error: null };
+    }
+
+    const now = new Date().toISOString();
+    const inserted = await webhookDeliveries.insert(subscribed.map(webhook => ({
+        webhook_id: webhook.id,
+        owner_id: webhook.owner_id,
+        event: type,
+        event_id: eventId,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now
+    })));
+    if (inserted.error) {
+        return { data: null, error: inserted.error };
+    }
+    inserted.data.forEach(attemptInBackground);
+    return { data: inserted.data, error: null };
+}
+
+/** Queue deliveries of a task change event */
+async function enqueueEvent(event) {
+    const { error } = await enqueueDeliveries(event.owner_id, event.type, event.id, eventPayload(event));
+    if (error) {
+        console.error('Failed to queue webhook deliveries:', error);
+    }
+}
+
+/** Retry every pending delivery that is due */
+async function retryDueDeliveries(now = new Date()) {
+    const { data, error } = await webhookDeliveries.list({
+        filters: [
+            { field: 'status', op: 'eq', value: 'pending' },
+            { field: 'next_attempt_at', op: 'lte', value: now.toISOString() }
+        ],
+        sort: { field: 'next_attempt_at', ascending: true },
+        range: { from: 0, to: RETRY_BATCH_SIZE - 1 },
+        count: false
+    });
+    if (error) {
+        console.error('Webhook retry failed:', error);
+        return;
+    }
+    for (const delivery of data) {
+        await attemptInBackground(delivery);
+    }
+}
+
+/** Send a delivery again as a new delivery with the same payload */
+async function redeliver(user, webhookId, deliveryId) {
+    const webhook = await getOwnWebhook(user, webhookId);
+    if (webhook.error) {
+        return webhook;
+    }
+
+    const original = await webhookDeliveries.findById(deliveryId);
+    if (original.error) {
+        return databaseFailure('Failed to load delivery', original.error);
+    }
+    if (!original.data || String(original.data.webhook_id) !== String(webhook.data.id)) {
+        return failure(404, { error: 'Delivery not found for this webhook' });
+    }
+    if (!webhook.data.active) {
+        return failure(409, { error: 'Webhook is disabled' });
+    }
+
+    const { webhook_id, owner_id, event, event_id, payload } = original.data;
+    const { data, error } = await webhookDeliveries.insert([{
+        webhook_id,
+        owner_id,
+        event,
+        event_id,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        redelivery_of: original.data.id
+    }]);
+    if (error) {
+        return databaseFailure('Failed to redeliver', error);
+    }
+    attemptInBackground(data[0]);
+    return { data: data[0] };
+}
+
+/**
+ * Send webhooks for every task event, and retry due deliveries every few
+ * seconds. Returns a function that stops both.
+ */
+function startWebhookDispatcher() {
+    const unsubscribe = subscribe(event => {
+        enqueueEvent(event).catch(err => console.error('Failed to queue webhook deliveries:', err));
+    });
+    const timer = setInterval(() => {
+        retryDueDeliveries().catch(err => console.error('Webhook retry failed:', err));
+    }, RETRY_POLL_MS);
+    timer.unref();
+
+    return () => {
+        unsubscribe();
+        clearInterval(timer);
+    };
+}
+
+module.exports = {
+    REMINDER_EVENTS,
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES,
+    signPayload,
+    retryDelayMs,
+    listWebhooks,
+    getOwnWebhook,
+    publicWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    redeliver,
+    enqueueDeliveries,
+    retryDueDeliveries,
+    startWebhookDispatcher
+};
@@ -0,0 +1,10 @@
+-- Task status lifecycle: todo -> in_progress -> done, plus blocked/cancelled.
+alter table "Tasks"
+    add column if not exists status text not null default 'todo',
+    add column if not exists completed_at timestamptz;
+
+alter table "Tasks"
+    add constraint tasks_status_check
+    check (status in ('todo', 'in_progress', 'blocked', 'done', 'cancelled'));
+
+create index if not exists tasks_status_idx on "Tasks" (status);
@@ -0,0 +1,13 @@
+-- User accounts and per-user task ownership.
+create table if not exists "Users" (
+    id bigint generated by default as identity primary key,
+    email text not null unique,
+    name text,
+    password_hash text not null,
+    created_at timestamptz not null default now()
+);
+
+alter table "Tasks"
+    add column if not exists owner_id bigint references "Users" (id) on delete cascade;
+
+create index if not exists tasks_owner_id_idx on "Tasks" (owner_id);
@@ -0,0 +1,6 @@
+-- Subtasks: a task can belong to a parent task.
+-- The API reparents or cascades explicitly; "set null" is only a safety net.
+alter table "Tasks"
+    add column if not exists parent_id bigint references "Tasks" (id) on delete set null;
+
+create index if not exists tasks_parent_id_idx on "Tasks" (parent_id);
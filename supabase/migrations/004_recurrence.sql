@@ -0,0 +1,10 @@
+-- Recurring tasks: an RRULE subset plus links between the instances of a series.
+alter table "Tasks"
+    add column if not exists recurrence text,
+    add column if not exists recurrence_index integer,
+    add column if not exists recurrence_series_id bigint references "Tasks" (id) on delete set null,
+    add column if not exists recurrence_next_id bigint references "Tasks" (id) on delete set null;
+
+-- The sweep looks for recurring instances that have no successor yet
+create index if not exists tasks_recurrence_pending_idx on "Tasks" (id)
+    where recurrence is not null and recurrence_next_id is null;
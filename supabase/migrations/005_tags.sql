@@ -0,0 +1,34 @@
+-- Tags: named, coloured labels owned by a user, attached to tasks many-to-many.
+create table if not exists "Tags" (
+    id bigint generated by default as identity primary key,
+    name text not null,
+    color text,
+    owner_id bigint not null references "Users" (id) on delete cascade,
+    created_at timestamptz not null default now()
+);
+
+-- Names are unique per user, ignoring case
+create unique index if not exists tags_owner_name_idx on "Tags" (owner_id, lower(name));
+
+create table if not exists "TaskTags" (
+    id bigint generated by default as identity primary key,
+    task_id bigint not null references "Tasks" (id) on delete cascade,
+    tag_id bigint not null references "Tags" (id) on delete cascade,
+    owner_id bigint not null references "Users" (id) on delete cascade,
+    created_at timestamptz not null default now(),
+    unique (task_id, tag_id)
+);
+
+create index if not exists task_tags_tag_id_idx on "TaskTags" (tag_id);
+create index if not exists task_tags_owner_id_idx on "TaskTags" (owner_id);
+
+-- The lowercased names of a task's tags. PostgREST exposes a function of a
+-- table row as a computed column, so task lists filter on tags in the
+-- database: tag_names=ov.{a,b} for any of the tags, cs.{a,b} for all.
+create or replace function tag_names(task "Tasks")
+returns text[] language sql stable as $$
+    select coalesce(array_agg(lower(tags.name)), '{}')
+    from "TaskTags" links
+    join "Tags" tags on tags.id = links.tag_id
+    where links.task_id = task.id
+$$;
@@ -0,0 +1,17 @@
+-- Soft delete: DELETE /tasks/:id moves a task to the trash instead of removing it.
+alter table "Tasks"
+    add column if not exists deleted_at timestamptz;
+
+-- List routes only read live tasks; the trash and the purge read the rest
+create index if not exists tasks_owner_live_idx on "Tasks" (owner_id) where deleted_at is null;
+create index if not exists tasks_deleted_at_idx on "Tasks" (deleted_at) where deleted_at is not null;
+
+-- The number of tasks using a tag, a computed column of "Tags" for GET /tags.
+-- Tasks in the trash keep their tags but do not count as using them.
+create or replace function usage_count(tag "Tags")
+returns bigint language sql stable as $$
+    select count(*)
+    from "TaskTags" links
+    join "Tasks" tasks on tasks.id = links.task_id
+    where links.tag_id = tag.id and tasks.deleted_at is null
+$$;
@@ -0,0 +1,17 @@
+-- Audit trail: one row per change to a task, kept after the task is purged.
+create table if not exists "AuditLog" (
+    id bigint generated by default as identity primary key,
+    task_id bigint not null,
+    owner_id bigint references "Users" (id) on delete cascade,
+    actor_id bigint references "Users" (id) on delete set null,
+    actor_name text,
+    action text not null
+        check (action in ('created', 'updated', 'deleted', 'restored', 'reverted', 'purged')),
+    changes jsonb not null default '{}'::jsonb,
+    snapshot jsonb,
+    reverted_to bigint,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_task_id_idx on "AuditLog" (task_id, id desc);
+create index if not exists audit_log_owner_id_idx on "AuditLog" (owner_id, id desc);
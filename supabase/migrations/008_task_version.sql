@@ -0,0 +1,16 @@
+-- Optimistic concurrency: every update bumps the task's version, which the
+-- API exposes as its ETag and checks against If-Match.
+alter table "Tasks"
+    add column if not exists version integer not null default 1;
+
+create or replace function bump_task_version() returns trigger as $$
+begin
+    new.version := coalesce(old.version, 0) + 1;
+    return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists tasks_bump_version on "Tasks";
+create trigger tasks_bump_version
+    before update on "Tasks"
+    for each row execute function bump_task_version();
@@ -0,0 +1,37 @@
+-- Outbound webhooks: subscriptions to task events and a log of every delivery.
+create table if not exists "Webhooks" (
+    id bigint generated by default as identity primary key,
+    owner_id bigint not null references "Users" (id) on delete cascade,
+    url text not null,
+    events text[] not null,
+    secret text not null,
+    active boolean not null default true,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists webhooks_owner_id_idx on "Webhooks" (owner_id);
+
+create table if not exists "WebhookDeliveries" (
+    id bigint generated by default as identity primary key,
+    webhook_id bigint not null references "Webhooks" (id) on delete cascade,
+    owner_id bigint not null references "Users" (id) on delete cascade,
+    event text not null,
+    event_id bigint,
+    payload jsonb not null,
+    status text not null default 'pending'
+        check (status in ('pending', 'succeeded', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz,
+    last_attempt_at timestamptz,
+    response_status integer,
+    response_body text,
+    error text,
+    duration_ms integer,
+    delivered_at timestamptz,
+    redelivery_of bigint,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_webhook_id_idx on "WebhookDeliveries" (webhook_id, id desc);
+-- The retry worker looks for pending deliveries that are due
+create index if not exists webhook_deliveries_due_idx on "WebhookDeliveries" (next_attempt_at) where status = 'pending';
@@ -0,0 +1,27 @@
+-- Due-date reminders: per-task lead times and a record of every reminder sent.
+alter table "Tasks"
+    add column if not exists reminders text[];
+
+create table if not exists "Reminders" (
+    id bigint generated by default as identity primary key,
+    task_id bigint not null references "Tasks" (id) on delete cascade,
+    owner_id bigint not null references "Users" (id) on delete cascade,
+    kind text not null check (kind in ('upcoming', 'overdue')),
+    lead text,
+    lead_minutes integer not null,
+    due_date text not null,
+    remind_at timestamptz not null,
+    status text not null default 'pending'
+        check (status in ('pending', 'sent', 'failed', 'skipped')),
+    channels text[],
+    errors jsonb,
+    sent_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+-- One reminder per task, kind, lead time and due date, even with several server instances
+create unique index if not exists reminders_once_idx on "Reminders" (task_id, kind, lead_minutes, due_date);
+
+-- The scheduler looks for open tasks due soon
+create index if not exists tasks_due_date_idx on "Tasks" (due_date)
+    where due_date is not null and deleted_at is null;
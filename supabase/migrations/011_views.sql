@@ -0,0 +1,40 @@
+-- Saved views: named search/sort parameters, private or shared with every user.
+create table if not exists "Views" (
+    id bigint generated by default as identity primary key,
+    owner_id bigint not null references "Users" (id) on delete cascade,
+    name text not null,
+    description text,
+    shared boolean not null default false,
+    q text,
+    fields text[],
+    priority text[],
+    author text,
+    status text[],
+    -- Dates or relative dates such as today+7d, resolved when the view runs
+    start_date_from text,
+    start_date_to text,
+    due_date_from text,
+    due_date_to text,
+    tags text[],
+    tags_match text check (tags_match in ('any', 'all')),
+    sort text,
+    "order" text check ("order" in ('asc', 'desc')),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Names are unique per user, ignoring case
+create unique index if not exists views_owner_name_idx on "Views" (owner_id, lower(name));
+create index if not exists views_shared_idx on "Views" (shared) where shared;
+
+create or replace function touch_view_updated_at() returns trigger as $$
+begin
+    new.updated_at := now();
+    return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists views_touch_updated_at on "Views";
+create trigger views_touch_updated_at
+    before update on "Views"
+    for each row execute function touch_view_updated_at();
@@ -0,0 +1,40 @@
+-- Projects group tasks. Members can see a project's tasks; only the owner changes them.
+create table if not exists "Projects" (
+    id bigint generated by default as identity primary key,
+    owner_id bigint not null references "Users" (id) on delete cascade,
+    name text not null,
+    description text,
+    -- Archived projects are read-only until they are unarchived
+    archived_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Names are unique per owner, ignoring case
+create unique index if not exists projects_owner_name_idx on "Projects" (owner_id, lower(name));
+
+create or replace function touch_project_updated_at() returns trigger as $$
+begin
+    new.updated_at := now();
+    return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists projects_touch_updated_at on "Projects";
+create trigger projects_touch_updated_at
+    before update on "Projects"
+    for each row execute function touch_project_updated_at();
+
+create table if not exists "ProjectMembers" (
+    id bigint generated by default as identity primary key,
+    project_id bigint not null references "Projects" (id) on delete cascade,
+    user_id bigint not null references "Users" (id) on delete cascade,
+    created_at timestamptz not null default now(),
+    unique (project_id, user_id)
+);
+
+create index if not exists project_members_user_id_idx on "ProjectMembers" (user_id);
+
+alter table "Tasks" add column if not exists project_id bigint references "Projects" (id) on delete set null;
+
+create index if not exists tasks_project_id_idx on "Tasks" (project_id);
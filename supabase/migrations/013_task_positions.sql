@@ -0,0 +1,16 @@
+-- Manual order of tasks on the board: a column lists its tasks by position,
+-- then id. A move only rewrites the moved task, which gets the midpoint
+-- between its new neighbours.
+alter table "Tasks"
+    add column if not exists position double precision;
+
+-- Existing tasks keep their creation order, 1024 apart
+update "Tasks" t
+set position = ranked.rank * 1024
+from (
+    select id, row_number() over (partition by owner_id order by created_at, id) as rank
+    from "Tasks"
+) ranked
+where t.id = ranked.id and t.position is null;
+
+create index if not exists tasks_board_idx on "Tasks" (owner_id, status, position, id) where deleted_at is null;
@@ -0,0 +1,13 @@
+-- Dependencies: task_id cannot start until depends_on_id is done.
+-- The API rejects edges that would close a cycle.
+create table if not exists "TaskDependencies" (
+    id bigint generated by default as identity primary key,
+    task_id bigint not null references "Tasks" (id) on delete cascade,
+    depends_on_id bigint not null references "Tasks" (id) on delete cascade,
+    owner_id bigint not null references "Users" (id) on delete cascade,
+    created_at timestamptz not null default now(),
+    unique (task_id, depends_on_id),
+    check (task_id <> depends_on_id)
+);
+
+create index if not exists task_dependencies_depends_on_id_idx on "TaskDependencies" (depends_on_id);
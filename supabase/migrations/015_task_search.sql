@@ -0,0 +1,133 @@
+-- Full-text task search: search_tasks() matches, ranks and highlights tasks
+-- in the database, so a search page reads only its own rows. Terms are
+-- stemmed ("planning" finds "plan"), "phrases" and -exclusions follow the
+-- websearch syntax. Tasks that match no word but come close by trigram
+-- similarity are found too, below the real matches, which forgives typos
+-- ("documantation" finds "documentation").
+create extension if not exists pg_trgm;
+
+-- Searched fields by weight: title A, author B, description C, priority D
+create or replace function task_search_vector(title text, author text, description text, priority text)
+returns tsvector language sql immutable parallel safe as $$
+    select setweight(to_tsvector('english', coalesce(title, '')), 'A')
+        || setweight(to_tsvector('english', coalesce(author, '')), 'B')
+        || setweight(to_tsvector('english', coalesce(description, '')), 'C')
+        || setweight(to_tsvector('english', coalesce(priority, '')), 'D')
+$$;
+
+create or replace function task_search_text(title text, author text, description text, priority text)
+returns text language sql immutable parallel safe as $$
+    select lower(concat_ws(' ', title, author, description, priority))
+$$;
+
+create index if not exists tasks_search_idx
+    on "Tasks" using gin (task_search_vector(title, author, description, priority));
+create index if not exists tasks_search_trgm_idx
+    on "Tasks" using gin (task_search_text(title, author, description, priority) gin_trgm_ops);
+
+-- The weights of the searched fields, for ts_filter()
+create or replace function task_search_weights(search_fields text[])
+returns "char"[] language sql immutable parallel safe as $$
+    select array(
+        select case field when 'title' then 'a' when 'author' then 'b' when 'description' then 'c' else 'd' end
+        from unnest(search_fields) as field
+    )::"char"[]
+$$;
+
+-- A snippet of every searched field the query matches, with the matches in
+-- <mark> tags and the text HTML escaped, like the memory backend
+create or replace function task_search_highlights(
+    title text, author text, description text, priority text, search_fields text[], query tsquery
+) returns jsonb language sql stable as $$
+    select coalesce(jsonb_object_agg(field, ts_headline('english', escaped, query,
+        'StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=25, MaxFragments=1, FragmentDelimiter=" … "')), '{}'::jsonb)
+    from (values ('title', title), ('author', author), ('description', description), ('priority', priority)) as fields (field, value)
+    cross join lateral (
+        select replace(replace(replace(replace(replace(value,
+            '&', '&#38;'), '<', '&#60;'), '>', '&#62;'), '"', '&#34;'), '''', '&#39;') as escaped
+    ) html
+    where value is not null and field = any(search_fields) and to_tsvector('english', value) @@ query
+$$;
+
+-- Tasks matching include_query (websearch syntax; '' matches every task),
+-- or close to fuzzy_text by trigram similarity, in any of search_fields,
+-- and matching exclude_query in none of them. PostgREST filters, orders
+-- and pages the result like a table, so rows can be sorted by score; the
+-- tag_names column lets tag filters apply to searches too.
+--
+-- The result lists the columns of "Tasks" explicitly while the body
+-- selects t.*: a migration that adds a column to "Tasks" without adding
+-- it here makes every search fail with "return type mismatch" instead of
+-- leaving the column out of search results.
+create or replace function search_tasks(
+    include_query text,
+    exclude_query text default '',
+    fuzzy_text text default '',
+    search_fields text[] default array['title', 'description', 'author', 'priority'],
+    with_highlights boolean default true
+) returns table (
+    id "Tasks".id%type,
+    title "Tasks".title%type,
+    author "Tasks".author%type,
+    description "Tasks".description%type,
+    priority "Tasks".priority%type,
+    start_date "Tasks".start_date%type,
+    due_date "Tasks".due_date%type,
+    created_at "Tasks".created_at%type,
+    updated_at "Tasks".updated_at%type,
+    status "Tasks".status%type,
+    completed_at "Tasks".completed_at%type,
+    owner_id "Tasks".owner_id%type,
+    parent_id "Tasks".parent_id%type,
+    recurrence "Tasks".recurrence%type,
+    recurrence_index "Tasks".recurrence_index%type,
+    recurrence_series_id "Tasks".recurrence_series_id%type,
+    recurrence_next_id "Tasks".recurrence_next_id%type,
+    deleted_at "Tasks".deleted_at%type,
+    version "Tasks".version%type,
+    reminders "Tasks".reminders%type,
+    project_id "Tasks".project_id%type,
+    "position" "Tasks"."position"%type,
+    tag_names text[],
+    score numeric,
+    highlights jsonb
+) language sql stable as $$
+    select t.*,
+        tag_names(t),
+        round((case
+            when include_query = '' then 0
+            when m.matched then ts_rank('{0.1, 0.1, 0.5, 1.0}', f.vector, f.included, 1)
+            else word_similarity(fuzzy_text, f.text) * 0.01
+        end)::numeric, 6) as score,
+        case
+            when not with_highlights then null
+            when include_query = '' then '{}'::jsonb
+            else task_search_highlights(t.title, t.author, t.description, t.priority, search_fields, f.included)
+        end as highlights
+    from "Tasks" t
+    cross join lateral (
+        select websearch_to_tsquery('english', include_query) as included,
+            websearch_to_tsquery('english', exclude_query) as excluded,
+            ts_filter(task_search_vector(t.title, t.author, t.description, t.priority),
+                task_search_weights(search_fields)) as vector,
+            task_search_text(
+                case when 'title' = any(search_fields) then t.title end,
+                case when 'author' = any(search_fields) then t.author end,
+                case when 'description' = any(search_fields) then t.description end,
+                case when 'priority' = any(search_fields) then t.priority end) as text
+    ) f
+    -- The indexed vector narrows the rows, the filtered one checks the fields
+    cross join lateral (
+        select include_query = '' or (
+            task_search_vector(t.title, t.author, t.description, t.priority) @@ f.included
+            and f.vector @@ f.included
+        ) as matched
+    ) m
+    where (
+        m.matched
+        or (fuzzy_text <> ''
+            and fuzzy_text <% task_search_text(t.title, t.author, t.description, t.priority)
+            and fuzzy_text <% f.text)
+    )
+    and (exclude_query = '' or not f.vector @@ f.excluded)
+$$;
@@ -0,0 +1,13 @@
+-- API keys: long-lived credentials for scripts, sent in the X-API-Key header
+-- instead of a bearer token. Only a SHA-256 hash of each key is stored; the
+-- key itself is shown once, when it is created.
+create table if not exists "ApiKeys" (
+    id bigint generated by default as identity primary key,
+    owner_id bigint not null references "Users" (id) on delete cascade,
+    name text not null,
+    prefix text not null,
+    key_hash text not null unique,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists api_keys_owner_id_idx on "ApiKeys" (owner_id);
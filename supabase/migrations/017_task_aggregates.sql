@@ -0,0 +1,110 @@
+-- Task aggregates: aggregate_tasks() counts the tasks matching repository
+-- filters and an optional search in the database, so GET /tasks/stats
+-- reads a few numbers instead of every matching task. It backs the
+-- aggregate() repository method (see src/storage/index.js).
+
+-- The SQL condition for a repository filter { field, op, value } on rows
+-- aliased t. Computed columns work too: t.tag_names calls tag_names(t).
+create or replace function repository_filter_condition(filter jsonb)
+returns text language plpgsql immutable as $$
+declare
+    field text := format('t.%I', filter->>'field');
+    scalar text := filter->>'value';
+    truth text := case when scalar is null then 'null' when scalar in ('true', 'false') then scalar end;
+    list text;
+begin
+    if jsonb_typeof(filter->'value') = 'array' then
+        list := coalesce((select array_agg(item) from jsonb_array_elements_text(filter->'value') item), '{}')::text;
+    end if;
+    return case filter->>'op'
+        when 'eq' then format('%s = %L', field, scalar)
+        when 'neq' then format('%s <> %L', field, scalar)
+        when 'in' then format('%s = any(%L)', field, list)
+        when 'ilike' then format('%s ilike %L', field, scalar)
+        when 'gt' then format('%s > %L', field, scalar)
+        when 'gte' then format('%s >= %L', field, scalar)
+        when 'lt' then format('%s < %L', field, scalar)
+        when 'lte' then format('%s <= %L', field, scalar)
+        when 'is' then case when truth is not null then format('%s is %s', field, truth) end
+        when 'not_is' then case when truth is not null then format('%s is not %s', field, truth) end
+        when 'overlaps' then format('%s && %L', field, list)
+        when 'contains' then format('%s @> %L', field, list)
+    end;
+end;
+$$;
+
+-- Every filter of a list, joined with and
+create or replace function repository_filters_condition(filters jsonb)
+returns text language plpgsql immutable as $$
+declare
+    conditions text[] := array(select '(' || repository_filter_condition(filter) || ')'
+        from jsonb_array_elements(coalesce(filters, '[]')) filter);
+begin
+    if array_position(conditions, null) is not null then
+        raise exception 'Unsupported filter in %', filters using errcode = '22023';
+    end if;
+    return coalesce(nullif(array_to_string(conditions, ' and '), ''), 'true');
+end;
+$$;
+
+-- Aggregates of the tasks matching `filters` and `search` (the arguments of
+-- search_tasks, or null):
+-- - total: how many match
+-- - groups: for each field in `groups`, [{ value, count }] per distinct value
+-- - counts: for each name in `counts`, how many also match its filters
+-- - histogram: for { field, interval: day | week, from, to }, the
+--   [{ period, count }] of rows with field in [from, to), by UTC day or
+--   week (starting Monday), for the periods that have any
+create or replace function aggregate_tasks(
+    filters jsonb default '[]',
+    search jsonb default null,
+    groups text[] default '{}',
+    counts jsonb default '{}',
+    histogram jsonb default null
+) returns jsonb language plpgsql stable as $$
+declare
+    source text := '"Tasks" t';
+    grouped text;
+    counted text;
+    periods text := 'null';
+    result jsonb;
+begin
+    if search is not null then
+        source := format('search_tasks(%L, %L, %L, %L, false) t',
+            search->>'include_query', search->>'exclude_query', search->>'fuzzy_text',
+            array(select jsonb_array_elements_text(search->'search_fields')));
+    end if;
+
+    select coalesce(string_agg(format(
+        '%L, (select coalesce(jsonb_agg(jsonb_build_object(''value'', value, ''count'', count)), ''[]'')
+            from (select t.%I as value, count(*) as count from matched t group by 1) g)', field, field), ', '), '')
+    into grouped from unnest(groups) field;
+
+    select coalesce(string_agg(format('%L, (select count(*) from matched t where %s)',
+        name, repository_filters_condition(value)), ', '), '')
+    into counted from jsonb_each(coalesce(counts, '{}')) c(name, value);
+
+    if histogram is not null then
+        if histogram->>'interval' not in ('day', 'week') then
+            raise exception 'Unsupported histogram interval: %', histogram->>'interval' using errcode = '22023';
+        end if;
+        periods := format(
+            '(select coalesce(jsonb_agg(jsonb_build_object(''period'', period, ''count'', count) order by period), ''[]'')
+                from (select to_char(date_trunc(%L, t.%I, ''UTC''), ''YYYY-MM-DD'') as period, count(*) as count
+                    from matched t where t.%I >= %L and t.%I < %L group by 1) h)',
+            histogram->>'interval', histogram->>'field',
+            histogram->>'field', histogram->>'from', histogram->>'field', histogram->>'to');
+    end if;
+
+    execute format(
+        'with matched as materialized (select t.* from %s where %s)
+        select jsonb_build_object(
+            ''total'', (select count(*) from matched),
+            ''groups'', jsonb_build_object(%s),
+            ''counts'', jsonb_build_object(%s),
+            ''histogram'', %s)',
+        source, repository_filters_condition(filters), grouped, counted, periods)
+    into result;
+    return result;
+end;
+$$;
@@ -0,0 +1,44 @@
+-- Board renumbering in one statement: renumber_tasks() spreads the tasks
+-- matching repository filters (see 017_task_aggregates.sql) `step` apart in
+-- sort order. It backs the renumber() repository method.
+
+-- Renumbering only moves tasks apart without changing their order, so it
+-- keeps their versions and ETags; every other update still bumps them.
+create or replace function bump_task_version() returns trigger as $$
+begin
+    if current_setting('app.keep_task_version', true) = 'on' then
+        new.version := old.version;
+    else
+        new.version := coalesce(old.version, 0) + 1;
+    end if;
+    return new;
+end;
+$$ language plpgsql;
+
+-- Set `field` to step, 2 * step, ... in the order of sort_field (nulls
+-- last, then id). Returns how many tasks changed.
+create or replace function renumber_tasks(
+    filters jsonb,
+    sort_field text,
+    ascending boolean,
+    field text,
+    step double precision
+) returns bigint language plpgsql volatile as $$
+declare
+    renumbered bigint;
+begin
+    perform set_config('app.keep_task_version', 'on', true);
+    execute format(
+        'update "Tasks" u set %1$I = ranked.rank * %2$L
+        from (
+            select t.id, row_number() over (order by t.%3$I %4$s nulls last, t.id %4$s) as rank
+            from "Tasks" t where %5$s
+        ) ranked
+        where u.id = ranked.id and u.%1$I is distinct from ranked.rank * %2$L',
+        field, step, sort_field, case when ascending then 'asc' else 'desc' end,
+        repository_filters_condition(filters));
+    get diagnostics renumbered = row_count;
+    perform set_config('app.keep_task_version', 'off', true);
+    return renumbered;
+end;
+$$;
@@ -0,0 +1,68 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTask } = require('../src/taskService');
+const { addDependency } = require('../src/dependencyService');
+
+const alice = { id: 1, email: 'alice@example.com' };
+const bob = { id: 2, email: 'bob@example.com' };
+
+async function newTask(user, title) {
+    const { data, error } = await createTask(user, { title, author: 'Test' });
+    assert.equal(error, undefined);
+    return data.id;
+}
+
+const ok = (result) => {
+    assert.equal(result.error, undefined, result.error && JSON.stringify(result.error));
+    return result.data;
+};
+
+test('addDependency rejects an edge that closes a cycle', async () => {
+    const [a, b, c, d] = await Promise.all(['A', 'B', 'C', 'D'].map(title => newTask(alice, title)));
+    ok(await addDependency(alice, a, b));
+    ok(await addDependency(alice, b, c));
+    ok(await addDependency(alice, c, d));
+
+    // d waits for nothing yet, so d -> a would close a -> b -> c -> d
+    const { error } = await addDependency(alice, d, a);
+    assert.equal(error.status, 409);
+    assert.deepEqual(error.body.cycle, [d, a, b, c, d]);
+    assert.equal(error.body.error, `Adding this dependency would create a cycle: ${[d, a, b, c, d].join(' -> ')}`);
+
+    const direct = await addDependency(alice, b, a);
+    assert.deepEqual(direct.error.body.cycle, [b, a, b]);
+});
+
+test('addDependency allows a task to be reached by several paths', async () => {
+    // a -> b -> d and a -> c -> d is a diamond, not a cycle
+    const [a, b, c, d] = await Promise.all(['A', 'B', 'C', 'D'].map(title => newTask(alice, title)));
+    ok(await addDependency(alice, a, b));
+    ok(await addDependency(alice, a, c));
+    ok(await addDependency(alice, b, d));
+    ok(await addDependency(alice, c, d));
+
+    const { error } = await addDependency(alice, d, a);
+    assert.equal(error.status, 409);
+    assert.equal(error.body.cycle.length, 4);
+});
+
+test('addDependency rejects a task depending on itself, twice on a task or on another user\'s task', async () => {
+    const [a, b] = await Promise.all(['A', 'B'].map(title => newTask(alice, title)));
+    const other = await newTask(bob, 'Not yours');
+
+    const self = await addDependency(alice, a, a);
+    assert.equal(self.error.status, 400);
+    assert.equal(self.error.body.details[0].message, 'A task cannot depend on itself');
+
+    ok(await addDependency(alice, a, b));
+    const twice = await addDependency(alice, a, b);
+    assert.equal(twice.error.status, 409);
+    assert.equal(twice.error.body.error, `Task ${a} already depends on task ${b}`);
+
+    const foreign = await addDependency(alice, a, other);
+    assert.equal(foreign.error.status, 400);
+    assert.equal(foreign.error.body.details[0].message, 'depends_on must be the id of one of your tasks');
+});
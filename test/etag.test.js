@@ -0,0 +1,49 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tasks } = require('../src/storage');
+const { createTask, updateTask, deleteTask } = require('../src/taskService');
+const { taskETag, parseIfMatch, matchesVersion } = require('../src/etag');
+
+const alice = { id: 1, email: 'alice@example.com' };
+
+test('the ETag is the version, plus a digest of derived data when there is some', () => {
+    assert.equal(taskETag({ version: 7 }), '"7"');
+    assert.equal(taskETag({}), '"0"', 'rows from before versioning are version 0');
+    const tagged = taskETag({ version: 7 }, { tags: ['a'] });
+    assert.match(tagged, /^"7\.[0-9a-f]{10}"$/);
+    assert.notEqual(taskETag({ version: 7 }, { tags: ['b'] }), tagged);
+});
+
+test('If-Match takes strong tags, with or without a digest, or *', () => {
+    assert.equal(parseIfMatch(undefined), null);
+    assert.equal(parseIfMatch(' * '), '*');
+    assert.deepEqual(parseIfMatch('"3", "4.0a1b2c3d4e"'), [3, 4]);
+    assert.deepEqual(parseIfMatch('W/"3"'), [], 'weak tags never match');
+    assert.deepEqual(parseIfMatch('3'), []);
+
+    assert.ok(matchesVersion({ version: 3 }, null));
+    assert.ok(matchesVersion({ version: 3 }, '*'));
+    assert.ok(matchesVersion({ version: 3 }, [2, 3]));
+    assert.ok(!matchesVersion({ version: 3 }, []));
+});
+
+test('a write based on an old version is refused with 412 and the current version', async () => {
+    const { data: task } = await createTask(alice, { title: 'Versioned', author: 'Ann' });
+    assert.equal(task.version, 1);
+
+    const saved = await updateTask(alice, task.id, { title: 'First edit' }, 'update', { ifMatch: parseIfMatch('"1"') });
+    assert.equal(saved.data.version, 2);
+
+    const stale = await updateTask(alice, task.id, { title: 'Lost edit' }, 'update', { ifMatch: parseIfMatch('"1"') });
+    assert.equal(stale.error.status, 412);
+    assert.equal(stale.error.body.version, 2);
+    const deleted = await deleteTask(alice, task.id, undefined, { ifMatch: parseIfMatch('"1"') });
+    assert.equal(deleted.error.status, 412);
+    assert.equal((await tasks.findById(task.id)).data.title, 'First edit');
+
+    const forced = await updateTask(alice, task.id, { title: 'Forced edit' }, 'update', { ifMatch: parseIfMatch('*') });
+    assert.equal(forced.data.version, 3);
+});
@@ -0,0 +1,66 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tasks } = require('../src/storage');
+const { parseSearchQuery, searchOption } = require('../src/searchQuery');
+
+// The memory backend matches substrings; Supabase runs full-text search
+// (015_task_search.sql). These tests pin down where the two differ, so a
+// change to either side is a deliberate one.
+
+const FIELDS = ['title', 'description'];
+
+test.before(async () => {
+    await tasks.insert([
+        { title: 'Sprint planning', description: 'Write the documentation', author: 'Ann', owner_id: 1 },
+        { title: 'Plan the release', description: 'The plans for the launch', author: 'Bob', owner_id: 1 },
+        { title: 'Fix login page', description: 'Broken on Safari', author: 'Ann', owner_id: 1 }
+    ]);
+});
+
+async function titles(text) {
+    const { value } = parseSearchQuery(text);
+    const { data, error } = await tasks.list({
+        search: searchOption(value, FIELDS, { ranked: true }),
+        sort: { field: 'score', ascending: false }
+    });
+    assert.equal(error, null);
+    return data.map(({ title }) => title);
+}
+
+test('a term finds longer words that contain it', async () => {
+    assert.deepEqual(await titles('plan'), ['Plan the release', 'Sprint planning']);
+    assert.deepEqual(await titles('DOCUMENT'), ['Sprint planning']);
+});
+
+test('words are not stemmed, so another form of a word finds nothing', async () => {
+    // Supabase stems both to "plan" and finds both tasks
+    assert.deepEqual(await titles('planned'), []);
+    assert.deepEqual(await titles('planning'), ['Sprint planning']);
+});
+
+test('typos are not forgiven', async () => {
+    // Supabase finds "documentation" by trigram similarity
+    assert.deepEqual(await titles('documantation'), []);
+});
+
+test('stopwords count like any other word', async () => {
+    // Supabase ignores "the", so "login the" finds the login task there
+    assert.deepEqual(await titles('login the'), []);
+    assert.deepEqual(await titles('the'), ['Plan the release', 'Sprint planning']);
+});
+
+test('phrases match as substrings and exclusions drop tasks', async () => {
+    assert.deepEqual(await titles('"login pa"'), ['Fix login page']);
+    assert.deepEqual(await titles('plan -launch'), ['Sprint planning']);
+});
+
+test('ranked results carry a score and highlights', async () => {
+    const { value } = parseSearchQuery('plan');
+    const { data } = await tasks.list({ search: searchOption(value, FIELDS, { ranked: true }), sort: { field: 'score', ascending: false } });
+    assert.ok(data[0].score > data[1].score, 'a title match with the word in more fields ranks first');
+    assert.equal(data[0].highlights.title, '<mark>Plan</mark> the release');
+    assert.equal(data[1].highlights.title, 'Sprint <mark>plan</mark>ning');
+});
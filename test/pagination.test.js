@@ -0,0 +1,73 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tasks } = require('../src/storage');
+const { pageRequest, pageResult, encodeCursor } = require('../src/pagination');
+
+const OWNER = 1;
+const BY_PRIORITY = { field: 'priority', ascending: true };
+
+test.before(async () => {
+    await tasks.insert(['low', null, 'high', 'low', null, 'medium', 'low'].map((priority, i) =>
+        ({ title: `Task ${i + 1}`, author: 'Ann', priority, owner_id: OWNER })));
+});
+
+async function page(params, sort) {
+    const request = pageRequest({ count: 'exact', ...params }, sort);
+    assert.equal(request.error, undefined);
+    const { data, count } = await tasks.list({ ...request.options, filters: [{ field: 'owner_id', op: 'eq', value: OWNER }] });
+    return pageResult(data, count, params, request);
+}
+
+/** Titles of every page, following next_cursor */
+async function walk(sort, limit, between = async () => {}) {
+    const pages = [];
+    let cursor;
+    do {
+        const { data, pagination } = await page({ limit, cursor }, sort);
+        pages.push(data.map(task => task.title));
+        cursor = pagination.next_cursor;
+        await between();
+    } while (cursor);
+    return pages;
+}
+
+test('cursors walk every task once, with ties broken by id and nulls last', async () => {
+    assert.deepEqual(await walk(BY_PRIORITY, 2), [
+        ['Task 3', 'Task 1'],
+        ['Task 4', 'Task 7'],
+        ['Task 6', 'Task 2'],
+        ['Task 5']
+    ]);
+    assert.deepEqual((await walk({ field: 'priority', ascending: false }, 3)).flat(),
+        ['Task 6', 'Task 7', 'Task 4', 'Task 1', 'Task 3', 'Task 5', 'Task 2']);
+});
+
+test('tasks added between pages are neither skipped nor repeated', async () => {
+    let added = null;
+    const pages = await walk({ field: 'id', ascending: true }, 3, async () => {
+        if (!added) [added] = (await tasks.insert([{ title: 'Added later', author: 'Ann', owner_id: OWNER }])).data;
+    });
+    const titles = pages.flat();
+    assert.equal(new Set(titles).size, titles.length);
+    assert.deepEqual(titles.slice(-1), ['Added later']);
+    await tasks.remove(added.id);
+});
+
+test('page numbers are only given for offset pages, the total for both', async () => {
+    const first = await page({ limit: 2 }, BY_PRIORITY);
+    assert.deepEqual(first.pagination, { page: 1, limit: 2, total: 7, totalPages: 4, next_cursor: first.pagination.next_cursor });
+
+    const second = await page({ limit: 2, cursor: first.pagination.next_cursor }, BY_PRIORITY);
+    assert.equal(second.pagination.total, 7, 'the count ignores the cursor position');
+    assert.equal(second.pagination.page, undefined);
+});
+
+test('a cursor only works with the sort it was made for', () => {
+    const cursor = encodeCursor(BY_PRIORITY, { id: 1, priority: 'low' });
+    assert.equal(pageRequest({ limit: 2, cursor }, { field: 'title', ascending: true }).error.field, 'cursor');
+    assert.equal(pageRequest({ limit: 2, cursor }, { field: 'priority', ascending: false }).error.field, 'cursor');
+    assert.equal(pageRequest({ limit: 2, cursor: 'not-a-cursor' }, BY_PRIORITY).error.message, 'cursor is invalid');
+});
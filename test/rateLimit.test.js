@@ -0,0 +1,109 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLimit, takeTokens, createRateLimitStore, rateLimiter } = require('../src/rateLimit');
+
+const policy = { limit: 10, windowMs: 1000 };
+
+/** takeTokens() for a single bucket */
+const takeToken = (state, bucketPolicy, now) => takeTokens([{ state, policy: bucketPolicy }], now)[0];
+
+test('parseLimit reads <requests>/<period>', () => {
+    assert.deepEqual(parseLimit('300/1m'), { limit: 300, windowMs: 60 * 1000 });
+    assert.deepEqual(parseLimit('10/30s'), { limit: 10, windowMs: 30 * 1000 });
+    assert.deepEqual(parseLimit(' 5 / H '), { limit: 5, windowMs: 60 * 60 * 1000 });
+});
+
+test('parseLimit turns off and zero limits into null', () => {
+    assert.equal(parseLimit('off'), null);
+    assert.equal(parseLimit('0'), null);
+    assert.equal(parseLimit('0/1m'), null);
+    assert.equal(parseLimit('10/0s'), null);
+});
+
+test('parseLimit rejects other values', () => {
+    assert.throws(() => parseLimit('300'), /Invalid rate limit "300"/);
+    assert.throws(() => parseLimit('300/1d'), /Invalid rate limit/);
+    assert.throws(() => parseLimit('-1/1m'), /Invalid rate limit/);
+});
+
+test('takeToken starts a new bucket full', () => {
+    assert.deepEqual(takeToken(undefined, policy, 0), { allowed: true, tokens: 9 });
+});
+
+test('takeToken refills limit tokens per window, evenly', () => {
+    // 10 per second is one token every 100ms
+    assert.deepEqual(takeToken({ tokens: 0, updatedAt: 0 }, policy, 50), { allowed: false, tokens: 0.5 });
+    assert.deepEqual(takeToken({ tokens: 0.5, updatedAt: 50 }, policy, 100), { allowed: true, tokens: 0 });
+    assert.deepEqual(takeToken({ tokens: 2, updatedAt: 0 }, policy, 300), { allowed: true, tokens: 4 });
+});
+
+test('takeToken does not refill past the limit', () => {
+    assert.deepEqual(takeToken({ tokens: 5, updatedAt: 0 }, policy, 60 * 1000), { allowed: true, tokens: 9 });
+});
+
+test('takeToken ignores a clock that went back', () => {
+    assert.deepEqual(takeToken({ tokens: 0.5, updatedAt: 1000 }, policy, 500), { allowed: false, tokens: 0.5 });
+});
+
+test('takeToken lets a full bucket burst, then denies', () => {
+    let state;
+    const allowed = [];
+    for (let i = 0; i < 11; i++) {
+        const result = takeToken(state, policy, 0);
+        allowed.push(result.allowed);
+        state = { tokens: result.tokens, updatedAt: 0 };
+    }
+    assert.deepEqual(allowed, [...Array(10).fill(true), false]);
+});
+
+test('takeTokens takes nothing when one of the buckets is empty', () => {
+    const results = takeTokens([
+        { state: { tokens: 5, updatedAt: 0 }, policy },
+        { state: { tokens: 0.5, updatedAt: 0 }, policy }
+    ], 0);
+    assert.deepEqual(results, [{ allowed: true, tokens: 5 }, { allowed: false, tokens: 0.5 }]);
+});
+
+test('takeTokens takes one token from every bucket when each has one', () => {
+    const results = takeTokens([{ state: undefined, policy }, { state: { tokens: 1, updatedAt: 0 }, policy: { limit: 2, windowMs: 1000 } }], 0);
+    assert.deepEqual(results, [{ allowed: true, tokens: 9 }, { allowed: true, tokens: 0 }]);
+});
+
+test('a request denied by the IP bucket leaves the client bucket alone', async (t) => {
+    const store = createRateLimitStore({ rateLimitStore: 'memory' });
+    t.after(() => store.close());
+    const client = { key: 'client:1:read', policy };
+    const ip = { key: 'ip:10.0.0.1:read', policy: { limit: 2, windowMs: 60 * 1000 } };
+
+    const allowed = [];
+    for (let i = 0; i < 5; i++) {
+        allowed.push((await store.take([client, ip], 0)).every(result => result.allowed));
+    }
+    assert.deepEqual(allowed, [true, true, false, false, false]);
+    // Only the two allowed requests were counted
+    assert.deepEqual(await store.take([client], 0), [{ allowed: true, tokens: 7 }]);
+});
+
+test('every API key has buckets of its own', async (t) => {
+    const store = createRateLimitStore({ rateLimitStore: 'memory' });
+    t.after(() => store.close());
+    const limit = rateLimiter({
+        limits: { client: { read: '2/1m', write: 'off', search: 'off' }, ip: { read: 'off', write: 'off', search: 'off' } },
+        store
+    });
+    const request = (apiKey) => new Promise((resolve) => {
+        const headers = { 'x-api-key': apiKey };
+        const req = { method: 'GET', baseUrl: '/tasks', path: '/', ip: '10.0.0.1', query: {}, get: name => headers[name.toLowerCase()] };
+        const res = {
+            set: () => res,
+            status: (code) => ({ json: () => resolve(code) })
+        };
+        limit(req, res, () => resolve(200));
+    });
+
+    assert.deepEqual([await request('tk_first'), await request('tk_first'), await request('tk_first')], [200, 200, 429]);
+    assert.equal(await request('tk_second'), 200);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRule, formatRule, nextOccurrence, hasPassed, upcomingOccurrences } = require('../src/recurrence');
+
+const rule = (text) => {
+    const parsed = parseRule(text);
+    assert.equal(parsed.error, undefined, parsed.error);
+    return parsed.rule;
+};
+
+const startDates = (occurrences) => occurrences.map(occurrence => occurrence.start_date);
+
+test('parseRule reads a rule and formatRule writes it back in canonical order', () => {
+    assert.equal(formatRule(rule('rrule:byday=fr,mo,mo;freq=weekly;interval=2')), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR');
+    assert.equal(formatRule(rule('FREQ=DAILY;INTERVAL=1')), 'FREQ=DAILY');
+    assert.equal(formatRule(rule('FREQ=MONTHLY;UNTIL=20261231')), 'FREQ=MONTHLY;UNTIL=20261231T235959Z');
+});
+
+test('parseRule rejects unsupported rules', () => {
+    assert.deepEqual(parseRule(''), { error: 'recurrence must be an RRULE string' });
+    assert.deepEqual(parseRule('INTERVAL=2'), { error: 'FREQ is required' });
+    assert.deepEqual(parseRule('FREQ=YEARLY'), { error: 'FREQ must be one of: DAILY, WEEKLY, MONTHLY' });
+    assert.deepEqual(parseRule('FREQ=DAILY;INTERVAL=0'), { error: 'INTERVAL must be a positive integer' });
+    assert.deepEqual(parseRule('FREQ=DAILY;BYDAY=MO'), { error: 'BYDAY is only supported with FREQ=WEEKLY' });
+    assert.deepEqual(parseRule('FREQ=DAILY;COUNT=2;UNTIL=20261231'), { error: 'UNTIL and COUNT cannot be used together' });
+    assert.deepEqual(parseRule('FREQ=DAILY;BYHOUR=9'), { error: 'Unsupported RRULE part: BYHOUR' });
+});
+
+test('DAILY and WEEKLY rules step by their interval', () => {
+    const first = { index: 1, start_date: '2026-10-19' };
+    assert.deepEqual(startDates(upcomingOccurrences(rule('FREQ=DAILY;INTERVAL=3'), first, 2)), ['2026-10-22', '2026-10-25']);
+    assert.deepEqual(startDates(upcomingOccurrences(rule('FREQ=WEEKLY;INTERVAL=2'), first, 2)), ['2026-11-02', '2026-11-16']);
+});
+
+test('WEEKLY BYDAY goes through the days of the week, then skips interval weeks', () => {
+    // 2026-10-19 is a Monday
+    const occurrences = upcomingOccurrences(rule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR'), { index: 1, start_date: '2026-10-19' }, 3);
+    assert.deepEqual(startDates(occurrences), ['2026-10-23', '2026-11-02', '2026-11-06']);
+});
+
+test('MONTHLY skips months without the day of month', () => {
+    const occurrences = upcomingOccurrences(rule('FREQ=MONTHLY'), { index: 1, start_date: '2026-01-31T09:30:00.000Z' }, 3);
+    assert.deepEqual(startDates(occurrences), ['2026-03-31T09:30:00.000Z', '2026-05-31T09:30:00.000Z', '2026-07-31T09:30:00.000Z']);
+});
+
+test('nextOccurrence keeps the offset between start and due date', () => {
+    const next = nextOccurrence(rule('FREQ=DAILY'), { index: 1, start_date: '2026-10-19', due_date: '2026-10-21T17:00:00.000Z' });
+    assert.deepEqual(next, { index: 2, start_date: '2026-10-20', due_date: '2026-10-22T17:00:00.000Z' });
+});
+
+test('nextOccurrence follows due_date without a start_date and needs one of them', () => {
+    const daily = rule('FREQ=DAILY');
+    assert.deepEqual(nextOccurrence(daily, { index: 4, start_date: null, due_date: '2026-10-19' }),
+        { index: 5, start_date: null, due_date: '2026-10-20' });
+    assert.equal(nextOccurrence(daily, { index: 1, start_date: null, due_date: null }), null);
+});
+
+test('COUNT and UNTIL end the series', () => {
+    const first = { index: 1, start_date: '2026-10-19' };
+    assert.deepEqual(startDates(upcomingOccurrences(rule('FREQ=DAILY;COUNT=3'), first, 10)), ['2026-10-20', '2026-10-21']);
+    // A date-only UNTIL includes its whole day
+    assert.deepEqual(startDates(upcomingOccurrences(rule('FREQ=DAILY;UNTIL=20261021'), first, 10)), ['2026-10-20', '2026-10-21']);
+});
+
+test('hasPassed counts a date-only value as the whole day', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    assert.equal(hasPassed({ due_date: '2026-10-19' }, now), false);
+    assert.equal(hasPassed({ due_date: '2026-10-18' }, now), true);
+    assert.equal(hasPassed({ due_date: '2026-10-19T11:59:00Z' }, now), true);
+    assert.equal(hasPassed({ start_date: '2026-10-20' }, now), false);
+    assert.equal(hasPassed({}, now), false);
+});
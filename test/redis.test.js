@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCommand, parseReply } = require('../src/redis');
+
+const reply = (text) => Buffer.from(text);
+
+test('encodeCommand writes an array of bulk strings', () => {
+    assert.equal(encodeCommand(['SET', 'key', 42]), '*3\r\n$3\r\nSET\r\n$3\r\nkey\r\n$2\r\n42\r\n');
+});
+
+test('encodeCommand counts bulk string lengths in bytes', () => {
+    assert.equal(encodeCommand(['ECHO', 'é']), '*2\r\n$4\r\nECHO\r\n$2\r\né\r\n');
+    assert.equal(encodeCommand(['ECHO', '']), '*2\r\n$4\r\nECHO\r\n$0\r\n\r\n');
+});
+
+test('parseReply reads simple strings, errors and integers', () => {
+    assert.deepEqual(parseReply(reply('+OK\r\n')), { value: 'OK', next: 5 });
+    assert.deepEqual(parseReply(reply(':-3\r\n')), { value: -3, next: 5 });
+
+    const { value } = parseReply(reply('-ERR unknown command\r\n'));
+    assert.ok(value instanceof Error);
+    assert.equal(value.message, 'ERR unknown command');
+});
+
+test('parseReply reads bulk strings and nulls', () => {
+    assert.deepEqual(parseReply(reply('$4\r\nhé!\r\n')), { value: 'hé!', next: 10 });
+    assert.deepEqual(parseReply(reply('$0\r\n\r\n')), { value: '', next: 6 });
+    assert.deepEqual(parseReply(reply('$-1\r\n')), { value: null, next: 5 });
+    assert.deepEqual(parseReply(reply('*-1\r\n')), { value: null, next: 5 });
+});
+
+test('parseReply reads nested arrays', () => {
+    const text = '*3\r\n:1\r\n$3\r\n2.5\r\n*2\r\n+a\r\n$-1\r\n';
+    assert.deepEqual(parseReply(reply(text)), { value: [1, '2.5', ['a', null]], next: text.length });
+});
+
+test('parseReply waits for the rest of a partial frame', () => {
+    const text = '*2\r\n:1\r\n$11\r\nhello world\r\n';
+    for (let length = 0; length < text.length; length++) {
+        assert.equal(parseReply(reply(text.slice(0, length))), null, `complete at ${length} bytes`);
+    }
+    assert.deepEqual(parseReply(reply(text)), { value: [1, 'hello world'], next: text.length });
+});
+
+test('parseReply reads pipelined replies from their offset', () => {
+    const buffer = reply('+OK\r\n:7\r\n$2\r\n');
+    const first = parseReply(buffer);
+    const second = parseReply(buffer, first.next);
+    assert.deepEqual([first.value, second.value], ['OK', 7]);
+    assert.equal(parseReply(buffer, second.next), null);
+});
+
+test('parseReply rejects unknown reply types', () => {
+    assert.throws(() => parseReply(reply('?what\r\n')), /Unexpected Redis reply type "\?"/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, searchOption, searchedQuery, scoreTask, highlightTask } = require('../src/searchQuery');
+
+const FIELDS = ['title', 'description', 'author', 'priority'];
+
+const query = (text) => {
+    const parsed = parseSearchQuery(text);
+    assert.equal(parsed.message, undefined, parsed.message);
+    return parsed.value;
+};
+
+test('parseSearchQuery splits terms, phrases and exclusions', () => {
+    const text = 'Fix "login   page" -draft -"Old stuff" fix "single"';
+    assert.deepEqual(parseSearchQuery(text), {
+        value: { text, terms: ['fix', 'single'], phrases: ['login page'], exclude: ['draft', 'old stuff'] }
+    });
+});
+
+test('parseSearchQuery runs an unterminated quote to the end', () => {
+    assert.deepEqual(query('release "next week').phrases, ['next week']);
+});
+
+test('parseSearchQuery needs between one and ten parts', () => {
+    assert.deepEqual(parseSearchQuery(' "" - '), { message: 'q must contain at least one search term' });
+    assert.deepEqual(parseSearchQuery('a b c d e f g h i j k'), { message: 'q can have at most 10 terms, phrases and exclusions' });
+});
+
+test('searchedQuery gets the terms and phrases back from a search option', () => {
+    const option = searchOption(query('plan "next week" -draft'), ['title'], { ranked: true });
+    assert.deepEqual(option, { fields: ['title'], include: ['plan', 'next week'], exclude: ['draft'], ranked: true });
+    assert.deepEqual(searchedQuery(option), { terms: ['plan'], phrases: ['next week'] });
+});
+
+test('scoreTask prefers whole words and heavier fields', () => {
+    const login = query('login');
+    const inTitle = scoreTask({ title: 'Fix login' }, login, FIELDS);
+    const inDescription = scoreTask({ title: 'Fix', description: 'login' }, login, FIELDS);
+    const wordStart = scoreTask({ title: 'Fix logins' }, login, FIELDS);
+    const insideWord = scoreTask({ title: 'Fix relogin' }, login, FIELDS);
+
+    assert.equal(inTitle, 8);
+    assert.ok(inTitle > inDescription);
+    assert.ok(inTitle > wordStart && wordStart > insideWord);
+    assert.equal(scoreTask({ title: 'Fix login' }, login, ['description']), 0);
+});
+
+test('scoreTask counts repeated matches and boosts phrases', () => {
+    assert.ok(scoreTask({ title: 'login login' }, query('login'), FIELDS) > scoreTask({ title: 'login' }, query('login'), FIELDS));
+    assert.ok(scoreTask({ title: 'login page' }, query('"login page"'), FIELDS) > scoreTask({ title: 'login page' }, query('login'), FIELDS));
+});
+
+test('highlightTask marks matches in the original case and escapes HTML', () => {
+    const task = { title: 'Fix <b>Login</b> & sign-up', description: 'Nothing here', author: null };
+    assert.deepEqual(highlightTask(task, query('login sign'), FIELDS), {
+        title: 'Fix &#60;b&#62;<mark>Login</mark>&#60;/b&#62; &#38; <mark>sign</mark>-up'
+    });
+});
+
+test('highlightTask merges overlapping matches and cuts long fields around the first one', () => {
+    assert.deepEqual(highlightTask({ title: 'planning' }, query('plan lann'), FIELDS), { title: '<mark>plann</mark>ing' });
+
+    const description = `${'word '.repeat(60)}target ${'tail '.repeat(60)}`;
+    const snippet = highlightTask({ description }, query('target'), FIELDS).description;
+    assert.match(snippet, /^….*<mark>target<\/mark>.*…$/);
+    assert.ok(snippet.length < description.length);
+});
@@ -0,0 +1,84 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tasks, taskTags } = require('../src/storage');
+const { createTask, deleteTask } = require('../src/taskService');
+const { attachTags, deleteTag, listTagsWithUsage, removeTaskLinks } = require('../src/tagService');
+const { buildTaskFilters } = require('../src/taskFilters');
+
+const alice = { id: 1, email: 'alice@example.com' };
+const bob = { id: 2, email: 'bob@example.com' };
+
+const ok = (result) => {
+    assert.equal(result.error, undefined, result.error && JSON.stringify(result.error));
+    return result.data;
+};
+
+async function taggedTask(user, title, tagNames) {
+    const task = ok(await createTask(user, { title, author: 'Test' }));
+    ok(await attachTags(user, task, tagNames));
+    return task;
+}
+
+async function titlesTagged(user, tags, tagsMatch = 'any') {
+    const { data, error } = await tasks.list({
+        filters: buildTaskFilters(user, { tags, tags_match: tagsMatch }),
+        sort: { field: 'id', ascending: true }
+    });
+    assert.equal(error, null);
+    return data.map(({ title }) => title);
+}
+
+test.before(async () => {
+    await taggedTask(alice, 'Release notes', ['Release', 'docs']);
+    await taggedTask(alice, 'Release build', ['release']);
+    await taggedTask(alice, 'Write docs', ['Docs', 'home']);
+    await taggedTask(bob, 'Bob release', ['release']);
+});
+
+test('tag filters match any or all of the names, ignoring case', async () => {
+    assert.deepEqual(await titlesTagged(alice, ['RELEASE', 'home']), ['Release notes', 'Release build', 'Write docs']);
+    assert.deepEqual(await titlesTagged(alice, ['release', 'docs'], 'all'), ['Release notes']);
+    assert.deepEqual(await titlesTagged(alice, ['release', 'unknown'], 'all'), []);
+    assert.deepEqual(await titlesTagged(alice, ['unknown']), []);
+});
+
+test('tag filters leave the tag names out of the rows', async () => {
+    const { data } = await tasks.list({ filters: buildTaskFilters(alice, { tags: ['docs'], tags_match: 'any' }) });
+    assert.ok(data.length > 0);
+    assert.ok(data.every(row => !('tag_names' in row)));
+});
+
+test('usage counts leave out tasks in the trash', async () => {
+    const usage = () => listTagsWithUsage(alice).then(ok)
+        .then(tags => Object.fromEntries(tags.map(({ name, usage_count: count }) => [name, count])));
+    assert.deepEqual(await usage(), { docs: 2, home: 1, Release: 2 });
+
+    const trashed = await taggedTask(alice, 'Trashed', ['home']);
+    assert.equal((await usage()).home, 2);
+    ok(await deleteTask(alice, trashed.id));
+    assert.equal((await usage()).home, 1);
+});
+
+test('removeTaskLinks detaches every tag of the given tasks only', async () => {
+    const first = await taggedTask(alice, 'First', ['a', 'b', 'c']);
+    const second = await taggedTask(alice, 'Second', ['a']);
+
+    const removed = await removeTaskLinks([first.id]);
+    assert.equal(removed.error, null);
+    assert.equal(removed.data.length, 3);
+    const left = await taskTags.list({ filters: [{ field: 'task_id', op: 'in', value: [first.id, second.id] }] });
+    assert.deepEqual(left.data.map(link => link.task_id), [second.id]);
+});
+
+test('deleteTag detaches it from every task', async () => {
+    const task = await taggedTask(alice, 'Doomed tag', ['doomed']);
+    const [tag] = ok(await attachTags(alice, task, ['doomed']));
+    await taggedTask(alice, 'Also doomed', ['doomed']);
+
+    const result = await deleteTag(alice, tag.id);
+    assert.equal(result.detached, 2);
+    assert.deepEqual(await titlesTagged(alice, ['doomed']), []);
+});
@@ -0,0 +1,67 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tasks } = require('../src/storage');
+const { createTask } = require('../src/taskService');
+const { runBatch } = require('../src/taskBatch');
+
+const alice = { id: 1, email: 'alice@example.com' };
+
+const ok = (result) => {
+    assert.equal(result.error, undefined, result.error && JSON.stringify(result.error));
+    return result.data;
+};
+
+const titleOf = async (id) => ((await tasks.findById(id)).data || {}).title;
+
+const titled = async (title) => (await tasks.list({ filters: [{ field: 'title', op: 'eq', value: title }] })).data;
+
+test('without atomic, every operation succeeds or fails on its own', async () => {
+    const task = ok(await createTask(alice, { title: 'Independent', author: 'Ann' }));
+    const outcome = await runBatch(alice, [
+        { op: 'create', data: { title: 'Created alone', author: 'Ann' } },
+        { op: 'update', id: task.id, data: { priority: 'urgent' } },
+        { op: 'update', id: task.id, data: { title: 'Independent, renamed' } }
+    ]);
+
+    assert.deepEqual(outcome.results.map(result => result.status), [201, 400, 200]);
+    assert.deepEqual(outcome.summary, { total: 3, succeeded: 2, failed: 1 });
+    assert.equal((await titled('Created alone')).length, 1);
+    assert.equal(await titleOf(task.id), 'Independent, renamed');
+});
+
+test('an atomic batch with an invalid operation writes nothing', async () => {
+    const task = ok(await createTask(alice, { title: 'Untouched', author: 'Ann' }));
+    const outcome = await runBatch(alice, [
+        { op: 'create', data: { title: 'Never created', author: 'Ann' } },
+        { op: 'update', id: task.id, data: { priority: 'urgent' } }
+    ], { atomic: true });
+
+    assert.equal(outcome.ok, false);
+    assert.equal(outcome.status, 400);
+    assert.deepEqual(outcome.results.map(result => result.status), [424, 400]);
+    assert.deepEqual(await titled('Never created'), []);
+});
+
+test('an atomic batch undoes the writes before one that fails', async (t) => {
+    const renamed = ok(await createTask(alice, { title: 'Before the batch', author: 'Ann' }));
+    const insert = tasks.insert;
+    t.mock.method(tasks, 'insert', async (rows) => (rows.some(row => row.title === 'Cannot be saved')
+        ? { data: null, error: new Error('connection lost') }
+        : insert(rows)));
+
+    const outcome = await runBatch(alice, [
+        { op: 'update', id: renamed.id, data: { title: 'Renamed in the batch' } },
+        { op: 'create', data: { title: 'Rolled back', author: 'Ann' } },
+        { op: 'create', data: { title: 'Cannot be saved', author: 'Ann' } }
+    ], { atomic: true });
+
+    assert.equal(outcome.ok, false);
+    assert.equal(outcome.status, 500);
+    assert.deepEqual(outcome.results.map(result => result.status), [424, 424, 500]);
+    assert.match(outcome.results[0].error, /Rolled back/);
+    assert.equal(await titleOf(renamed.id), 'Before the batch');
+    assert.deepEqual(await titled('Rolled back'), []);
+});
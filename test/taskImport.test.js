@@ -0,0 +1,131 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tasks, taskTags } = require('../src/storage');
+const { createTask } = require('../src/taskService');
+const { attachTags } = require('../src/tagService');
+const { subscribe } = require('../src/taskEvents');
+const { exportTasks } = require('../src/taskExport');
+const { parseCsv, readImportBody, prepareImport, commitImport } = require('../src/taskImport');
+
+const alice = { id: 1, email: 'alice@example.com' };
+const bob = { id: 2, email: 'bob@example.com' };
+
+const ok = (result) => {
+    assert.equal(result.error, undefined, result.error && JSON.stringify(result.error));
+    return result.data;
+};
+
+/** A response stand-in that keeps what exportTasks writes */
+function collector() {
+    const chunks = [];
+    return {
+        chunks,
+        headersSent: false,
+        destroyed: false,
+        status() { return this; },
+        set() { return this; },
+        write(chunk) {
+            this.headersSent = true;
+            chunks.push(chunk);
+            return true;
+        },
+        end() {}
+    };
+}
+
+const FIELDS = ['title', 'author', 'description', 'priority', 'due_date', 'recurrence'];
+const pick = (task) => Object.fromEntries(FIELDS.map(field => [field, task[field] === undefined ? null : task[field]]));
+
+test('parseCsv reads quoted fields with commas, quotes and line breaks', () => {
+    const parsed = parseCsv('title,description\r\n"A, b","Say ""hi""\nthen go"\r\n\r\nplain,\r\n');
+    assert.deepEqual(parsed.columns, ['title', 'description']);
+    assert.deepEqual(parsed.records, [{ title: 'A, b', description: 'Say "hi"\nthen go' }, { title: 'plain', description: '' }]);
+    assert.ok(parseCsv('title\n"never closed').error);
+});
+
+test('a CSV export imports again with the same values', async () => {
+    const bodies = [
+        { title: 'Quotes "and", commas', author: 'Ann', description: 'Line one\nLine two', priority: 'high', due_date: '2026-11-01' },
+        { title: '=SUM(A1:A2)', author: '@ann', description: '-1 +1', due_date: '2026-11-02', recurrence: 'FREQ=WEEKLY' },
+        { title: 'Plain', author: 'Bob' }
+    ];
+    for (const [index, body] of bodies.entries()) {
+        const task = ok(await createTask(bob, body));
+        if (index === 0) ok(await attachTags(bob, task, ['release', 'Q4']));
+    }
+
+    const res = collector();
+    await exportTasks(res, 'csv', { filters: [{ field: 'owner_id', op: 'eq', value: bob.id }] });
+    const file = readImportBody(res.chunks.join(''), true);
+    const { data } = await prepareImport(bob, file.data);
+
+    assert.deepEqual(data.errors, []);
+    assert.ok(data.columns.ignored.includes('id'));
+    assert.deepEqual(data.rows.map(({ model }) => pick(model)), bodies.map(pick));
+    assert.deepEqual(data.rows.map(({ tags }) => tags), [['Q4', 'release'], [], []]);
+});
+
+/** Prepare records for commitImport, failing on any invalid row */
+async function prepared(records) {
+    const columns = [...new Set(records.flatMap(Object.keys))];
+    const { data, error } = await prepareImport(alice, { columns, records });
+    assert.equal(error, undefined);
+    assert.deepEqual(data.errors, []);
+    return data.rows;
+}
+
+/** Collect the task events published while `run` runs */
+async function eventsDuring(run) {
+    const events = [];
+    const unsubscribe = subscribe(event => events.push(event.type));
+    try {
+        return { result: await run(), events };
+    } finally {
+        unsubscribe();
+    }
+}
+
+const titled = async (prefix) => (await tasks.list({ filters: [{ field: 'title', op: 'ilike', value: `${prefix}%` }] })).data;
+
+test('an import creates every task, tags them and then fires their events', async () => {
+    const rows = await prepared([
+        { title: 'Imported one', author: 'Ann', tags: 'home, Work' },
+        { title: 'Imported two', author: 'Ann', tags: 'work' },
+        { title: 'Imported three', author: 'Ann' }
+    ]);
+    const { result, events } = await eventsDuring(() => commitImport(alice, rows));
+
+    assert.deepEqual(result.data.map(task => task.title), ['Imported one', 'Imported two', 'Imported three']);
+    const positions = result.data.map(task => task.position);
+    assert.deepEqual([...positions].sort((a, b) => a - b), positions, 'tasks keep the order of the file');
+    assert.deepEqual(events, ['task.created', 'task.created', 'task.created']);
+
+    const links = await taskTags.list({ filters: [{ field: 'task_id', op: 'in', value: result.data.map(task => task.id) }] });
+    assert.equal(links.data.length, 3, '"Work" and "work" are the same tag');
+});
+
+test('a failed import removes its tasks again without firing events', async (t) => {
+    t.mock.method(taskTags, 'insert', async () => ({ data: null, error: new Error('connection lost') }));
+    const rows = await prepared([{ title: 'Rolled back one', author: 'Ann', tags: 'x' }, { title: 'Rolled back two', author: 'Ann' }]);
+    const { result, events } = await eventsDuring(() => commitImport(alice, rows));
+
+    assert.equal(result.error.status, 500);
+    assert.equal(result.error.body.error, 'Failed to tag task');
+    assert.deepEqual(events, []);
+    assert.deepEqual(await titled('Rolled back'), []);
+});
+
+test('tasks that cannot be removed after a failed import are listed', async (t) => {
+    t.mock.method(taskTags, 'insert', async () => ({ data: null, error: new Error('connection lost') }));
+    t.mock.method(tasks, 'removeWhere', async () => ({ data: [], error: new Error('connection lost') }));
+    const rows = await prepared([{ title: 'Orphaned', author: 'Ann', tags: 'x' }]);
+    const { result, events } = await eventsDuring(() => commitImport(alice, rows));
+
+    const [orphan] = await titled('Orphaned');
+    assert.equal(result.error.status, 500);
+    assert.deepEqual(result.error.body.orphaned_ids, [orphan.id]);
+    assert.deepEqual(events, []);
+});
@@ -0,0 +1,59 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tasks } = require('../src/storage');
+const { createTask, moveTask } = require('../src/taskService');
+const { POSITION_STEP, POSITION_SORT } = require('../src/taskOrder');
+
+const ok = (result) => {
+    assert.equal(result.error, undefined, result.error && JSON.stringify(result.error));
+    return result.data;
+};
+
+/** Titles of the user's todo column, in board order */
+async function column(user) {
+    const { data } = await tasks.list({
+        filters: [{ field: 'owner_id', op: 'eq', value: user.id }, { field: 'status', op: 'eq', value: 'todo' }],
+        sort: POSITION_SORT
+    });
+    return data.map(({ title }) => title);
+}
+
+async function createAll(user, titles) {
+    const created = [];
+    for (const title of titles) {
+        created.push(ok(await createTask(user, { title, author: 'Test' })));
+    }
+    return created;
+}
+
+test('new tasks go to the bottom and a move takes the midpoint of its neighbours', async () => {
+    const user = { id: 1, email: 'one@example.com' };
+    const [a, b, c] = await createAll(user, ['A', 'B', 'C']);
+    assert.deepEqual([a, b, c].map(task => task.position), [1, 2, 3].map(n => n * POSITION_STEP));
+
+    const moved = ok(await moveTask(user, c.id, { before: b.id }));
+    assert.equal(moved.position, (a.position + b.position) / 2);
+    assert.deepEqual(await column(user), ['A', 'C', 'B']);
+
+    ok(await moveTask(user, a.id, { after: b.id }));
+    assert.deepEqual(await column(user), ['C', 'B', 'A']);
+});
+
+test('a column without room between two tasks is renumbered, keeping their versions', async () => {
+    const user = { id: 2, email: 'two@example.com' };
+    const [a, b, c] = await createAll(user, ['A', 'B', 'C']);
+    // Neighbours with no number between them
+    await tasks.update(a.id, { position: 1 });
+    await tasks.update(b.id, { position: 1 + Number.EPSILON });
+    const versions = async () => Promise.all([a, b].map(async task => (await tasks.findById(task.id)).data.version));
+    const before = await versions();
+
+    const moved = ok(await moveTask(user, c.id, { after: a.id }));
+    assert.deepEqual(await column(user), ['A', 'C', 'B']);
+    assert.equal(moved.position, 1.5 * POSITION_STEP);
+    assert.equal((await tasks.findById(b.id)).data.position, 2 * POSITION_STEP);
+    assert.deepEqual(await versions(), before);
+});
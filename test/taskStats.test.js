@@ -0,0 +1,65 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tasks } = require('../src/storage');
+const { buildTaskFilters } = require('../src/taskFilters');
+const { trendRange, taskStats } = require('../src/taskStats');
+
+const alice = { id: 1, email: 'alice@example.com' };
+const now = new Date('2026-10-21T12:00:00.000Z');
+
+test.before(async () => {
+    await tasks.insert([
+        { title: 'Plan release', author: 'Ann', priority: 'high', status: 'todo', due_date: '2026-10-20T00:00:00.000Z', created_at: '2026-10-13T10:00:00.000Z' },
+        { title: 'Write docs', author: 'Bob', status: 'done', due_date: '2026-10-20T00:00:00.000Z', created_at: '2026-10-20T10:00:00.000Z' },
+        { title: 'Fix login', author: 'Ann', priority: 'low', status: 'in_progress', due_date: '2026-10-23T00:00:00.000Z', created_at: '2026-10-21T09:00:00.000Z' },
+        { title: 'Old idea', author: '', priority: 'someday', status: 'blocked', created_at: '2026-06-01T00:00:00.000Z' },
+        { title: 'Trashed', author: 'Ann', status: 'todo', due_date: '2026-10-01T00:00:00.000Z', deleted_at: '2026-10-02T00:00:00.000Z' }
+    ].map(task => ({ ...task, owner_id: alice.id })));
+    await tasks.insert([{ title: 'Not mine', author: 'Eve', status: 'todo', owner_id: 2 }]);
+});
+
+async function stats(params = {}, trendParams = { interval: 'day' }) {
+    const trend = trendRange(trendParams, now);
+    const { data, error } = await taskStats({ filters: buildTaskFilters(alice, params) }, trend.data, now);
+    assert.equal(error, null);
+    return data;
+}
+
+test('stats count the live tasks of the user by priority, status and author', async () => {
+    const data = await stats();
+    assert.equal(data.total, 4);
+    assert.deepEqual(data.by_priority, { low: 1, medium: 0, high: 1, none: 2 });
+    assert.deepEqual(data.by_status, { todo: 1, in_progress: 1, blocked: 1, done: 1, cancelled: 0 });
+    assert.deepEqual(data.by_author, [{ author: 'Ann', count: 2 }, { author: 'Bob', count: 1 }, { author: null, count: 1 }]);
+});
+
+test('overdue and due this week leave out closed tasks', async () => {
+    const data = await stats();
+    assert.equal(data.overdue, 1);
+    assert.equal(data.due_this_week, 2);
+    assert.deepEqual(data.week, { from: '2026-10-19', to: '2026-10-25' });
+});
+
+test('the trend counts created tasks per day or week, with empty periods as zero', async () => {
+    const daily = await stats();
+    assert.equal(daily.trend.points.length, 30);
+    assert.deepEqual(daily.trend.points.slice(-9).map(({ count }) => count), [1, 0, 0, 0, 0, 0, 0, 1, 1]);
+
+    const weekly = await stats({}, { interval: 'week', from: '2026-10-05' });
+    assert.deepEqual(weekly.trend, {
+        interval: 'week',
+        from: '2026-10-05',
+        to: '2026-10-25',
+        points: [{ period: '2026-10-05', count: 0 }, { period: '2026-10-12', count: 1 }, { period: '2026-10-19', count: 2 }]
+    });
+});
+
+test('stats follow the filters', async () => {
+    const data = await stats({ author: 'Ann' });
+    assert.equal(data.total, 2);
+    assert.equal(data.overdue, 1);
+    assert.deepEqual(data.by_author, [{ author: 'Ann', count: 2 }]);
+});
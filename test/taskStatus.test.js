@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TASK_STATUSES, STATUS_TRANSITIONS, canTransition, statusChanges } = require('../src/taskStatus');
+
+test('only the listed transitions are allowed', () => {
+    assert.ok(canTransition('todo', 'in_progress'));
+    assert.ok(canTransition('in_progress', 'done'));
+    assert.ok(canTransition('done', 'todo'));
+    assert.ok(!canTransition('todo', 'done'), 'work has to start before it is done');
+    assert.ok(!canTransition('cancelled', 'done'));
+    assert.ok(!canTransition('todo', 'todo'));
+    assert.ok(!canTransition('todo', 'archived'));
+});
+
+test('a task without a status moves like a todo task', () => {
+    assert.ok(canTransition(undefined, 'in_progress'));
+    assert.ok(!canTransition(null, 'done'));
+});
+
+test('every status can be left and reached again', () => {
+    for (const status of TASK_STATUSES) {
+        assert.ok(STATUS_TRANSITIONS[status].length > 0, `${status} is a dead end`);
+        assert.ok(TASK_STATUSES.some(from => canTransition(from, status)), `${status} cannot be reached`);
+    }
+});
+
+test('completed_at is stamped when a task becomes done and cleared when it leaves done', () => {
+    const now = new Date('2026-01-02T03:04:05.000Z');
+    assert.deepEqual(statusChanges('done', now), { status: 'done', completed_at: '2026-01-02T03:04:05.000Z' });
+    assert.deepEqual(statusChanges('in_progress', now), { status: 'in_progress', completed_at: null });
+    assert.deepEqual(statusChanges('cancelled', now), { status: 'cancelled', completed_at: null });
+});
@@ -0,0 +1,50 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tasks, taskTags, taskDependencies, auditLog } = require('../src/storage');
+const { emptyTrash, purgeExpiredTrash } = require('../src/trash');
+
+const alice = { id: 1, email: 'alice@example.com' };
+const bob = { id: 2, email: 'bob@example.com' };
+
+async function insertTasks(count, values) {
+    const { data } = await tasks.insert(Array.from({ length: count }, (_, i) => ({ title: `Task ${i}`, author: 'Test', ...values })));
+    return data;
+}
+
+const countOf = async (collection, filters) => (await collection.list({ filters })).count;
+
+test('emptyTrash purges more tasks than one batch, with their links and audit entries', async () => {
+    const trashed = await insertTasks(1203, { owner_id: alice.id, deleted_at: '2026-01-01T00:00:00.000Z' });
+    const [live] = await insertTasks(1, { owner_id: alice.id, deleted_at: null });
+    const [others] = await insertTasks(1, { owner_id: bob.id, deleted_at: '2026-01-01T00:00:00.000Z' });
+    await taskTags.insert(trashed.slice(0, 3).map(task => ({ task_id: task.id, tag_id: 1, owner_id: alice.id })));
+    await taskDependencies.insert([
+        { task_id: live.id, depends_on_id: trashed[0].id, owner_id: alice.id },
+        { task_id: trashed[1].id, depends_on_id: live.id, owner_id: alice.id }
+    ]);
+
+    const { data, error } = await emptyTrash(alice);
+    assert.equal(error, undefined);
+    const ids = trashed.map(task => task.id);
+    assert.deepEqual([...data].sort((a, b) => a - b), ids);
+    assert.equal(await countOf(tasks, [{ field: 'id', op: 'in', value: ids }]), 0);
+    assert.equal(await countOf(taskTags, [{ field: 'task_id', op: 'in', value: ids }]), 0);
+    assert.equal(await countOf(taskDependencies, [{ field: 'owner_id', op: 'eq', value: alice.id }]), 0);
+    assert.equal(await countOf(auditLog, [{ field: 'action', op: 'eq', value: 'purged' }]), 1203);
+    assert.ok((await tasks.findById(live.id)).data);
+    assert.ok((await tasks.findById(others.id)).data, 'other users\' trash is left alone');
+});
+
+test('purgeExpiredTrash only purges tasks deleted before the retention period', async () => {
+    const now = new Date('2026-03-31T00:00:00.000Z');
+    const [expired] = await insertTasks(1, { owner_id: bob.id, deleted_at: '2026-02-28T00:00:00.000Z' });
+    const [recent] = await insertTasks(1, { owner_id: bob.id, deleted_at: '2026-03-30T00:00:00.000Z' });
+
+    const purged = await purgeExpiredTrash(now, 30);
+    assert.ok(purged.includes(expired.id));
+    assert.ok(!purged.includes(recent.id));
+    assert.ok((await tasks.findById(recent.id)).data);
+});
@@ -0,0 +1,141 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DATA_FILE = '';
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '30';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { webhooks, webhookDeliveries } = require('../src/storage');
+const { signPayload, retryDelayMs, createWebhook, enqueueDeliveries, retryDueDeliveries, redeliver } = require('../src/webhooks');
+
+const user = { id: 1, email: 'hooks@example.com' };
+const SECRET = 'a-secret-of-at-least-16-characters';
+
+/** Start scripts/webhook-stand-in.js on a free port; resolves to { url, lines, stop } */
+function startStandIn() {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'webhook-stand-in.js'), '0'], {
+        env: { ...process.env, WEBHOOK_SECRET: SECRET }
+    });
+    const lines = [];
+    return new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', (chunk) => {
+            lines.push(...chunk.split('\n').filter(Boolean));
+            const port = /listening on port (\d+)/.exec(lines[0] || '');
+            if (port) {
+                resolve({ url: `http://127.0.0.1:${port[1]}/hook`, lines, stop: () => child.kill() });
+            }
+        });
+    });
+}
+
+/** A receiver in this process that answers every request with `status` */
+function startReceiver(status) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        received.push(req.headers);
+        req.resume();
+        req.on('end', () => res.writeHead(status).end('receiver said no'));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        stop: () => server.close()
+    })));
+}
+
+/** Queue one delivery for the webhook and wait until it has been attempted */
+async function deliverOnce(webhook, event = 'task.created') {
+    const queued = await enqueueDeliveries(user.id, event, `event-${Date.now()}`, { type: event, task_id: 1 });
+    const delivery = queued.data.find(({ webhook_id: id }) => id === webhook.id);
+    return settled(delivery.id);
+}
+
+/** Wait until a delivery has been attempted */
+async function settled(id) {
+    for (let i = 0; i < 100; i++) {
+        const { data } = await webhookDeliveries.findById(id);
+        if (data.response_status !== undefined && data.last_attempt_at && data.duration_ms !== undefined) {
+            return data;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Delivery ${id} was not attempted`);
+}
+
+test('signPayload is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const body = '{"type":"task.created"}';
+    const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+    assert.equal(signPayload(SECRET, 1700000000, body), `sha256=${expected}`);
+    assert.notEqual(signPayload(SECRET, 1700000001, body), signPayload(SECRET, 1700000000, body));
+});
+
+test('retryDelayMs doubles from WEBHOOK_RETRY_BASE_SECONDS', () => {
+    assert.deepEqual([1, 2, 3, 4].map(retryDelayMs), [30, 60, 120, 240].map(seconds => seconds * 1000));
+});
+
+test('createWebhook refuses private and metadata addresses', async () => {
+    for (const url of ['http://10.0.0.5/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]:8080/']) {
+        const { error } = await createWebhook(user, { url });
+        assert.equal(error.status, 400, url);
+        assert.match(error.body.details[0].message, /is not a public address/);
+    }
+});
+
+test('a delivery that the receiver accepts succeeds with a valid signature', async (t) => {
+    const standIn = await startStandIn();
+    t.after(standIn.stop);
+    const { data: webhook } = await createWebhook(user, { url: standIn.url, secret: SECRET, events: ['task.created'] });
+
+    const delivery = await deliverOnce(webhook);
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.response_status, 200);
+    assert.equal(delivery.response_body, 'ok');
+    assert.equal(delivery.next_attempt_at, null);
+    assert.ok(standIn.lines.includes('Signature: valid'), standIn.lines.join('\n'));
+
+    const again = await redeliver(user, webhook.id, delivery.id);
+    assert.equal(again.data.redelivery_of, delivery.id);
+    assert.equal((await settled(again.data.id)).status, 'succeeded');
+});
+
+test('a delivery that the receiver rejects is retried after the backoff, then fails', async (t) => {
+    const receiver = await startReceiver(500);
+    t.after(receiver.stop);
+    const { data: webhook } = await createWebhook(user, { url: receiver.url, events: ['task.updated'] });
+
+    const before = Date.now();
+    const delivery = await deliverOnce(webhook, 'task.updated');
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.response_status, 500);
+    assert.equal(delivery.error, 'Receiver answered 500');
+    const wait = Date.parse(delivery.next_attempt_at) - before;
+    assert.ok(wait >= retryDelayMs(1) && wait < retryDelayMs(1) + 5000, `retry in ${wait}ms`);
+    assert.ok(receiver.received[0]['x-webhook-signature'].startsWith('sha256='));
+
+    // The last allowed attempt marks it failed
+    await webhookDeliveries.update(delivery.id, { attempts: 5, next_attempt_at: new Date(before).toISOString() });
+    await retryDueDeliveries();
+    const last = (await webhookDeliveries.findById(delivery.id)).data;
+    assert.equal(last.status, 'failed');
+    assert.equal(last.attempts, 6);
+    assert.equal(last.next_attempt_at, null);
+    assert.equal(receiver.received.length, 2);
+});
+
+test('a delivery to a host that is no longer public is refused without contacting it', async () => {
+    const { data: webhook } = await createWebhook(user, { url: 'http://127.0.0.1:9/hook', events: ['task.deleted'] });
+    // As if the host had been re-pointed after the webhook was created
+    await webhooks.update(webhook.id, { url: 'http://192.168.1.1/admin' });
+
+    const delivery = await deliverOnce(webhook, 'task.deleted');
+    assert.equal(delivery.response_status, null);
+    assert.equal(delivery.response_body, null);
+    assert.equal(delivery.error, 'Refused: 192.168.1.1 is not a public address');
+});